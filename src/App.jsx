@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import {
   RefreshCw,
   Settings,
@@ -9,22 +9,41 @@ import {
   FolderOpen,
   ChevronDown,
   ChevronUp,
+  Table,
+  Trophy,
+  Share2,
 } from 'lucide-react';
 import { useWalletTracker } from './hooks/useWalletTracker';
 import { FileUpload } from './components/FileUpload';
 import { TokenPanel } from './components/TokenPanel';
 import { SavedProjects } from './components/SavedProjects';
 import { HoldingsTable } from './components/HoldingsTable';
+import { PnlLeaderboard } from './components/PnlLeaderboard';
+import { WalletGraph } from './components/WalletGraph';
 import { TransactionFeed } from './components/TransactionFeed';
 import { StatsCard } from './components/StatsCard';
 import { SettingsPanel } from './components/SettingsPanel';
 import { LoadingIndicator } from './components/LoadingIndicator';
 import { ToastProvider, useToast } from './components/Toast';
+import { isDevAlert } from './services/devWallets';
+import { toHolderTrackedWallet } from './services/holderDiscovery';
+import { subscribeStorageWarnings, STORAGE_WARNING_LEVELS } from './services/storageManager';
+
+// Dev wallet moves older than this are history (backfills, first loads) - no alert
+const DEV_ALERT_WINDOW_MS = 15 * 60 * 1000;
+
+const DEV_MOVE_LABELS = {
+  SELL: 'sold',
+  TRANSFER_OUT: 'transferred out',
+  LP_REMOVE: 'pulled liquidity:',
+};
 
 function AppContent() {
   const [showSettings, setShowSettings] = useState(false);
   const [showImportModal, setShowImportModal] = useState(false);
   const [showActivityFeed, setShowActivityFeed] = useState(true);
+  const [walletView, setWalletView] = useState('holdings'); // 'holdings' | 'leaderboard' | 'graph'
+  const [focusRequest, setFocusRequest] = useState(null); // { address, nonce } for HoldingsTable
   const toast = useToast();
 
   const {
@@ -37,10 +56,18 @@ function AppContent() {
     tokenInfo,
     tokenMetadata,
     previousBalances,
+    balancesDayAgo,
     initialBalances,
     totalHoldings,
     totalValue,
     settings,
+    liveStatus,
+    backfillProgress,
+    untrackedActivity,
+    fundingSources,
+    fundingScan,
+    launchInfo,
+    devWallets,
 
     // Project state
     projects,
@@ -65,6 +92,7 @@ function AppContent() {
     saveCurrentProject,
     loadProject,
     deleteProject,
+    reloadProjects,
 
     // Settings & misc
     updateSettings,
@@ -72,8 +100,50 @@ function AppContent() {
     cancelFetch,
     clearAll,
     deepFetchWalletHistory,
+    stopWalletBackfill,
+    traceWalletTransfers,
+    scanWalletFunding,
+    discoverTopHolders,
   } = useWalletTracker();
 
+  // Alert on new dev wallet sells / transfers out / liquidity pulls (each move once)
+  const seenDevMovesRef = useRef(new Set());
+  useEffect(() => {
+    const devAddresses = new Set(devWallets.map(dev => dev.address.toLowerCase()));
+    const cutoff = Date.now() - DEV_ALERT_WINDOW_MS;
+    const fresh = transactions.filter(tx =>
+      tx.signature &&
+      !seenDevMovesRef.current.has(tx.signature) &&
+      isDevAlert(tx, devAddresses) &&
+      new Date(tx.timestamp).getTime() >= cutoff
+    );
+    if (fresh.length === 0) return;
+
+    fresh.forEach(tx => seenDevMovesRef.current.add(tx.signature));
+    if (fresh.length > 1) {
+      toast.warning('Dev Wallet Activity', `${fresh.length} new sells/transfers by dev wallets`);
+      return;
+    }
+    const [tx] = fresh;
+    const name = wallets.find(w => w.address.toLowerCase() === tx.walletAddress.toLowerCase())?.name || 'Dev wallet';
+    const amount = (tx.amount || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+    toast.warning('Dev Wallet Activity', `${name} ${DEV_MOVE_LABELS[tx.type]} ${amount} ${tokenInfo?.symbol || 'tokens'}`);
+  }, [transactions, devWallets, wallets, tokenInfo, toast]);
+
+  // Storage running full (checked after each fetch) or a write that failed for lack of space
+  useEffect(() => {
+    return subscribeStorageWarnings(({ level, ratio, evicted }) => {
+      const used = `${Math.round(ratio * 100)}% of browser storage used`;
+      if (level === STORAGE_WARNING_LEVELS.FULL) {
+        toast.error('Storage Full', evicted ? `Some data was not saved. ${evicted}.` : 'Some data was not saved - free space in Settings');
+      } else {
+        toast.warning('Storage Almost Full', evicted ? `${used}. ${evicted}.` : `${used} - free space in Settings`);
+      }
+      // Eviction may have deleted saved projects
+      if (evicted) reloadProjects();
+    });
+  }, [toast, reloadProjects]);
+
   const formatLastUpdated = () => {
     if (!lastUpdated) return 'Never';
     const date = new Date(lastUpdated);
@@ -91,6 +161,9 @@ function AppContent() {
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
 
+  // HoldingsTable expanded the picked wallet - don't replay it on the next mount
+  const clearFocusRequest = () => setFocusRequest(null);
+
   const handleImport = (newWallets, replace = false) => {
     if (replace) {
       replaceWallets(newWallets);
@@ -101,9 +174,15 @@ function AppContent() {
     toast.success('Wallets Imported', `${newWallets.length} wallets loaded successfully`);
   };
 
+  // Add the holders picked in the discovery modal
+  const handleAddHolders = (holders) => {
+    addWallets(holders.map(toHolderTrackedWallet));
+    toast.success('Holders Added', `${holders.length} top holder${holders.length === 1 ? '' : 's'} now tracked`);
+  };
+
   // Handle save project with toast feedback
-  const handleSaveProject = () => {
-    const project = saveCurrentProject();
+  const handleSaveProject = async () => {
+    const project = await saveCurrentProject();
     if (project) {
       toast.success('Project Saved', `${project.tokenSymbol} saved with ${project.wallets?.length || 0} wallets`);
     }
@@ -150,7 +229,21 @@ function AppContent() {
             {/* Status & Actions */}
             <div className="flex items-center gap-3">
               {/* Live indicator */}
-              {settings.refreshInterval > 0 && tokenMint && wallets.length > 0 && (
+              {liveStatus !== 'off' ? (
+                <div
+                  className="hidden sm:flex items-center gap-2 text-sm text-gray-400"
+                  title={liveStatus === 'polling' ? 'WebSocket dropped - polling until it reconnects' : 'Balance changes are pushed over WebSocket'}
+                >
+                  <div className={`h-2 w-2 rounded-full ${liveStatus === 'live' ? 'bg-accent-success animate-pulse-glow' : 'bg-accent-warning animate-pulse'}`} />
+                  <span>{liveStatus === 'live' ? 'Streaming' : liveStatus === 'connecting' ? 'Connecting' : 'Reconnecting'}</span>
+                  {liveStatus === 'polling' && settings.refreshInterval > 0 && (
+                    <>
+                      <span className="text-gray-600">•</span>
+                      <span className="text-gray-500">{settings.refreshInterval}s</span>
+                    </>
+                  )}
+                </div>
+              ) : settings.refreshInterval > 0 && tokenMint && wallets.length > 0 && (
                 <div className="hidden sm:flex items-center gap-2 text-sm text-gray-400">
                   <div className={`h-2 w-2 rounded-full ${isRefreshing ? 'bg-accent-warning animate-pulse' : 'bg-accent-success animate-pulse-glow'}`} />
                   <span>Live</span>
@@ -236,10 +329,14 @@ function AppContent() {
               <TokenPanel
                 tokenMint={tokenMint}
                 tokenInfo={tokenInfo}
+                tokenMetadata={tokenMetadata}
                 onTokenChange={updateTokenMint}
                 onSaveProject={handleSaveProject}
                 isLoading={isLoading}
                 hasWallets={wallets.length > 0}
+                devWallets={devWallets}
+                onDiscoverHolders={tokenMint ? discoverTopHolders : null}
+                onAddHolders={handleAddHolders}
               />
 
               {/* Wallet count indicator */}
@@ -326,6 +423,8 @@ function AppContent() {
                 <div className="border-t border-dark-600 p-4">
                   <TransactionFeed
                     transactions={transactions}
+                    untrackedActivity={untrackedActivity}
+                    devWallets={devWallets}
                     isLoading={isLoading || isRefreshing}
                   />
                 </div>
@@ -333,21 +432,81 @@ function AppContent() {
             </section>
           )}
 
-          {/* Wallet Holdings Table */}
+          {/* Wallet Holdings Table / PnL Leaderboard / Relationship Graph */}
           <section>
-            <h2 className="text-lg font-semibold text-white mb-4">Wallet Holdings</h2>
-            <HoldingsTable
-              walletData={walletData}
-              wallets={wallets}
-              tokenPrice={tokenPrice}
-              tokenMetadata={tokenMetadata}
-              previousBalances={previousBalances}
-              initialBalances={initialBalances}
-              transactions={transactions}
-              onRemoveWallet={removeWallet}
-              onDeepFetchWallet={deepFetchWalletHistory}
-              isLoading={isLoading}
-            />
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-white">
+                {{ leaderboard: 'PnL Leaderboard', graph: 'Wallet Relationships' }[walletView] || 'Wallet Holdings'}
+              </h2>
+              <div className="flex items-center gap-1 rounded-lg bg-dark-800 border border-dark-600 p-1">
+                {[
+                  { id: 'holdings', label: 'Holdings', icon: Table },
+                  { id: 'leaderboard', label: 'Leaderboard', icon: Trophy },
+                  { id: 'graph', label: 'Graph', icon: Share2 },
+                ].map(({ id, label, icon: Icon }) => (
+                  <button
+                    key={id}
+                    onClick={() => setWalletView(id)}
+                    className={`
+                      flex items-center gap-1.5 px-3 py-1.5 rounded-md text-xs font-medium transition-all
+                      ${walletView === id ? 'bg-accent-primary text-white' : 'text-gray-400 hover:text-white'}
+                    `}
+                  >
+                    <Icon className="h-3.5 w-3.5" />
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {walletView === 'leaderboard' ? (
+              <PnlLeaderboard
+                wallets={wallets}
+                transactions={transactions}
+                tokenPrice={tokenPrice}
+                costBasisMethod={settings.costBasisMethod}
+                onSelectWallet={(address) => {
+                  setWalletView('holdings');
+                  setFocusRequest({ address, nonce: Date.now() });
+                }}
+              />
+            ) : walletView === 'graph' ? (
+              <WalletGraph
+                wallets={wallets}
+                walletData={walletData}
+                transactions={transactions}
+                onSelectWallet={(address) => {
+                  setWalletView('holdings');
+                  setFocusRequest({ address, nonce: Date.now() });
+                }}
+              />
+            ) : (
+              <HoldingsTable
+                tokenMint={tokenMint}
+                walletData={walletData}
+                wallets={wallets}
+                tokenPrice={tokenPrice}
+                tokenMetadata={tokenMetadata}
+                previousBalances={previousBalances}
+                balancesDayAgo={balancesDayAgo}
+                initialBalances={initialBalances}
+                transactions={transactions}
+                onRemoveWallet={removeWallet}
+                onDeepFetchWallet={deepFetchWalletHistory}
+                backfillProgress={backfillProgress}
+                onStopBackfill={stopWalletBackfill}
+                onTraceTransfers={traceWalletTransfers}
+                fundingSources={fundingSources}
+                fundingScan={fundingScan}
+                onScanFunding={scanWalletFunding}
+                launchInfo={launchInfo}
+                sniperSlots={settings.sniperSlots}
+                devWallets={devWallets}
+                costBasisMethod={settings.costBasisMethod}
+                focusRequest={focusRequest}
+                onFocusHandled={clearFocusRequest}
+                isLoading={isLoading}
+              />
+            )}
           </section>
         </div>
       </main>
@@ -384,7 +543,10 @@ function AppContent() {
       {showSettings && (
         <SettingsPanel
           settings={settings}
+          tokenMint={tokenMint}
           onUpdate={updateSettings}
+          onDeleteProject={deleteProject}
+          onStorageCleared={reloadProjects}
           onClose={() => setShowSettings(false)}
         />
       )}
@@ -0,0 +1,267 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { LineChart, Loader2 } from 'lucide-react';
+import { getSeries, reconstructBalanceHistory, PRICE_SERIES } from '../services/balanceSeries';
+
+// Time ranges of the chart
+const TIME_RANGES = [
+  { id: '24h', label: '24h', ms: 24 * 60 * 60 * 1000 },
+  { id: '7d', label: '7d', ms: 7 * 24 * 60 * 60 * 1000 },
+  { id: '30d', label: '30d', ms: 30 * 24 * 60 * 60 * 1000 },
+  { id: 'all', label: 'All', ms: null },
+];
+
+// Transaction markers on the balance line
+const MARKER_COLORS = {
+  BUY: '#22c55e',
+  SELL: '#ef4444',
+  TRANSFER_IN: '#60a5fa',
+  TRANSFER_OUT: '#f97316',
+};
+const OTHER_MARKER_COLOR = '#9ca3af';
+
+const MARKER_LABELS = {
+  BUY: 'Buy',
+  SELL: 'Sell',
+  TRANSFER_IN: 'Transfer in',
+  TRANSFER_OUT: 'Transfer out',
+};
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PAD = { top: 12, right: 56, bottom: 24, left: 56 };
+const PLOT_WIDTH = WIDTH - PAD.left - PAD.right;
+const PLOT_HEIGHT = HEIGHT - PAD.top - PAD.bottom;
+
+const formatAmount = (amount) => {
+  if (!amount) return '0';
+  if (amount < 1000) return amount.toFixed(amount < 10 ? 2 : 0);
+  if (amount < 1000000) return `${(amount / 1000).toFixed(1)}K`;
+  return `${(amount / 1000000).toFixed(2)}M`;
+};
+
+const formatPrice = (price) => {
+  if (!price) return '$0';
+  if (price < 0.0001) return `$${price.toExponential(2)}`;
+  if (price < 1) return `$${price.toPrecision(3)}`;
+  return `$${price.toFixed(2)}`;
+};
+
+const formatTime = (time, rangeMs) => {
+  const date = new Date(time);
+  if (rangeMs !== null && rangeMs <= 24 * 60 * 60 * 1000) {
+    return date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+/**
+ * Balance of one wallet over time (step line), its transactions as markers and the
+ * token price on a second axis
+ * Balance = cached transactions walked back from the current balance, anchored on
+ * recorded balance snapshots (balanceSeries.js)
+ */
+export const BalanceChart = React.memo(({ tokenMint, walletAddress, currentBalance, transactions = [] }) => {
+  const [rangeId, setRangeId] = useState('7d');
+  const [series, setSeries] = useState(null); // { snapshots, prices } for the range
+  const range = TIME_RANGES.find(entry => entry.id === rangeId);
+
+  // Oldest transaction - start of the 'All' range
+  const oldestTxTime = useMemo(() => transactions.reduce((oldest, tx) => {
+    const time = new Date(tx.timestamp).getTime();
+    return Number.isFinite(time) && time < oldest ? time : oldest;
+  }, Date.now()), [transactions]);
+
+  const [to, setTo] = useState(() => Date.now());
+  const from = range.ms !== null ? to - range.ms : Math.min(oldestTxTime, to - 60 * 60 * 1000);
+
+  // New balance or transactions - move the range end to now
+  useEffect(() => {
+    setTo(Date.now());
+  }, [currentBalance, transactions]);
+
+  useEffect(() => {
+    if (!tokenMint) return;
+
+    let cancelled = false;
+    Promise.all([
+      getSeries(tokenMint, walletAddress, { from, to }),
+      getSeries(tokenMint, PRICE_SERIES, { from, to }),
+    ]).then(([balanceSeries, priceSeries]) => {
+      if (cancelled) return;
+      setSeries({ snapshots: balanceSeries.points, prices: priceSeries.points });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [tokenMint, walletAddress, from, to]);
+
+  const chart = useMemo(() => {
+    if (!series) return null;
+
+    // Balance walked over every transaction (older ones set the start), then clipped to the range
+    const history = reconstructBalanceHistory({
+      currentBalance,
+      transactions,
+      snapshots: series.snapshots,
+      to,
+    });
+    const before = history.filter(point => point.time <= from);
+    const startBalance = before.length > 0 ? before[before.length - 1].balance : (history[0]?.balance ?? 0);
+    const points = [
+      { time: from, balance: startBalance, tx: null },
+      ...history.filter(point => point.time > from),
+    ];
+
+    // Price: recorded snapshots + prices of trades in the range
+    const prices = [
+      ...series.prices.map(point => ({ time: point.sampleTime ?? point.time, price: point.value })),
+      ...transactions
+        .filter(tx => tx.priceUsd > 0)
+        .map(tx => ({ time: new Date(tx.timestamp).getTime(), price: tx.priceUsd })),
+    ]
+      .filter(point => point.time >= from && point.time <= to)
+      .sort((a, b) => a.time - b.time);
+
+    const maxBalance = Math.max(...points.map(point => point.balance), 0) * 1.1 || 1;
+    const minPrice = prices.length > 0 ? Math.min(...prices.map(point => point.price)) : 0;
+    const maxPrice = prices.length > 0 ? Math.max(...prices.map(point => point.price)) : 0;
+    const pricePad = (maxPrice - minPrice) * 0.1 || maxPrice * 0.1 || 1;
+    const priceLow = Math.max(0, minPrice - pricePad);
+    const priceHigh = maxPrice + pricePad;
+
+    const x = (time) => PAD.left + ((time - from) / Math.max(1, to - from)) * PLOT_WIDTH;
+    const yBalance = (balance) => PAD.top + PLOT_HEIGHT - (balance / maxBalance) * PLOT_HEIGHT;
+    const yPrice = (price) => PAD.top + PLOT_HEIGHT - ((price - priceLow) / (priceHigh - priceLow)) * PLOT_HEIGHT;
+
+    // Step line: each balance holds until the next point
+    let balancePath = `M ${x(points[0].time)} ${yBalance(points[0].balance)}`;
+    points.slice(1).forEach(point => {
+      balancePath += ` H ${x(point.time)} V ${yBalance(point.balance)}`;
+    });
+    balancePath += ` H ${x(to)}`;
+
+    const pricePath = prices
+      .map((point, idx) => `${idx === 0 ? 'M' : 'L'} ${x(point.time)} ${yPrice(point.price)}`)
+      .join(' ');
+
+    return {
+      balancePath,
+      pricePath,
+      markers: points.filter(point => point.tx).map(point => ({
+        key: point.tx.signature,
+        cx: x(point.time),
+        cy: yBalance(point.balance),
+        color: MARKER_COLORS[point.tx.type] || OTHER_MARKER_COLOR,
+        title: `${MARKER_LABELS[point.tx.type] || point.tx.type} ${formatAmount(Math.abs(point.tx.amount || 0))}` +
+          ` - ${new Date(point.time).toLocaleString()} - balance ${formatAmount(point.balance)}`,
+      })),
+      balanceTicks: [0, 0.5, 1].map(ratio => ({ y: yBalance(maxBalance * ratio), label: formatAmount(maxBalance * ratio) })),
+      priceTicks: prices.length > 0
+        ? [0, 0.5, 1].map(ratio => {
+          const price = priceLow + (priceHigh - priceLow) * ratio;
+          return { y: yPrice(price), label: formatPrice(price) };
+        })
+        : [],
+      timeTicks: [0, 0.5, 1].map(ratio => {
+        const time = from + (to - from) * ratio;
+        return { x: x(time), label: formatTime(time, range.ms) };
+      }),
+    };
+  }, [series, currentBalance, transactions, from, to, range.ms]);
+
+  return (
+    <div className="bg-dark-700/50 rounded-lg p-3 space-y-2">
+      <div className="flex items-center justify-between">
+        <h4 className="flex items-center gap-1.5 text-sm font-medium text-gray-400">
+          <LineChart className="h-4 w-4" />
+          Balance History
+        </h4>
+        <div className="flex items-center gap-1">
+          {TIME_RANGES.map(entry => (
+            <button
+              key={entry.id}
+              onClick={(e) => {
+                e.stopPropagation();
+                setRangeId(entry.id);
+              }}
+              className={`
+                px-2 py-0.5 rounded text-xs transition-colors
+                ${rangeId === entry.id
+                  ? 'bg-accent-primary/20 text-accent-primary'
+                  : 'text-gray-500 hover:text-white hover:bg-dark-600'
+                }
+              `}
+            >
+              {entry.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!chart ? (
+        <div className="flex items-center justify-center gap-2 h-32 text-xs text-gray-500">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Loading history...
+        </div>
+      ) : (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+          {/* Grid + balance axis (left) */}
+          {chart.balanceTicks.map(tick => (
+            <g key={`b-${tick.y}`}>
+              <line x1={PAD.left} x2={WIDTH - PAD.right} y1={tick.y} y2={tick.y} stroke="#22222e" strokeWidth="1" />
+              <text x={PAD.left - 6} y={tick.y + 3} textAnchor="end" fontSize="10" fill="#6b7280">{tick.label}</text>
+            </g>
+          ))}
+          {/* Price axis (right) */}
+          {chart.priceTicks.map(tick => (
+            <text key={`p-${tick.y}`} x={WIDTH - PAD.right + 6} y={tick.y + 3} fontSize="10" fill="#facc15">
+              {tick.label}
+            </text>
+          ))}
+          {/* Time axis */}
+          {chart.timeTicks.map((tick, idx) => (
+            <text
+              key={`t-${tick.x}`}
+              x={tick.x}
+              y={HEIGHT - 6}
+              textAnchor={idx === 0 ? 'start' : idx === chart.timeTicks.length - 1 ? 'end' : 'middle'}
+              fontSize="10"
+              fill="#6b7280"
+            >
+              {tick.label}
+            </text>
+          ))}
+
+          {chart.pricePath && (
+            <path d={chart.pricePath} fill="none" stroke="#facc15" strokeWidth="1.25" strokeDasharray="4 3" opacity="0.7" />
+          )}
+          <path d={chart.balancePath} fill="none" stroke="#8b5cf6" strokeWidth="2" />
+
+          {chart.markers.map(marker => (
+            <circle key={marker.key} cx={marker.cx} cy={marker.cy} r="4" fill={marker.color} stroke="#0a0a0f" strokeWidth="1.5">
+              <title>{marker.title}</title>
+            </circle>
+          ))}
+        </svg>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 text-[10px] text-gray-500">
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-0.5 bg-accent-primary" />
+          Balance
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 border-t border-dashed border-yellow-400" />
+          Price (USD)
+        </span>
+        {Object.entries(MARKER_LABELS).map(([type, label]) => (
+          <span key={type} className="flex items-center gap-1">
+            <span className="inline-block h-2 w-2 rounded-full" style={{ backgroundColor: MARKER_COLORS[type] }} />
+            {label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+});
+BalanceChart.displayName = 'BalanceChart';
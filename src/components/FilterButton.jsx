@@ -0,0 +1,20 @@
+import React from 'react';
+
+/**
+ * Pill toggle for filter rows (group, time window...)
+ */
+export const FilterButton = React.memo(({ active, onClick, children }) => (
+  <button
+    onClick={onClick}
+    className={`
+      px-3 py-1.5 rounded-lg text-xs font-medium transition-all
+      ${active
+        ? 'bg-accent-primary text-white'
+        : 'bg-dark-600 text-gray-400 hover:bg-dark-500 hover:text-white'
+      }
+    `}
+  >
+    {children}
+  </button>
+));
+FilterButton.displayName = 'FilterButton';
@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useCallback } from 'react';
+import React, { useState, useMemo, useCallback, useEffect } from 'react';
 import {
   Wallet,
   ExternalLink,
@@ -25,8 +25,24 @@ import {
   Ban,
   Zap,
   Package,
+  History,
+  Pause,
+  Play,
+  Droplets,
+  Flame,
+  Coins,
+  GitBranch,
+  Network,
+  Crown,
 } from 'lucide-react';
 import { truncateAddress, WALLET_GROUPS } from '../utils/fileParser';
+import { formatPnL, pnlColor } from '../utils/pnlFormat';
+import { computeCostBasis, COST_BASIS_METHODS } from '../services/costBasis';
+import { TRACE_ENDPOINTS, DEFAULT_MAX_HOPS } from '../services/transferTracer';
+import { buildClusters, isFundingComplete } from '../services/walletClusters';
+import { analyzeLaunchBuys, LAUNCH_FLAGS, DEFAULT_SNIPER_SLOTS } from '../services/launchAnalysis';
+import { DEV_ROLE_LABELS } from '../services/devWallets';
+import { BalanceChart } from './BalanceChart';
 
 // Time constants (defined outside component to avoid recreation)
 const FIFTEEN_MINS_MS = 15 * 60 * 1000;
@@ -51,6 +67,13 @@ const formatUSD = (value) => {
   return `$${(value / 1000000).toFixed(2)}M`;
 };
 
+// Token prices are often far below a cent - keep 3 significant digits there
+const formatPriceUSD = (value) => {
+  if (!value) return '-';
+  if (value < 0.01) return `$${value.toPrecision(3)}`;
+  return `$${value.toLocaleString(undefined, { maximumFractionDigits: 4 })}`;
+};
+
 // Memoized sub-components (defined outside to prevent recreation)
 const RankBadge = React.memo(({ rank }) => {
   if (rank === 1) {
@@ -97,6 +120,50 @@ const GroupBadge = React.memo(({ group }) => {
 });
 GroupBadge.displayName = 'GroupBadge';
 
+// Launch flag of a wallet's first buy (bundled with the deployer / sniped)
+const LaunchBadge = React.memo(({ launchFlag }) => {
+  if (!launchFlag) return null;
+
+  const isBundled = launchFlag.flag === LAUNCH_FLAGS.BUNDLED;
+  const details = [
+    isBundled
+      ? `First buy in the creation slot (${launchFlag.slot})`
+      : `First buy ${launchFlag.slotsAfterLaunch} slot(s) after creation (slot ${launchFlag.slot})`,
+    launchFlag.jitoTip && 'Paid a Jito tip (bundle)',
+    launchFlag.sameSlotWallets.length > 0 && `Same slot as ${launchFlag.sameSlotWallets.length} other tracked wallet(s)`,
+  ].filter(Boolean);
+
+  return (
+    <span
+      className={`
+        inline-flex items-center gap-0.5 px-1.5 py-0.5 rounded text-[10px] font-bold uppercase tracking-wide
+        ${isBundled ? 'bg-accent-danger/15 text-accent-danger' : 'bg-orange-500/15 text-orange-400'}
+      `}
+      title={details.join('\n')}
+    >
+      {isBundled ? <Package className="h-2.5 w-2.5" /> : <Zap className="h-2.5 w-2.5" />}
+      {isBundled ? 'Bundled' : 'Sniper'}
+    </span>
+  );
+});
+LaunchBadge.displayName = 'LaunchBadge';
+
+// Dev wallet of the token (creator, authorities, creator's funder)
+const DevBadge = React.memo(({ roles }) => {
+  if (!roles) return null;
+
+  return (
+    <span
+      className="inline-flex items-center gap-0.5 px-1.5 py-0.5 rounded text-[10px] font-bold uppercase tracking-wide bg-accent-danger/15 text-accent-danger"
+      title={roles.map(role => DEV_ROLE_LABELS[role]).join('\n')}
+    >
+      <Crown className="h-2.5 w-2.5" />
+      Dev
+    </span>
+  );
+});
+DevBadge.displayName = 'DevBadge';
+
 const BalanceChangeIndicator = React.memo(({ change }) => {
   if (!change) return null;
 
@@ -119,6 +186,33 @@ const BalanceChangeIndicator = React.memo(({ change }) => {
 });
 BalanceChangeIndicator.displayName = 'BalanceChangeIndicator';
 
+// Change since 24h ago (balance series); dash when nothing was recorded that early
+const DayChange = React.memo(({ current, dayAgo }) => {
+  if (dayAgo === undefined) {
+    return <span className="text-xs text-gray-600" title="No balance recorded 24h ago">—</span>;
+  }
+
+  const change = (current || 0) - dayAgo;
+  if (Math.abs(change) < 0.0001) {
+    return <span className="font-mono text-xs text-gray-500">0</span>;
+  }
+
+  const percentage = dayAgo > 0 ? (change / dayAgo) * 100 : null;
+  return (
+    <div className={`flex flex-col items-end ${change > 0 ? 'text-accent-success' : 'text-accent-danger'}`}>
+      <span className="font-mono text-sm">
+        {change > 0 ? '+' : '-'}{formatBalance(Math.abs(change))}
+      </span>
+      {percentage !== null && (
+        <span className="text-[10px]">
+          {change > 0 ? '+' : ''}{percentage.toFixed(1)}%
+        </span>
+      )}
+    </div>
+  );
+});
+DayChange.displayName = 'DayChange';
+
 // Loading skeleton for wallet data
 const WalletLoadingSkeleton = React.memo(({ status, queuePosition, estimatedTime }) => {
   if (status === 'loading') {
@@ -217,16 +311,221 @@ const HoldingsBar = React.memo(({ percentage, rank }) => {
 });
 HoldingsBar.displayName = 'HoldingsBar';
 
+// Full-history backfill progress for the expanded row
+const BackfillStatus = React.memo(({ checkpoint, isRunning, onStart, onStop }) => {
+  const status = isRunning ? 'running' : checkpoint?.status;
+
+  if (status === 'complete') {
+    return (
+      <div className="flex items-center gap-2 text-xs text-accent-success bg-accent-success/10 rounded-lg px-3 py-2">
+        <Check className="h-3.5 w-3.5" />
+        <span>Full history loaded</span>
+        <span className="text-gray-500 ml-auto">
+          {checkpoint.signaturesScanned.toLocaleString()} signatures • {checkpoint.txsFound} token txs
+        </span>
+      </div>
+    );
+  }
+
+  const label = {
+    running: 'Backfilling history...',
+    paused: 'Backfill paused',
+    partial: 'History incomplete',
+    error: 'Backfill stopped',
+  }[status] || 'Recent history only';
+
+  return (
+    <div className="flex items-center gap-3 text-xs bg-dark-700/50 rounded-lg px-3 py-2">
+      {status === 'running'
+        ? <Loader2 className="h-3.5 w-3.5 text-accent-primary animate-spin flex-shrink-0" />
+        : <History className="h-3.5 w-3.5 text-gray-400 flex-shrink-0" />
+      }
+      <div className="flex-1 min-w-0">
+        <div className={
+          status === 'error' ? 'text-accent-danger' : status === 'partial' ? 'text-accent-warning' : 'text-gray-300'
+        }>
+          {label}
+        </div>
+        {checkpoint && (
+          <div className="text-gray-500 truncate" title={checkpoint.error || undefined}>
+            {checkpoint.pages} pages • {checkpoint.signaturesScanned.toLocaleString()} signatures • {checkpoint.txsFound} token txs
+            {checkpoint.oldestTimestamp && ` • back to ${new Date(checkpoint.oldestTimestamp).toLocaleDateString()}`}
+            {checkpoint.error && ` • ${checkpoint.error}`}
+          </div>
+        )}
+      </div>
+      {status === 'running' ? (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onStop();
+          }}
+          className="inline-flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg bg-dark-600 text-gray-300 hover:bg-dark-500 transition-colors flex-shrink-0"
+        >
+          <Pause className="h-3.5 w-3.5" />
+          Pause
+        </button>
+      ) : (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onStart();
+          }}
+          className="inline-flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg bg-accent-primary/20 text-accent-primary hover:bg-accent-primary/30 transition-colors flex-shrink-0"
+        >
+          <Play className="h-3.5 w-3.5" />
+          {status === 'partial' ? 'Retry failed' : checkpoint ? 'Resume' : 'Load full history'}
+        </button>
+      )}
+    </div>
+  );
+});
+BackfillStatus.displayName = 'BackfillStatus';
+
+// Transfer trace endpoint badges
+const TRACE_ENDPOINT_STYLES = {
+  [TRACE_ENDPOINTS.CEX]: 'bg-yellow-500/10 text-yellow-400',
+  [TRACE_ENDPOINTS.DEX_SELL]: 'bg-accent-danger/10 text-accent-danger',
+  [TRACE_ENDPOINTS.TRACKED]: 'bg-blue-500/10 text-blue-400',
+  [TRACE_ENDPOINTS.LIQUIDITY]: 'bg-indigo-500/10 text-indigo-400',
+  [TRACE_ENDPOINTS.BURN]: 'bg-orange-500/10 text-orange-400',
+  [TRACE_ENDPOINTS.HELD]: 'bg-dark-600 text-gray-300',
+  [TRACE_ENDPOINTS.UNRESOLVED]: 'bg-dark-600 text-gray-500',
+};
+
+const TRACE_HOP_OPTIONS = [1, 2, 3, 4, 5];
+
+// Multi-hop trace of a wallet's outgoing transfers (runs on demand - one fetch per hop)
+const TransferTrace = React.memo(({ onTrace }) => {
+  const [maxHops, setMaxHops] = useState(DEFAULT_MAX_HOPS);
+  const [trace, setTrace] = useState({ status: 'idle', paths: [], error: null });
+
+  const runTrace = async () => {
+    setTrace({ status: 'running', paths: [], error: null });
+    try {
+      const paths = await onTrace(maxHops);
+      setTrace({ status: 'done', paths, error: null });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        setTrace({ status: 'idle', paths: [], error: null });
+        return;
+      }
+      console.error('[TransferTrace] Trace failed:', error);
+      setTrace({ status: 'error', paths: [], error: error.message });
+    }
+  };
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center gap-2 mb-2">
+        <h4 className="text-sm font-medium text-gray-400 flex items-center gap-2">
+          <GitBranch className="h-4 w-4" />
+          Transfer Trace
+        </h4>
+        <select
+          value={maxHops}
+          onChange={(e) => setMaxHops(Number(e.target.value))}
+          onClick={(e) => e.stopPropagation()}
+          disabled={trace.status === 'running'}
+          className="ml-auto rounded-lg bg-dark-600 border border-dark-500 px-2 py-1 text-xs text-white focus:outline-none"
+          title="Wallets followed per path"
+        >
+          {TRACE_HOP_OPTIONS.map(hops => (
+            <option key={hops} value={hops}>{hops} hop{hops > 1 ? 's' : ''}</option>
+          ))}
+        </select>
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            runTrace();
+          }}
+          disabled={trace.status === 'running'}
+          className="inline-flex items-center gap-1.5 px-2.5 py-1 rounded-lg bg-accent-primary/20 text-accent-primary hover:bg-accent-primary/30 text-xs transition-colors disabled:opacity-50"
+        >
+          {trace.status === 'running' ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Search className="h-3.5 w-3.5" />}
+          {trace.status === 'done' ? 'Trace again' : 'Trace'}
+        </button>
+      </div>
+
+      {trace.status === 'error' && (
+        <div className="text-xs text-accent-danger">{trace.error}</div>
+      )}
+      {trace.status === 'done' && trace.paths.length === 0 && (
+        <div className="text-xs text-gray-500">No outgoing transfers to trace</div>
+      )}
+      {trace.paths.length > 0 && (
+        <div className="space-y-2">
+          {trace.paths.map(path => (
+            <div key={path.id} className="bg-dark-700/50 rounded-lg p-2 text-xs">
+              <div className="flex flex-wrap items-center gap-1">
+                {path.hops.map((hop, idx) => (
+                  <React.Fragment key={`${hop.address}-${idx}`}>
+                    {idx > 0 && <ArrowRight className="h-3 w-3 text-gray-600" />}
+                    <a
+                      href={`https://solscan.io/account/${hop.address}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      onClick={(e) => e.stopPropagation()}
+                      className="font-mono text-gray-300 hover:text-accent-primary transition-colors"
+                      title={`${formatBalance(hop.amount)} tokens`}
+                    >
+                      {hop.name || truncateAddress(hop.address, 4, 4)}
+                    </a>
+                  </React.Fragment>
+                ))}
+                <ArrowRight className="h-3 w-3 text-gray-600" />
+                <span className={`px-1.5 py-0.5 rounded font-medium ${TRACE_ENDPOINT_STYLES[path.endpoint.kind]}`}>
+                  {path.endpoint.label}
+                </span>
+              </div>
+              <div className="text-gray-500 mt-1">
+                {formatBalance(path.hops[0].amount)} sent
+                {path.endpoint.amount > 0 && ` • ${formatBalance(path.endpoint.amount)} at the end`}
+                {path.hops[0].timestamp && ` • ${new Date(path.hops[0].timestamp).toLocaleDateString()}`}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+});
+TransferTrace.displayName = 'TransferTrace';
+
+// Cluster badge colors (cycled by cluster index)
+const CLUSTER_COLORS = [
+  'bg-pink-500/15 text-pink-400',
+  'bg-cyan-500/15 text-cyan-400',
+  'bg-lime-500/15 text-lime-400',
+  'bg-amber-500/15 text-amber-400',
+  'bg-violet-500/15 text-violet-400',
+  'bg-teal-500/15 text-teal-400',
+];
+
 export function HoldingsTable({
+  tokenMint,
   walletData,
   wallets = [],
   tokenPrice,
   tokenMetadata,
   previousBalances = {},
+  balancesDayAgo = {},
   initialBalances = {},
   transactions = [],
   onRemoveWallet,
   onDeepFetchWallet,
+  backfillProgress = {},
+  onStopBackfill,
+  onTraceTransfers,
+  fundingSources = {},
+  fundingScan = null,
+  onScanFunding,
+  launchInfo = null,
+  sniperSlots = DEFAULT_SNIPER_SLOTS,
+  devWallets = [],
+  costBasisMethod = COST_BASIS_METHODS.FIFO,
+  focusRequest = null,
+  onFocusHandled,
   isLoading,
 }) {
   const [sortField, setSortField] = useState('uiBalance');
@@ -245,6 +544,23 @@ export function HoldingsTable({
     return map;
   }, [wallets]);
 
+  // Expand and scroll to a wallet picked elsewhere (e.g. the PnL leaderboard)
+  // focusRequest = { address, nonce } - the nonce re-triggers for the same wallet;
+  // runs per request only, not when wallet rows refresh, and is cleared once handled
+  // so a later remount does not jump to the same wallet again
+  useEffect(() => {
+    if (!focusRequest) return;
+    onFocusHandled?.();
+    const target = walletData.find(w => w.address === focusRequest.address);
+    if (!target) return;
+
+    setGroupFilter('ALL');
+    setExpandedWallet(target.id);
+    requestAnimationFrame(() => {
+      document.getElementById(`wallet-row-${target.id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+  }, [focusRequest]);
+
   // Create a map of wallet address -> group (PREM/WIC)
   const walletGroups = useMemo(() => {
     const map = new Map();
@@ -287,6 +603,10 @@ export function HoldingsTable({
           totalSold: 0,
           totalTransferredOut: 0,
           totalTransferredIn: 0,
+          totalLpAdded: 0,
+          totalLpRemoved: 0,
+          totalBurned: 0,
+          totalMinted: 0,
           connectedWallets: new Map(),
         });
       }
@@ -294,7 +614,7 @@ export function HoldingsTable({
       const walletData = map.get(walletKey);
 
       // Categorize transaction based on new type system
-      // Types from API: BUY, SELL, TRANSFER_OUT, TRANSFER_IN
+      // Types from API: BUY, SELL, TRANSFER_OUT, TRANSFER_IN, LP_ADD, LP_REMOVE, BURN, MINT
       let category;
       const txType = tx.type;
 
@@ -337,6 +657,19 @@ export function HoldingsTable({
       } else if (txType === 'SELL') {
         category = 'SELL';
         walletData.totalSold += tx.amount || 0;
+      } else if (txType === 'LP_ADD' || txType === 'LP_REMOVE') {
+        // Tokens parked in / taken back from a pool - neither bought nor sold,
+        // and the pool vault is not a connected wallet
+        category = txType;
+        if (txType === 'LP_ADD') walletData.totalLpAdded += tx.amount || 0;
+        else walletData.totalLpRemoved += tx.amount || 0;
+      } else if (txType === 'BURN') {
+        category = 'BURN';
+        walletData.totalBurned += tx.amount || 0;
+      } else if (txType === 'MINT') {
+        // Minted by the mint authority - acquired, but not bought
+        category = 'MINT';
+        walletData.totalMinted += tx.amount || 0;
       } else {
         // Legacy fallback for old transaction data
         if (tx.type === 'BUY') {
@@ -366,6 +699,19 @@ export function HoldingsTable({
     return map;
   }, [transactions, trackedAddresses]);
 
+  // Entry price and PnL per wallet (replays priced trades; see costBasis.js)
+  const costBasisMap = useMemo(() => {
+    const map = new Map();
+    walletTransactionsMap.forEach((data, walletKey) => {
+      map.set(walletKey, computeCostBasis(data.transactions, tokenPrice, costBasisMethod));
+    });
+    return map;
+  }, [walletTransactionsMap, tokenPrice, costBasisMethod]);
+
+  const getCostBasis = useCallback((walletAddress) => {
+    return costBasisMap.get(walletAddress.toLowerCase()) || null;
+  }, [costBasisMap]);
+
   // Get processed transactions for a wallet (O(1) lookup)
   const getWalletTransactions = useCallback((walletAddress) => {
     const data = walletTransactionsMap.get(walletAddress.toLowerCase());
@@ -375,8 +721,9 @@ export function HoldingsTable({
   // Get total tokens acquired by a wallet
   const getTotalAcquired = useCallback((walletAddress) => {
     const data = walletTransactionsMap.get(walletAddress.toLowerCase());
-    if (data?.totalBought > 0) {
-      return data.totalBought;
+    const acquired = (data?.totalBought || 0) + (data?.totalMinted || 0);
+    if (acquired > 0) {
+      return acquired;
     }
     // Fallback to stored initial balance if no transaction history
     return initialBalances[walletAddress] || 0;
@@ -397,7 +744,10 @@ export function HoldingsTable({
    * - SELLING: sold within last 15 mins
    * - SOLD: sold within last 24 hours (and reduced position)
    * - TRANSFERRED: transferred out within last 24 hours
+   * - LP_REMOVED / LP_ADDED: pulled / provided liquidity within last 24 hours
+   * - BURNED: burned tokens within last 24 hours
    * - RECEIVED: received transfer within last 24 hours
+   * - MINTED: received freshly minted tokens within last 24 hours
    * - BUY: first purchase within 24 hours (only has 1 buy tx)
    * - BOUGHT MORE: additional purchase within 24 hours
    * - HOLDING: has balance, no recent activity
@@ -437,6 +787,10 @@ export function HoldingsTable({
     let transfersOutIn24Hours = false;
     let transfersInIn24Hours = false;
     let buysIn24Hours = false;
+    let lpAddedIn24Hours = false;
+    let lpRemovedIn24Hours = false;
+    let burnedIn24Hours = false;
+    let mintedIn24Hours = false;
     let totalBuys = 0;
     let totalTransfersIn = 0;
 
@@ -465,6 +819,14 @@ export function HoldingsTable({
           transfersInIn24Hours = true;
         } else if (tx.category === 'BUY') {
           buysIn24Hours = true;
+        } else if (tx.category === 'LP_ADD') {
+          lpAddedIn24Hours = true;
+        } else if (tx.category === 'LP_REMOVE') {
+          lpRemovedIn24Hours = true;
+        } else if (tx.category === 'BURN') {
+          burnedIn24Hours = true;
+        } else if (tx.category === 'MINT') {
+          mintedIn24Hours = true;
         }
       }
 
@@ -511,6 +873,37 @@ export function HoldingsTable({
       };
     }
 
+    // Pulling liquidity often comes right before selling - rank it above providing it
+    if (lpRemovedIn24Hours) {
+      return {
+        status: 'LP_REMOVED',
+        label: 'LP Removed',
+        color: 'bg-amber-500/10 text-amber-400',
+        icon: Droplets,
+        description: 'Withdrew liquidity within last 24 hours',
+      };
+    }
+
+    if (lpAddedIn24Hours) {
+      return {
+        status: 'LP_ADDED',
+        label: 'LP Added',
+        color: 'bg-indigo-500/10 text-indigo-400',
+        icon: Droplets,
+        description: 'Provided liquidity within last 24 hours',
+      };
+    }
+
+    if (burnedIn24Hours) {
+      return {
+        status: 'BURNED',
+        label: 'Burned',
+        color: 'bg-orange-500/10 text-orange-400',
+        icon: Flame,
+        description: 'Burned tokens within last 24 hours',
+      };
+    }
+
     // Show RECEIVED status for incoming transfers
     if (transfersInIn24Hours) {
       return {
@@ -522,6 +915,16 @@ export function HoldingsTable({
       };
     }
 
+    if (mintedIn24Hours) {
+      return {
+        status: 'MINTED',
+        label: 'Minted',
+        color: 'bg-emerald-500/10 text-emerald-400',
+        icon: Coins,
+        description: 'Received newly minted tokens within last 24 hours',
+      };
+    }
+
     if (buysIn24Hours) {
       // Check if this is their first buy ever (only 1 total buy tx, not counting transfers)
       if (totalBuys === 1 && totalTransfersIn === 0) {
@@ -579,6 +982,10 @@ export function HoldingsTable({
         totalTransferredIn: 0,
         totalSold: 0,
         totalBought: 0,
+        totalLpAdded: 0,
+        totalLpRemoved: 0,
+        totalBurned: 0,
+        totalMinted: 0,
         connectedWallets: [],
       };
     }
@@ -588,10 +995,58 @@ export function HoldingsTable({
       totalTransferredIn: data.totalTransferredIn || 0,
       totalSold: data.totalSold,
       totalBought: data.totalBought,
+      totalLpAdded: data.totalLpAdded || 0,
+      totalLpRemoved: data.totalLpRemoved || 0,
+      totalBurned: data.totalBurned || 0,
+      totalMinted: data.totalMinted || 0,
       connectedWallets: Array.from(data.connectedWallets.values()),
     };
   }, [walletTransactionsMap]);
 
+  // Suspected clusters: shared funding plus token transfers between tracked wallets
+  const { clusters, byWallet: clusterByWallet } = useMemo(() => {
+    const transferLinks = [];
+    walletTransactionsMap.forEach((data, walletKey) => {
+      data.connectedWallets.forEach((cw, otherKey) => {
+        if (trackedAddresses.has(otherKey)) transferLinks.push([walletKey, otherKey]);
+      });
+    });
+    return buildClusters(wallets, { funding: fundingSources, transferLinks });
+  }, [wallets, fundingSources, walletTransactionsMap, trackedAddresses]);
+
+  // Bundled / sniper flags from each wallet's first buy slot
+  const { byWallet: launchFlags, slotGroups } = useMemo(
+    () => analyzeLaunchBuys(transactions, launchInfo, sniperSlots),
+    [transactions, launchInfo, sniperSlots]
+  );
+  const bundledCount = Array.from(launchFlags.values()).filter(f => f.flag === LAUNCH_FLAGS.BUNDLED).length;
+
+  // Dev wallet roles (lowercase address -> roles)
+  const devRoles = useMemo(
+    () => new Map(devWallets.map(dev => [dev.address.toLowerCase(), dev.roles])),
+    [devWallets]
+  );
+
+  // Combined holdings per cluster (cluster id -> tokens)
+  const clusterHoldings = useMemo(() => {
+    const totals = new Map();
+    walletData.forEach(wallet => {
+      const cluster = clusterByWallet.get(wallet.address?.toLowerCase());
+      if (cluster) totals.set(cluster.id, (totals.get(cluster.id) || 0) + (wallet.uiBalance || 0));
+    });
+    return totals;
+  }, [walletData, clusterByWallet]);
+
+  const getClusterHoldings = useCallback((wallet) => {
+    const cluster = clusterByWallet.get(wallet.address?.toLowerCase());
+    return cluster ? clusterHoldings.get(cluster.id) || 0 : wallet.uiBalance || 0;
+  }, [clusterByWallet, clusterHoldings]);
+
+  const scannedWallets = wallets.filter(w => fundingSources[w.address]).length;
+  const partialFundingWallets = wallets.filter(w =>
+    fundingSources[w.address] && !isFundingComplete(fundingSources[w.address])
+  ).length;
+
   // Sort data (memoized to avoid recalculating on every render)
   const sortedData = useMemo(() => {
     return [...walletData].sort((a, b) => {
@@ -609,6 +1064,10 @@ export function HoldingsTable({
       if (sortField === 'usdValue') {
         aVal = (a.uiBalance || 0) * tokenPrice;
         bVal = (b.uiBalance || 0) * tokenPrice;
+      } else if (sortField === 'clusterHoldings') {
+        // Whole clusters first, by combined holdings; unclustered wallets by their own
+        aVal = getClusterHoldings(a);
+        bVal = getClusterHoldings(b);
       } else {
         aVal = a[sortField];
         bVal = b[sortField];
@@ -619,7 +1078,7 @@ export function HoldingsTable({
       bVal = Number(bVal) || 0;
       return sortDirection === 'asc' ? aVal - bVal : bVal - aVal;
     });
-  }, [walletData, sortField, sortDirection, tokenPrice]);
+  }, [walletData, sortField, sortDirection, tokenPrice, getClusterHoldings]);
 
   // Filter by group (PREM/WIC/ALL)
   const filteredData = useMemo(() => {
@@ -656,9 +1115,13 @@ export function HoldingsTable({
     setTimeout(() => setCopiedAddress(null), 2000);
   };
 
-  // Handle deep fetch for a wallet
+  // A wallet's history backfill is running (started here or resumed after a reload)
+  const isBackfilling = (walletAddress) =>
+    deepFetchingWallets.has(walletAddress) || backfillProgress[walletAddress]?.status === 'running';
+
+  // Handle deep fetch (full-history backfill) for a wallet
   const handleDeepFetch = async (walletAddress) => {
-    if (!onDeepFetchWallet || deepFetchingWallets.has(walletAddress)) return;
+    if (!onDeepFetchWallet || isBackfilling(walletAddress)) return;
 
     setDeepFetchingWallets(prev => new Set([...prev, walletAddress]));
 
@@ -762,6 +1225,67 @@ export function HoldingsTable({
         </div>
       )}
 
+      {/* Suspected clusters */}
+      {onScanFunding && wallets.length > 1 && (
+        <div className="flex flex-wrap items-center gap-2 px-4 py-3 border-b border-dark-600 bg-dark-700/30 text-xs">
+          <Network className="h-4 w-4 text-gray-400" />
+          {clusters.length > 0 ? (
+            <span className="text-gray-300">
+              {clusters.length} suspected cluster{clusters.length > 1 ? 's' : ''} •{' '}
+              {clusters.reduce((sum, c) => sum + c.members.length, 0)} wallets •{' '}
+              largest holds <span className="font-mono text-white">{formatBalance(Math.max(...clusterHoldings.values(), 0))}</span>
+            </span>
+          ) : (
+            <span className="text-gray-500">No clusters found</span>
+          )}
+          <span
+            className="text-gray-500 ml-auto"
+            title={partialFundingWallets > 0 ? 'History too long to reach the first funders - not used for clusters' : undefined}
+          >
+            Funding known for {scannedWallets - partialFundingWallets}/{wallets.length} wallets
+            {partialFundingWallets > 0 && ` (${partialFundingWallets} partial)`}
+          </span>
+          <button
+            onClick={onScanFunding}
+            disabled={!!fundingScan || scannedWallets === wallets.length}
+            className="inline-flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg bg-accent-primary/20 text-accent-primary hover:bg-accent-primary/30 transition-colors disabled:opacity-50"
+            title="Find each wallet's first SOL funders (cached)"
+          >
+            {fundingScan ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Search className="h-3.5 w-3.5" />}
+            {fundingScan ? `Scanning ${fundingScan.done}/${fundingScan.total}` : 'Scan funding'}
+          </button>
+        </div>
+      )}
+
+      {/* Launch: bundled / sniper wallets and same-slot buys */}
+      {(launchFlags.size > 0 || slotGroups.length > 0) && (
+        <div className="flex flex-wrap items-center gap-2 px-4 py-3 border-b border-dark-600 bg-dark-700/30 text-xs">
+          <Zap className="h-4 w-4 text-orange-400" />
+          <span className="text-gray-300">
+            {bundledCount} bundled • {launchFlags.size - bundledCount} sniper{launchFlags.size - bundledCount === 1 ? '' : 's'}
+            {' '}within {sniperSlots} slots of launch
+          </span>
+          {slotGroups.length > 0 && (
+            <span
+              className="text-gray-500"
+              title={slotGroups.map(g => `Slot ${g.slot}: ${g.wallets.map(a => trackedAddresses.get(a.toLowerCase()) || truncateAddress(a, 4, 4)).join(', ')}`).join('\n')}
+            >
+              • {slotGroups.length} slot{slotGroups.length > 1 ? 's' : ''} with buys from 2+ tracked wallets
+            </span>
+          )}
+          {launchInfo?.deployer && (
+            <a
+              href={`https://solscan.io/account/${launchInfo.deployer}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="ml-auto text-gray-500 hover:text-accent-primary transition-colors"
+            >
+              Deployer {truncateAddress(launchInfo.deployer, 4, 4)} • slot {launchInfo.creationSlot}
+            </a>
+          )}
+        </div>
+      )}
+
       {/* Table header */}
       <div className="overflow-x-auto">
         <table className="w-full">
@@ -791,10 +1315,24 @@ export function HoldingsTable({
                   <SortIcon field="uiBalance" />
                 </div>
               </th>
+              {/* Change since 24h ago */}
+              <th className="px-4 py-4 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">
+                24h
+              </th>
               {/* Holding % Bar */}
               <th className="px-4 py-4 text-left text-xs font-medium text-gray-400 uppercase tracking-wider min-w-[140px]">
                 Holding %
               </th>
+              {/* Cluster + combined holdings */}
+              <th
+                onClick={() => handleSort('clusterHoldings')}
+                className="px-4 py-4 text-left text-xs font-medium text-gray-400 uppercase tracking-wider cursor-pointer hover:text-white transition-colors"
+              >
+                <div className="flex items-center gap-2">
+                  Cluster
+                  <SortIcon field="clusterHoldings" />
+                </div>
+              </th>
               {/* Value */}
               <th
                 onClick={() => handleSort('usdValue')}
@@ -805,6 +1343,10 @@ export function HoldingsTable({
                   <SortIcon field="usdValue" />
                 </div>
               </th>
+              {/* PnL (realized + unrealized) */}
+              <th className="px-4 py-4 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">
+                PnL
+              </th>
               {/* Activity */}
               <th className="px-4 py-4 text-center text-xs font-medium text-gray-400 uppercase tracking-wider">
                 Activity
@@ -823,11 +1365,15 @@ export function HoldingsTable({
               const balanceChange = getBalanceChange(wallet);
               const holdingsPercent = getHoldingsPercent(wallet);
               const isExpanded = expandedWallet === wallet.id;
+              const costBasis = getCostBasis(wallet.address);
+              const hasCostBasis = costBasis && costBasis.pricedTrades > 0;
+              const totalPnl = hasCostBasis ? costBasis.realizedPnlUsd + costBasis.unrealizedPnlUsd : 0;
 
               return (
                 <React.Fragment key={wallet.id}>
                   {/* Main Row */}
                   <tr
+                    id={`wallet-row-${wallet.id}`}
                     onClick={(e) => {
                       // Don't expand if clicking on buttons/links
                       if (e.target.closest('button') || e.target.closest('a')) return;
@@ -857,6 +1403,8 @@ export function HoldingsTable({
                               {wallet.name}
                             </span>
                             <GroupBadge group={getWalletGroup(wallet.address)} />
+                            <DevBadge roles={devRoles.get(wallet.address.toLowerCase())} />
+                            <LaunchBadge launchFlag={launchFlags.get(wallet.address.toLowerCase())} />
                             {isExpanded ? (
                               <ChevronDown className="h-4 w-4 text-accent-primary" />
                             ) : (
@@ -919,6 +1467,13 @@ export function HoldingsTable({
                       )}
                     </td>
 
+                    {/* Change since 24h ago */}
+                    <td className="px-4 py-4 text-right">
+                      {wallet.status !== 'loading' && wallet.status !== 'pending' && !hasError && (
+                        <DayChange current={wallet.uiBalance} dayAgo={balancesDayAgo[wallet.address]} />
+                      )}
+                    </td>
+
                     {/* Holding % Bar */}
                     <td className="px-4 py-4">
                       {wallet.status === 'loading' || wallet.status === 'pending' ? (
@@ -931,6 +1486,24 @@ export function HoldingsTable({
                       ) : null}
                     </td>
 
+                    {/* Cluster */}
+                    <td className="px-4 py-4">
+                      {(() => {
+                        const cluster = clusterByWallet.get(wallet.address.toLowerCase());
+                        if (!cluster) return <span className="text-gray-600">-</span>;
+                        return (
+                          <div className="flex flex-col gap-0.5" title={cluster.reasons.join('\n')}>
+                            <span className={`self-start px-1.5 py-0.5 rounded text-[10px] font-bold ${CLUSTER_COLORS[cluster.id % CLUSTER_COLORS.length]}`}>
+                              {cluster.label} • {cluster.members.length}
+                            </span>
+                            <span className="text-xs text-gray-500 font-mono">
+                              {formatBalance(clusterHoldings.get(cluster.id))} total
+                            </span>
+                          </div>
+                        );
+                      })()}
+                    </td>
+
                     {/* USD Value */}
                     <td className="px-4 py-4 text-right">
                       <span className={`font-mono font-medium ${usdValue > 0 ? 'text-white' : 'text-gray-500'}`}>
@@ -938,6 +1511,24 @@ export function HoldingsTable({
                       </span>
                     </td>
 
+                    {/* PnL + entry price */}
+                    <td className="px-4 py-4 text-right">
+                      {hasCostBasis ? (
+                        <div className="flex flex-col items-end gap-0.5">
+                          <span className={`font-mono font-medium ${pnlColor(totalPnl)}`}>
+                            {formatPnL(totalPnl)}
+                          </span>
+                          {costBasis.entryPriceUsd && (
+                            <span className="text-xs text-gray-500 font-mono" title="Entry price (cost basis)">
+                              entry {formatPriceUSD(costBasis.entryPriceUsd)}
+                            </span>
+                          )}
+                        </div>
+                      ) : (
+                        <span className="text-gray-600">-</span>
+                      )}
+                    </td>
+
                     {/* Activity */}
                     <td className="px-4 py-4">
                       {(() => {
@@ -988,7 +1579,7 @@ export function HoldingsTable({
                   {/* Expanded Details Row */}
                   {isExpanded && (
                     <tr className="bg-dark-900/50">
-                      <td colSpan={7} className="px-4 py-4">
+                      <td colSpan={10} className="px-4 py-4">
                         {(() => {
                           // Compute expanded-only data here to avoid calculating when collapsed
                           const walletTxs = getWalletTransactions(wallet.address);
@@ -1059,6 +1650,39 @@ export function HoldingsTable({
                                       </div>
                                     </div>
                                   )}
+                                  {(transferStats.totalLpAdded > 0 || transferStats.totalLpRemoved > 0) && (
+                                    <div className="bg-dark-700/50 rounded-lg p-3 col-span-2">
+                                      <div className="text-xs text-gray-500 flex items-center gap-1">
+                                        <Droplets className="h-3 w-3 text-indigo-400" />
+                                        Liquidity (added / removed)
+                                      </div>
+                                      <div className="text-sm font-mono text-indigo-400 mt-1">
+                                        {formatBalance(transferStats.totalLpAdded)} / {formatBalance(transferStats.totalLpRemoved)}
+                                      </div>
+                                    </div>
+                                  )}
+                                  {transferStats.totalBurned > 0 && (
+                                    <div className="bg-dark-700/50 rounded-lg p-3">
+                                      <div className="text-xs text-gray-500 flex items-center gap-1">
+                                        <Flame className="h-3 w-3 text-orange-400" />
+                                        Burned
+                                      </div>
+                                      <div className="text-sm font-mono text-orange-400 mt-1">
+                                        {formatBalance(transferStats.totalBurned)}
+                                      </div>
+                                    </div>
+                                  )}
+                                  {transferStats.totalMinted > 0 && (
+                                    <div className="bg-dark-700/50 rounded-lg p-3">
+                                      <div className="text-xs text-gray-500 flex items-center gap-1">
+                                        <Coins className="h-3 w-3 text-emerald-400" />
+                                        Minted
+                                      </div>
+                                      <div className="text-sm font-mono text-emerald-400 mt-1">
+                                        {formatBalance(transferStats.totalMinted)}
+                                      </div>
+                                    </div>
+                                  )}
                                 </div>
 
                                 {/* Holding Summary */}
@@ -1088,6 +1712,42 @@ export function HoldingsTable({
                                   </div>
                                 </div>
 
+                                {/* Cost Basis */}
+                                {hasCostBasis && (
+                                  <div className="bg-dark-600/50 rounded-lg p-3 space-y-1.5">
+                                    <div className="flex items-center justify-between">
+                                      <span className="text-xs text-gray-400">
+                                        Cost Basis ({costBasis.method === COST_BASIS_METHODS.AVERAGE ? 'average' : 'FIFO'})
+                                      </span>
+                                      <span className="text-sm font-mono text-white">
+                                        {formatPriceUSD(costBasis.entryPriceUsd)}
+                                        {costBasis.entryPriceSol && (
+                                          <span className="text-xs text-gray-500"> / {formatBalance(costBasis.entryPriceSol)} SOL</span>
+                                        )}
+                                      </span>
+                                    </div>
+                                    <div className="flex items-center justify-between text-xs">
+                                      <span className="text-gray-500">Realized</span>
+                                      <span className={`font-mono ${pnlColor(costBasis.realizedPnlUsd)}`}>
+                                        {formatPnL(costBasis.realizedPnlUsd)}
+                                      </span>
+                                    </div>
+                                    <div className="flex items-center justify-between text-xs">
+                                      <span className="text-gray-500">
+                                        Unrealized ({formatBalance(costBasis.position)} tokens)
+                                      </span>
+                                      <span className={`font-mono ${pnlColor(costBasis.unrealizedPnlUsd)}`}>
+                                        {formatPnL(costBasis.unrealizedPnlUsd)}
+                                      </span>
+                                    </div>
+                                    {costBasis.unpricedTrades > 0 && (
+                                      <div className="text-xs text-accent-warning">
+                                        {costBasis.unpricedTrades} trade(s) without a price are left out
+                                      </div>
+                                    )}
+                                  </div>
+                                )}
+
                                 {/* Connected Wallets */}
                                 {transferStats.connectedWallets.length > 0 && (
                                   <div className="mt-4">
@@ -1115,10 +1775,24 @@ export function HoldingsTable({
                                     </div>
                                   </div>
                                 )}
+
+                                {/* Multi-hop transfer trace */}
+                                {onTraceTransfers && transferStats.totalTransferredOut > 0 && (
+                                  <TransferTrace
+                                    key={wallet.address}
+                                    onTrace={(maxHops) => onTraceTransfers(wallet.address, maxHops)}
+                                  />
+                                )}
                               </div>
 
                               {/* All Token Transactions */}
                               <div className="lg:col-span-2 space-y-3">
+                                <BalanceChart
+                                  tokenMint={tokenMint}
+                                  walletAddress={wallet.address}
+                                  currentBalance={wallet.uiBalance}
+                                  transactions={walletTxs}
+                                />
                                 <div className="flex items-center justify-between">
                                   <h4 className="text-sm font-medium text-gray-400">
                                     Token Transaction History
@@ -1129,6 +1803,14 @@ export function HoldingsTable({
                                     </span>
                                   )}
                                 </div>
+                                {onDeepFetchWallet && (
+                                  <BackfillStatus
+                                    checkpoint={backfillProgress[wallet.address]}
+                                    isRunning={isBackfilling(wallet.address)}
+                                    onStart={() => handleDeepFetch(wallet.address)}
+                                    onStop={() => onStopBackfill?.(wallet.address)}
+                                  />
+                                )}
                                 {walletTxs.length > 0 ? (
                                   <div className="space-y-2 max-h-[400px] overflow-y-auto pr-2">
                                     {walletTxs.map((tx, txIndex) => {
@@ -1163,6 +1845,28 @@ export function HoldingsTable({
                                               icon: TrendingDown,
                                               label: 'SELL',
                                             };
+                                          case 'LP_ADD':
+                                          case 'LP_REMOVE':
+                                            return {
+                                              bg: 'bg-indigo-500/10 text-indigo-400',
+                                              text: 'text-indigo-400',
+                                              icon: Droplets,
+                                              label: tx.category === 'LP_ADD' ? 'LP ADD' : 'LP REMOVE',
+                                            };
+                                          case 'BURN':
+                                            return {
+                                              bg: 'bg-orange-500/10 text-orange-400',
+                                              text: 'text-orange-400',
+                                              icon: Flame,
+                                              label: 'BURN',
+                                            };
+                                          case 'MINT':
+                                            return {
+                                              bg: 'bg-emerald-500/10 text-emerald-400',
+                                              text: 'text-emerald-400',
+                                              icon: Coins,
+                                              label: 'MINT',
+                                            };
                                           default:
                                             return {
                                               bg: 'bg-gray-500/10 text-gray-400',
@@ -1195,6 +1899,39 @@ export function HoldingsTable({
                                               <span className="text-sm text-white font-mono">
                                                 {formatBalance(tx.amount)}
                                               </span>
+                                              {/* Token-2022 transfer fee withheld on this transfer */}
+                                              {tx.transferFee > 0 && (
+                                                <span
+                                                  className="text-xs text-purple-300/80 font-mono"
+                                                  title="Token-2022 transfer fee withheld"
+                                                >
+                                                  fee {formatBalance(tx.transferFee)}
+                                                </span>
+                                              )}
+                                              {/* Decoded DEX swap: venue and execution price */}
+                                              {tx.swap && (
+                                                <span
+                                                  className="text-xs text-gray-400"
+                                                  title={tx.swap.venues?.length > 1 ? `Route: ${tx.swap.venues.join(' → ')}` : undefined}
+                                                >
+                                                  via {tx.swap.dex}
+                                                  {tx.swap.price && (
+                                                    <span className="font-mono"> @ {formatBalance(tx.swap.price)} {tx.swap.quoteSymbol}</span>
+                                                  )}
+                                                </span>
+                                              )}
+                                              {/* Liquidity move: paired asset and venue */}
+                                              {tx.liquidity && (
+                                                <span className="text-xs text-gray-400">
+                                                  with <span className="font-mono">{formatBalance(tx.liquidity.pairedAmount)}</span> {tx.liquidity.pairedSymbol} on {tx.liquidity.dex}
+                                                </span>
+                                              )}
+                                              {/* Execution price in USD (SOL/USD at the trade's block time) */}
+                                              {tx.priceUsd > 0 && (
+                                                <span className="text-xs text-gray-400 font-mono" title="Execution price">
+                                                  {formatPriceUSD(tx.priceUsd)}
+                                                </span>
+                                              )}
                                               {/* Show destination for outgoing */}
                                               {tx.toWallet && (tx.category === 'TRANSFER_OUT' || tx.category === 'SELL') && (
                                                 <span className="flex items-center gap-1 text-xs text-gray-400">
@@ -1260,16 +1997,16 @@ export function HoldingsTable({
                                             e.stopPropagation();
                                             handleDeepFetch(wallet.address);
                                           }}
-                                          disabled={deepFetchingWallets.has(wallet.address)}
+                                          disabled={isBackfilling(wallet.address)}
                                           className={`
                                             inline-flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all
-                                            ${deepFetchingWallets.has(wallet.address)
+                                            ${isBackfilling(wallet.address)
                                               ? 'bg-dark-600 text-gray-400 cursor-not-allowed'
                                               : 'bg-accent-primary/20 text-accent-primary hover:bg-accent-primary/30'
                                             }
                                           `}
                                         >
-                                          {deepFetchingWallets.has(wallet.address) ? (
+                                          {isBackfilling(wallet.address) ? (
                                             <>
                                               <Loader2 className="h-4 w-4 animate-spin" />
                                               Searching history...
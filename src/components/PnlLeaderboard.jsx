@@ -0,0 +1,232 @@
+import React, { useState, useMemo } from 'react';
+import { Trophy, ChevronDown, Wallet, HelpCircle } from 'lucide-react';
+import { truncateAddress, WALLET_GROUPS } from '../utils/fileParser';
+import { formatPnL, pnlColor } from '../utils/pnlFormat';
+import { FilterButton } from './FilterButton';
+import { computeCostBasis, COST_BASIS_METHODS } from '../services/costBasis';
+
+// Time windows: realized PnL and round trips count only inside the window
+const TIME_WINDOWS = [
+  { id: '24h', label: '24h', ms: 24 * 60 * 60 * 1000 },
+  { id: '7d', label: '7d', ms: 7 * 24 * 60 * 60 * 1000 },
+  { id: '30d', label: '30d', ms: 30 * 24 * 60 * 60 * 1000 },
+  { id: 'all', label: 'All time', ms: null },
+];
+
+// Rank-by options (highest first)
+const RANK_FIELDS = {
+  pnl: { label: 'PnL', value: (row) => row.totalPnlUsd },
+  roi: { label: 'ROI %', value: (row) => row.roiPct ?? -Infinity },
+  winRate: { label: 'Win Rate', value: (row) => row.winRate ?? -Infinity },
+  avgHold: { label: 'Avg Hold', value: (row) => row.avgHoldMs ?? -Infinity },
+};
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  const minutes = Math.floor(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+  if (days > 0) return `${days}d ${hours % 24}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${Math.max(minutes, 1)}m`;
+};
+
+/**
+ * Tracked wallets ranked by trading performance on the token
+ * PnL, ROI, win rate and hold time come from costBasis.js
+ */
+export function PnlLeaderboard({
+  wallets = [],
+  transactions = [],
+  tokenPrice = 0,
+  costBasisMethod = COST_BASIS_METHODS.FIFO,
+  onSelectWallet,
+}) {
+  const [groupFilter, setGroupFilter] = useState('ALL'); // ALL, PREM, WIC
+  const [timeWindow, setTimeWindow] = useState('all');
+  const [rankBy, setRankBy] = useState('pnl');
+
+  // Transactions per wallet (by lowercase address)
+  const transactionsByWallet = useMemo(() => {
+    const map = new Map();
+    transactions.forEach(tx => {
+      const key = tx.walletAddress?.toLowerCase();
+      if (!key) return;
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(tx);
+    });
+    return map;
+  }, [transactions]);
+
+  const { rows, unpricedWallets } = useMemo(() => {
+    const windowMs = TIME_WINDOWS.find(w => w.id === timeWindow)?.ms;
+    const now = Date.now();
+    const since = windowMs ? now - windowMs : null;
+
+    let unpriced = 0;
+    const ranked = [];
+    wallets.forEach(wallet => {
+      if (groupFilter !== 'ALL' && wallet.group !== groupFilter) return;
+
+      const walletTxs = transactionsByWallet.get(wallet.address.toLowerCase()) || [];
+      const basis = computeCostBasis(walletTxs, tokenPrice, costBasisMethod, { since, now });
+      if (basis.pricedTrades === 0) {
+        if (walletTxs.length > 0) unpriced++;
+        return;
+      }
+
+      ranked.push({
+        ...basis,
+        address: wallet.address,
+        name: wallet.name,
+        group: wallet.group,
+        totalPnlUsd: basis.realizedPnlUsd + basis.unrealizedPnlUsd,
+      });
+    });
+
+    const value = RANK_FIELDS[rankBy].value;
+    ranked.sort((a, b) => value(b) - value(a));
+    return { rows: ranked, unpricedWallets: unpriced };
+  }, [wallets, transactionsByWallet, tokenPrice, costBasisMethod, groupFilter, timeWindow, rankBy]);
+
+  const hasGroups = wallets.some(w => w.group === 'PREM' || w.group === 'WIC');
+
+  return (
+    <div className="rounded-xl bg-dark-800 border border-dark-600 overflow-hidden">
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-2 px-4 py-3 border-b border-dark-600 bg-dark-700/30">
+        {hasGroups && (
+          <>
+            <span className="text-xs text-gray-500 mr-1">Group:</span>
+            <FilterButton active={groupFilter === 'ALL'} onClick={() => setGroupFilter('ALL')}>All</FilterButton>
+            <FilterButton active={groupFilter === 'PREM'} onClick={() => setGroupFilter('PREM')}>Premium</FilterButton>
+            <FilterButton active={groupFilter === 'WIC'} onClick={() => setGroupFilter('WIC')}>WIC</FilterButton>
+            <span className="w-px h-5 bg-dark-500 mx-2" />
+          </>
+        )}
+        <span className="text-xs text-gray-500 mr-1">Window:</span>
+        {TIME_WINDOWS.map(w => (
+          <FilterButton key={w.id} active={timeWindow === w.id} onClick={() => setTimeWindow(w.id)}>
+            {w.label}
+          </FilterButton>
+        ))}
+        <div className="ml-auto flex items-center gap-2">
+          <span className="text-xs text-gray-500">Rank by</span>
+          <div className="relative">
+            <select
+              value={rankBy}
+              onChange={(e) => setRankBy(e.target.value)}
+              className="appearance-none rounded-lg bg-dark-600 border border-dark-500 pl-3 pr-8 py-1.5 text-xs text-white
+                focus:outline-none focus:ring-2 focus:ring-accent-primary/30"
+            >
+              {Object.entries(RANK_FIELDS).map(([id, field]) => (
+                <option key={id} value={id}>{field.label}</option>
+              ))}
+            </select>
+            <ChevronDown className="h-3.5 w-3.5 text-gray-400 absolute right-2 top-1/2 -translate-y-1/2 pointer-events-none" />
+          </div>
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="p-12 text-center">
+          <Trophy className="h-12 w-12 text-gray-600 mx-auto mb-4" />
+          <p className="text-gray-400 font-medium">No priced trades yet</p>
+          <p className="text-gray-500 text-sm mt-1">
+            Wallets appear here once their buys and sells have been priced
+          </p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-dark-600 bg-dark-700/50 text-xs font-medium text-gray-400 uppercase tracking-wider">
+                <th className="px-3 py-4 text-center w-12">#</th>
+                <th className="px-4 py-4 text-left">Wallet</th>
+                <th className="px-4 py-4 text-right">PnL</th>
+                <th className="px-4 py-4 text-right">ROI</th>
+                <th className="px-4 py-4 text-right">Win Rate</th>
+                <th className="px-4 py-4 text-right">Avg Hold</th>
+                <th className="px-4 py-4 text-right">Trades</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-dark-600">
+              {rows.map((row, index) => {
+                const groupInfo = row.group ? WALLET_GROUPS[row.group] : null;
+                return (
+                  <tr
+                    key={row.address}
+                    onClick={() => onSelectWallet?.(row.address)}
+                    className="table-row-hover transition-colors cursor-pointer"
+                    title="Show wallet details"
+                  >
+                    <td className="px-3 py-4 text-center text-sm text-gray-500">{index + 1}</td>
+                    <td className="px-4 py-4">
+                      <div className="flex items-center gap-3">
+                        <div className="flex h-8 w-8 items-center justify-center rounded-lg bg-dark-600 flex-shrink-0">
+                          <Wallet className="h-4 w-4 text-accent-primary" />
+                        </div>
+                        <div className="min-w-0">
+                          <div className="flex items-center gap-2">
+                            <span className="font-medium text-white truncate">{row.name}</span>
+                            {groupInfo?.label && (
+                              <span className={`px-1.5 py-0.5 rounded text-[10px] font-bold uppercase ${groupInfo.bg} ${groupInfo.color}`}>
+                                {groupInfo.label}
+                              </span>
+                            )}
+                          </div>
+                          <code className="font-mono text-xs text-gray-500">{truncateAddress(row.address, 4, 4)}</code>
+                        </div>
+                      </div>
+                    </td>
+                    <td className="px-4 py-4 text-right">
+                      <div className={`font-mono font-medium ${pnlColor(row.totalPnlUsd)}`}>
+                        {formatPnL(row.totalPnlUsd)}
+                      </div>
+                      <div className="text-xs text-gray-500 font-mono">
+                        <span title="Realized">{formatPnL(row.realizedPnlUsd)}</span>
+                        {' / '}
+                        <span title="Unrealized">{formatPnL(row.unrealizedPnlUsd)}</span>
+                      </div>
+                    </td>
+                    <td className={`px-4 py-4 text-right font-mono text-sm ${pnlColor(row.roiPct)}`}>
+                      {row.roiPct !== null ? `${row.roiPct > 0 ? '+' : ''}${row.roiPct.toFixed(1)}%` : '-'}
+                    </td>
+                    <td className="px-4 py-4 text-right text-sm">
+                      {row.winRate !== null ? (
+                        <>
+                          <span className="font-mono text-white">{row.winRate.toFixed(0)}%</span>
+                          <span className="text-xs text-gray-500 ml-1">({row.wins}/{row.roundTrips})</span>
+                        </>
+                      ) : (
+                        <span className="text-gray-600" title="No completed round trips">-</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-4 text-right text-sm font-mono text-gray-300">
+                      {formatDuration(row.avgHoldMs)}
+                    </td>
+                    <td className="px-4 py-4 text-right text-sm text-gray-400">
+                      {row.pricedTrades}
+                      {row.unpricedTrades > 0 && (
+                        <span className="text-xs text-accent-warning ml-1" title="Trades without a price (left out)">
+                          +{row.unpricedTrades}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {unpricedWallets > 0 && (
+        <div className="flex items-center gap-2 px-4 py-3 border-t border-dark-600 text-xs text-gray-500">
+          <HelpCircle className="h-3.5 w-3.5" />
+          {unpricedWallets} wallet(s) with token activity but no priced trades are not ranked
+        </div>
+      )}
+    </div>
+  );
+}
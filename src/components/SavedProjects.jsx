@@ -116,7 +116,7 @@ export function SavedProjects({
     // Small delay to show loading state
     await new Promise((resolve) => setTimeout(resolve, 150));
 
-    onSelectProject(project);
+    await onSelectProject(project);
     setExpandedId(project.id);
     setLoadingProjectId(null);
   };
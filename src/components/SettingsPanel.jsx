@@ -1,8 +1,241 @@
-import { useState } from 'react';
-import { Settings, Key, RefreshCw, X, Save, Info } from 'lucide-react';
+import { useState, useEffect, useCallback } from 'react';
+import { Settings, Key, RefreshCw, X, Save, Info, Server, Plus, Trash2, AlertCircle, Radio, Layers, Calculator, Crosshair, HardDrive, Eraser, Database, Loader2 } from 'lucide-react';
+import { getRpcPoolHealth, isValidRpcUrl } from '../services/rpcPool';
+import {
+  getStorageReport,
+  applyEvictionPolicy,
+  formatBytes,
+  EVICTION_POLICIES,
+  EVICTION_POLICY_LABELS,
+  DEFAULT_EVICTION_POLICY,
+} from '../services/storageManager';
+import { clearTokenCache } from '../services/dataCache';
+import { clearTxCache } from '../services/txCache';
 
-export function SettingsPanel({ settings, onUpdate, onClose }) {
-  const [localSettings, setLocalSettings] = useState(settings);
+// Status dot colors for the RPC health table
+const RPC_STATUS_STYLES = {
+  healthy: 'bg-accent-success',
+  degraded: 'bg-accent-warning',
+  cooling: 'bg-accent-danger',
+  unused: 'bg-gray-500',
+};
+
+// Usage bar color by fill ratio
+const usageBarColor = (ratio) => {
+  if (ratio >= 0.9) return 'bg-accent-danger';
+  if (ratio >= 0.8) return 'bg-accent-warning';
+  return 'bg-accent-primary';
+};
+
+function UsageBar({ label, usage, quota, ratio }) {
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center justify-between text-xs">
+        <span className="text-gray-400">{label}</span>
+        <span className="font-mono text-gray-500">
+          {formatBytes(usage)}{quota > 0 ? ` / ${formatBytes(quota)}` : ''}
+        </span>
+      </div>
+      <div className="h-1.5 rounded-full bg-dark-600 overflow-hidden">
+        <div
+          className={`h-full rounded-full ${usageBarColor(ratio)}`}
+          style={{ width: `${Math.min(100, Math.round(ratio * 100))}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Storage usage and cleanup (reads storage directly; deletes take effect at once, not on Save)
+ */
+function StorageSection({ policy, onPolicyChange, tokenMint, onDeleteProject, onStorageCleared }) {
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(null); // Key of the running cleanup action
+
+  const loadReport = useCallback(async () => {
+    setReport(await getStorageReport());
+  }, []);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const runCleanup = async (key, action) => {
+    setBusy(key);
+    try {
+      await action();
+      await onStorageCleared?.();
+    } finally {
+      await loadReport();
+      setBusy(null);
+    }
+  };
+
+  const symbolByMint = new Map((report?.projects || []).map(project => [project.tokenMint, project.tokenSymbol]));
+  const tokenLabel = (mint) => symbolByMint.get(mint) || `${mint.slice(0, 4)}...${mint.slice(-4)}`;
+
+  return (
+    <div className="space-y-3">
+      <label className="flex items-center gap-2 text-sm font-medium text-gray-300">
+        <HardDrive className="h-4 w-4" />
+        Storage
+      </label>
+
+      {!report ? (
+        <div className="flex items-center gap-2 text-xs text-gray-500">
+          <Loader2 className="h-3.5 w-3.5 animate-spin" />
+          Measuring storage...
+        </div>
+      ) : (
+        <>
+          <div className="space-y-2 p-3 rounded-lg bg-dark-700/50">
+            <UsageBar label="Browser storage (IndexedDB)" {...report.usage.indexedDb} />
+            <UsageBar label="localStorage" {...report.usage.localStorage} />
+          </div>
+
+          {/* Usage by kind */}
+          <div className="rounded-lg border border-dark-600 divide-y divide-dark-600 text-xs">
+            {report.byKind.filter(entry => entry.bytes > 0).map(entry => (
+              <div key={entry.kind} className="flex items-center justify-between px-3 py-1.5">
+                <span className="text-gray-400">{entry.label}</span>
+                <span className="font-mono text-gray-500">{formatBytes(entry.bytes)}</span>
+              </div>
+            ))}
+          </div>
+
+          {/* Per token */}
+          {report.byToken.length > 0 && (
+            <div className="space-y-1.5">
+              <h3 className="text-xs font-medium text-gray-400">Cached tokens</h3>
+              {report.byToken.map(token => {
+                const isActive = token.tokenMint === tokenMint;
+                return (
+                  <div key={token.tokenMint} className="flex items-center gap-2 bg-dark-700/50 rounded-lg px-3 py-2 text-xs">
+                    <span className="flex-1 text-gray-300 truncate" title={token.tokenMint}>
+                      {tokenLabel(token.tokenMint)}
+                      {isActive && <span className="ml-1.5 text-accent-primary">(open)</span>}
+                    </span>
+                    <span className="text-gray-500">{token.transactions.toLocaleString()} txs</span>
+                    <span className="w-16 text-right font-mono text-gray-500">{formatBytes(token.bytes)}</span>
+                    <button
+                      onClick={() => runCleanup(`token:${token.tokenMint}`, () => clearTokenCache(token.tokenMint))}
+                      disabled={isActive || busy !== null}
+                      className="p-1 hover:bg-accent-danger/10 text-gray-500 hover:text-accent-danger rounded transition-colors
+                        disabled:opacity-30 disabled:hover:bg-transparent disabled:hover:text-gray-500"
+                      title={isActive ? 'Open token - switch tokens to clear it' : 'Clear cached data'}
+                    >
+                      {busy === `token:${token.tokenMint}`
+                        ? <Loader2 className="h-3.5 w-3.5 animate-spin" />
+                        : <Trash2 className="h-3.5 w-3.5" />}
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Per project */}
+          {report.projects.length > 0 && (
+            <div className="space-y-1.5">
+              <h3 className="text-xs font-medium text-gray-400">Saved projects</h3>
+              {report.projects.map(project => (
+                <div key={project.id} className="flex items-center gap-2 bg-dark-700/50 rounded-lg px-3 py-2 text-xs">
+                  <span className="flex-1 text-gray-300 truncate">{project.tokenSymbol}</span>
+                  <span className="w-16 text-right font-mono text-gray-500">{formatBytes(project.bytes)}</span>
+                  <button
+                    onClick={() => runCleanup(`project:${project.id}`, () => onDeleteProject(project.id))}
+                    disabled={busy !== null}
+                    className="p-1 hover:bg-accent-danger/10 text-gray-500 hover:text-accent-danger rounded transition-colors
+                      disabled:opacity-30 disabled:hover:bg-transparent disabled:hover:text-gray-500"
+                    title="Delete project"
+                  >
+                    {busy === `project:${project.id}`
+                      ? <Loader2 className="h-3.5 w-3.5 animate-spin" />
+                      : <Trash2 className="h-3.5 w-3.5" />}
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Eviction policy */}
+      <select
+        value={policy}
+        onChange={(e) => onPolicyChange(e.target.value)}
+        className="w-full rounded-xl bg-dark-700 border border-dark-500 px-4 py-3
+          text-white focus:outline-none focus:ring-2 focus:ring-accent-primary/30
+          focus:border-accent-primary transition-all"
+      >
+        {Object.values(EVICTION_POLICIES).map(value => (
+          <option key={value} value={value}>{EVICTION_POLICY_LABELS[value]}</option>
+        ))}
+      </select>
+
+      <div className="flex gap-2">
+        <button
+          onClick={() => runCleanup('evict', () => applyEvictionPolicy(policy))}
+          disabled={busy !== null || policy === EVICTION_POLICIES.NONE}
+          className="flex-1 flex items-center justify-center gap-2 px-3 py-2 rounded-xl text-xs
+            bg-dark-700 border border-dark-500 text-gray-300 hover:text-white hover:border-accent-primary/50
+            disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+        >
+          {busy === 'evict' ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Eraser className="h-3.5 w-3.5" />}
+          Free Space Now
+        </button>
+        <button
+          onClick={() => runCleanup('parsed', clearTxCache)}
+          disabled={busy !== null}
+          className="flex-1 flex items-center justify-center gap-2 px-3 py-2 rounded-xl text-xs
+            bg-dark-700 border border-dark-500 text-gray-300 hover:text-white hover:border-accent-primary/50
+            disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+        >
+          {busy === 'parsed' ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Database className="h-3.5 w-3.5" />}
+          Clear Parsed Cache
+        </button>
+      </div>
+      <p className="text-xs text-gray-500">
+        You are warned at 80% usage. At 90%, or when a save fails, the policy above frees space on its own;
+        the open token is never touched. Cleared data is fetched again when needed.
+      </p>
+    </div>
+  );
+}
+
+export function SettingsPanel({ settings, tokenMint, onUpdate, onDeleteProject, onStorageCleared, onClose }) {
+  const [localSettings, setLocalSettings] = useState({
+    ...settings,
+    customRpcs: settings.customRpcs || [],
+  });
+  const [rpcInput, setRpcInput] = useState('');
+  const [rpcHealth, setRpcHealth] = useState(() => getRpcPoolHealth());
+
+  // Poll pool health while the panel is open
+  useEffect(() => {
+    const interval = setInterval(() => setRpcHealth(getRpcPoolHealth()), 2000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const isRpcInputValid = isValidRpcUrl(rpcInput);
+
+  const handleAddRpc = () => {
+    const url = rpcInput.trim();
+    if (!isRpcInputValid || localSettings.customRpcs.includes(url)) return;
+    setLocalSettings(prev => ({
+      ...prev,
+      customRpcs: [...prev.customRpcs, url],
+    }));
+    setRpcInput('');
+  };
+
+  const handleRemoveRpc = (url) => {
+    setLocalSettings(prev => ({
+      ...prev,
+      customRpcs: prev.customRpcs.filter(u => u !== url),
+    }));
+  };
 
   const handleSave = () => {
     onUpdate(localSettings);
@@ -11,7 +244,7 @@ export function SettingsPanel({ settings, onUpdate, onClose }) {
 
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
-      <div className="bg-dark-800 rounded-2xl border border-dark-600 w-full max-w-md animate-slide-up">
+      <div className="bg-dark-800 rounded-2xl border border-dark-600 w-full max-w-lg animate-slide-up">
         {/* Header */}
         <div className="flex items-center justify-between px-6 py-4 border-b border-dark-600">
           <div className="flex items-center gap-3">
@@ -27,7 +260,7 @@ export function SettingsPanel({ settings, onUpdate, onClose }) {
         </div>
 
         {/* Content */}
-        <div className="p-6 space-y-6">
+        <div className="p-6 space-y-6 max-h-[70vh] overflow-y-auto">
           {/* Refresh Interval */}
           <div className="space-y-2">
             <label className="flex items-center gap-2 text-sm font-medium text-gray-300">
@@ -53,6 +286,113 @@ export function SettingsPanel({ settings, onUpdate, onClose }) {
             </select>
           </div>
 
+          {/* Live Mode */}
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <label className="flex items-center gap-2 text-sm font-medium text-gray-300">
+                <Radio className="h-4 w-4" />
+                Live Mode (WebSocket)
+              </label>
+              <button
+                onClick={() => setLocalSettings(prev => ({ ...prev, liveMode: !prev.liveMode }))}
+                className={`
+                  relative h-6 w-11 rounded-full transition-colors
+                  ${localSettings.liveMode ? 'bg-accent-primary' : 'bg-dark-500'}
+                `}
+                title={localSettings.liveMode ? 'Disable live mode' : 'Enable live mode'}
+              >
+                <span
+                  className={`
+                    absolute top-1 left-1 h-4 w-4 rounded-full bg-white transition-transform
+                    ${localSettings.liveMode ? 'translate-x-5' : ''}
+                  `}
+                />
+              </button>
+            </div>
+            <p className="text-xs text-gray-500">
+              Balance changes are pushed as they happen instead of polled. The refresh interval
+              above is only used while the socket is reconnecting.
+            </p>
+          </div>
+
+          {/* Transaction Indexing */}
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-300">
+              <Layers className="h-4 w-4" />
+              Transaction Indexing
+            </label>
+            <select
+              value={localSettings.txIndexMode || 'wallet'}
+              onChange={(e) => setLocalSettings(prev => ({
+                ...prev,
+                txIndexMode: e.target.value
+              }))}
+              className="w-full rounded-xl bg-dark-700 border border-dark-500 px-4 py-3
+                text-white focus:outline-none focus:ring-2 focus:ring-accent-primary/30
+                focus:border-accent-primary transition-all"
+            >
+              <option value="wallet">Per wallet (scan each wallet's history)</option>
+              <option value="mint">Per token (scan the pool and mint once)</option>
+            </select>
+            <p className="text-xs text-gray-500">
+              Per-token indexing covers every tracked wallet in one pass and also surfaces untracked
+              wallets trading the token. It reaches less far back on very busy tokens.
+            </p>
+          </div>
+
+          {/* Cost Basis */}
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-300">
+              <Calculator className="h-4 w-4" />
+              Cost Basis
+            </label>
+            <select
+              value={localSettings.costBasisMethod || 'fifo'}
+              onChange={(e) => setLocalSettings(prev => ({
+                ...prev,
+                costBasisMethod: e.target.value
+              }))}
+              className="w-full rounded-xl bg-dark-700 border border-dark-500 px-4 py-3
+                text-white focus:outline-none focus:ring-2 focus:ring-accent-primary/30
+                focus:border-accent-primary transition-all"
+            >
+              <option value="fifo">FIFO (first bought, first sold)</option>
+              <option value="average">Average cost</option>
+            </select>
+            <p className="text-xs text-gray-500">
+              Used for entry price and realized/unrealized PnL. Trades are priced in USD with the
+              SOL/USD rate at their block time; received transfers have no cost and are left out.
+            </p>
+          </div>
+
+          {/* Sniper Window */}
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-300">
+              <Crosshair className="h-4 w-4" />
+              Sniper Window
+            </label>
+            <select
+              value={localSettings.sniperSlots ?? 5}
+              onChange={(e) => setLocalSettings(prev => ({
+                ...prev,
+                sniperSlots: Number(e.target.value)
+              }))}
+              className="w-full rounded-xl bg-dark-700 border border-dark-500 px-4 py-3
+                text-white focus:outline-none focus:ring-2 focus:ring-accent-primary/30
+                focus:border-accent-primary transition-all"
+            >
+              <option value={1}>1 slot (~0.4s)</option>
+              <option value={3}>3 slots (~1.2s)</option>
+              <option value={5}>5 slots (~2s)</option>
+              <option value={10}>10 slots (~4s)</option>
+              <option value={25}>25 slots (~10s)</option>
+            </select>
+            <p className="text-xs text-gray-500">
+              Wallets whose first buy landed within this many slots of the mint's creation are flagged
+              as snipers; buys in the creation slot itself are flagged as bundled.
+            </p>
+          </div>
+
           {/* Helius API Key */}
           <div className="space-y-2">
             <label className="flex items-center gap-2 text-sm font-medium text-gray-300">
@@ -88,6 +428,129 @@ export function SettingsPanel({ settings, onUpdate, onClose }) {
               </p>
             </div>
           </div>
+
+          {/* Custom RPC Endpoints */}
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-300">
+              <Server className="h-4 w-4" />
+              Custom RPC Endpoints (Optional)
+            </label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={rpcInput}
+                onChange={(e) => setRpcInput(e.target.value.trim())}
+                onKeyDown={(e) => e.key === 'Enter' && handleAddRpc()}
+                placeholder="https://your-endpoint.example.com"
+                className={`
+                  flex-1 rounded-xl bg-dark-700 border px-4 py-3
+                  text-white placeholder-gray-500 font-mono text-sm
+                  focus:outline-none focus:ring-2 transition-all
+                  ${rpcInput && !isRpcInputValid
+                    ? 'border-accent-danger focus:ring-accent-danger/30'
+                    : 'border-dark-500 focus:ring-accent-primary/30 focus:border-accent-primary'
+                  }
+                `}
+              />
+              <button
+                onClick={handleAddRpc}
+                disabled={!isRpcInputValid}
+                className={`
+                  px-3 rounded-xl border transition-colors
+                  ${isRpcInputValid
+                    ? 'bg-accent-primary/10 border-accent-primary/30 text-accent-primary hover:bg-accent-primary/20'
+                    : 'bg-dark-700 border-dark-500 text-gray-600 cursor-not-allowed'
+                  }
+                `}
+                title="Add endpoint"
+              >
+                <Plus className="h-4 w-4" />
+              </button>
+            </div>
+            {rpcInput && !isRpcInputValid && (
+              <p className="text-xs text-accent-danger flex items-center gap-1.5">
+                <AlertCircle className="h-3 w-3" />
+                Enter a full http(s) URL
+              </p>
+            )}
+            {localSettings.customRpcs.length > 0 && (
+              <div className="space-y-1.5">
+                {localSettings.customRpcs.map(url => (
+                  <div key={url} className="flex items-center gap-2 bg-dark-700/50 rounded-lg px-3 py-2">
+                    <code className="flex-1 text-xs text-gray-300 font-mono truncate">{url}</code>
+                    <button
+                      onClick={() => handleRemoveRpc(url)}
+                      className="p-1 hover:bg-accent-danger/10 text-gray-500 hover:text-accent-danger rounded transition-colors"
+                      title="Remove endpoint"
+                    >
+                      <Trash2 className="h-3.5 w-3.5" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <p className="text-xs text-gray-500">
+              Calls go to the healthiest endpoint and fail over to the next one on errors or rate limits.
+              Changes apply after saving.
+            </p>
+          </div>
+
+          {/* Storage */}
+          <StorageSection
+            policy={localSettings.evictionPolicy || DEFAULT_EVICTION_POLICY}
+            onPolicyChange={(evictionPolicy) => setLocalSettings(prev => ({ ...prev, evictionPolicy }))}
+            tokenMint={tokenMint}
+            onDeleteProject={onDeleteProject}
+            onStorageCleared={onStorageCleared}
+          />
+
+          {/* RPC Pool Health */}
+          <div className="space-y-2">
+            <h3 className="text-sm font-medium text-gray-300">RPC Pool Health</h3>
+            <div className="rounded-lg border border-dark-600 overflow-hidden">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="bg-dark-700/50 text-gray-500">
+                    <th className="px-3 py-2 text-left font-medium">Endpoint</th>
+                    <th className="px-3 py-2 text-right font-medium">Latency</th>
+                    <th className="px-3 py-2 text-right font-medium">Errors</th>
+                    <th className="px-3 py-2 text-right font-medium">429s</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-dark-600">
+                  {rpcHealth.map(endpoint => (
+                    <tr key={endpoint.url} title={endpoint.lastError || endpoint.url}>
+                      <td className="px-3 py-2">
+                        <div className="flex items-center gap-2 min-w-0">
+                          <span className={`h-2 w-2 rounded-full flex-shrink-0 ${RPC_STATUS_STYLES[endpoint.status]}`} />
+                          <span className="text-gray-300 truncate">{endpoint.label}</span>
+                          {endpoint.source !== 'public' && (
+                            <span className="text-[9px] px-1 py-0.5 rounded bg-accent-primary/20 text-accent-primary uppercase">
+                              {endpoint.source}
+                            </span>
+                          )}
+                          {endpoint.cooldownRemainingMs > 0 && (
+                            <span className="text-gray-500">
+                              {Math.ceil(endpoint.cooldownRemainingMs / 1000)}s
+                            </span>
+                          )}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2 text-right font-mono text-gray-400">
+                        {endpoint.latencyMs !== null ? `${endpoint.latencyMs}ms` : '—'}
+                      </td>
+                      <td className="px-3 py-2 text-right font-mono text-gray-400">
+                        {endpoint.requests > 0 ? `${Math.round(endpoint.errorRate * 100)}%` : '—'}
+                      </td>
+                      <td className="px-3 py-2 text-right font-mono text-gray-400">
+                        {endpoint.rateLimits}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
         </div>
 
         {/* Footer */}
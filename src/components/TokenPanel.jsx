@@ -14,8 +14,14 @@ import {
   Search,
   Loader2,
   ArrowRight,
+  Layers,
+  Crown,
+  Users,
+  UserPlus,
 } from 'lucide-react';
-import { isValidSolanaAddress } from '../utils/fileParser';
+import { isValidSolanaAddress, truncateAddress } from '../utils/fileParser';
+import { DEV_ROLE_LABELS } from '../services/devWallets';
+import { HOLDER_EXCLUSION_LABELS } from '../services/holderDiscovery';
 import { formatMarketCap } from '../utils/projectStorage';
 
 // Custom icons for trading platforms
@@ -53,6 +59,30 @@ const HolderScanIcon = () => (
   </svg>
 );
 
+// Short detail for the Token-2022 extensions that change amounts
+function formatExtensionDetail(extension, tokenMetadata) {
+  switch (extension.type) {
+    case 'transferFeeConfig': {
+      const fee = tokenMetadata.transferFee;
+      if (!fee) return null;
+      const maxFee = fee.maximumFee / Math.pow(10, tokenMetadata.decimals ?? 9);
+      return `${(fee.basisPoints / 100).toFixed(2)}% (max ${maxFee.toLocaleString()})`;
+    }
+    case 'interestBearingConfig':
+      return tokenMetadata.interestBearing
+        ? `${(tokenMetadata.interestBearing.currentRate / 100).toFixed(2)}% APR`
+        : null;
+    case 'scaledUiAmountConfig':
+      return tokenMetadata.scaledUiAmount
+        ? `×${tokenMetadata.scaledUiAmount.newMultiplier}`
+        : null;
+    case 'confidentialTransferMint':
+      return 'encrypted balances not counted';
+    default:
+      return null;
+  }
+}
+
 // Simple in-memory cache for token lookups
 const tokenCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -72,13 +102,172 @@ async function fetchWithTimeout(url, timeout = 3000) {
   }
 }
 
+// Top holders picker: pool/program/burn owners and tracked wallets can't be selected
+function HolderDiscoveryModal({ onDiscover, onAdd, onClose }) {
+  const [holders, setHolders] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    onDiscover()
+      .then(found => {
+        if (cancelled) return;
+        setHolders(found);
+        setSelected(new Set(found.filter(h => !h.exclusion && !h.tracked).map(h => h.address)));
+      })
+      .catch(err => {
+        if (!cancelled && err.name !== 'AbortError') setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [onDiscover]);
+
+  const selectable = (holders || []).filter(h => !h.exclusion && !h.tracked);
+  const allSelected = selectable.length > 0 && selectable.every(h => selected.has(h.address));
+
+  const toggle = (address) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(address)) next.delete(address);
+      else next.add(address);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(selectable.map(h => h.address)));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-dark-800 rounded-2xl border border-dark-600 w-full max-w-2xl animate-slide-up">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-dark-600">
+          <div className="flex items-center gap-3">
+            <Users className="h-5 w-5 text-accent-primary" />
+            <h2 className="text-lg font-semibold text-white">Discover Holders</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-dark-600 rounded-lg transition-colors text-gray-400"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="max-h-[420px] overflow-y-auto">
+          {!holders && !error && (
+            <div className="flex items-center justify-center gap-2 py-12 text-sm text-gray-400">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Fetching largest token accounts...
+            </div>
+          )}
+          {error && (
+            <div className="flex items-center justify-center gap-2 py-12 text-sm text-accent-danger">
+              <AlertCircle className="h-4 w-4" />
+              {error}
+            </div>
+          )}
+          {holders?.length === 0 && (
+            <p className="py-12 text-center text-sm text-gray-500">No holders found</p>
+          )}
+          {holders?.length > 0 && (
+            <table className="w-full text-sm">
+              <thead className="sticky top-0 bg-dark-800 text-xs text-gray-500">
+                <tr className="border-b border-dark-600">
+                  <th className="px-6 py-2 text-left">
+                    <input
+                      type="checkbox"
+                      checked={allSelected}
+                      onChange={toggleAll}
+                      disabled={selectable.length === 0}
+                      className="accent-accent-primary"
+                    />
+                  </th>
+                  <th className="px-2 py-2 text-left">#</th>
+                  <th className="px-2 py-2 text-left">Owner</th>
+                  <th className="px-2 py-2 text-right">Balance</th>
+                  <th className="px-6 py-2 text-right">Supply</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-dark-600">
+                {holders.map(holder => {
+                  const disabled = !!holder.exclusion || holder.tracked;
+                  return (
+                    <tr
+                      key={holder.address}
+                      onClick={() => !disabled && toggle(holder.address)}
+                      className={disabled ? 'opacity-50' : 'cursor-pointer hover:bg-dark-700/50'}
+                    >
+                      <td className="px-6 py-2">
+                        <input
+                          type="checkbox"
+                          checked={selected.has(holder.address)}
+                          disabled={disabled}
+                          readOnly
+                          className="accent-accent-primary"
+                        />
+                      </td>
+                      <td className="px-2 py-2 text-gray-500">{holder.rank}</td>
+                      <td className="px-2 py-2">
+                        <span className="font-mono text-gray-300" title={holder.address}>
+                          {truncateAddress(holder.address, 6, 6)}
+                        </span>
+                        {holder.exclusion && (
+                          <span className="ml-2 px-1.5 py-0.5 rounded bg-dark-600 text-[10px] text-gray-400">
+                            {HOLDER_EXCLUSION_LABELS[holder.exclusion]}
+                          </span>
+                        )}
+                        {holder.tracked && (
+                          <span className="ml-2 px-1.5 py-0.5 rounded bg-accent-primary/10 text-[10px] text-accent-primary">
+                            Tracked
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-2 py-2 text-right font-mono text-white">
+                        {holder.balance.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                      </td>
+                      <td className="px-6 py-2 text-right text-gray-400">
+                        {(holder.share * 100).toFixed(2)}%
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between gap-3 px-6 py-4 border-t border-dark-600">
+          <p className="text-xs text-gray-500">
+            Top 20 token accounts • new wallets are named by rank
+          </p>
+          <button
+            onClick={() => onAdd(holders.filter(h => selected.has(h.address)))}
+            disabled={selected.size === 0}
+            className="flex items-center gap-1.5 px-4 py-2 text-sm bg-accent-primary text-white hover:bg-accent-primary/80 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <UserPlus className="h-4 w-4" />
+            Add {selected.size} wallet{selected.size === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 export function TokenPanel({
   tokenMint,
   tokenInfo,
+  tokenMetadata,
   onTokenChange,
   onSaveProject,
   isLoading,
   hasWallets,
+  devWallets = [],
+  onDiscoverHolders,
+  onAddHolders,
 }) {
   const [inputValue, setInputValue] = useState(tokenMint);
   const [isEditing, setIsEditing] = useState(!tokenMint);
@@ -86,6 +275,7 @@ export function TokenPanel({
   const [previewData, setPreviewData] = useState(null);
   const [isLoadingPreview, setIsLoadingPreview] = useState(false);
   const [previewError, setPreviewError] = useState(null);
+  const [showHolders, setShowHolders] = useState(false);
 
   useEffect(() => {
     setInputValue(tokenMint);
@@ -591,6 +781,56 @@ export function TokenPanel({
             </a>
           )}
         </div>
+
+        {/* Token-2022 Extensions */}
+        {tokenMetadata?.isToken2022 && (
+          <div className="flex flex-wrap items-center gap-2 mt-3">
+            <span className="flex items-center gap-1 text-xs text-gray-500 mr-1">
+              <Layers className="h-3.5 w-3.5" />
+              Token-2022:
+            </span>
+            {tokenMetadata.extensions?.length > 0 ? (
+              tokenMetadata.extensions.map(extension => {
+                const detail = formatExtensionDetail(extension, tokenMetadata);
+                return (
+                  <span
+                    key={extension.type}
+                    className="px-2 py-1 bg-purple-500/10 border border-purple-500/20 rounded-md text-xs text-purple-300"
+                    title={extension.type}
+                  >
+                    {extension.label}
+                    {detail && <span className="text-purple-400/70 ml-1">{detail}</span>}
+                  </span>
+                );
+              })
+            ) : (
+              <span className="text-xs text-gray-500">No extensions</span>
+            )}
+          </div>
+        )}
+
+        {/* Dev Wallets - creator, authorities, creator's funder (tracked automatically) */}
+        {devWallets.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mt-3">
+            <span className="flex items-center gap-1 text-xs text-gray-500 mr-1">
+              <Crown className="h-3.5 w-3.5" />
+              Dev wallets:
+            </span>
+            {devWallets.map(dev => (
+              <a
+                key={dev.address}
+                href={`https://solscan.io/account/${dev.address}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="px-2 py-1 bg-accent-danger/10 border border-accent-danger/20 hover:border-accent-danger/40 rounded-md text-xs text-red-300 transition-colors"
+                title={dev.address}
+              >
+                {dev.roles.map(role => DEV_ROLE_LABELS[role]).join(' / ')}
+                <span className="font-mono text-red-400/70 ml-1">{truncateAddress(dev.address, 4, 4)}</span>
+              </a>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* Actions Bar */}
@@ -602,6 +842,16 @@ export function TokenPanel({
           Change Token
         </button>
 
+        {onDiscoverHolders && (
+          <button
+            onClick={() => setShowHolders(true)}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-gray-400 hover:text-white hover:bg-dark-600 rounded-lg transition-colors"
+          >
+            <Users className="h-4 w-4" />
+            Discover Holders
+          </button>
+        )}
+
         {hasWallets && (
           <button
             onClick={onSaveProject}
@@ -612,6 +862,17 @@ export function TokenPanel({
           </button>
         )}
       </div>
+
+      {showHolders && (
+        <HolderDiscoveryModal
+          onDiscover={onDiscoverHolders}
+          onAdd={(holders) => {
+            onAddHolders(holders);
+            setShowHolders(false);
+          }}
+          onClose={() => setShowHolders(false)}
+        />
+      )}
     </div>
   );
 }
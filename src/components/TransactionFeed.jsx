@@ -1,7 +1,59 @@
-import { ArrowUpRight, ArrowDownLeft, ExternalLink, Clock } from 'lucide-react';
+import { useState, useMemo } from 'react';
+import { ArrowUpRight, ArrowDownLeft, ExternalLink, Clock, Eye, Droplets, Flame, Coins, Crown } from 'lucide-react';
 import { truncateAddress } from '../utils/fileParser';
+import { isDevAlert } from '../services/devWallets';
+import { FilterButton } from './FilterButton';
+
+// Untracked wallets listed under the feed (mint-index mode)
+const MAX_UNTRACKED_SHOWN = 8;
+
+const TYPE_LABELS = {
+  BUY: 'Buy',
+  SELL: 'Sell',
+  TRANSFER_IN: 'Transfer In',
+  TRANSFER_OUT: 'Transfer Out',
+  LP_ADD: 'Add Liquidity',
+  LP_REMOVE: 'Remove Liquidity',
+  BURN: 'Burn',
+  MINT: 'Mint',
+};
+
+// Types where tokens come into the wallet
+const INCOMING_TYPES = new Set(['BUY', 'TRANSFER_IN', 'LP_REMOVE', 'MINT']);
+
+// Non-trade types: text color, icon background and icon (trades use direction colors)
+const TYPE_STYLES = {
+  TRANSFER_IN: { tone: 'text-blue-400', bg: 'bg-blue-500/10' },
+  TRANSFER_OUT: { tone: 'text-blue-400', bg: 'bg-blue-500/10' },
+  LP_ADD: { tone: 'text-indigo-400', bg: 'bg-indigo-500/10', icon: Droplets },
+  LP_REMOVE: { tone: 'text-indigo-400', bg: 'bg-indigo-500/10', icon: Droplets },
+  BURN: { tone: 'text-orange-400', bg: 'bg-orange-500/10', icon: Flame },
+  MINT: { tone: 'text-emerald-400', bg: 'bg-emerald-500/10', icon: Coins },
+};
+
+// Feed filter chips (types: null = everything)
+const FEED_FILTERS = [
+  { id: 'all', label: 'All', types: null },
+  { id: 'trades', label: 'Trades', types: ['BUY', 'SELL'] },
+  { id: 'transfers', label: 'Transfers', types: ['TRANSFER_IN', 'TRANSFER_OUT'] },
+  { id: 'liquidity', label: 'Liquidity', types: ['LP_ADD', 'LP_REMOVE'] },
+  { id: 'supply', label: 'Burn & Mint', types: ['BURN', 'MINT'] },
+];
+
+export function TransactionFeed({ transactions, untrackedActivity = [], devWallets = [], isLoading }) {
+  const [filter, setFilter] = useState('all');
+
+  // Dev wallet sells / transfers out / liquidity pulls are highlighted
+  const devAddresses = useMemo(
+    () => new Set(devWallets.map(dev => dev.address.toLowerCase())),
+    [devWallets]
+  );
+
+  const visibleTransactions = useMemo(() => {
+    const types = FEED_FILTERS.find(f => f.id === filter)?.types;
+    return types ? transactions.filter(tx => types.includes(tx.type)) : transactions;
+  }, [transactions, filter]);
 
-export function TransactionFeed({ transactions, isLoading }) {
   const formatTime = (timestamp) => {
     if (!timestamp) return 'Unknown';
     const date = new Date(timestamp);
@@ -47,14 +99,35 @@ export function TransactionFeed({ transactions, isLoading }) {
         )}
       </div>
 
+      {/* Type filters */}
+      <div className="flex flex-wrap gap-2 px-6 py-3 border-b border-dark-600">
+        {FEED_FILTERS.map(f => (
+          <FilterButton key={f.id} active={filter === f.id} onClick={() => setFilter(f.id)}>
+            {f.label}
+          </FilterButton>
+        ))}
+      </div>
+
       <div className="divide-y divide-dark-600 max-h-[400px] overflow-y-auto">
-        {transactions.map((tx, index) => {
-          const isBuy = tx.type === 'BUY';
+        {visibleTransactions.length === 0 && (
+          <p className="px-6 py-6 text-center text-sm text-gray-500">No transactions of this type</p>
+        )}
+        {visibleTransactions.map((tx, index) => {
+          // Direction sets the sign; trades use direction colors, other types their own
+          const isIncoming = INCOMING_TYPES.has(tx.type);
+          const style = TYPE_STYLES[tx.type];
+          const tone = style?.tone || (isIncoming ? 'text-accent-success' : 'text-accent-danger');
+          const iconBg = style?.bg || (isIncoming ? 'bg-accent-success/10' : 'bg-accent-danger/10');
+          const Icon = style?.icon || (isIncoming ? ArrowDownLeft : ArrowUpRight);
+          const isDevMove = isDevAlert(tx, devAddresses);
 
           return (
             <div
               key={tx.signature || index}
-              className="px-6 py-4 hover:bg-dark-700/50 transition-colors animate-slide-up"
+              className={`
+                px-6 py-4 transition-colors animate-slide-up
+                ${isDevMove ? 'bg-accent-danger/10 border-l-2 border-accent-danger hover:bg-accent-danger/15' : 'hover:bg-dark-700/50'}
+              `}
               style={{ animationDelay: `${index * 50}ms` }}
             >
               <div className="flex items-start gap-4">
@@ -62,21 +135,37 @@ export function TransactionFeed({ transactions, isLoading }) {
                 <div
                   className={`
                     flex h-10 w-10 items-center justify-center rounded-xl flex-shrink-0
-                    ${isBuy ? 'bg-accent-success/10' : 'bg-accent-danger/10'}
+                    ${iconBg}
                   `}
                 >
-                  {isBuy ? (
-                    <ArrowDownLeft className="h-5 w-5 text-accent-success" />
-                  ) : (
-                    <ArrowUpRight className="h-5 w-5 text-accent-danger" />
-                  )}
+                  <Icon className={`h-5 w-5 ${tone}`} />
                 </div>
 
                 {/* Details */}
                 <div className="flex-1 min-w-0">
                   <div className="flex items-center justify-between gap-4">
-                    <span className={`font-semibold ${isBuy ? 'text-accent-success' : 'text-accent-danger'}`}>
-                      {isBuy ? 'Buy' : 'Sell'}
+                    <span className={`font-semibold ${tone}`}>
+                      {isDevMove && (
+                        <span
+                          className="inline-flex items-center gap-0.5 mr-2 px-1.5 py-0.5 rounded bg-accent-danger/20 text-accent-danger text-[10px] font-bold uppercase tracking-wide align-middle"
+                          title={`Dev wallet ${tx.walletAddress}`}
+                        >
+                          <Crown className="h-2.5 w-2.5" />
+                          Dev
+                        </span>
+                      )}
+                      {TYPE_LABELS[tx.type] || tx.type}
+                      {tx.swap && (
+                        <span className="ml-2 text-xs font-normal text-gray-500">
+                          via {tx.swap.dex}
+                          {tx.swap.price && ` @ ${formatAmount(tx.swap.price)} ${tx.swap.quoteSymbol}`}
+                        </span>
+                      )}
+                      {tx.liquidity && (
+                        <span className="ml-2 text-xs font-normal text-gray-500">
+                          with {formatAmount(tx.liquidity.pairedAmount)} {tx.liquidity.pairedSymbol} on {tx.liquidity.dex}
+                        </span>
+                      )}
                     </span>
                     <span className="text-gray-500 text-sm flex items-center gap-1.5">
                       <Clock className="h-3.5 w-3.5" />
@@ -86,7 +175,13 @@ export function TransactionFeed({ transactions, isLoading }) {
 
                   <div className="flex items-center justify-between gap-4 mt-1">
                     <span className="font-mono text-white">
-                      {isBuy ? '+' : '-'}{formatAmount(tx.amount)}
+                      {isIncoming ? '+' : '-'}{formatAmount(tx.amount)}
+                      {/* Token-2022 transfer fee, shown apart from the net amount */}
+                      {tx.transferFee > 0 && (
+                        <span className="ml-2 text-xs text-purple-300/80" title="Token-2022 transfer fee withheld">
+                          fee {formatAmount(tx.transferFee)}
+                        </span>
+                      )}
                     </span>
                     {tx.signature && (
                       <a
@@ -106,6 +201,38 @@ export function TransactionFeed({ transactions, isLoading }) {
           );
         })}
       </div>
+
+      {/* Untracked wallets trading the token (found by the mint index) */}
+      {untrackedActivity.length > 0 && (
+        <div className="border-t border-dark-600 px-6 py-4 space-y-2">
+          <div className="flex items-center justify-between">
+            <h4 className="flex items-center gap-2 text-sm font-medium text-gray-400">
+              <Eye className="h-4 w-4" />
+              Untracked wallets active
+            </h4>
+            <span className="text-xs text-gray-500">{untrackedActivity.length} wallets</span>
+          </div>
+          {untrackedActivity.slice(0, MAX_UNTRACKED_SHOWN).map(entry => (
+            <div key={entry.address} className="flex items-center gap-3 text-sm bg-dark-700/50 rounded-lg px-3 py-2">
+              <a
+                href={`https://solscan.io/account/${entry.address}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="font-mono text-gray-300 hover:text-accent-primary transition-colors"
+              >
+                {truncateAddress(entry.address, 4, 4)}
+              </a>
+              <span className="text-xs text-gray-500">{entry.txCount} txs</span>
+              <span className="ml-auto font-mono text-xs">
+                {entry.bought > 0 && <span className="text-accent-success">+{formatAmount(entry.bought)}</span>}
+                {entry.bought > 0 && entry.sold > 0 && <span className="text-gray-600"> / </span>}
+                {entry.sold > 0 && <span className="text-accent-danger">-{formatAmount(entry.sold)}</span>}
+              </span>
+              <span className="text-xs text-gray-500 w-16 text-right">{formatTime(entry.lastSeen)}</span>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
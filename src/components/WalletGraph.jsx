@@ -0,0 +1,399 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { Share2, ZoomIn, ZoomOut, Maximize2 } from 'lucide-react';
+import { truncateAddress } from '../utils/fileParser';
+import { FilterButton } from './FilterButton';
+
+// Time windows over the cached transactions
+const TIME_WINDOWS = [
+  { id: '24h', label: '24h', ms: 24 * 60 * 60 * 1000 },
+  { id: '7d', label: '7d', ms: 7 * 24 * 60 * 60 * 1000 },
+  { id: '30d', label: '30d', ms: 30 * 24 * 60 * 60 * 1000 },
+  { id: 'all', label: 'All time', ms: null },
+];
+
+// Node fill by wallet group (PREM / WIC / none)
+const GROUP_COLORS = {
+  PREM: '#facc15',
+  WIC: '#60a5fa',
+  NONE: '#8b5cf6',
+};
+
+const WIDTH = 800;
+const HEIGHT = 500;
+const MIN_RADIUS = 6;
+const MAX_RADIUS = 28;
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 5;
+const LAYOUT_ITERATIONS = 300;       // Small graphs
+const MIN_LAYOUT_ITERATIONS = 10;    // Large graphs still untangle a little
+const LAYOUT_PAIR_BUDGET = 1500000;  // Repulsion pair steps per layout (main thread)
+const LAYOUT_FINAL_TEMPERATURE = 0.0025; // Of the starting temperature, after the last iteration
+
+const formatAmount = (amount) => {
+  if (!amount) return '0';
+  if (amount < 1000) return amount.toFixed(2);
+  if (amount < 1000000) return `${(amount / 1000).toFixed(1)}K`;
+  return `${(amount / 1000000).toFixed(2)}M`;
+};
+
+/**
+ * Force-directed layout (Fruchterman-Reingold), deterministic start on a circle
+ * Repulsion is O(n²) per iteration, so iterations shrink as the node count grows
+ * (LAYOUT_PAIR_BUDGET) and the cooling is spread over the iterations that run
+ * Returns: Map(nodeId -> { x, y })
+ */
+function layoutGraph(nodes, edges) {
+  const positions = new Map();
+  if (nodes.length === 0) return positions;
+
+  const k = Math.sqrt((WIDTH * HEIGHT) / nodes.length) * 0.6;
+  nodes.forEach((node, idx) => {
+    const angle = (2 * Math.PI * idx) / nodes.length;
+    positions.set(node.id, {
+      x: WIDTH / 2 + (WIDTH / 3) * Math.cos(angle),
+      y: HEIGHT / 2 + (HEIGHT / 3) * Math.sin(angle),
+    });
+  });
+
+  const pairs = (nodes.length * (nodes.length - 1)) / 2;
+  const iterations = Math.max(
+    MIN_LAYOUT_ITERATIONS,
+    Math.min(LAYOUT_ITERATIONS, Math.floor(LAYOUT_PAIR_BUDGET / Math.max(pairs, 1)))
+  );
+  const cooling = Math.pow(LAYOUT_FINAL_TEMPERATURE, 1 / iterations);
+
+  let temperature = WIDTH / 10;
+  for (let iter = 0; iter < iterations; iter++) {
+    const shift = new Map(nodes.map(node => [node.id, { x: 0, y: 0 }]));
+
+    // Repulsion between every pair
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = positions.get(nodes[i].id);
+        const b = positions.get(nodes[j].id);
+        const dx = a.x - b.x || 0.01;
+        const dy = a.y - b.y || 0.01;
+        const dist = Math.max(Math.hypot(dx, dy), 0.01);
+        const force = (k * k) / dist;
+        shift.get(nodes[i].id).x += (dx / dist) * force;
+        shift.get(nodes[i].id).y += (dy / dist) * force;
+        shift.get(nodes[j].id).x -= (dx / dist) * force;
+        shift.get(nodes[j].id).y -= (dy / dist) * force;
+      }
+    }
+
+    // Attraction along edges
+    edges.forEach(edge => {
+      const a = positions.get(edge.from);
+      const b = positions.get(edge.to);
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const dist = Math.max(Math.hypot(dx, dy), 0.01);
+      const force = (dist * dist) / k;
+      shift.get(edge.from).x -= (dx / dist) * force;
+      shift.get(edge.from).y -= (dy / dist) * force;
+      shift.get(edge.to).x += (dx / dist) * force;
+      shift.get(edge.to).y += (dy / dist) * force;
+    });
+
+    // Move (capped by the cooling temperature) and keep inside the canvas
+    nodes.forEach(node => {
+      const pos = positions.get(node.id);
+      const d = shift.get(node.id);
+      const length = Math.max(Math.hypot(d.x, d.y), 0.01);
+      pos.x = Math.min(WIDTH - MAX_RADIUS, Math.max(MAX_RADIUS, pos.x + (d.x / length) * Math.min(length, temperature)));
+      pos.y = Math.min(HEIGHT - MAX_RADIUS, Math.max(MAX_RADIUS, pos.y + (d.y / length) * Math.min(length, temperature)));
+    });
+    temperature *= cooling;
+  }
+
+  return positions;
+}
+
+/**
+ * Client (screen) coordinates -> viewBox coordinates of the svg
+ */
+function toSvgPoint(svg, clientX, clientY) {
+  const point = svg.createSVGPoint();
+  point.x = clientX;
+  point.y = clientY;
+  return point.matrixTransform(svg.getScreenCTM().inverse());
+}
+
+/**
+ * Token flows between tracked wallets as a graph
+ * Nodes = tracked wallets (size = balance, color = group); edges = transfers (width = amount)
+ */
+export function WalletGraph({
+  wallets = [],
+  walletData = [],
+  transactions = [],
+  onSelectWallet,
+}) {
+  const [timeWindow, setTimeWindow] = useState('all');
+  const [showUnconnected, setShowUnconnected] = useState(false);
+  const [view, setView] = useState({ x: 0, y: 0, k: 1 });
+  const [hoveredNode, setHoveredNode] = useState(null);
+  const svgRef = useRef(null);
+  const dragRef = useRef(null); // { startX, startY, viewX, viewY } (viewBox units) while panning
+
+  // Edges: transfers between tracked wallets inside the window (deduplicated by signature -
+  // a transfer shows up under both the sender and the recipient)
+  const edges = useMemo(() => {
+    const tracked = new Map(wallets.map(w => [w.address.toLowerCase(), w.address]));
+    const windowMs = TIME_WINDOWS.find(w => w.id === timeWindow)?.ms;
+    const since = windowMs ? Date.now() - windowMs : null;
+
+    const byPair = new Map();
+    const seen = new Set();
+    transactions.forEach(tx => {
+      if (since && new Date(tx.timestamp).getTime() < since) return;
+
+      let from;
+      let to;
+      if (tx.type === 'TRANSFER_OUT' && tx.toWallet) {
+        from = tracked.get(tx.walletAddress?.toLowerCase());
+        to = tracked.get(tx.toWallet.toLowerCase());
+      } else if (tx.type === 'TRANSFER_IN' && tx.fromWallet) {
+        from = tracked.get(tx.fromWallet.toLowerCase());
+        to = tracked.get(tx.walletAddress?.toLowerCase());
+      }
+      if (!from || !to || from === to) return;
+
+      const dedupeKey = `${tx.signature}:${from}:${to}`;
+      if (seen.has(dedupeKey)) return;
+      seen.add(dedupeKey);
+
+      const key = `${from}->${to}`;
+      const edge = byPair.get(key) || { id: key, from, to, amount: 0, count: 0 };
+      edge.amount += tx.amount || 0;
+      edge.count++;
+      byPair.set(key, edge);
+    });
+    return Array.from(byPair.values());
+  }, [wallets, transactions, timeWindow]);
+
+  const nodes = useMemo(() => {
+    const balances = new Map(walletData.map(w => [w.address, w.uiBalance || 0]));
+    const connected = new Set(edges.flatMap(edge => [edge.from, edge.to]));
+    const shown = wallets.filter(w => showUnconnected || connected.has(w.address));
+    const maxBalance = Math.max(...shown.map(w => balances.get(w.address) || 0), 0);
+
+    return shown.map(w => {
+      const balance = balances.get(w.address) || 0;
+      return {
+        id: w.address,
+        name: w.name,
+        group: w.group,
+        balance,
+        radius: MIN_RADIUS + (maxBalance > 0 ? Math.sqrt(balance / maxBalance) : 0) * (MAX_RADIUS - MIN_RADIUS),
+      };
+    });
+  }, [wallets, walletData, edges, showUnconnected]);
+
+  const positions = useMemo(() => layoutGraph(nodes, edges), [nodes, edges]);
+  const hasNodes = nodes.length > 0;
+
+  const maxEdgeAmount = Math.max(...edges.map(edge => edge.amount), 0);
+  const edgeWidth = (amount) =>
+    maxEdgeAmount > 0 ? 1 + (Math.log1p(amount) / Math.log1p(maxEdgeAmount)) * 5 : 1;
+
+  // Wheel zoom around the cursor (non-passive listener so the page doesn't scroll)
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const { x: px, y: py } = toSvgPoint(svg, e.clientX, e.clientY);
+      setView(prev => {
+        const k = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, prev.k * (e.deltaY < 0 ? 1.1 : 1 / 1.1)));
+        return {
+          k,
+          x: px - ((px - prev.x) / prev.k) * k,
+          y: py - ((py - prev.y) / prev.k) * k,
+        };
+      });
+    };
+
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, [hasNodes]);
+
+  // Drag the background to pan (nodes stop the pointerdown, so they stay clickable)
+  const handlePointerDown = (e) => {
+    const start = toSvgPoint(svgRef.current, e.clientX, e.clientY);
+    dragRef.current = { startX: start.x, startY: start.y, viewX: view.x, viewY: view.y };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = toSvgPoint(svgRef.current, e.clientX, e.clientY);
+    setView(prev => ({ ...prev, x: drag.viewX + point.x - drag.startX, y: drag.viewY + point.y - drag.startY }));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const zoomBy = (factor) => {
+    setView(prev => {
+      const k = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, prev.k * factor));
+      return {
+        k,
+        x: WIDTH / 2 - ((WIDTH / 2 - prev.x) / prev.k) * k,
+        y: HEIGHT / 2 - ((HEIGHT / 2 - prev.y) / prev.k) * k,
+      };
+    });
+  };
+
+  const hovered = hoveredNode ? nodes.find(node => node.id === hoveredNode) : null;
+  const hoveredEdges = hovered ? edges.filter(edge => edge.from === hovered.id || edge.to === hovered.id) : [];
+
+  return (
+    <div className="rounded-xl bg-dark-800 border border-dark-600 overflow-hidden">
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-2 px-4 py-3 border-b border-dark-600 bg-dark-700/30">
+        <span className="text-xs text-gray-500 mr-1">Window:</span>
+        {TIME_WINDOWS.map(w => (
+          <FilterButton key={w.id} active={timeWindow === w.id} onClick={() => setTimeWindow(w.id)}>
+            {w.label}
+          </FilterButton>
+        ))}
+        <label className="flex items-center gap-2 text-xs text-gray-400 ml-3 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={showUnconnected}
+            onChange={(e) => setShowUnconnected(e.target.checked)}
+            className="rounded border-dark-500 bg-dark-600"
+          />
+          Show unconnected wallets
+        </label>
+        <div className="ml-auto flex items-center gap-1">
+          <button onClick={() => zoomBy(1.25)} className="p-1.5 rounded-lg bg-dark-600 text-gray-400 hover:text-white" title="Zoom in">
+            <ZoomIn className="h-3.5 w-3.5" />
+          </button>
+          <button onClick={() => zoomBy(0.8)} className="p-1.5 rounded-lg bg-dark-600 text-gray-400 hover:text-white" title="Zoom out">
+            <ZoomOut className="h-3.5 w-3.5" />
+          </button>
+          <button onClick={() => setView({ x: 0, y: 0, k: 1 })} className="p-1.5 rounded-lg bg-dark-600 text-gray-400 hover:text-white" title="Reset view">
+            <Maximize2 className="h-3.5 w-3.5" />
+          </button>
+        </div>
+      </div>
+
+      {!hasNodes ? (
+        <div className="p-12 text-center">
+          <Share2 className="h-12 w-12 text-gray-600 mx-auto mb-4" />
+          <p className="text-gray-400 font-medium">No transfers between tracked wallets</p>
+          <p className="text-gray-500 text-sm mt-1">
+            Token flows appear here once tracked wallets send tokens to each other
+          </p>
+        </div>
+      ) : (
+        <div className="relative">
+          <svg
+            ref={svgRef}
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            className="w-full h-[500px] cursor-grab active:cursor-grabbing select-none"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+          >
+            <defs>
+              <marker id="wallet-graph-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="5" markerHeight="5" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z" fill="#60a5fa" />
+              </marker>
+            </defs>
+            <g transform={`translate(${view.x} ${view.y}) scale(${view.k})`}>
+              {/* Edges (stop at the target node's rim so the arrow stays visible) */}
+              {edges.map(edge => {
+                const from = positions.get(edge.from);
+                const to = positions.get(edge.to);
+                const target = nodes.find(node => node.id === edge.to);
+                if (!from || !to || !target) return null;
+                const dist = Math.max(Math.hypot(to.x - from.x, to.y - from.y), 0.01);
+                const endX = to.x - ((to.x - from.x) / dist) * (target.radius + 2);
+                const endY = to.y - ((to.y - from.y) / dist) * (target.radius + 2);
+                const dimmed = hovered && edge.from !== hovered.id && edge.to !== hovered.id;
+                return (
+                  <line
+                    key={edge.id}
+                    x1={from.x}
+                    y1={from.y}
+                    x2={endX}
+                    y2={endY}
+                    stroke="#60a5fa"
+                    strokeOpacity={dimmed ? 0.1 : 0.6}
+                    strokeWidth={edgeWidth(edge.amount)}
+                    markerEnd="url(#wallet-graph-arrow)"
+                  >
+                    <title>{`${formatAmount(edge.amount)} tokens in ${edge.count} transfer(s)`}</title>
+                  </line>
+                );
+              })}
+
+              {/* Nodes */}
+              {nodes.map(node => {
+                const pos = positions.get(node.id);
+                const dimmed = hovered && hovered.id !== node.id &&
+                  !hoveredEdges.some(edge => edge.from === node.id || edge.to === node.id);
+                return (
+                  <g
+                    key={node.id}
+                    transform={`translate(${pos.x} ${pos.y})`}
+                    className="cursor-pointer"
+                    opacity={dimmed ? 0.3 : 1}
+                    onPointerDown={(e) => e.stopPropagation()}
+                    onClick={() => onSelectWallet?.(node.id)}
+                    onMouseEnter={() => setHoveredNode(node.id)}
+                    onMouseLeave={() => setHoveredNode(null)}
+                  >
+                    <circle
+                      r={node.radius}
+                      fill={GROUP_COLORS[node.group] || GROUP_COLORS.NONE}
+                      fillOpacity={0.85}
+                      stroke="#0a0a0f"
+                      strokeWidth={2}
+                    />
+                    <text
+                      y={node.radius + 12}
+                      textAnchor="middle"
+                      className="fill-gray-300 text-[10px] pointer-events-none"
+                    >
+                      {node.name || truncateAddress(node.id, 4, 4)}
+                    </text>
+                  </g>
+                );
+              })}
+            </g>
+          </svg>
+
+          {/* Hovered wallet */}
+          {hovered && (
+            <div className="absolute top-3 left-3 rounded-lg bg-dark-900/90 border border-dark-600 px-3 py-2 text-xs pointer-events-none">
+              <div className="font-medium text-white">{hovered.name}</div>
+              <code className="font-mono text-gray-500">{truncateAddress(hovered.id, 4, 4)}</code>
+              <div className="text-gray-400 mt-1">Balance: <span className="font-mono text-white">{formatAmount(hovered.balance)}</span></div>
+              <div className="text-gray-400">
+                Sent <span className="font-mono text-white">{formatAmount(hoveredEdges.filter(e => e.from === hovered.id).reduce((sum, e) => sum + e.amount, 0))}</span>
+                {' • '}
+                Received <span className="font-mono text-white">{formatAmount(hoveredEdges.filter(e => e.to === hovered.id).reduce((sum, e) => sum + e.amount, 0))}</span>
+              </div>
+            </div>
+          )}
+
+          {/* Legend */}
+          <div className="absolute bottom-3 right-3 flex items-center gap-3 rounded-lg bg-dark-900/80 px-3 py-1.5 text-[10px] text-gray-400 pointer-events-none">
+            <span className="flex items-center gap-1"><span className="h-2 w-2 rounded-full" style={{ background: GROUP_COLORS.PREM }} />Premium</span>
+            <span className="flex items-center gap-1"><span className="h-2 w-2 rounded-full" style={{ background: GROUP_COLORS.WIC }} />WIC</span>
+            <span className="flex items-center gap-1"><span className="h-2 w-2 rounded-full" style={{ background: GROUP_COLORS.NONE }} />Other</span>
+            <span>• size = balance • click to open</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
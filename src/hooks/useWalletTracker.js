@@ -2,11 +2,11 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 import {
   createConnection,
   batchGetBalances,
+  getBalanceBatchPlan,
   getTokenInfo,
   getTokenPriceOnly,
   getTokenMetadata,
   getWalletTransactions,
-  deepFetchWalletTransactions,
   clearCache,
 } from '../services/solanaApi';
 import {
@@ -18,6 +18,7 @@ import {
   loadWalletData,
   saveSettings,
   loadSettings,
+  DEFAULT_SETTINGS,
   saveTransactions,
   loadTransactions,
   saveInitialBalances,
@@ -45,8 +46,27 @@ import {
   getCachedTransactions,
   getNewestTransactionTime,
   clearTokenCache,
+  getBackfillCheckpoints,
+  clearBackfillCheckpoint,
+  updateCachedTransactions,
+  getCachedFundingSources,
+  getCachedLaunchInfo,
+  cacheLaunchInfo,
   CACHE_DURATIONS,
 } from '../services/dataCache';
+import { startLiveUpdates, LIVE_STATUS } from '../services/liveUpdates';
+import { runBackfill, stopBackfill, stopAllBackfills, isBackfillRunning, BACKFILL_STATUS } from '../services/backfill';
+import { getMintTransactions, getMintIndexSources } from '../services/mintIndex';
+import { attachUsdPrices, needsUsdPrice } from '../services/priceHistory';
+import { traceTransfers } from '../services/transferTracer';
+import { scanFundingSources } from '../services/walletClusters';
+import { getLaunchInfo, hasJitoTip } from '../services/launchAnalysis';
+import { getCachedParsedTransactions } from '../services/txCache';
+import { findDevWallets, toDevTrackedWallet } from '../services/devWallets';
+import { discoverHolders } from '../services/holderDiscovery';
+import { configureStorageManager, checkStorage } from '../services/storageManager';
+import { runMigrations } from '../services/migrations';
+import { recordBalanceSnapshots, recordPriceSnapshot, getBalancesAt } from '../services/balanceSeries';
 
 export function useWalletTracker() {
   // Core state
@@ -68,7 +88,16 @@ export function useWalletTracker() {
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
-  const [settings, setSettings] = useState({ refreshInterval: 30, heliusApiKey: '' });
+  const [balancesDayAgo, setBalancesDayAgo] = useState({}); // address -> balance 24h ago (balance series)
+  const [migrated, setMigrated] = useState(false); // Schema migrations done - storage effects wait for it
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [liveStatus, setLiveStatus] = useState(LIVE_STATUS.OFF);
+  const [backfillProgress, setBackfillProgress] = useState({}); // wallet -> backfill checkpoint
+  const [untrackedActivity, setUntrackedActivity] = useState([]); // Mint-index mode: active untracked wallets
+  const [fundingSources, setFundingSources] = useState(() => getCachedFundingSources()); // wallet -> funding (clusters)
+  const [fundingScan, setFundingScan] = useState(null); // { done, total } while scanning
+  const [launchInfo, setLaunchInfo] = useState(null); // Mint creation slot + deployer (bundle analysis)
+  const [devWallets, setDevWallets] = useState([]); // Creator, authorities, creator's funder [{ address, roles }]
 
   // Detailed loading status for progress indicator
   const [loadingStatus, setLoadingStatus] = useState({
@@ -85,12 +114,47 @@ export function useWalletTracker() {
   const fetchTimeoutRef = useRef(null); // For debouncing
   const abortControllerRef = useRef(null); // For cancelling fetches
   const forceFullFetchRef = useRef(false); // Force full fetch after clearing data
-
-  // Load projects on mount
+  const liveStatusRef = useRef(LIVE_STATUS.OFF); // Polling pauses while the socket is live
+  const walletDataRef = useRef([]); // Latest rows for live updates
+  const walletsRef = useRef([]); // Latest tracked wallets (holder discovery marks them)
+  const fetchDataRef = useRef(null); // Latest fetchData for live resyncs
+  const tokenMintRef = useRef(''); // Latest token for async results (trade pricing)
+  const pricingMintRef = useRef(null); // Token whose trades are being priced (one run at a time)
+  const slotFillRef = useRef(false); // Slot backfill from the parsed-tx cache in flight
+  const traceAbortRef = useRef(null); // Running transfer trace (one at a time)
+  const fundingAbortRef = useRef(null); // Running funding-source scan
+  const holdersAbortRef = useRef(null); // Running top-holder discovery
+
+  // Load projects on mount (once older layouts are migrated)
   useEffect(() => {
-    setProjects(getProjects());
+    runMigrations().then(() => {
+      setMigrated(true);
+      return getProjects();
+    }).then(setProjects);
   }, []);
 
+  // Eviction policy from settings; the token on screen is never evicted
+  useEffect(() => {
+    configureStorageManager({ policy: settings.evictionPolicy, tokenMint });
+  }, [settings.evictionPolicy, tokenMint]);
+
+  // Balances 24h ago for the "change since yesterday" column (re-read after every update)
+  useEffect(() => {
+    if (!migrated || !tokenMint || wallets.length === 0) {
+      setBalancesDayAgo({});
+      return;
+    }
+
+    let cancelled = false;
+    const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+    getBalancesAt(tokenMint, wallets.map(w => w.address), dayAgo).then(balances => {
+      if (!cancelled) setBalancesDayAgo(balances);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [migrated, tokenMint, wallets, lastUpdated]);
+
   // Initialize from localStorage on mount
   // NEW: Uses efficient caching system for instant loading
   useEffect(() => {
@@ -109,70 +173,54 @@ export function useWalletTracker() {
       console.log('[useWalletTracker] Restored active project:', savedActiveProjectId);
     }
 
-    // INSTANT LOAD: Get cached data immediately using token mint
+    // INSTANT LOAD: Get cached data as soon as IndexedDB answers (before any fetch lands);
+    // migrations first, they fill the per-token caches from older layouts
     if (savedTokenMint) {
-      const cachedData = getInstantLoadData(savedTokenMint);
-
-      if (cachedData.hasData) {
-        console.log('[useWalletTracker] INSTANT LOAD from cache:', {
-          wallets: cachedData.walletData?.length || 0,
-          transactions: cachedData.transactions?.length || 0,
-          hasTokenInfo: !!cachedData.tokenInfo,
-          lastSync: cachedData.lastSync,
-        });
-
-        // Set cached wallet data immediately
-        if (cachedData.walletData?.length > 0) {
-          setWalletData(cachedData.walletData);
-          setLastUpdated(cachedData.lastSync.balances);
-        }
+      runMigrations().then(() => getInstantLoadData(savedTokenMint)).then((cachedData) => {
+        if (tokenMintRef.current !== savedTokenMint) return; // Switched tokens meanwhile
+
+        if (cachedData.hasData) {
+          console.log('[useWalletTracker] INSTANT LOAD from cache:', {
+            wallets: cachedData.walletData?.length || 0,
+            transactions: cachedData.transactions?.length || 0,
+            hasTokenInfo: !!cachedData.tokenInfo,
+            lastSync: cachedData.lastSync,
+          });
 
-        // Set cached transactions immediately (CRITICAL for activity display)
-        if (cachedData.transactions?.length > 0) {
-          setTransactions(cachedData.transactions);
-          console.log('[useWalletTracker] Restored', cachedData.transactions.length, 'cached transactions');
-        }
+          // Set cached wallet data immediately (unless a fetch got there first)
+          if (cachedData.walletData?.length > 0) {
+            setWalletData(prev => (prev.length > 0 ? prev : cachedData.walletData));
+            setLastUpdated(prev => prev || cachedData.lastSync.balances);
+          }
 
-        // Set cached token info immediately
-        if (cachedData.tokenInfo) {
-          setTokenInfo(cachedData.tokenInfo);
-        }
+          // Set cached transactions immediately (CRITICAL for activity display)
+          if (cachedData.transactions?.length > 0) {
+            setTransactions(prev => (prev.length > 0 ? prev : cachedData.transactions));
+            console.log('[useWalletTracker] Restored', cachedData.transactions.length, 'cached transactions');
+          }
 
-        // Load initial balances for change tracking
-        const savedInitials = loadInitialBalances(savedTokenMint);
-        if (Object.keys(savedInitials).length > 0) {
-          setInitialBalances(savedInitials);
-        }
-      } else {
-        // Fallback to old storage if no new cache
-        console.log('[useWalletTracker] No data cache, trying legacy storage...');
-        const savedWalletData = loadWalletData();
-        const savedTransactions = loadTransactions();
-
-        if (savedWalletData?.data) {
-          setWalletData(savedWalletData.data);
-          setLastUpdated(savedWalletData.timestamp);
-          // Migrate to new cache for future instant loads
-          cacheWalletBalances(savedTokenMint, savedWalletData.data);
-        }
+          // Set cached token info immediately
+          if (cachedData.tokenInfo) {
+            setTokenInfo(cachedData.tokenInfo);
+          }
 
-        if (savedTransactions?.length > 0) {
-          setTransactions(savedTransactions);
-          // Migrate to new cache for future instant loads
-          cacheTransactions(savedTokenMint, savedTransactions);
-          console.log('[useWalletTracker] Migrated', savedTransactions.length, 'transactions to new cache');
+          // Load initial balances for change tracking
+          const savedInitials = loadInitialBalances(savedTokenMint);
+          if (Object.keys(savedInitials).length > 0) {
+            setInitialBalances(savedInitials);
+          }
         }
-      }
+      });
     }
 
     // Create connection
-    connectionRef.current = createConnection(savedSettings.heliusApiKey);
+    connectionRef.current = createConnection(savedSettings.heliusApiKey, savedSettings.customRpcs || []);
   }, []);
 
-  // Update connection when API key changes
+  // Update connection when API key or custom RPC endpoints change
   useEffect(() => {
-    connectionRef.current = createConnection(settings.heliusApiKey);
-  }, [settings.heliusApiKey]);
+    connectionRef.current = createConnection(settings.heliusApiKey, settings.customRpcs || []);
+  }, [settings.heliusApiKey, settings.customRpcs]);
 
   // PERSIST active project ID for session continuity
   useEffect(() => {
@@ -265,8 +313,8 @@ export function useWalletTracker() {
     setError(null);
 
     try {
-      // Always ensure connection is fresh with current API key
-      connectionRef.current = createConnection(settings.heliusApiKey);
+      // Always ensure connection is fresh with current API key and RPC pool
+      connectionRef.current = createConnection(settings.heliusApiKey, settings.customRpcs || []);
       const connection = connectionRef.current;
 
       // Check if we have API key for speed optimization
@@ -286,7 +334,7 @@ export function useWalletTracker() {
       });
 
       // Token info from DexScreener (free API, no rate limits)
-      const info = await getTokenInfo(tokenMint);
+      const info = await getTokenInfo(tokenMint, abortSignal);
 
       // Update token info immediately so user sees it
       setTokenInfo(prevInfo => {
@@ -313,6 +361,7 @@ export function useWalletTracker() {
         });
         if (info.price) {
           cacheTokenPrice(tokenMint, info.price, info.priceChange24h);
+          recordPriceSnapshot(tokenMint, info.price);
         }
       }
 
@@ -328,10 +377,8 @@ export function useWalletTracker() {
         detail: `Checking ${validWallets.length} wallets (rate limited)`,
       });
 
-      // Calculate rate limit parameters for time estimates
-      const BATCH_SIZE = hasApiKey ? 5 : 3;
-      const BATCH_DELAY_SEC = hasApiKey ? 2 : 0.5;
-      const totalBatches = Math.ceil(validWallets.length / BATCH_SIZE);
+      // Batch size and pace at the limiter's current rate, for time estimates
+      const { batchSize: BATCH_SIZE, secondsPerBatch: BATCH_DELAY_SEC } = getBalanceBatchPlan(connection, hasApiKey, settings.heliusApiKey);
 
       // STALE-WHILE-REVALIDATE: Only show pending placeholders on FULL load
       // During background refresh, keep showing existing data
@@ -408,11 +455,12 @@ export function useWalletTracker() {
         tokenMint,
         hasApiKey,
         settings.heliusApiKey,
-        onBalanceProgress
+        onBalanceProgress,
+        abortSignal
       );
 
       // Also fetch token metadata (quick call)
-      const metadata = await getTokenMetadata(connection, tokenMint);
+      const metadata = await getTokenMetadata(connection, tokenMint, abortSignal);
 
       setLoadingStatus({
         stage: 'balances',
@@ -486,6 +534,7 @@ export function useWalletTracker() {
 
       // NEW: Cache to efficient data cache system
       const cachedWallets = cacheWalletBalances(tokenMint, balances);
+      recordBalanceSnapshots(tokenMint, balances);
       console.log(`[useWalletTracker] Cached ${cachedWallets.length} wallet balances`);
 
       // Cache token metadata
@@ -497,7 +546,7 @@ export function useWalletTracker() {
       // Fetch on both initial load AND refresh (for incremental updates)
       if (validWallets.length > 0) {
         // INCREMENTAL FETCHING: Only fetch transactions newer than what we have
-        const existingTxs = loadTransactions() || [];
+        const existingTxs = await loadTransactions();
         const knownSignatures = new Set(existingTxs.map(tx => tx.signature));
 
         // Determine if this should be a FULL fetch or INCREMENTAL fetch
@@ -532,20 +581,66 @@ export function useWalletTracker() {
         // ========================================
         // PRIORITY 3: Fetch Transaction/Holder Data (Background)
         // ========================================
-        // Process wallets in batches with proper rate limiting
-        // Helius has 2-5 second rate limits between heavy calls
+        // Process wallets in batches for progress reporting
+        // Pacing comes from the adaptive rate limiter behind the RPC pool
         const hasApiKeyTx = settings.heliusApiKey && settings.heliusApiKey.trim() !== '';
 
-        // Rate-limited batch configuration
-        const TX_BATCH_SIZE = hasApiKeyTx ? 3 : 2;           // Small batches to respect limits
-        const TX_BATCH_DELAY = hasApiKeyTx ? 2500 : 1000;   // 2.5 sec delay for Helius, 1 sec for public
+        const TX_BATCH_SIZE = hasApiKeyTx ? 3 : 2;           // Wallets scanned concurrently
         const TX_PER_WALLET = isIncremental ? 10 : 20;       // Transactions per wallet
         const MAX_PAGES = isIncremental ? 1 : 3;             // Signature pages to check
 
         const allTxResults = [];
         const totalBatches = Math.ceil(validWallets.length / TX_BATCH_SIZE);
+        const useMintIndex = settings.txIndexMode === 'mint';
+
+        // MINT INDEX MODE: one scan of the pool/bonding curve/mint covers every wallet
+        if (useMintIndex) {
+          const MINT_PAGES = isIncremental ? 2 : 10;         // Signature pages per index source
+          const sources = getMintIndexSources(tokenMint, info);
+
+          setLoadingStatus({
+            stage: 'transactions',
+            message: isIncremental ? 'Checking for new activity...' : 'Indexing token activity...',
+            progress: 50,
+            detail: `Scanning ${sources.map(s => s.kind).join(', ')} signatures`,
+          });
+
+          const { transactions: mintTxs, untrackedActivity: untracked } = await getMintTransactions(
+            connection,
+            tokenMint,
+            validWallets.map(w => w.address),
+            {
+              sources,
+              maxPages: MINT_PAGES,
+              sinceTimestamp,
+              knownSignatures,
+              signal: abortSignal,
+              onProgress: ({ fetched, total }) => {
+                if (abortSignal.aborted) return;
+                setLoadingStatus({
+                  stage: 'transactions',
+                  message: isIncremental ? 'Checking for new activity...' : 'Indexing token activity...',
+                  progress: 50 + Math.round((fetched / total) * 45),
+                  detail: `Parsed ${fetched} of ${total} token transactions`,
+                });
+              },
+            }
+          );
+
+          if (abortSignal.aborted) {
+            console.log('[Transactions] Fetch cancelled by user');
+            throw new Error('Fetch cancelled');
+          }
+
+          console.log(`[Transactions] Mint index: ${mintTxs.length} txs for tracked wallets, ${untracked.length} untracked wallets active`);
+          allTxResults.push(mintTxs);
+          // Incremental scans only see the latest window - keep the earlier list when quiet
+          if (!isIncremental || untracked.length > 0) {
+            setUntrackedActivity(untracked);
+          }
+        }
 
-        for (let i = 0; i < validWallets.length; i += TX_BATCH_SIZE) {
+        for (let i = 0; i < validWallets.length && !useMintIndex; i += TX_BATCH_SIZE) {
           // Check if cancelled before each batch
           if (abortSignal.aborted) {
             console.log('[Transactions] Fetch cancelled by user');
@@ -572,9 +667,9 @@ export function useWalletTracker() {
               tokenMint,
               TX_PER_WALLET,
               MAX_PAGES,
-              false,
               sinceTimestamp,    // Stop when reaching known txs
-              knownSignatures    // Skip signatures we already have
+              knownSignatures,   // Skip signatures we already have
+              abortSignal        // Cancelled on project switch / cancel
             )
           );
 
@@ -603,11 +698,6 @@ export function useWalletTracker() {
           });
 
           allTxResults.push(...batchResults);
-
-          // Add delay between batches (except for last batch)
-          if (i + TX_BATCH_SIZE < validWallets.length) {
-            await new Promise(resolve => setTimeout(resolve, TX_BATCH_DELAY));
-          }
         }
 
         setLoadingStatus({
@@ -621,11 +711,12 @@ export function useWalletTracker() {
 
         if (newTxs.length > 0) {
           // NEW: Use efficient caching system with automatic deduplication
-          const cacheResult = cacheTransactions(tokenMint, newTxs);
+          const cacheResult = await cacheTransactions(tokenMint, newTxs);
           console.log(`[Transactions] Cached: ${cacheResult.added} new, ${cacheResult.total} total`);
 
           // Get merged transactions from cache (already deduplicated and sorted)
-          const cachedTxs = getCachedTransactions(tokenMint);
+          const cachedTxs = await getCachedTransactions(tokenMint);
+          if (abortSignal.aborted) throw new Error('Fetch cancelled');
           setTransactions(cachedTxs.transactions);
 
           // Also save to legacy storage for compatibility
@@ -639,18 +730,20 @@ export function useWalletTracker() {
       }
 
       // Cache data to active project for faster future loading
-      if (activeProjectId && balances.length > 0) {
+      if (activeProjectId && balances.length > 0 && !abortSignal.aborted) {
         updateProjectCachedData(activeProjectId, {
           walletData: balances,
-          transactions: loadTransactions(),
           tokenInfo: tokenInfo,
           initialBalances: initialBalances,
         });
       }
 
+      // Warn / evict before the browser storage runs full
+      checkStorage();
+
     } catch (err) {
-      // Don't show error for cancelled fetches
-      if (err.message === 'Fetch cancelled') {
+      // Don't show error for cancelled fetches (checked between batches or aborted in flight)
+      if (err.message === 'Fetch cancelled' || abortSignal.aborted) {
         console.log('[useWalletTracker] Fetch was cancelled');
         return; // Exit without setting error state
       }
@@ -663,21 +756,42 @@ export function useWalletTracker() {
         detail: err.message,
       });
     } finally {
-      setIsLoading(false);
-      setIsRefreshing(false);
-      isFetchingRef.current = false;
-      abortControllerRef.current = null;
-      // Clear loading status after a brief delay to show completion
-      setTimeout(() => {
-        setLoadingStatus({
-          stage: null,
-          message: '',
-          progress: 100,
-          detail: '',
-        });
-      }, 500);
+      // A cancelled fetch may finish after a newer one started - leave the newer one's state alone
+      const isCurrentFetch = !abortControllerRef.current || abortControllerRef.current.signal === abortSignal;
+      if (isCurrentFetch) {
+        setIsLoading(false);
+        setIsRefreshing(false);
+        isFetchingRef.current = false;
+        abortControllerRef.current = null;
+        // Clear loading status after a brief delay to show completion
+        setTimeout(() => {
+          setLoadingStatus({
+            stage: null,
+            message: '',
+            progress: 100,
+            detail: '',
+          });
+        }, 500);
+      }
     }
-  }, [wallets, tokenMint, settings.heliusApiKey, isValidSolanaAddress]);
+  }, [wallets, tokenMint, settings.heliusApiKey, settings.customRpcs, settings.txIndexMode, isValidSolanaAddress]);
+
+  // Keep refs current for live-update callbacks
+  useEffect(() => {
+    walletDataRef.current = walletData;
+  }, [walletData]);
+
+  useEffect(() => {
+    walletsRef.current = wallets;
+  }, [wallets]);
+
+  useEffect(() => {
+    fetchDataRef.current = fetchData;
+  }, [fetchData]);
+
+  useEffect(() => {
+    tokenMintRef.current = tokenMint;
+  }, [tokenMint]);
 
   // Debounced fetch - waits 300ms before executing
   const debouncedFetch = useCallback((showLoading = true) => {
@@ -697,27 +811,34 @@ export function useWalletTracker() {
       clearInterval(refreshIntervalRef.current);
     }
 
-    if (tokenMint && wallets.length > 0 && settings.refreshInterval > 0) {
-      // IMPORTANT: Check localStorage directly because state might not be updated yet
+    let cancelled = false;
+
+    if (migrated && tokenMint && wallets.length > 0 && settings.refreshInterval > 0) {
+      // IMPORTANT: Check storage directly because state might not be updated yet
       // This ensures stale-while-revalidate works correctly on initial load
       const cachedWalletData = loadWalletData();
-      const cachedTransactions = loadTransactions();
-      const hasCachedData = (cachedWalletData?.data?.length > 0) || (cachedTransactions?.length > 0);
-
-      // Initial fetch:
-      // - If we have cached data, do a BACKGROUND refresh (stale-while-revalidate)
-      // - If no cached data, show loading state (first time load)
-      const showLoadingState = !hasCachedData;
-      console.log(`[Fetch] Initial fetch - cached data: ${hasCachedData}, showing loading: ${showLoadingState}`);
-      fetchData(showLoadingState);
+      loadTransactions().then(cachedTransactions => {
+        if (cancelled) return;
+        const hasCachedData = (cachedWalletData?.data?.length > 0) || (cachedTransactions.length > 0);
+
+        // Initial fetch:
+        // - If we have cached data, do a BACKGROUND refresh (stale-while-revalidate)
+        // - If no cached data, show loading state (first time load)
+        const showLoadingState = !hasCachedData;
+        console.log(`[Fetch] Initial fetch - cached data: ${hasCachedData}, showing loading: ${showLoadingState}`);
+        fetchData(showLoadingState);
+      });
 
       // Set up interval for background refreshes
+      // In live mode the interval is the fallback: it only runs while the socket is down
       refreshIntervalRef.current = setInterval(() => {
+        if (liveStatusRef.current === LIVE_STATUS.LIVE) return;
         fetchData(false); // Always background refresh on interval
       }, settings.refreshInterval * 1000);
     }
 
     return () => {
+      cancelled = true;
       if (refreshIntervalRef.current) {
         clearInterval(refreshIntervalRef.current);
       }
@@ -725,7 +846,205 @@ export function useWalletTracker() {
         clearTimeout(fetchTimeoutRef.current);
       }
     };
-  }, [tokenMint, wallets.length, settings.refreshInterval, fetchData]);
+  }, [migrated, tokenMint, wallets.length, settings.refreshInterval, fetchData]);
+
+  // ========================================
+  // LIVE MODE: WebSocket push updates
+  // ========================================
+  // Each tracked wallet's token account is subscribed; a change updates only
+  // that row and pulls the signature that caused it
+  const liveWalletKey = wallets.map(w => w.address).join(',');
+
+  useEffect(() => {
+    const updateLiveStatus = (status) => {
+      liveStatusRef.current = status;
+      setLiveStatus(status);
+    };
+
+    if (!migrated || !settings.liveMode || !tokenMint || !isValidSolanaAddress(tokenMint)) {
+      updateLiveStatus(LIVE_STATUS.OFF);
+      return;
+    }
+
+    const liveWallets = wallets
+      .map(w => w.address)
+      .filter(address => isValidSolanaAddress(address));
+    if (liveWallets.length === 0) {
+      updateLiveStatus(LIVE_STATUS.OFF);
+      return;
+    }
+
+    // Pulls still in flight when the session ends are cancelled
+    const liveAbort = new AbortController();
+
+    // Pull the transaction behind a balance change (newest unknown token tx)
+    const pullNewTransactions = async (address) => {
+      const knownSignatures = new Set((await loadTransactions()).map(tx => tx.signature));
+      const newTxs = await getWalletTransactions(
+        connectionRef.current,
+        address,
+        tokenMint,
+        1,
+        1,
+        null,
+        knownSignatures,
+        liveAbort.signal
+      );
+      if (newTxs.length === 0) return;
+
+      const cacheResult = await cacheTransactions(tokenMint, newTxs);
+      console.log(`[Live] ${address.slice(0, 8)}...: ${cacheResult.added} new tx`);
+      const cachedTxs = await getCachedTransactions(tokenMint);
+      if (liveAbort.signal.aborted) return;
+      setTransactions(cachedTxs.transactions);
+      saveTransactions(cachedTxs.transactions);
+    };
+
+    const handleLiveBalance = ({ address, balance, decimals, uiBalance }) => {
+      const existing = walletDataRef.current.find(w => w.address === address);
+      if (!existing || existing.uiBalance === uiBalance) return;
+
+      const now = new Date().toISOString();
+      const updatedRow = {
+        ...existing,
+        balance,
+        decimals,
+        uiBalance,
+        previousBalance: existing.uiBalance,
+        error: undefined,
+        status: undefined,
+        lastUpdated: now,
+      };
+
+      setPreviousBalances(prev => ({ ...prev, [address]: existing.uiBalance || 0 }));
+      setWalletData(prev => prev.map(w => (w.address === address ? { ...w, ...updatedRow } : w)));
+      setLastUpdated(now);
+      cacheWalletBalances(tokenMint, [updatedRow]);
+      recordBalanceSnapshots(tokenMint, [updatedRow]);
+
+      // First time this wallet holds the token - record its initial balance
+      if (uiBalance > 0 && loadInitialBalances(tokenMint)[address] === undefined) {
+        saveInitialBalances(tokenMint, { [address]: uiBalance });
+        setInitialBalances(prev => ({ ...prev, [address]: uiBalance }));
+      }
+
+      pullNewTransactions(address).catch(err => {
+        if (liveAbort.signal.aborted) return;
+        console.error('[Live] Failed to pull new transactions:', err.message);
+      });
+    };
+
+    const stopLive = startLiveUpdates({
+      wallets: liveWallets,
+      tokenMint,
+      onBalance: handleLiveBalance,
+      onStatusChange: updateLiveStatus,
+      // Socket was down - catch up on anything that was not pushed
+      onResync: () => fetchDataRef.current?.(false),
+    });
+
+    return () => {
+      liveAbort.abort();
+      stopLive();
+    };
+  }, [migrated, settings.liveMode, settings.heliusApiKey, settings.customRpcs, tokenMint, liveWalletKey, isValidSolanaAddress]);
+
+  // ========================================
+  // TRADE PRICING: SOL/USD execution prices for cost basis
+  // ========================================
+  // Trades reach state unpriced from every path (fetch, live, backfill, older caches),
+  // so they are priced here in one place. The state update re-runs this for trades
+  // that arrived while a run was in flight; failed runs retry on the next change.
+  useEffect(() => {
+    if (!migrated || !tokenMint || pricingMintRef.current) return;
+    const unpriced = transactions.filter(needsUsdPrice);
+    if (unpriced.length === 0) return;
+
+    const mint = tokenMint;
+    pricingMintRef.current = mint;
+
+    attachUsdPrices(unpriced)
+      .then(priced => {
+        const updated = priced.filter(tx => !needsUsdPrice(tx));
+        if (updated.length === 0) return;
+
+        updateCachedTransactions(mint, updated);
+        if (tokenMintRef.current !== mint) return; // Switched tokens meanwhile
+
+        const bySignature = new Map(updated.map(tx => [tx.signature, tx]));
+        setTransactions(prev => {
+          const merged = prev.map(tx => bySignature.get(tx.signature) || tx);
+          saveTransactions(merged);
+          return merged;
+        });
+        console.log(`[Pricing] Priced ${updated.length} trades`);
+      })
+      .catch(error => console.warn('[Pricing] SOL/USD history unavailable:', error.message))
+      .finally(() => {
+        pricingMintRef.current = null;
+      });
+  }, [migrated, transactions, tokenMint]);
+
+  // ========================================
+  // LAUNCH ANALYSIS: Creation slot + slots of older transactions
+  // ========================================
+
+  // Look up the mint's creation (once per token - cached for good)
+  useEffect(() => {
+    setLaunchInfo(null);
+    if (!tokenMint || !connectionRef.current) return;
+
+    const cached = getCachedLaunchInfo(tokenMint);
+    if (cached) {
+      setLaunchInfo(cached);
+      return;
+    }
+
+    const mint = tokenMint;
+    const controller = new AbortController();
+    getLaunchInfo(connectionRef.current, mint, controller.signal)
+      .then(launch => {
+        cacheLaunchInfo(mint, launch);
+        setLaunchInfo(launch);
+      })
+      .catch(error => {
+        if (!controller.signal.aborted) console.warn('[Launch] Creation lookup failed:', error.message);
+      });
+    return () => controller.abort();
+  }, [tokenMint]);
+
+  // Transactions cached before slots were recorded: read slot and Jito tip from the
+  // parsed-tx cache (no network); not found = null, so they aren't looked up again
+  useEffect(() => {
+    if (!migrated || !tokenMint || slotFillRef.current) return;
+    const missing = transactions.filter(tx => tx.slot === undefined && tx.signature);
+    if (missing.length === 0) return;
+
+    const mint = tokenMint;
+    slotFillRef.current = true;
+
+    getCachedParsedTransactions(missing.map(tx => tx.signature))
+      .then(found => {
+        const updated = missing.map(tx => {
+          const raw = found.get(tx.signature);
+          return { ...tx, slot: raw?.slot ?? null, jitoTip: raw ? hasJitoTip(raw) : !!tx.jitoTip };
+        });
+
+        updateCachedTransactions(mint, updated);
+        if (tokenMintRef.current !== mint) return;
+
+        const bySignature = new Map(updated.map(tx => [tx.signature, tx]));
+        setTransactions(prev => {
+          const merged = prev.map(tx => bySignature.get(tx.signature) || tx);
+          saveTransactions(merged);
+          return merged;
+        });
+        console.log(`[Launch] Filled slots for ${updated.length} transactions (${found.size} from cache)`);
+      })
+      .finally(() => {
+        slotFillRef.current = false;
+      });
+  }, [migrated, transactions, tokenMint]);
 
   // Auto-save project when fresh token data comes in
   // This keeps the saved project up-to-date with latest price/marketCap
@@ -735,6 +1054,7 @@ export function useWalletTracker() {
     // 2. Token info is loaded (not preview)
     // 3. We have real data (price > 0 or marketCap > 0)
     if (
+      migrated &&
       activeProjectId &&
       tokenMint &&
       tokenInfo &&
@@ -742,7 +1062,7 @@ export function useWalletTracker() {
       (tokenInfo.price > 0 || tokenInfo.marketCap > 0)
     ) {
       console.log('[Auto-save] Updating project with fresh token data');
-      const updatedProject = saveProject({
+      saveProject({
         id: activeProjectId,
         tokenMint,
         tokenName: tokenInfo.name,
@@ -750,13 +1070,13 @@ export function useWalletTracker() {
         tokenImage: tokenInfo.image,
         marketCap: tokenInfo.marketCap,
         wallets,
+      }).then(async (updatedProject) => {
+        if (updatedProject) {
+          setProjects(await getProjects());
+        }
       });
-
-      if (updatedProject) {
-        setProjects(getProjects());
-      }
     }
-  }, [activeProjectId, tokenMint, tokenInfo, wallets]);
+  }, [migrated, activeProjectId, tokenMint, tokenInfo, wallets]);
 
   // Add wallets from file upload
   const addWallets = useCallback((newWallets) => {
@@ -772,6 +1092,40 @@ export function useWalletTracker() {
     });
   }, []);
 
+  // Find the dev wallets once the creator is known (once per token - cached with the
+  // launch info) and track them; a dev wallet the user removes is not re-added
+  useEffect(() => {
+    setDevWallets([]);
+    if (!tokenMint || !launchInfo || !connectionRef.current) return;
+    // Right after a token switch launchInfo still belongs to the previous token
+    if (getCachedLaunchInfo(tokenMint)?.scannedAt !== launchInfo.scannedAt) return;
+
+    if (launchInfo.devWallets) {
+      setDevWallets(launchInfo.devWallets);
+      return;
+    }
+
+    const mint = tokenMint;
+    const connection = connectionRef.current;
+    const controller = new AbortController();
+    getTokenMetadata(connection, mint, controller.signal)
+      .then(mintInfo => findDevWallets(connection, {
+        mintInfo: mintInfo.error ? null : mintInfo,
+        launch: launchInfo,
+        signal: controller.signal,
+      }))
+      .then(found => {
+        cacheLaunchInfo(mint, { ...launchInfo, devWallets: found });
+        if (tokenMintRef.current !== mint) return;
+        setDevWallets(found);
+        addWallets(found.map(toDevTrackedWallet));
+      })
+      .catch(error => {
+        if (!controller.signal.aborted) console.warn('[DevWallets] Lookup failed:', error.message);
+      });
+    return () => controller.abort();
+  }, [tokenMint, launchInfo, addWallets]);
+
   // Replace all wallets (for re-importing Excel)
   const replaceWallets = useCallback((newWallets) => {
     // Clear API cache first
@@ -782,6 +1136,7 @@ export function useWalletTracker() {
     // Clear old wallet data AND transactions from BOTH state and localStorage
     setWalletData([]);
     setTransactions([]);
+    setUntrackedActivity([]);
     saveWalletData([]); // Clear wallet data from localStorage
     saveTransactions([]); // Clear transactions from localStorage
     // Reset other state
@@ -794,17 +1149,32 @@ export function useWalletTracker() {
 
   // Remove a wallet
   const removeWallet = useCallback((walletId) => {
+    const removed = wallets.find(w => w.id === walletId);
+    if (removed && tokenMint) {
+      stopBackfill(tokenMint, removed.address);
+      clearBackfillCheckpoint(tokenMint, removed.address);
+      setBackfillProgress(prev => {
+        const { [removed.address]: _, ...rest } = prev;
+        return rest;
+      });
+    }
+
     setWallets(prev => {
       const updated = prev.filter(w => w.id !== walletId);
       saveWallets(updated);
       return updated;
     });
     setWalletData(prev => prev.filter(w => w.id !== walletId));
-  }, []);
+  }, [wallets, tokenMint]);
 
   // Update token mint
   // Now accepts optional previewData to show token info immediately
   const updateTokenMint = useCallback((mint, previewData = null) => {
+    // Cancel everything still running for the previous token so late results can't land here
+    clearTimeout(fetchTimeoutRef.current);
+    cancelFetch();
+    stopAllBackfills();
+
     // Clear API cache when switching tokens
     clearCache();
 
@@ -814,6 +1184,7 @@ export function useWalletTracker() {
     // Clear old data from BOTH state AND localStorage to force full fetch
     setWalletData([]);
     setTransactions([]);
+    setUntrackedActivity([]);
     saveWalletData([]); // Clear wallet data from localStorage
     saveTransactions([]); // Clear transactions from localStorage
 
@@ -840,13 +1211,13 @@ export function useWalletTracker() {
     // Force next fetch to be a full fetch
     forceFullFetchRef.current = true;
     console.log('[updateTokenMint] Cleared all data and set forceFullFetch flag');
-  }, []);
+  }, [cancelFetch]);
 
   // Save current state as a project
-  const saveCurrentProject = useCallback(() => {
+  const saveCurrentProject = useCallback(async () => {
     if (!tokenMint || !tokenInfo) return null;
 
-    const project = saveProject({
+    const project = await saveProject({
       id: activeProjectId,
       tokenMint,
       tokenName: tokenInfo.name,
@@ -858,27 +1229,34 @@ export function useWalletTracker() {
 
     if (project) {
       setActiveProjectId(project.id);
-      setProjects(getProjects());
+      setProjects(await getProjects());
     }
 
     return project;
   }, [tokenMint, tokenInfo, wallets, activeProjectId]);
 
   // Load a saved project
-  const loadProject = useCallback((project) => {
+  const loadProject = useCallback(async (project) => {
+    // Cancel everything still running for the previous project so late results can't land here
+    clearTimeout(fetchTimeoutRef.current);
+    cancelFetch();
+    stopAllBackfills();
+
     // Clear API cache when switching projects
     clearCache();
 
     setActiveProjectId(project.id);
     setTokenMint(project.tokenMint);
     saveTokenMint(project.tokenMint);
+    setUntrackedActivity([]);
 
     // Load project's wallets
     setWallets(project.wallets || []);
     saveWallets(project.wallets || []);
 
     // PRIORITY 1: Check new efficient data cache first (instant loading)
-    const instantData = getInstantLoadData(project.tokenMint);
+    const instantData = await getInstantLoadData(project.tokenMint);
+    if (tokenMintRef.current !== project.tokenMint) return; // Another project was opened meanwhile
 
     if (instantData.hasData && instantData.walletData?.length > 0) {
       console.log('[loadProject] INSTANT LOAD from dataCache:', {
@@ -905,7 +1283,8 @@ export function useWalletTracker() {
       forceFullFetchRef.current = false;
     } else {
       // PRIORITY 2: Fallback to old project cache
-      const cachedData = getProjectCachedData(project.id);
+      const cachedData = await getProjectCachedData(project.id);
+      if (tokenMintRef.current !== project.tokenMint) return;
 
       if (cachedData?.walletData && cachedData.walletData.length > 0) {
         console.log('[loadProject] Using project cache for instant display');
@@ -915,10 +1294,10 @@ export function useWalletTracker() {
         // Also populate new data cache for future instant loads
         cacheWalletBalances(project.tokenMint, cachedData.walletData);
 
-        if (cachedData.transactions) {
-          setTransactions(cachedData.transactions);
-          saveTransactions(cachedData.transactions);
-          cacheTransactions(project.tokenMint, cachedData.transactions);
+        // Transactions live in the token store (not in the project) since schema v2
+        if (instantData.transactions?.length > 0) {
+          setTransactions(instantData.transactions);
+          saveTransactions(instantData.transactions);
         }
 
         if (cachedData.initialBalances) {
@@ -959,12 +1338,12 @@ export function useWalletTracker() {
     }
 
     setTokenMetadata(null);
-  }, []);
+  }, [cancelFetch]);
 
   // Delete a project
-  const deleteProject = useCallback((projectId) => {
-    deleteProjectFromStorage(projectId);
-    setProjects(getProjects());
+  const deleteProject = useCallback(async (projectId) => {
+    await deleteProjectFromStorage(projectId);
+    setProjects(await getProjects());
 
     // If deleting active project, clear state
     if (projectId === activeProjectId) {
@@ -972,6 +1351,11 @@ export function useWalletTracker() {
     }
   }, [activeProjectId]);
 
+  // Re-read saved projects (after storage cleanup deleted some)
+  const reloadProjects = useCallback(async () => {
+    setProjects(await getProjects());
+  }, []);
+
   // Update settings
   const updateSettings = useCallback((newSettings) => {
     setSettings(prev => {
@@ -989,43 +1373,164 @@ export function useWalletTracker() {
     fetchData(true);
   }, [fetchData]);
 
-  // Deep fetch transactions for a specific wallet (to find source of funds)
+  // ========================================
+  // BACKFILL: Resumable full-history fetch per wallet
+  // ========================================
+
+  // Load saved backfill progress for the token
+  useEffect(() => {
+    setBackfillProgress(tokenMint ? getBackfillCheckpoints(tokenMint) : {});
+  }, [tokenMint]);
+
+  // Start (or resume) the full-history backfill of a wallet (to find source of funds)
   const deepFetchWalletHistory = useCallback(async (walletAddress) => {
-    if (!tokenMint) return [];
+    if (!tokenMint) return null;
 
+    const mint = tokenMint;
     const connection = connectionRef.current;
-    console.log(`[Deep Fetch] Starting deep history fetch for ${walletAddress}`);
-
-    try {
-      const deepTxs = await deepFetchWalletTransactions(connection, walletAddress, tokenMint);
-      console.log(`[Deep Fetch] Found ${deepTxs.length} transactions for ${walletAddress}`);
 
-      if (deepTxs.length > 0) {
-        // Merge with existing transactions (avoiding duplicates)
+    return runBackfill(connection, walletAddress, mint, {
+      onProgress: (checkpoint) => {
+        if (tokenMintRef.current !== mint) return;
+        setBackfillProgress(prev => ({ ...prev, [walletAddress]: checkpoint }));
+      },
+      onTransactions: (newTxs) => {
+        // Persist to the token cache, then merge into state (avoiding duplicates)
+        cacheTransactions(mint, newTxs);
+        if (tokenMintRef.current !== mint) return;
         setTransactions(prev => {
           const existingSignatures = new Set(prev.map(tx => tx.signature));
-          const newTxs = deepTxs.filter(tx => !existingSignatures.has(tx.signature));
-
-          if (newTxs.length > 0) {
-            const merged = [...prev, ...newTxs].sort((a, b) =>
-              new Date(b.timestamp) - new Date(a.timestamp)
-            );
-            saveTransactions(merged);
-            return merged;
-          }
-          return prev;
+          const added = newTxs.filter(tx => !existingSignatures.has(tx.signature));
+          if (added.length === 0) return prev;
+
+          const merged = [...prev, ...added].sort((a, b) =>
+            new Date(b.timestamp) - new Date(a.timestamp)
+          );
+          saveTransactions(merged);
+          return merged;
         });
-      }
+      },
+    });
+  }, [tokenMint]);
 
-      return deepTxs;
-    } catch (err) {
-      console.error('[Deep Fetch] Error:', err);
-      return [];
+  // Pause a wallet's backfill - its checkpoint keeps the position
+  const stopWalletBackfill = useCallback((walletAddress) => {
+    if (!tokenMint) return;
+    stopBackfill(tokenMint, walletAddress);
+  }, [tokenMint]);
+
+  // Resume jobs that were still running when the tab was closed
+  useEffect(() => {
+    if (!migrated || !tokenMint || wallets.length === 0 || !connectionRef.current) return;
+
+    const tracked = new Set(wallets.map(w => w.address));
+    Object.entries(getBackfillCheckpoints(tokenMint))
+      .filter(([address, checkpoint]) =>
+        checkpoint.status === BACKFILL_STATUS.RUNNING &&
+        tracked.has(address) &&
+        !isBackfillRunning(tokenMint, address)
+      )
+      .forEach(([address]) => {
+        console.log(`[Backfill] Resuming interrupted job for ${address.slice(0, 8)}...`);
+        deepFetchWalletHistory(address);
+      });
+  }, [migrated, tokenMint, wallets, deepFetchWalletHistory]);
+
+  // ========================================
+  // TRANSFER TRACING: Where a wallet's outgoing transfers ended up
+  // ========================================
+
+  // Trace a wallet's outgoing transfers through up to maxHops wallets
+  // Starting a new trace cancels the running one
+  const traceWalletTransfers = useCallback(async (walletAddress, maxHops) => {
+    if (!tokenMint || !connectionRef.current) return [];
+
+    traceAbortRef.current?.abort();
+    const controller = new AbortController();
+    traceAbortRef.current = controller;
+
+    try {
+      return await traceTransfers(connectionRef.current, walletAddress, tokenMint, {
+        transactions,
+        trackedWallets: wallets,
+        maxHops,
+        signal: controller.signal,
+      });
+    } finally {
+      if (traceAbortRef.current === controller) traceAbortRef.current = null;
     }
+  }, [tokenMint, transactions, wallets]);
+
+  // A trace belongs to its token - cancel it on token/project switch
+  useEffect(() => {
+    return () => traceAbortRef.current?.abort();
+  }, [tokenMint]);
+
+  // ========================================
+  // HOLDER DISCOVERY: Top holders to start tracking
+  // ========================================
+
+  // Largest holders of the token, each marked tracked or not (added via addWallets)
+  // Stable per token: wallet changes (e.g. dev wallets auto-added) must not restart an open discovery
+  const discoverTopHolders = useCallback(async () => {
+    if (!tokenMint || !connectionRef.current) return [];
+
+    holdersAbortRef.current?.abort();
+    const controller = new AbortController();
+    holdersAbortRef.current = controller;
+
+    try {
+      const holders = await discoverHolders(connectionRef.current, tokenMint, controller.signal);
+      const tracked = new Set(walletsRef.current.map(w => w.address.toLowerCase()));
+      return holders.map(holder => ({ ...holder, tracked: tracked.has(holder.address.toLowerCase()) }));
+    } finally {
+      if (holdersAbortRef.current === controller) holdersAbortRef.current = null;
+    }
+  }, [tokenMint]);
+
+  // Discovery belongs to its token - cancel it on token/project switch
+  useEffect(() => {
+    return () => holdersAbortRef.current?.abort();
+  }, [tokenMint]);
+
+  // ========================================
+  // WALLET CLUSTERS: Funding sources of tracked wallets
+  // ========================================
+
+  // Look up funding sources of tracked wallets not scanned yet (cached for good)
+  const scanWalletFunding = useCallback(async () => {
+    if (!connectionRef.current || wallets.length === 0 || fundingAbortRef.current) return;
+
+    const controller = new AbortController();
+    fundingAbortRef.current = controller;
+    setFundingScan({ done: 0, total: 0 });
+
+    try {
+      const funding = await scanFundingSources(connectionRef.current, wallets.map(w => w.address), {
+        signal: controller.signal,
+        onProgress: ({ done, total, funding: partial }) => {
+          setFundingScan({ done, total });
+          setFundingSources(partial);
+        },
+      });
+      setFundingSources(funding);
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error('[Clusters] Funding scan failed:', error);
+      }
+    } finally {
+      fundingAbortRef.current = null;
+      setFundingScan(null);
+    }
+  }, [wallets]);
+
+  // Stop a running scan on project switch (finished wallets stay cached)
+  useEffect(() => {
+    return () => fundingAbortRef.current?.abort();
   }, [tokenMint]);
 
   // Clear all data (but preserve settings like API key)
-  const clearAll = useCallback(() => {
+  const clearAll = useCallback(async () => {
     clearCache(); // Clear API cache
 
     // Preserve settings before clearing
@@ -1034,12 +1539,12 @@ export function useWalletTracker() {
     // Delete active project if there is one
     if (activeProjectId) {
       console.log('[clearAll] Deleting active project:', activeProjectId);
-      deleteProjectFromStorage(activeProjectId);
+      await deleteProjectFromStorage(activeProjectId);
     }
 
     // NEW: Clear data cache for current token
     if (tokenMint) {
-      clearTokenCache(tokenMint);
+      await clearTokenCache(tokenMint);
       console.log('[clearAll] Cleared data cache for:', tokenMint.slice(0, 8) + '...');
     }
 
@@ -1048,6 +1553,7 @@ export function useWalletTracker() {
     setTokenMint('');
     setWalletData([]);
     setTransactions([]);
+    setUntrackedActivity([]);
     setTokenInfo(null);
     setTokenMetadata(null);
     setActiveProjectId(null);
@@ -1068,7 +1574,7 @@ export function useWalletTracker() {
     }
 
     // Refresh projects list
-    setProjects(getProjects());
+    setProjects(await getProjects());
 
     // Force next fetch to be a full fetch
     forceFullFetchRef.current = true;
@@ -1094,6 +1600,13 @@ export function useWalletTracker() {
     totalHoldings,
     totalValue,
     settings,
+    liveStatus,
+    backfillProgress,
+    untrackedActivity,
+    fundingSources,
+    fundingScan,
+    launchInfo,
+    devWallets,
 
     // Project state
     projects,
@@ -1105,6 +1618,7 @@ export function useWalletTracker() {
     loadingStatus,
     error,
     lastUpdated,
+    balancesDayAgo,
 
     // Wallet actions
     addWallets,
@@ -1118,6 +1632,7 @@ export function useWalletTracker() {
     saveCurrentProject,
     loadProject,
     deleteProject,
+    reloadProjects,
 
     // Settings & misc
     updateSettings,
@@ -1125,5 +1640,9 @@ export function useWalletTracker() {
     cancelFetch,
     clearAll,
     deepFetchWalletHistory,
+    stopWalletBackfill,
+    traceWalletTransfers,
+    scanWalletFunding,
+    discoverTopHolders,
   };
 }
@@ -0,0 +1,219 @@
+/**
+ * App Database
+ * IndexedDB home of the data that outgrew localStorage: token transactions, saved
+ * projects and the current view's transaction list
+ *
+ * Architecture:
+ * - transactions: one record per token + signature; indexed by token, token + wallet,
+ *   token + type and token + timestamp, so each token's history is its own key range
+ * - projects: saved projects by id (with their cached wallet data / transactions)
+ * - session: the current view's transactions (storage.js)
+ * - snapshots (version 2): balance / price time series buckets (balanceSeries.js)
+ * - The first open migrates the old localStorage blobs (cwt_cache_transactions,
+ *   cwt_transactions, cwt_projects) inside the upgrade transaction; the keys are removed
+ *   once it commits, so a failed migration leaves them in place for the next load
+ * - IndexedDB unavailable (private mode, old browser) = reads come back empty, writes are dropped
+ * - Quota errors from any store or localStorage write are reported to onQuotaExceeded()
+ *   listeners (storageManager.js evicts and warns)
+ */
+
+const DB_NAME = 'cwt_data';
+const DB_VERSION = 2;
+
+export const STORES = {
+  TRANSACTIONS: 'transactions', // [tokenMint, signature] -> { ...tx, tokenMint }
+  PROJECTS: 'projects',         // id -> project
+  SESSION: 'session',           // key -> { key, data, timestamp }
+  SNAPSHOTS: 'snapshots',       // [tokenMint, series, resolution, bucket] -> bucket record
+};
+
+export const TX_INDEXES = {
+  TOKEN: 'tokenMint',
+  WALLET: 'tokenWallet',        // [tokenMint, walletAddress]
+  TYPE: 'tokenType',            // [tokenMint, type]
+  TIMESTAMP: 'tokenTimestamp',  // [tokenMint, timestamp]
+};
+
+export const SNAPSHOT_INDEXES = {
+  RESOLUTION: 'resolutionBucket', // [resolution, bucket] - retention pruning
+};
+
+// localStorage blobs moved here on the first open
+const LEGACY_KEYS = {
+  TX_CACHE: 'cwt_cache_transactions',
+  TRANSACTIONS: 'cwt_transactions',
+  PROJECTS: 'cwt_projects',
+};
+
+let dbPromise = null;
+const quotaListeners = new Set();
+
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Did a write fail because the origin is out of storage?
+ */
+export function isQuotaError(error) {
+  return error?.name === 'QuotaExceededError' ||
+    error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error?.code === 22;
+}
+
+/**
+ * Listen for failed writes (listener receives the store / localStorage key that failed)
+ * Returns an unsubscribe function
+ */
+export function onQuotaExceeded(listener) {
+  quotaListeners.add(listener);
+  return () => quotaListeners.delete(listener);
+}
+
+/**
+ * Pass a write error on to the quota listeners if it is a quota error
+ * Returns true when it was one
+ */
+export function reportQuotaError(source, error) {
+  if (!isQuotaError(error)) return false;
+  console.warn(`[AppDb] Storage quota exceeded writing ${source}`);
+  quotaListeners.forEach(listener => listener(source));
+  return true;
+}
+
+/**
+ * Key range of everything under one token in a [tokenMint, ...] compound index
+ * (arrays sort after every other key type, so [mint, []] closes the range)
+ */
+export function tokenRange(tokenMint, value) {
+  if (value !== undefined) return IDBKeyRange.only([tokenMint, value]);
+  return IDBKeyRange.bound([tokenMint], [tokenMint, []]);
+}
+
+function readLegacy(key) {
+  try {
+    const data = localStorage.getItem(key);
+    return data ? JSON.parse(data) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Copy the localStorage blobs into the new stores (runs inside the upgrade transaction)
+ */
+function migrateFromLocalStorage(transaction) {
+  const txStore = transaction.objectStore(STORES.TRANSACTIONS);
+  let transactions = 0;
+
+  Object.entries(readLegacy(LEGACY_KEYS.TX_CACHE) || {}).forEach(([tokenMint, tokenCache]) => {
+    (tokenCache?.transactions || [])
+      .filter(tx => tx?.signature)
+      .forEach(tx => {
+        txStore.put({ ...tx, tokenMint });
+        transactions++;
+      });
+  });
+
+  const session = readLegacy(LEGACY_KEYS.TRANSACTIONS);
+  if (session) {
+    transaction.objectStore(STORES.SESSION).put({
+      key: 'transactions',
+      data: session.data || [],
+      timestamp: session.timestamp || null,
+    });
+  }
+
+  const projects = (readLegacy(LEGACY_KEYS.PROJECTS) || []).filter(project => project?.id);
+  projects.forEach(project => transaction.objectStore(STORES.PROJECTS).put(project));
+
+  transaction.addEventListener('complete', () => {
+    Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+    console.log(`[AppDb] Migrated ${transactions} transactions and ${projects.length} projects from localStorage`);
+  });
+}
+
+export function openAppDb() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === 'undefined') {
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.TRANSACTIONS)) {
+        const txStore = db.createObjectStore(STORES.TRANSACTIONS, { keyPath: ['tokenMint', 'signature'] });
+        txStore.createIndex(TX_INDEXES.TOKEN, 'tokenMint');
+        txStore.createIndex(TX_INDEXES.WALLET, ['tokenMint', 'walletAddress']);
+        txStore.createIndex(TX_INDEXES.TYPE, ['tokenMint', 'type']);
+        txStore.createIndex(TX_INDEXES.TIMESTAMP, ['tokenMint', 'timestamp']);
+      }
+      if (!db.objectStoreNames.contains(STORES.PROJECTS)) {
+        db.createObjectStore(STORES.PROJECTS, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORES.SESSION)) {
+        db.createObjectStore(STORES.SESSION, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(STORES.SNAPSHOTS)) {
+        const snapshotStore = db.createObjectStore(STORES.SNAPSHOTS, {
+          keyPath: ['tokenMint', 'series', 'resolution', 'bucket'],
+        });
+        snapshotStore.createIndex(SNAPSHOT_INDEXES.RESOLUTION, ['resolution', 'bucket']);
+      }
+
+      if (event.oldVersion === 0) {
+        migrateFromLocalStorage(request.transaction);
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // A newer version opened in another tab - step aside so its upgrade can run
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onblocked = () => console.warn('[AppDb] Upgrade waiting for other tabs to close');
+    request.onerror = () => {
+      console.warn('[AppDb] IndexedDB unavailable - data is not persisted:', request.error?.message);
+      resolve(null);
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * Run a request against one store; null when IndexedDB is unavailable or the request fails
+ *
+ * @param {string} storeName - STORES value
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @param {string} mode - 'readonly' | 'readwrite'
+ */
+export async function runStoreRequest(storeName, makeRequest, mode = 'readonly') {
+  const db = await openAppDb();
+  if (!db) return null;
+
+  try {
+    const transaction = db.transaction(storeName, mode);
+    const result = await requestToPromise(makeRequest(transaction.objectStore(storeName)));
+    if (mode === 'readwrite') await transactionDone(transaction);
+    return result;
+  } catch (error) {
+    console.error(`[AppDb] ${storeName} ${mode === 'readwrite' ? 'write' : 'read'} failed:`, error?.message);
+    reportQuotaError(storeName, error);
+    return null;
+  }
+}
@@ -0,0 +1,247 @@
+/**
+ * Backfill Jobs
+ * Resumable full-history transaction backfill, one job per wallet
+ *
+ * Architecture:
+ * - Pages getSignaturesForAddress over the wallet's token accounts for the mint
+ *   (ATA + any other open account) until the first signature - the wallet's first
+ *   interaction with the mint - without paging through unrelated wallet activity
+ * - Checkpoint (next `before` signature per account + counters) saved in dataCache
+ *   after every page; a reload resumes from it
+ * - Jobs can be paused (AbortController) and resumed; completed jobs are not re-run
+ * - Transactions that fail to fetch are kept in the checkpoint (`retry`) and fetched again
+ *   once every account is walked; any still missing end the job as PARTIAL, which
+ *   Resume retries (only COMPLETE means nothing is missing)
+ *
+ * Checkpoint shape:
+ *   { status: 'running' | 'paused' | 'partial' | 'complete' | 'error',
+ *     sources: { [tokenAccount]: { before, done } },
+ *     retry: [{ signature, slot, blockTime }],
+ *     pages, signaturesScanned, txsFound, failedTxs (= retry.length), oldestTimestamp,
+ *     startedAt, updatedAt, completedAt, error }
+ */
+import { getProvider, PROVIDER_KINDS } from './dataProviders';
+import { withAbortSignal } from './rpcPool';
+import { getTokenTransfersForSignatures } from './solanaApi';
+import { getWalletTokenAccountAddresses } from './tokenAccounts';
+import {
+  getBackfillCheckpoint,
+  saveBackfillCheckpoint,
+  getCachedSignatures,
+} from './dataCache';
+
+export const BACKFILL_STATUS = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  PARTIAL: 'partial',   // Walked to the start, some transactions still unfetched
+  COMPLETE: 'complete',
+  ERROR: 'error',
+};
+
+// Signatures per page - one checkpoint per page
+const SIGNATURES_PER_PAGE = 100;
+
+// Passes over the failed transactions per run before ending as PARTIAL
+const RETRY_ROUNDS = 3;
+
+// `${tokenMint}:${walletAddress}` -> { controller, promise }
+const runningJobs = new Map();
+
+function jobKey(tokenMint, walletAddress) {
+  return `${tokenMint}:${walletAddress}`;
+}
+
+// What a retry needs from a getSignaturesForAddress entry
+function toRetryEntry(sig) {
+  return { signature: sig.signature, slot: sig.slot ?? null, blockTime: sig.blockTime ?? null };
+}
+
+function createCheckpoint(sources) {
+  return {
+    status: BACKFILL_STATUS.RUNNING,
+    sources: Object.fromEntries(sources.map(address => [address, { before: null, done: false }])),
+    retry: [],
+    pages: 0,
+    signaturesScanned: 0,
+    txsFound: 0,
+    failedTxs: 0,
+    oldestTimestamp: null,
+    startedAt: new Date().toISOString(),
+    completedAt: null,
+    error: null,
+  };
+}
+
+/**
+ * Is a backfill job running in this tab for the wallet?
+ */
+export function isBackfillRunning(tokenMint, walletAddress) {
+  return runningJobs.has(jobKey(tokenMint, walletAddress));
+}
+
+/**
+ * Pause a running job - its checkpoint keeps the position
+ */
+export function stopBackfill(tokenMint, walletAddress) {
+  const job = runningJobs.get(jobKey(tokenMint, walletAddress));
+  if (job) {
+    job.controller.abort();
+  }
+}
+
+/**
+ * Pause every running job (e.g. when switching projects)
+ */
+export function stopAllBackfills() {
+  runningJobs.forEach(job => job.controller.abort());
+}
+
+/**
+ * Start (or resume from its checkpoint) the full-history backfill of a wallet
+ * Calling it for a wallet that is already running returns the running job
+ *
+ * @param {Connection} connection - Solana connection
+ * @param {string} walletAddress - Wallet to backfill
+ * @param {string} tokenMint - Token mint address
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onProgress - (checkpoint) after every page
+ * @param {Function} callbacks.onTransactions - (transactions) new token txs found on a page
+ * @returns {Promise<Object>} Final checkpoint
+ */
+export function runBackfill(connection, walletAddress, tokenMint, { onProgress, onTransactions } = {}) {
+  const key = jobKey(tokenMint, walletAddress);
+  if (runningJobs.has(key)) {
+    return runningJobs.get(key).promise;
+  }
+
+  const controller = new AbortController();
+  const promise = walkHistory(connection, walletAddress, tokenMint, controller.signal, onProgress, onTransactions)
+    .finally(() => runningJobs.delete(key));
+
+  runningJobs.set(key, { controller, promise });
+  return promise;
+}
+
+async function walkHistory(connection, walletAddress, tokenMint, signal, onProgress, onTransactions) {
+  // Pausing aborts the page in flight; its checkpoint is only saved once a page completes
+  const ctx = { connection: withAbortSignal(connection, signal), signal };
+  const signatureProvider = getProvider(PROVIDER_KINDS.SIGNATURES, ctx);
+  const label = walletAddress.slice(0, 8);
+
+  let checkpoint = getBackfillCheckpoint(tokenMint, walletAddress);
+  if (checkpoint?.status === BACKFILL_STATUS.COMPLETE) {
+    return checkpoint;
+  }
+
+  const save = (changes) => {
+    checkpoint = saveBackfillCheckpoint(tokenMint, walletAddress, { ...checkpoint, ...changes });
+    onProgress?.(checkpoint);
+    return checkpoint;
+  };
+
+  try {
+    if (!checkpoint) {
+      const sources = await getWalletTokenAccountAddresses(ctx.connection, walletAddress, tokenMint);
+      checkpoint = createCheckpoint(sources);
+      console.log(`[Backfill] ${label}... starting - ${sources.length} token account(s)`);
+    } else {
+      console.log(`[Backfill] ${label}... resuming at page ${checkpoint.pages}`);
+    }
+    save({ status: BACKFILL_STATUS.RUNNING, error: null });
+
+    const knownSignatures = await getCachedSignatures(tokenMint);
+
+    for (const [account, source] of Object.entries(checkpoint.sources)) {
+      let before = source.before;
+      let done = source.done;
+
+      while (!done) {
+        if (signal.aborted) {
+          console.log(`[Backfill] ${label}... paused at page ${checkpoint.pages}`);
+          return save({ status: BACKFILL_STATUS.PAUSED });
+        }
+
+        const options = { limit: SIGNATURES_PER_PAGE };
+        if (before) options.before = before;
+        const signatures = await signatureProvider.getSignatures(ctx, account, options);
+
+        const { transactions, failedSignatures } = signatures.length > 0
+          ? await getTokenTransfersForSignatures(connection, walletAddress, tokenMint, signatures, knownSignatures, signal)
+          : { transactions: [], failedSignatures: [] };
+
+        if (transactions.length > 0) {
+          transactions.forEach(tx => knownSignatures.add(tx.signature));
+          onTransactions?.(transactions);
+        }
+
+        // Fewer than a full page = reached the account's first transaction
+        done = signatures.length < SIGNATURES_PER_PAGE;
+        before = signatures.length > 0 ? signatures[signatures.length - 1].signature : before;
+
+        const oldestBlockTime = signatures.length > 0 ? signatures[signatures.length - 1].blockTime : null;
+        const oldestTimestamp = oldestBlockTime
+          ? new Date(oldestBlockTime * 1000).toISOString()
+          : checkpoint.oldestTimestamp;
+
+        const retry = [...(checkpoint.retry || []), ...failedSignatures.map(toRetryEntry)];
+        save({
+          sources: { ...checkpoint.sources, [account]: { before, done } },
+          retry,
+          pages: checkpoint.pages + 1,
+          signaturesScanned: checkpoint.signaturesScanned + signatures.length,
+          txsFound: checkpoint.txsFound + transactions.length,
+          failedTxs: retry.length,
+          oldestTimestamp,
+        });
+      }
+    }
+
+    // Fetch what failed on the way down again
+    for (let round = 0; round < RETRY_ROUNDS && checkpoint.retry?.length > 0; round++) {
+      const pending = checkpoint.retry;
+      let stillFailed = [];
+
+      for (let i = 0; i < pending.length; i += SIGNATURES_PER_PAGE) {
+        if (signal.aborted) {
+          console.log(`[Backfill] ${label}... paused while retrying ${pending.length} failed transactions`);
+          return save({ status: BACKFILL_STATUS.PAUSED });
+        }
+
+        const chunk = pending.slice(i, i + SIGNATURES_PER_PAGE);
+        const { transactions, failedSignatures } = await getTokenTransfersForSignatures(
+          connection, walletAddress, tokenMint, chunk, knownSignatures, signal
+        );
+        if (transactions.length > 0) {
+          transactions.forEach(tx => knownSignatures.add(tx.signature));
+          onTransactions?.(transactions);
+        }
+        stillFailed = [...stillFailed, ...failedSignatures.map(toRetryEntry)];
+
+        // Checkpoint per chunk: fetched ones leave the list, the rest of the pass stays queued
+        const retry = [...stillFailed, ...pending.slice(i + SIGNATURES_PER_PAGE)];
+        save({ retry, failedTxs: retry.length, txsFound: checkpoint.txsFound + transactions.length });
+      }
+    }
+
+    if (checkpoint.retry?.length > 0) {
+      const error = `${checkpoint.retry.length} transaction${checkpoint.retry.length === 1 ? '' : 's'} could not be fetched`;
+      console.warn(`[Backfill] ${label}... walked to the start, ${error}`);
+      return save({ status: BACKFILL_STATUS.PARTIAL, error });
+    }
+
+    console.log(`[Backfill] ${label}... complete - ${checkpoint.txsFound} token txs in ${checkpoint.pages} pages`);
+    return save({ status: BACKFILL_STATUS.COMPLETE, completedAt: new Date().toISOString(), error: null });
+  } catch (error) {
+    if (signal.aborted) {
+      console.log(`[Backfill] ${label}... paused at page ${checkpoint?.pages ?? 0}`);
+      return checkpoint ? save({ status: BACKFILL_STATUS.PAUSED }) : null;
+    }
+    console.error(`[Backfill] ${label}... failed:`, error.message);
+    if (!checkpoint) {
+      checkpoint = { ...createCheckpoint([]), status: BACKFILL_STATUS.ERROR, error: error.message };
+      onProgress?.(checkpoint);
+      return checkpoint;
+    }
+    return save({ status: BACKFILL_STATUS.ERROR, error: error.message });
+  }
+}
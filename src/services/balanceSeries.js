@@ -0,0 +1,358 @@
+/**
+ * Balance Series
+ * Time series of wallet balances and the token price, downsampled for long retention
+ *
+ * Architecture:
+ * - IndexedDB store 'snapshots' (appDb.js): one record per token + series + resolution + bucket
+ *   - series: a wallet address, or PRICE_SERIES for the token's USD price
+ *   - every sample lands in its 1m, 1h and 1d bucket: the latest sample is the bucket's
+ *     value, min / max are kept for charts
+ * - Retention: 1m buckets for 24 hours, 1h for 30 days, 1d for good; pruned on write,
+ *   at most once per hour
+ * - "Value at T" reads the last bucket at or before T from the finest resolution
+ *   that still covers T
+ * - reconstructBalanceHistory() fills the gaps between snapshots from the wallet's
+ *   transactions (balance charts)
+ */
+import { openAppDb, requestToPromise, transactionDone, STORES, SNAPSHOT_INDEXES } from './appDb';
+
+export const PRICE_SERIES = 'price';
+
+export const RESOLUTIONS = {
+  MINUTE: '1m',
+  HOUR: '1h',
+  DAY: '1d',
+};
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Finest first
+const RESOLUTION_CONFIG = [
+  { resolution: RESOLUTIONS.MINUTE, bucketMs: MINUTE_MS, retentionMs: DAY_MS },
+  { resolution: RESOLUTIONS.HOUR, bucketMs: HOUR_MS, retentionMs: 30 * DAY_MS },
+  { resolution: RESOLUTIONS.DAY, bucketMs: DAY_MS, retentionMs: Infinity },
+];
+
+// Outgoing token movements; every other type adds to the balance
+const OUTGOING_TYPES = new Set(['SELL', 'TRANSFER_OUT', 'BURN', 'LP_ADD']);
+
+const SERIES_CONFIG = {
+  pruneIntervalMs: HOUR_MS,
+  maxChartPoints: 500, // getSeries() picks the finest resolution under this many buckets
+};
+
+let lastPrunedAt = 0;
+
+const bucketStart = (time, bucketMs) => Math.floor(time / bucketMs) * bucketMs;
+
+const seriesRange = (tokenMint, series, resolution, from, to) =>
+  IDBKeyRange.bound([tokenMint, series, resolution, from], [tokenMint, series, resolution, to]);
+
+/**
+ * ============================================
+ * WRITES
+ * ============================================
+ */
+
+/**
+ * Drop buckets past their resolution's retention
+ */
+async function pruneIfDue(db) {
+  const now = Date.now();
+  if (now - lastPrunedAt < SERIES_CONFIG.pruneIntervalMs) return;
+  lastPrunedAt = now;
+
+  const transaction = db.transaction(STORES.SNAPSHOTS, 'readwrite');
+  const index = transaction.objectStore(STORES.SNAPSHOTS).index(SNAPSHOT_INDEXES.RESOLUTION);
+  let pruned = 0;
+
+  RESOLUTION_CONFIG
+    .filter(({ retentionMs }) => Number.isFinite(retentionMs))
+    .forEach(({ resolution, retentionMs }) => {
+      const cursorRequest = index.openCursor(IDBKeyRange.bound([resolution, 0], [resolution, now - retentionMs]));
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+        cursor.delete();
+        pruned++;
+        cursor.continue();
+      };
+    });
+  await transactionDone(transaction);
+
+  if (pruned > 0) console.log(`[BalanceSeries] Pruned ${pruned} expired buckets`);
+}
+
+/**
+ * Record samples into their 1m / 1h / 1d buckets
+ *
+ * @param {string} tokenMint - Token mint address
+ * @param {Object[]} samples - [{ series, value, time }] (time in ms)
+ */
+export async function recordSnapshots(tokenMint, samples) {
+  const db = await openAppDb();
+  const valid = samples.filter(sample => sample.series && Number.isFinite(sample.value) && Number.isFinite(sample.time));
+  if (!db || valid.length === 0) return;
+
+  try {
+    const transaction = db.transaction(STORES.SNAPSHOTS, 'readwrite');
+    const store = transaction.objectStore(STORES.SNAPSHOTS);
+
+    // Callbacks (not awaits) keep the IndexedDB transaction alive until every put is queued
+    valid.forEach(({ series, value, time }) => {
+      RESOLUTION_CONFIG.forEach(({ resolution, bucketMs }) => {
+        const bucket = bucketStart(time, bucketMs);
+        store.get([tokenMint, series, resolution, bucket]).onsuccess = (event) => {
+          const prev = event.target.result;
+          const isLatest = !prev || time >= prev.time;
+          store.put({
+            tokenMint,
+            series,
+            resolution,
+            bucket,
+            value: isLatest ? value : prev.value,
+            time: isLatest ? time : prev.time,
+            min: Math.min(prev?.min ?? value, value),
+            max: Math.max(prev?.max ?? value, value),
+          });
+        };
+      });
+    });
+    await transactionDone(transaction);
+
+    await pruneIfDue(db);
+  } catch (error) {
+    console.warn('[BalanceSeries] Write failed:', error?.message);
+  }
+}
+
+/**
+ * Record the balances of fetched wallet rows (rows with errors are skipped)
+ */
+export function recordBalanceSnapshots(tokenMint, walletData, time = Date.now()) {
+  return recordSnapshots(tokenMint, walletData
+    .filter(wallet => !wallet.error && typeof wallet.uiBalance === 'number')
+    .map(wallet => ({ series: wallet.address, value: wallet.uiBalance, time })));
+}
+
+/**
+ * Record the token's USD price
+ */
+export function recordPriceSnapshot(tokenMint, price, time = Date.now()) {
+  return recordSnapshots(tokenMint, [{ series: PRICE_SERIES, value: price, time }]);
+}
+
+/**
+ * Remove every series of a token
+ */
+export async function deleteTokenSeries(tokenMint) {
+  const db = await openAppDb();
+  if (!db) return;
+
+  const transaction = db.transaction(STORES.SNAPSHOTS, 'readwrite');
+  transaction.objectStore(STORES.SNAPSHOTS).delete(IDBKeyRange.bound([tokenMint], [tokenMint, []]));
+  await transactionDone(transaction);
+}
+
+/**
+ * Remove every series of every token
+ */
+export async function clearAllSeries() {
+  const db = await openAppDb();
+  if (!db) return;
+
+  const transaction = db.transaction(STORES.SNAPSHOTS, 'readwrite');
+  transaction.objectStore(STORES.SNAPSHOTS).clear();
+  await transactionDone(transaction);
+}
+
+/**
+ * ============================================
+ * QUERIES
+ * ============================================
+ */
+
+async function getValueAtInStore(store, tokenMint, series, time) {
+  const now = Date.now();
+  for (const { resolution, retentionMs } of RESOLUTION_CONFIG) {
+    if (time < now - retentionMs) continue; // Pruned at this resolution
+
+    const cursor = await requestToPromise(
+      store.openCursor(seriesRange(tokenMint, series, resolution, 0, time), 'prev')
+    );
+    if (cursor) return cursor.value.value;
+  }
+  return null;
+}
+
+/**
+ * Value of a series at a point in time (last recorded value at or before it)
+ *
+ * @returns {Promise<number|null>} null = nothing recorded that early
+ */
+export async function getValueAt(tokenMint, series, time) {
+  const db = await openAppDb();
+  if (!db) return null;
+
+  try {
+    const store = db.transaction(STORES.SNAPSHOTS).objectStore(STORES.SNAPSHOTS);
+    return await getValueAtInStore(store, tokenMint, series, new Date(time).getTime());
+  } catch (error) {
+    console.warn('[BalanceSeries] Read failed:', error?.message);
+    return null;
+  }
+}
+
+/**
+ * Balance of a wallet at a point in time
+ */
+export function getBalanceAt(tokenMint, walletAddress, time) {
+  return getValueAt(tokenMint, walletAddress, time);
+}
+
+/**
+ * Token USD price at a point in time
+ */
+export function getPriceAt(tokenMint, time) {
+  return getValueAt(tokenMint, PRICE_SERIES, time);
+}
+
+/**
+ * Balances of several wallets at one point in time (one read transaction)
+ *
+ * @returns {Promise<Object>} { [walletAddress]: balance } - wallets with no data left out
+ */
+export async function getBalancesAt(tokenMint, walletAddresses, time) {
+  const db = await openAppDb();
+  const balances = {};
+  if (!db || walletAddresses.length === 0) return balances;
+
+  try {
+    const store = db.transaction(STORES.SNAPSHOTS).objectStore(STORES.SNAPSHOTS);
+    const at = new Date(time).getTime();
+    // Sequential awaits on requests of the same transaction keep it alive
+    for (const address of walletAddresses) {
+      const balance = await getValueAtInStore(store, tokenMint, address, at);
+      if (balance !== null) balances[address] = balance;
+    }
+  } catch (error) {
+    console.warn('[BalanceSeries] Read failed:', error?.message);
+  }
+  return balances;
+}
+
+/**
+ * Buckets of a series between two times (for charts)
+ *
+ * @param {string} tokenMint - Token mint address
+ * @param {string} series - Wallet address or PRICE_SERIES
+ * @param {Object} options
+ * @param {number} options.from - Start (ms)
+ * @param {number} options.to - End (ms, default now)
+ * @param {string} options.resolution - RESOLUTIONS value; default = finest that covers
+ *        `from` within maxChartPoints buckets
+ * @returns {Promise<Object>} { resolution, points: [{ time, sampleTime, value, min, max }] } - oldest first
+ *          time = bucket start, sampleTime = when the bucket's value was recorded
+ */
+export async function getSeries(tokenMint, series, { from, to = Date.now(), resolution = null } = {}) {
+  const now = Date.now();
+  const config = RESOLUTION_CONFIG.find(entry => entry.resolution === resolution) ||
+    RESOLUTION_CONFIG.find(entry =>
+      from >= now - entry.retentionMs &&
+      (to - from) / entry.bucketMs <= SERIES_CONFIG.maxChartPoints
+    ) ||
+    RESOLUTION_CONFIG[RESOLUTION_CONFIG.length - 1];
+
+  const db = await openAppDb();
+  if (!db) return { resolution: config.resolution, points: [] };
+
+  try {
+    const records = await requestToPromise(
+      db.transaction(STORES.SNAPSHOTS).objectStore(STORES.SNAPSHOTS).getAll(
+        seriesRange(tokenMint, series, config.resolution, bucketStart(from, config.bucketMs), to)
+      )
+    );
+    return {
+      resolution: config.resolution,
+      points: records.map(record => ({
+        time: record.bucket,
+        sampleTime: record.time,
+        value: record.value,
+        min: record.min,
+        max: record.max,
+      })),
+    };
+  } catch (error) {
+    console.warn('[BalanceSeries] Read failed:', error?.message);
+    return { resolution: config.resolution, points: [] };
+  }
+}
+
+/**
+ * Balance over time from transactions, anchored on recorded balances
+ * Walks back from the current balance: each transaction undoes its amount, each snapshot
+ * resets the running balance to what was actually recorded then
+ *
+ * @param {Object} options
+ * @param {number} options.currentBalance - Balance now
+ * @param {Object[]} options.transactions - The wallet's parsed token transactions
+ * @param {Object[]} options.snapshots - getSeries() points of the wallet's balance series
+ * @param {number} options.to - End of the history (ms, default now)
+ * @returns {Object[]} [{ time, balance, tx }] oldest first - balance holds until the next
+ *          point; tx = the transaction that set it (null for snapshots and the start point)
+ */
+export function reconstructBalanceHistory({ currentBalance, transactions = [], snapshots = [], to = Date.now() }) {
+  const events = [
+    ...transactions.map(tx => ({ time: new Date(tx.timestamp).getTime(), tx })),
+    ...snapshots.map(point => ({ time: point.sampleTime ?? point.time, value: point.value })),
+  ]
+    .filter(event => Number.isFinite(event.time) && event.time <= to)
+    .sort((a, b) => b.time - a.time);
+
+  let running = currentBalance || 0;
+  const points = [{ time: to, balance: running, tx: null }];
+  events.forEach(event => {
+    if (event.tx) {
+      points.push({ time: event.time, balance: running, tx: event.tx });
+      const amount = Math.abs(event.tx.amount || 0);
+      running = Math.max(0, running + (OUTGOING_TYPES.has(event.tx.type) ? amount : -amount));
+    } else {
+      running = event.value;
+      points.push({ time: event.time, balance: running, tx: null });
+    }
+  });
+
+  // Balance before the oldest event
+  if (events.length > 0) {
+    points.push({ time: events[events.length - 1].time, balance: running, tx: null });
+  }
+  return points.reverse();
+}
+
+/**
+ * Store size for the storage report
+ * Returns: { count, bytes } (bytes approximate - serialized JSON length)
+ */
+export async function getSeriesStats() {
+  const db = await openAppDb();
+  const stats = { count: 0, bytes: 0 };
+  if (!db) return stats;
+
+  try {
+    const transaction = db.transaction(STORES.SNAPSHOTS);
+    const cursorRequest = transaction.objectStore(STORES.SNAPSHOTS).openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      stats.count++;
+      stats.bytes += JSON.stringify(cursor.value).length;
+      cursor.continue();
+    };
+    await transactionDone(transaction);
+  } catch (error) {
+    console.warn('[BalanceSeries] Failed to measure:', error?.message);
+  }
+  return stats;
+}
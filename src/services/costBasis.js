@@ -0,0 +1,167 @@
+/**
+ * Cost Basis
+ * Per-wallet entry price and realized / unrealized PnL from priced trades
+ *
+ * Architecture:
+ * - Trades are replayed oldest first; each priced BUY opens a lot
+ *   - FIFO: sells and outgoing transfers consume the oldest lots first
+ *   - Average cost: every buy is merged into one lot at the weighted average price
+ * - SELL realizes (sell price - lot price) on the consumed amount
+ * - TRANSFER_OUT, BURN and LP_ADD consume lots without realizing (the tokens left the wallet)
+ * - TRANSFER_IN, MINT and LP_REMOVE have no known cost and are left out of the basis
+ * - Unpriced trades (price not available) are counted, not guessed: an unpriced buy
+ *   opens no lot, an unpriced sell consumes lots without realizing
+ * - Round trip: from the first lot opened on an empty position until the position is
+ *   empty again; a win is a round trip with positive realized PnL
+ * - Time window (since): lots always replay the full history (a sell in the window is
+ *   matched against older buys), but only sells and round trips closed inside the window count
+ */
+
+export const COST_BASIS_METHODS = {
+  FIFO: 'fifo',
+  AVERAGE: 'average',
+};
+
+// Types that take tokens out of the wallet (consume lots)
+const OUTGOING_TYPES = new Set(['SELL', 'TRANSFER_OUT', 'BURN', 'LP_ADD']);
+
+// Amounts below this are float residue of consumed lots
+const DUST = 1e-9;
+
+const isPriced = (tx) => typeof tx.priceUsd === 'number' && tx.priceUsd > 0;
+
+/**
+ * Remove amount from the front lots; returns the consumed { amount, costUsd }
+ */
+function consumeLots(lots, amount) {
+  let remaining = amount;
+  let consumed = 0;
+  let costUsd = 0;
+
+  while (remaining > DUST && lots.length > 0) {
+    const lot = lots[0];
+    const take = Math.min(lot.amount, remaining);
+    consumed += take;
+    costUsd += take * lot.priceUsd;
+    lot.amount -= take;
+    remaining -= take;
+    if (lot.amount <= DUST) lots.shift();
+  }
+
+  return { amount: consumed, costUsd };
+}
+
+/**
+ * Replay a wallet's trades into a cost basis
+ *
+ * @param {Object[]} transactions - One wallet's token transactions (any order)
+ * @param {number} currentPriceUsd - Current token price (for unrealized PnL)
+ * @param {string} method - One of COST_BASIS_METHODS
+ * @param {Object} options
+ * @param {number} options.since - Window start (ms); null = all time
+ * @param {number} options.now - Reference time for open round trips (ms)
+ * @returns {Object} { method, position, costUsd, entryPriceUsd, entryPriceSol,
+ *          realizedPnlUsd, unrealizedPnlUsd, investedUsd, roiPct,
+ *          roundTrips, wins, winRate, avgHoldMs, pricedTrades, unpricedTrades }
+ *          position = tokens still held with a known cost
+ *          investedUsd = cost of the lots behind counted sells + cost still held (ROI base)
+ *          avgHoldMs covers closed round trips, plus the open one (held until now)
+ */
+export function computeCostBasis(
+  transactions,
+  currentPriceUsd = 0,
+  method = COST_BASIS_METHODS.FIFO,
+  { since = null, now = Date.now() } = {}
+) {
+  const lots = []; // [{ amount, priceUsd, priceSol }]
+  let realizedPnlUsd = 0;
+  let soldCostUsd = 0; // Cost of the lots behind counted sells
+  let pricedTrades = 0;
+  let unpricedTrades = 0;
+
+  // Round trips: { openedAt, realizedPnlUsd } while open
+  let openTrip = null;
+  const closedTrips = []; // [{ holdMs, realizedPnlUsd }]
+
+  const ordered = [...transactions].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  for (const tx of ordered) {
+    const amount = tx.amount || 0;
+    if (amount <= 0) continue;
+    const time = new Date(tx.timestamp).getTime();
+    const inWindow = !since || time >= since;
+
+    if (tx.type === 'BUY') {
+      if (!isPriced(tx)) {
+        unpricedTrades++;
+        continue;
+      }
+      pricedTrades++;
+      const priceSol = tx.priceSol || 0;
+      if (lots.length === 0) openTrip = { openedAt: time, realizedPnlUsd: 0 };
+
+      if (method === COST_BASIS_METHODS.AVERAGE && lots.length > 0) {
+        const lot = lots[0];
+        const total = lot.amount + amount;
+        lot.priceUsd = (lot.amount * lot.priceUsd + amount * tx.priceUsd) / total;
+        lot.priceSol = (lot.amount * lot.priceSol + amount * priceSol) / total;
+        lot.amount = total;
+      } else {
+        lots.push({ amount, priceUsd: tx.priceUsd, priceSol });
+      }
+    } else if (OUTGOING_TYPES.has(tx.type)) {
+      const consumed = consumeLots(lots, amount);
+      if (tx.type === 'SELL') {
+        if (isPriced(tx)) {
+          pricedTrades++;
+          const pnl = consumed.amount * tx.priceUsd - consumed.costUsd;
+          if (inWindow) {
+            realizedPnlUsd += pnl;
+            soldCostUsd += consumed.costUsd;
+          }
+          if (openTrip) openTrip.realizedPnlUsd += pnl;
+        } else {
+          unpricedTrades++;
+        }
+      }
+
+      // Position emptied - the round trip is closed
+      if (openTrip && lots.length === 0) {
+        if (inWindow) {
+          closedTrips.push({ holdMs: time - openTrip.openedAt, realizedPnlUsd: openTrip.realizedPnlUsd });
+        }
+        openTrip = null;
+      }
+    }
+  }
+
+  const position = lots.reduce((sum, lot) => sum + lot.amount, 0);
+  const costUsd = lots.reduce((sum, lot) => sum + lot.amount * lot.priceUsd, 0);
+  const costSol = lots.reduce((sum, lot) => sum + lot.amount * lot.priceSol, 0);
+
+  const unrealizedPnlUsd = position > DUST && currentPriceUsd > 0 ? position * currentPriceUsd - costUsd : 0;
+  // Capital behind the PnL: cost of what was sold (in the window) plus what is still held
+  const investedUsd = soldCostUsd + costUsd;
+
+  const holdTimes = closedTrips.map(trip => trip.holdMs);
+  if (openTrip) holdTimes.push(now - openTrip.openedAt);
+  const wins = closedTrips.filter(trip => trip.realizedPnlUsd > 0).length;
+
+  return {
+    method,
+    position,
+    costUsd,
+    entryPriceUsd: position > DUST ? costUsd / position : null,
+    entryPriceSol: position > DUST && costSol > 0 ? costSol / position : null,
+    realizedPnlUsd,
+    unrealizedPnlUsd,
+    investedUsd,
+    roiPct: investedUsd > 0 ? ((realizedPnlUsd + unrealizedPnlUsd) / investedUsd) * 100 : null,
+    roundTrips: closedTrips.length,
+    wins,
+    winRate: closedTrips.length > 0 ? (wins / closedTrips.length) * 100 : null,
+    avgHoldMs: holdTimes.length > 0 ? holdTimes.reduce((sum, ms) => sum + ms, 0) / holdTimes.length : null,
+    pricedTrades,
+    unpricedTrades,
+  };
+}
@@ -6,17 +6,45 @@
  * - Instant load: Show cached data immediately
  * - Smart sync: Only fetch new/changed data
  * - Background updates: Progressive updates as data comes in
- * - API agnostic: Ready for custom validator/API in future
+ * - API agnostic: Fetching goes through the provider registry (dataProviders.js)
+ * - Transactions live in IndexedDB (appDb.js) - their reads and writes are async;
+ *   the smaller per-token entries below stay in localStorage
+ * - Balance / price history is a time series of its own (balanceSeries.js); the entries
+ *   here only hold the latest values
  */
+import {
+  openAppDb,
+  runStoreRequest,
+  requestToPromise,
+  transactionDone,
+  tokenRange,
+  reportQuotaError,
+  STORES,
+  TX_INDEXES,
+} from './appDb';
+import { deleteTokenSeries, clearAllSeries } from './balanceSeries';
 
 const CACHE_KEYS = {
   WALLET_BALANCES: 'cwt_cache_balances',      // Per-wallet balance data
-  TRANSACTIONS: 'cwt_cache_transactions',      // All transaction history
   TOKEN_METADATA: 'cwt_cache_token_meta',      // Token info (name, symbol, image)
   TOKEN_PRICES: 'cwt_cache_token_prices',      // Price history
   SYNC_STATE: 'cwt_cache_sync_state',          // Last sync timestamps
+  BACKFILL: 'cwt_cache_backfill',              // Full-history backfill checkpoints
+  SOL_USD: 'cwt_cache_sol_usd',                // Hourly historical SOL/USD closes
+  FUNDING: 'cwt_cache_funding',                // Wallet funding sources (clustering)
+  LAUNCH: 'cwt_cache_launch',                  // Mint creation slot + deployer per token
 };
 
+// Caches keyed by token mint (the rest are shared by every token)
+const PER_TOKEN_CACHE_KINDS = new Set([
+  'WALLET_BALANCES',
+  'TOKEN_METADATA',
+  'TOKEN_PRICES',
+  'SYNC_STATE',
+  'BACKFILL',
+  'LAUNCH',
+]);
+
 // Cache duration settings (in milliseconds)
 const CACHE_TTL = {
   TOKEN_METADATA: 24 * 60 * 60 * 1000,  // 24 hours - rarely changes
@@ -48,6 +76,7 @@ function updateSyncState(tokenMint, dataType, timestamp = new Date().toISOString
     localStorage.setItem(CACHE_KEYS.SYNC_STATE, JSON.stringify(state));
   } catch (error) {
     console.error('[DataCache] Failed to update sync state:', error);
+    reportQuotaError(CACHE_KEYS.SYNC_STATE, error);
   }
 }
 
@@ -85,6 +114,7 @@ function saveBalanceCache(cache) {
     localStorage.setItem(CACHE_KEYS.WALLET_BALANCES, JSON.stringify(cache));
   } catch (error) {
     console.error('[DataCache] Failed to save balance cache:', error);
+    reportQuotaError(CACHE_KEYS.WALLET_BALANCES, error);
   }
 }
 
@@ -110,7 +140,7 @@ export function getCachedBalances(tokenMint) {
 
 /**
  * Save wallet balances to cache
- * Merges with existing data, preserving history
+ * Merges with existing data (history is recorded by balanceSeries.js)
  */
 export function cacheWalletBalances(tokenMint, walletData) {
   const cache = getBalanceCache();
@@ -126,10 +156,6 @@ export function cacheWalletBalances(tokenMint, walletData) {
     existingMap.set(wallet.address, {
       ...wallet,
       previousBalance: prev?.uiBalance,
-      balanceHistory: [
-        ...(prev?.balanceHistory || []).slice(-9), // Keep last 10
-        { balance: wallet.uiBalance, timestamp: now }
-      ],
       firstSeen: prev?.firstSeen || now,
       lastUpdated: now,
     });
@@ -167,94 +193,177 @@ export function getStaleWallets(tokenMint, allWallets, maxAge = CACHE_TTL.WALLET
 /**
  * ============================================
  * TRANSACTION CACHE
- * Stores all transactions with deduplication
+ * Per-token transaction history in IndexedDB (appDb.js), deduplicated by signature
  * ============================================
  */
-function getTransactionCache() {
-  try {
-    const data = localStorage.getItem(CACHE_KEYS.TRANSACTIONS);
-    return data ? JSON.parse(data) : {};
-  } catch {
-    return {};
-  }
-}
+const stripToken = ({ tokenMint: _, ...tx }) => tx;
 
-function saveTransactionCache(cache) {
-  try {
-    localStorage.setItem(CACHE_KEYS.TRANSACTIONS, JSON.stringify(cache));
-  } catch (error) {
-    console.error('[DataCache] Failed to save transaction cache:', error);
-  }
-}
+const newestFirst = (a, b) => new Date(b.timestamp) - new Date(a.timestamp);
 
 /**
- * Get cached transactions for a token
+ * Get cached transactions for a token (newest first)
+ * Returns: Promise<{ transactions, lastSync, hasData }>
  */
-export function getCachedTransactions(tokenMint) {
-  const cache = getTransactionCache();
-  const tokenCache = cache[tokenMint];
-
-  if (!tokenCache) {
-    return { transactions: [], lastSync: null, hasData: false };
-  }
+export async function getCachedTransactions(tokenMint) {
+  const records = await runStoreRequest(
+    STORES.TRANSACTIONS,
+    store => store.index(TX_INDEXES.TOKEN).getAll(tokenMint)
+  ) || [];
+  const transactions = records.map(stripToken).sort(newestFirst);
 
   return {
-    transactions: tokenCache.transactions || [],
-    lastSync: tokenCache.lastSync,
-    hasData: (tokenCache.transactions?.length || 0) > 0,
-    newestSignature: tokenCache.newestSignature,
-    oldestSignature: tokenCache.oldestSignature,
+    transactions,
+    lastSync: getLastSyncTime(tokenMint, 'transactions'),
+    hasData: transactions.length > 0,
   };
 }
 
 /**
- * Cache new transactions (merges with existing, deduplicates)
- * Returns: { added: number, total: number }
+ * Cached transactions of a token filtered through one index (newest first)
+ *
+ * @param {string} tokenMint - Token mint address
+ * @param {Object} query - One of: { walletAddress } | { type } | { since } (ISO timestamp)
+ * @returns {Promise<Object[]>}
  */
-export function cacheTransactions(tokenMint, newTransactions) {
-  const cache = getTransactionCache();
-  const now = new Date().toISOString();
+export async function queryCachedTransactions(tokenMint, { walletAddress, type, since } = {}) {
+  const records = await runStoreRequest(STORES.TRANSACTIONS, store => {
+    if (walletAddress) return store.index(TX_INDEXES.WALLET).getAll(tokenRange(tokenMint, walletAddress));
+    if (type) return store.index(TX_INDEXES.TYPE).getAll(tokenRange(tokenMint, type));
+    if (since) {
+      return store.index(TX_INDEXES.TIMESTAMP).getAll(IDBKeyRange.bound([tokenMint, since], [tokenMint, []]));
+    }
+    return store.index(TX_INDEXES.TOKEN).getAll(tokenMint);
+  }) || [];
+  return records.map(stripToken).sort(newestFirst);
+}
 
-  // Get existing transactions
-  const existing = cache[tokenMint]?.transactions || [];
-  const existingSignatures = new Set(existing.map(tx => tx.signature));
+/**
+ * Signatures of every cached transaction of a token (keys only - no records read)
+ */
+export async function getCachedSignatures(tokenMint) {
+  const keys = await runStoreRequest(
+    STORES.TRANSACTIONS,
+    store => store.index(TX_INDEXES.TOKEN).getAllKeys(tokenMint)
+  ) || [];
+  return new Set(keys.map(([, signature]) => signature));
+}
 
-  // Filter out duplicates
-  const uniqueNew = newTransactions.filter(tx => !existingSignatures.has(tx.signature));
+/**
+ * Cache new transactions (already cached signatures are kept as they are)
+ * Returns: Promise<{ added: number, total: number }>
+ */
+export async function cacheTransactions(tokenMint, newTransactions) {
+  const db = await openAppDb();
+  if (!db) return { added: 0, total: 0 };
 
-  // Merge and sort by timestamp (newest first)
-  const merged = [...uniqueNew, ...existing].sort((a, b) =>
-    new Date(b.timestamp) - new Date(a.timestamp)
-  );
+  try {
+    const transaction = db.transaction(STORES.TRANSACTIONS, 'readwrite');
+    const store = transaction.objectStore(STORES.TRANSACTIONS);
+    const existing = new Set(
+      (await requestToPromise(store.index(TX_INDEXES.TOKEN).getAllKeys(tokenMint))).map(([, signature]) => signature)
+    );
+
+    const uniqueNew = new Map();
+    newTransactions
+      .filter(tx => tx.signature && !existing.has(tx.signature))
+      .forEach(tx => uniqueNew.set(tx.signature, tx));
+    uniqueNew.forEach(tx => store.put({ ...tx, tokenMint }));
+    await transactionDone(transaction);
+
+    const total = existing.size + uniqueNew.size;
+    updateSyncState(tokenMint, 'transactions');
+    console.log(`[DataCache] Cached ${uniqueNew.size} new transactions (total: ${total}) for ${tokenMint.slice(0, 8)}...`);
+    return { added: uniqueNew.size, total };
+  } catch (error) {
+    console.error('[DataCache] Failed to save transactions:', error?.message);
+    reportQuotaError(STORES.TRANSACTIONS, error);
+    return { added: 0, total: 0 };
+  }
+}
 
-  // Find newest and oldest signatures for incremental fetching
-  const newestSignature = merged[0]?.signature || null;
-  const oldestSignature = merged[merged.length - 1]?.signature || null;
+/**
+ * Replace cached transactions by signature (e.g. after prices were attached)
+ * Transactions not already cached are ignored
+ */
+export async function updateCachedTransactions(tokenMint, updatedTransactions) {
+  const db = await openAppDb();
+  if (!db || updatedTransactions.length === 0) return;
 
-  cache[tokenMint] = {
-    transactions: merged,
-    lastSync: now,
-    newestSignature,
-    oldestSignature,
-  };
+  try {
+    const transaction = db.transaction(STORES.TRANSACTIONS, 'readwrite');
+    const store = transaction.objectStore(STORES.TRANSACTIONS);
+    // Callbacks (not awaits) keep the IndexedDB transaction alive until every put is queued
+    updatedTransactions.forEach(tx => {
+      store.getKey([tokenMint, tx.signature]).onsuccess = (event) => {
+        if (event.target.result !== undefined) store.put({ ...tx, tokenMint });
+      };
+    });
+    await transactionDone(transaction);
+  } catch (error) {
+    console.error('[DataCache] Failed to update transactions:', error?.message);
+    reportQuotaError(STORES.TRANSACTIONS, error);
+  }
+}
 
-  saveTransactionCache(cache);
-  updateSyncState(tokenMint, 'transactions', now);
+/**
+ * Get the newest transaction timestamp for incremental fetching
+ */
+export async function getNewestTransactionTime(tokenMint) {
+  const db = await openAppDb();
+  if (!db) return null;
 
-  console.log(`[DataCache] Cached ${uniqueNew.length} new transactions (total: ${merged.length}) for ${tokenMint.slice(0, 8)}...`);
+  try {
+    const index = db.transaction(STORES.TRANSACTIONS).objectStore(STORES.TRANSACTIONS).index(TX_INDEXES.TIMESTAMP);
+    const cursor = await requestToPromise(index.openCursor(tokenRange(tokenMint), 'prev'));
+    return cursor?.value.timestamp || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Delete cached transactions older than a cutoff, for every token but keepTokenMint
+ * Returns: Promise<number> (transactions deleted)
+ */
+export async function trimCachedTransactions(olderThan, { keepTokenMint = null } = {}) {
+  const db = await openAppDb();
+  if (!db) return 0;
 
-  return { added: uniqueNew.length, total: merged.length };
+  const cutoff = new Date(olderThan).getTime();
+  let deleted = 0;
+  try {
+    const transaction = db.transaction(STORES.TRANSACTIONS, 'readwrite');
+    const cursorRequest = transaction.objectStore(STORES.TRANSACTIONS).openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      const { tokenMint, timestamp } = cursor.value;
+      if (tokenMint !== keepTokenMint && new Date(timestamp).getTime() < cutoff) {
+        cursor.delete();
+        deleted++;
+      }
+      cursor.continue();
+    };
+    await transactionDone(transaction);
+  } catch (error) {
+    console.error('[DataCache] Failed to trim transactions:', error?.message);
+    return 0;
+  }
+
+  console.log(`[DataCache] Trimmed ${deleted} transactions older than ${new Date(cutoff).toISOString().slice(0, 10)}`);
+  return deleted;
 }
 
 /**
- * Get the newest transaction timestamp for incremental fetching
+ * Delete every cached transaction of a token
  */
-export function getNewestTransactionTime(tokenMint) {
-  const cached = getCachedTransactions(tokenMint);
-  if (!cached.hasData) return null;
+async function deleteCachedTransactions(tokenMint) {
+  const db = await openAppDb();
+  if (!db) return;
 
-  // Return the timestamp of the newest transaction
-  return cached.transactions[0]?.timestamp || null;
+  const transaction = db.transaction(STORES.TRANSACTIONS, 'readwrite');
+  transaction.objectStore(STORES.TRANSACTIONS).delete(IDBKeyRange.bound([tokenMint], [tokenMint, []]));
+  await transactionDone(transaction);
 }
 
 /**
@@ -277,6 +386,7 @@ function saveTokenMetadataCache(cache) {
     localStorage.setItem(CACHE_KEYS.TOKEN_METADATA, JSON.stringify(cache));
   } catch (error) {
     console.error('[DataCache] Failed to save token metadata cache:', error);
+    reportQuotaError(CACHE_KEYS.TOKEN_METADATA, error);
   }
 }
 
@@ -338,6 +448,7 @@ function saveTokenPriceCache(cache) {
     localStorage.setItem(CACHE_KEYS.TOKEN_PRICES, JSON.stringify(cache));
   } catch (error) {
     console.error('[DataCache] Failed to save token price cache:', error);
+    reportQuotaError(CACHE_KEYS.TOKEN_PRICES, error);
   }
 }
 
@@ -354,7 +465,7 @@ export function getCachedTokenPrice(tokenMint) {
 
   return {
     price: tokenCache.currentPrice,
-    priceHistory: tokenCache.priceHistory || [],
+    priceChange24h: tokenCache.priceChange24h,
     lastSync: tokenCache.lastSync,
     hasData: tokenCache.currentPrice !== null,
     isStale: isStale(tokenCache.lastSync, CACHE_TTL.TOKEN_PRICE),
@@ -368,21 +479,189 @@ export function cacheTokenPrice(tokenMint, price, priceChange24h = 0) {
   const cache = getTokenPriceCache();
   const now = new Date().toISOString();
 
-  const existing = cache[tokenMint] || { priceHistory: [] };
-
   cache[tokenMint] = {
     currentPrice: price,
     priceChange24h,
-    priceHistory: [
-      ...existing.priceHistory.slice(-99), // Keep last 100 prices
-      { price, timestamp: now }
-    ],
     lastSync: now,
   };
 
   saveTokenPriceCache(cache);
 }
 
+/**
+ * ============================================
+ * BACKFILL CHECKPOINTS
+ * Per-wallet progress of full-history backfill jobs
+ * Saved after every page so a reload resumes where it left off
+ * ============================================
+ */
+function getBackfillCache() {
+  try {
+    const data = localStorage.getItem(CACHE_KEYS.BACKFILL);
+    return data ? JSON.parse(data) : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveBackfillCache(cache) {
+  try {
+    localStorage.setItem(CACHE_KEYS.BACKFILL, JSON.stringify(cache));
+  } catch (error) {
+    console.error('[DataCache] Failed to save backfill checkpoints:', error);
+    reportQuotaError(CACHE_KEYS.BACKFILL, error);
+  }
+}
+
+/**
+ * Get every backfill checkpoint for a token
+ * Returns: { [walletAddress]: checkpoint }
+ */
+export function getBackfillCheckpoints(tokenMint) {
+  return getBackfillCache()[tokenMint] || {};
+}
+
+/**
+ * Get the backfill checkpoint of one wallet (null if never started)
+ */
+export function getBackfillCheckpoint(tokenMint, walletAddress) {
+  return getBackfillCheckpoints(tokenMint)[walletAddress] || null;
+}
+
+/**
+ * Save a wallet's backfill checkpoint
+ */
+export function saveBackfillCheckpoint(tokenMint, walletAddress, checkpoint) {
+  const cache = getBackfillCache();
+  if (!cache[tokenMint]) cache[tokenMint] = {};
+
+  const saved = { ...checkpoint, updatedAt: new Date().toISOString() };
+  cache[tokenMint][walletAddress] = saved;
+  saveBackfillCache(cache);
+  return saved;
+}
+
+/**
+ * Forget a wallet's backfill progress (next run starts from the newest signature)
+ */
+export function clearBackfillCheckpoint(tokenMint, walletAddress) {
+  const cache = getBackfillCache();
+  if (!cache[tokenMint]?.[walletAddress]) return;
+  delete cache[tokenMint][walletAddress];
+  saveBackfillCache(cache);
+}
+
+/**
+ * ============================================
+ * SOL/USD HISTORY
+ * Hourly closes used to price trades at their block time
+ * Past hours never change, so entries never expire (oldest are dropped past the cap)
+ * ============================================
+ */
+const MAX_SOL_USD_HOURS = 24 * 365;
+
+/**
+ * Get cached hourly SOL/USD closes
+ * Returns: { [hourStartSeconds]: priceUsd }
+ */
+export function getCachedSolUsdPrices() {
+  try {
+    const data = localStorage.getItem(CACHE_KEYS.SOL_USD);
+    return data ? JSON.parse(data) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Merge hourly SOL/USD closes into the cache
+ */
+export function cacheSolUsdPrices(prices) {
+  try {
+    const merged = { ...getCachedSolUsdPrices(), ...prices };
+    const hours = Object.keys(merged).map(Number).sort((a, b) => b - a);
+    const kept = Object.fromEntries(hours.slice(0, MAX_SOL_USD_HOURS).map(hour => [hour, merged[hour]]));
+    localStorage.setItem(CACHE_KEYS.SOL_USD, JSON.stringify(kept));
+  } catch (error) {
+    console.error('[DataCache] Failed to save SOL/USD history:', error);
+    reportQuotaError(CACHE_KEYS.SOL_USD, error);
+  }
+}
+
+/**
+ * ============================================
+ * WALLET FUNDING SOURCES
+ * First inbound SOL transfers per wallet (walletClusters.js)
+ * Funding is history, so entries never expire (oldest scans are dropped past the cap)
+ * ============================================
+ */
+const MAX_FUNDING_WALLETS = 5000;
+
+/**
+ * Get cached funding sources
+ * Returns: { [walletAddress]: { funders, complete, scannedAt } }
+ */
+export function getCachedFundingSources() {
+  try {
+    const data = localStorage.getItem(CACHE_KEYS.FUNDING);
+    return data ? JSON.parse(data) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Merge wallet funding sources into the cache
+ */
+export function cacheFundingSources(entries) {
+  try {
+    const merged = Object.entries({ ...getCachedFundingSources(), ...entries })
+      .sort((a, b) => (b[1].scannedAt || '').localeCompare(a[1].scannedAt || ''))
+      .slice(0, MAX_FUNDING_WALLETS);
+    localStorage.setItem(CACHE_KEYS.FUNDING, JSON.stringify(Object.fromEntries(merged)));
+  } catch (error) {
+    console.error('[DataCache] Failed to save funding sources:', error);
+    reportQuotaError(CACHE_KEYS.FUNDING, error);
+  }
+}
+
+/**
+ * ============================================
+ * TOKEN LAUNCH
+ * Creation slot, time, deployer and dev wallets per mint (launchAnalysis.js,
+ * devWallets.js) - looked up once
+ * ============================================
+ */
+function getLaunchCache() {
+  try {
+    const data = localStorage.getItem(CACHE_KEYS.LAUNCH);
+    return data ? JSON.parse(data) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Get a token's cached launch info (null if never looked up)
+ */
+export function getCachedLaunchInfo(tokenMint) {
+  return getLaunchCache()[tokenMint] || null;
+}
+
+/**
+ * Save a token's launch info
+ */
+export function cacheLaunchInfo(tokenMint, launch) {
+  try {
+    const cache = getLaunchCache();
+    cache[tokenMint] = launch;
+    localStorage.setItem(CACHE_KEYS.LAUNCH, JSON.stringify(cache));
+  } catch (error) {
+    console.error('[DataCache] Failed to save launch info:', error);
+    reportQuotaError(CACHE_KEYS.LAUNCH, error);
+  }
+}
+
 /**
  * ============================================
  * UNIFIED CACHE INTERFACE
@@ -394,9 +673,9 @@ export function cacheTokenPrice(tokenMint, price, priceChange24h = 0) {
  * Get all cached data for instant loading
  * Call this on app start to immediately show cached data
  */
-export function getInstantLoadData(tokenMint) {
+export async function getInstantLoadData(tokenMint) {
   const balances = getCachedBalances(tokenMint);
-  const transactions = getCachedTransactions(tokenMint);
+  const transactions = await getCachedTransactions(tokenMint);
   const metadata = getCachedTokenMetadata(tokenMint);
   const price = getCachedTokenPrice(tokenMint);
 
@@ -407,7 +686,7 @@ export function getInstantLoadData(tokenMint) {
     tokenInfo: metadata.metadata ? {
       ...metadata.metadata,
       price: price.price,
-      priceChange24h: price.priceHistory?.[0]?.priceChange24h,
+      priceChange24h: price.priceChange24h,
     } : null,
     lastSync: {
       balances: balances.lastSync,
@@ -427,9 +706,8 @@ export function getInstantLoadData(tokenMint) {
 /**
  * Determine what needs to be synced (smart refresh)
  */
-export function getSyncNeeds(tokenMint, wallets = []) {
+export async function getSyncNeeds(tokenMint, wallets = []) {
   const balances = getCachedBalances(tokenMint);
-  const transactions = getCachedTransactions(tokenMint);
   const metadata = getCachedTokenMetadata(tokenMint);
   const price = getCachedTokenPrice(tokenMint);
 
@@ -442,24 +720,27 @@ export function getSyncNeeds(tokenMint, wallets = []) {
     needsBalances: staleWallets.length > 0,
     staleWallets,
     freshWallets: wallets.filter(w => !staleWallets.find(s => s.address === w.address)),
-    needsTransactions: isStale(transactions.lastSync, CACHE_TTL.TRANSACTIONS),
-    newestTxTime: getNewestTransactionTime(tokenMint),
+    needsTransactions: isStale(getLastSyncTime(tokenMint, 'transactions'), CACHE_TTL.TRANSACTIONS),
+    newestTxTime: await getNewestTransactionTime(tokenMint),
   };
 }
 
 /**
  * Clear all cached data for a token
  */
-export function clearTokenCache(tokenMint) {
+export async function clearTokenCache(tokenMint) {
   // Clear balances
   const balanceCache = getBalanceCache();
   delete balanceCache[tokenMint];
   saveBalanceCache(balanceCache);
 
-  // Clear transactions
-  const txCache = getTransactionCache();
-  delete txCache[tokenMint];
-  saveTransactionCache(txCache);
+  // Clear transactions and balance / price history
+  try {
+    await deleteCachedTransactions(tokenMint);
+    await deleteTokenSeries(tokenMint);
+  } catch (error) {
+    console.error('[DataCache] Failed to clear transactions:', error?.message);
+  }
 
   // Clear metadata
   const metaCache = getTokenMetadataCache();
@@ -471,6 +752,16 @@ export function clearTokenCache(tokenMint) {
   delete priceCache[tokenMint];
   saveTokenPriceCache(priceCache);
 
+  // Clear backfill checkpoints
+  const backfillCache = getBackfillCache();
+  delete backfillCache[tokenMint];
+  saveBackfillCache(backfillCache);
+
+  // Clear launch info
+  const launchCache = getLaunchCache();
+  delete launchCache[tokenMint];
+  localStorage.setItem(CACHE_KEYS.LAUNCH, JSON.stringify(launchCache));
+
   // Clear sync state
   const syncState = getSyncState();
   delete syncState[tokenMint];
@@ -482,45 +773,86 @@ export function clearTokenCache(tokenMint) {
 /**
  * Clear all cached data
  */
-export function clearAllCache() {
+export async function clearAllCache() {
   Object.values(CACHE_KEYS).forEach(key => {
     localStorage.removeItem(key);
   });
+  await runStoreRequest(STORES.TRANSACTIONS, store => store.clear(), 'readwrite');
+  try {
+    await clearAllSeries();
+  } catch (error) {
+    console.error('[DataCache] Failed to clear balance history:', error?.message);
+  }
   console.log('[DataCache] All cache cleared');
 }
 
 /**
- * Get cache statistics
+ * Get cache statistics: what each cache kind and each token takes up
+ * Sizes are approximate (serialized JSON length)
+ *
+ * @returns {Promise<Object>} { tokenCount, totalWallets, totalTransactions, storageUsed, byKind, byToken }
+ *          byKind = { [CACHE_KEYS name | 'TRANSACTIONS']: bytes }
+ *          byToken = [{ tokenMint, bytes, transactions }], largest first
  */
-export function getCacheStats() {
-  const balances = getBalanceCache();
-  const transactions = getTransactionCache();
-  const metadata = getTokenMetadataCache();
-  const prices = getTokenPriceCache();
+export async function getCacheStats() {
+  const byKind = {};
+  const byToken = new Map();
+  const addToToken = (tokenMint, bytes, transactions = 0) => {
+    const entry = byToken.get(tokenMint) || { tokenMint, bytes: 0, transactions: 0 };
+    entry.bytes += bytes;
+    entry.transactions += transactions;
+    byToken.set(tokenMint, entry);
+  };
 
-  const tokenCount = new Set([
-    ...Object.keys(balances),
-    ...Object.keys(transactions),
-    ...Object.keys(metadata),
-    ...Object.keys(prices),
-  ]).size;
+  // localStorage caches - the per-token ones are objects keyed by token mint
+  Object.entries(CACHE_KEYS).forEach(([kind, key]) => {
+    const raw = localStorage.getItem(key) || '';
+    byKind[kind] = raw.length;
+    if (!raw || !PER_TOKEN_CACHE_KINDS.has(kind)) return;
+    try {
+      Object.entries(JSON.parse(raw)).forEach(([tokenMint, entry]) => {
+        addToToken(tokenMint, JSON.stringify(entry).length);
+      });
+    } catch {
+      // Unreadable entry - only counted in byKind
+    }
+  });
 
-  let totalWallets = 0;
+  // IndexedDB transactions (one cursor pass)
+  byKind.TRANSACTIONS = 0;
   let totalTransactions = 0;
+  const db = await openAppDb();
+  if (db) {
+    try {
+      const transaction = db.transaction(STORES.TRANSACTIONS);
+      const cursorRequest = transaction.objectStore(STORES.TRANSACTIONS).openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+        const size = JSON.stringify(cursor.value).length;
+        byKind.TRANSACTIONS += size;
+        totalTransactions++;
+        addToToken(cursor.value.tokenMint, size, 1);
+        cursor.continue();
+      };
+      await transactionDone(transaction);
+    } catch (error) {
+      console.warn('[DataCache] Failed to measure transactions:', error?.message);
+    }
+  }
 
-  Object.values(balances).forEach(b => {
+  let totalWallets = 0;
+  Object.values(getBalanceCache()).forEach(b => {
     totalWallets += b.wallets?.length || 0;
   });
 
-  Object.values(transactions).forEach(t => {
-    totalTransactions += t.transactions?.length || 0;
-  });
-
   return {
-    tokenCount,
+    tokenCount: byToken.size,
     totalWallets,
     totalTransactions,
-    storageUsed: JSON.stringify({ balances, transactions, metadata, prices }).length,
+    storageUsed: Object.values(byKind).reduce((sum, bytes) => sum + bytes, 0),
+    byKind,
+    byToken: Array.from(byToken.values()).sort((a, b) => b.bytes - a.bytes),
   };
 }
 
@@ -0,0 +1,450 @@
+/**
+ * Data Provider Registry
+ * Pluggable data sources behind solanaApi.js
+ *
+ * Architecture:
+ * - One interface per data kind (balances, signatures, transactions, prices, metadata)
+ * - Providers are plain objects registered by name
+ * - Resolution: explicit override first, then the first registered provider
+ *   whose isAvailable(ctx) accepts the current context
+ * - Built-ins: RPC ATA batch reads, Helius DAS, standard RPC (web3.js Connection), DexScreener
+ * - HTTP providers draw from their own adaptive budget in rateLimiter.js
+ *
+ * Every provider method receives a context object as its first argument:
+ *   { connection, apiKey, signal }
+ * signal (AbortSignal, optional) must be passed to any fetch a provider makes itself;
+ * the connection is already bound to it by solanaApi.js
+ *
+ * Balance providers with a batch method may declare how they like to be batched:
+ *   batchSize (wallets per getBalances call), batchRequests (HTTP calls per batch)
+ */
+import { PublicKey } from '@solana/web3.js';
+import { rateLimitedFetch } from './rateLimiter';
+import { getAssociatedTokenBalances, getMintInfo, toUiAmount } from './tokenAccounts';
+
+export const PROVIDER_KINDS = {
+  BALANCES: 'balances',         // getBalance(ctx, wallet, mint), optional getBalances(ctx, wallets, mint)
+  SIGNATURES: 'signatures',     // getSignatures(ctx, address, { limit, before })
+  TRANSACTIONS: 'transactions', // getParsedTransaction(ctx, signature)
+  PRICES: 'prices',             // getMarketData(ctx, mint)
+  METADATA: 'metadata',         // getMintInfo(ctx, mint)
+};
+
+// Methods every provider of a kind must implement
+const REQUIRED_METHODS = {
+  [PROVIDER_KINDS.BALANCES]: ['getBalance'],
+  [PROVIDER_KINDS.SIGNATURES]: ['getSignatures'],
+  [PROVIDER_KINDS.TRANSACTIONS]: ['getParsedTransaction'],
+  [PROVIDER_KINDS.PRICES]: ['getMarketData'],
+  [PROVIDER_KINDS.METADATA]: ['getMintInfo'],
+};
+
+// kind -> ordered list of providers (earlier = preferred)
+const registry = new Map(Object.values(PROVIDER_KINDS).map(kind => [kind, []]));
+
+// kind -> provider name forced by the user (null = automatic)
+const overrides = new Map();
+
+/**
+ * Register a provider for a data kind
+ * Re-registering a name replaces the previous provider in place
+ *
+ * @param {string} kind - One of PROVIDER_KINDS
+ * @param {Object} provider - { name, isAvailable?, ...methods }
+ * @param {Object} options - { prepend: true } to make it the preferred provider
+ */
+export function registerProvider(kind, provider, { prepend = false } = {}) {
+  const providers = registry.get(kind);
+  if (!providers) {
+    throw new Error(`Unknown provider kind: ${kind}`);
+  }
+  if (!provider?.name) {
+    throw new Error(`Provider for ${kind} must have a name`);
+  }
+
+  const missing = REQUIRED_METHODS[kind].filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Provider "${provider.name}" for ${kind} is missing: ${missing.join(', ')}`);
+  }
+
+  const existingIndex = providers.findIndex(p => p.name === provider.name);
+  if (existingIndex >= 0) {
+    providers[existingIndex] = provider;
+  } else if (prepend) {
+    providers.unshift(provider);
+  } else {
+    providers.push(provider);
+  }
+
+  console.log(`[DataProviders] Registered ${kind} provider: ${provider.name}`);
+}
+
+/**
+ * Remove a provider by name
+ */
+export function unregisterProvider(kind, name) {
+  const providers = registry.get(kind);
+  if (!providers) return false;
+
+  const index = providers.findIndex(p => p.name === name);
+  if (index < 0) return false;
+
+  providers.splice(index, 1);
+  if (overrides.get(kind) === name) {
+    overrides.delete(kind);
+  }
+  return true;
+}
+
+/**
+ * Force a specific provider for a kind (pass null to restore automatic selection)
+ */
+export function setActiveProvider(kind, name) {
+  if (!registry.has(kind)) {
+    throw new Error(`Unknown provider kind: ${kind}`);
+  }
+  if (name === null) {
+    overrides.delete(kind);
+    return;
+  }
+  if (!registry.get(kind).some(p => p.name === name)) {
+    throw new Error(`No ${kind} provider named "${name}"`);
+  }
+  overrides.set(kind, name);
+}
+
+/**
+ * Resolve the provider to use for a kind in the given context
+ *
+ * @param {string} kind - One of PROVIDER_KINDS
+ * @param {Object} ctx - { connection, apiKey }
+ */
+export function getProvider(kind, ctx = {}) {
+  const providers = registry.get(kind);
+  if (!providers) {
+    throw new Error(`Unknown provider kind: ${kind}`);
+  }
+
+  const forced = overrides.get(kind);
+  if (forced) {
+    return providers.find(p => p.name === forced);
+  }
+
+  const provider = providers.find(p => !p.isAvailable || p.isAvailable(ctx));
+  if (!provider) {
+    throw new Error(`No available ${kind} provider`);
+  }
+  return provider;
+}
+
+/**
+ * List registered providers (for settings/debug UIs)
+ * Returns: { [kind]: { active, providers: [name, ...] } }
+ */
+export function listProviders() {
+  const result = {};
+  registry.forEach((providers, kind) => {
+    result[kind] = {
+      active: overrides.get(kind) || null,
+      providers: providers.map(p => p.name),
+    };
+  });
+  return result;
+}
+
+/**
+ * ============================================
+ * BUILT-IN: HELIUS DAS
+ * getAssetsByOwner - one call per wallet, needs API key
+ * ============================================
+ */
+const HELIUS_DAS_URL = 'https://mainnet.helius-rpc.com/?api-key=';
+
+const heliusBalanceProvider = {
+  name: 'helius-das',
+  isAvailable: (ctx) => !!ctx.apiKey && ctx.apiKey.trim() !== '',
+  batchSize: 5,
+  batchRequests: 5, // One DAS call per wallet
+
+  async getBalance(ctx, walletAddress, tokenMint) {
+    const response = await rateLimitedFetch('helius', `${HELIUS_DAS_URL}${ctx.apiKey}`, {
+      signal: ctx.signal,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: walletAddress,
+        method: 'getAssetsByOwner',
+        params: {
+          ownerAddress: walletAddress,
+          page: 1,
+          limit: 100,
+          displayOptions: { showFungible: true },
+        },
+      }),
+    });
+
+    // A throttled/failed call must surface as an error, not as a zero balance
+    if (!response.ok) {
+      throw new Error(`Helius DAS HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const assets = data.result?.items || [];
+
+    // Find the token we're looking for
+    const tokenAsset = assets.find(a =>
+      a.id?.toLowerCase() === tokenMint.toLowerCase() ||
+      a.token_info?.mint?.toLowerCase() === tokenMint.toLowerCase()
+    );
+
+    if (!tokenAsset) {
+      return { balance: 0, decimals: 9, uiBalance: 0 };
+    }
+
+    const balance = tokenAsset.token_info?.balance || 0;
+    const decimals = tokenAsset.token_info?.decimals || 9;
+    return {
+      balance,
+      decimals,
+      uiBalance: balance / Math.pow(10, decimals),
+    };
+  },
+
+  // Batch variant: per-wallet errors are reported on the row, never thrown
+  async getBalances(ctx, wallets, tokenMint) {
+    return Promise.all(
+      wallets.map(async (wallet) => {
+        try {
+          const result = await heliusBalanceProvider.getBalance(ctx, wallet.address, tokenMint);
+          return {
+            ...wallet,
+            id: wallet.address,
+            ...result,
+            lastUpdated: new Date().toISOString(),
+          };
+        } catch (error) {
+          if (ctx.signal?.aborted) throw error;
+          console.error(`[Helius] Error for ${wallet.address.slice(0, 8)}...:`, error.message);
+          return {
+            ...wallet,
+            id: wallet.address,
+            balance: 0,
+            uiBalance: 0,
+            error: error.message,
+            lastUpdated: new Date().toISOString(),
+          };
+        }
+      })
+    );
+  },
+};
+
+/**
+ * ============================================
+ * BUILT-IN: STANDARD RPC
+ * Uses the web3.js Connection passed in ctx
+ * ============================================
+ */
+const rpcBalanceProvider = {
+  name: 'rpc',
+  isAvailable: (ctx) => !!ctx.connection,
+
+  async getBalance(ctx, walletAddress, tokenMint) {
+    const walletPubkey = new PublicKey(walletAddress.trim());
+    const mintPubkey = new PublicKey(tokenMint.trim());
+
+    // Get all token accounts for this wallet
+    const tokenAccounts = await ctx.connection.getParsedTokenAccountsByOwner(
+      walletPubkey,
+      { mint: mintPubkey }
+    );
+
+    if (tokenAccounts.value.length === 0) {
+      return { balance: 0, decimals: 9, uiBalance: 0 };
+    }
+
+    // Sum all token accounts (usually just one)
+    // uiAmountString comes from the RPC, which already applies Token-2022
+    // interest-bearing / scaled UI amount extensions
+    let totalBalance = 0;
+    let uiBalance = 0;
+    let decimals = 9;
+
+    for (const account of tokenAccounts.value) {
+      const info = account.account.data.parsed.info;
+      totalBalance += Number(info.tokenAmount.amount);
+      uiBalance += Number(info.tokenAmount.uiAmountString ?? info.tokenAmount.uiAmount) || 0;
+      decimals = info.tokenAmount.decimals;
+    }
+
+    return {
+      balance: totalBalance,
+      decimals,
+      uiBalance,
+    };
+  },
+};
+
+/**
+ * ============================================
+ * BUILT-IN: RPC ATA BATCH
+ * Derives each wallet's associated token account and reads
+ * 100 per getMultipleAccountsInfo call. Wallets without an ATA
+ * fall back to the owner scan above.
+ * ============================================
+ */
+const rpcAtaBalanceProvider = {
+  name: 'rpc-ata',
+  isAvailable: (ctx) => !!ctx.connection,
+  batchSize: 100,
+  batchRequests: 1,
+
+  async getBalance(ctx, walletAddress, tokenMint) {
+    const [row] = await rpcAtaBalanceProvider.getBalances(ctx, [{ address: walletAddress }], tokenMint);
+    if (row.error) {
+      throw new Error(row.error);
+    }
+    return { balance: row.balance, decimals: row.decimals, uiBalance: row.uiBalance };
+  },
+
+  // Batch variant: per-wallet errors are reported on the row, never thrown
+  async getBalances(ctx, wallets, tokenMint) {
+    let ataResult = null;
+    try {
+      ataResult = await getAssociatedTokenBalances(ctx.connection, wallets.map(w => w.address), tokenMint);
+    } catch (error) {
+      if (ctx.signal?.aborted) throw error;
+      // Mint lookup or batch read failed - every wallet takes the owner scan
+      console.warn('[RPC ATA] Batch read failed, scanning owners instead:', error.message);
+    }
+
+    const scanned = new Map();
+    const missing = wallets.filter(w => !ataResult?.accounts.get(w.address));
+    if (missing.length > 0) {
+      const scans = await Promise.allSettled(
+        missing.map(w => rpcBalanceProvider.getBalance(ctx, w.address, tokenMint))
+      );
+      scans.forEach((scan, idx) => scanned.set(missing[idx].address, scan));
+    }
+
+    console.log(`[RPC ATA] ${wallets.length - missing.length}/${wallets.length} wallets read from ATAs, ${missing.length} owner scans`);
+
+    return wallets.map(wallet => {
+      const row = { ...wallet, id: wallet.address, lastUpdated: new Date().toISOString() };
+      const ata = ataResult?.accounts.get(wallet.address);
+
+      if (ata) {
+        return {
+          ...row,
+          balance: ata.amount,
+          decimals: ataResult.mintInfo.decimals,
+          uiBalance: toUiAmount(ata.amount, ataResult.mintInfo),
+        };
+      }
+
+      const scan = scanned.get(wallet.address);
+      if (scan.status === 'fulfilled') {
+        // The mint read is authoritative for decimals (empty scans default to 9)
+        return { ...row, ...scan.value, decimals: ataResult?.mintInfo.decimals ?? scan.value.decimals };
+      }
+      console.error(`[RPC ATA] Owner scan failed for ${wallet.address.slice(0, 8)}...:`, scan.reason?.message);
+      return { ...row, balance: 0, uiBalance: 0, error: scan.reason?.message || 'RPC request failed' };
+    });
+  },
+};
+
+const rpcSignatureProvider = {
+  name: 'rpc',
+  isAvailable: (ctx) => !!ctx.connection,
+
+  async getSignatures(ctx, address, options = {}) {
+    return ctx.connection.getSignaturesForAddress(new PublicKey(address.trim()), options);
+  },
+};
+
+const rpcTransactionProvider = {
+  name: 'rpc',
+  isAvailable: (ctx) => !!ctx.connection,
+
+  async getParsedTransaction(ctx, signature) {
+    return ctx.connection.getParsedTransaction(signature, {
+      maxSupportedTransactionVersion: 0,
+    });
+  },
+};
+
+const rpcMetadataProvider = {
+  name: 'rpc',
+  isAvailable: (ctx) => !!ctx.connection,
+
+  // Includes the token program and Token-2022 extensions (see tokenAccounts.js)
+  async getMintInfo(ctx, tokenMint) {
+    const mintInfo = await getMintInfo(ctx.connection, tokenMint);
+
+    return {
+      decimals: mintInfo.decimals,
+      supply: mintInfo.supply,
+      mintAuthority: mintInfo.mintAuthority,
+      freezeAuthority: mintInfo.freezeAuthority,
+      programId: mintInfo.programId.toBase58(),
+      isToken2022: mintInfo.isToken2022,
+      extensions: mintInfo.extensions,
+      transferFee: mintInfo.transferFee,
+      interestBearing: mintInfo.interestBearing,
+      scaledUiAmount: mintInfo.scaledUiAmount,
+    };
+  },
+};
+
+/**
+ * ============================================
+ * BUILT-IN: DEXSCREENER
+ * Free, no auth - returns the highest-liquidity pair
+ * ============================================
+ */
+const dexScreenerPriceProvider = {
+  name: 'dexscreener',
+
+  async getMarketData(ctx, tokenMint) {
+    const response = await rateLimitedFetch(
+      'dexscreener',
+      `https://api.dexscreener.com/latest/dex/tokens/${tokenMint}`,
+      { signal: ctx.signal }
+    );
+    const data = await response.json();
+
+    if (!data.pairs || data.pairs.length === 0) return null;
+
+    // Get the pair with highest liquidity
+    const bestPair = data.pairs.sort((a, b) =>
+      (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0)
+    )[0];
+
+    return {
+      name: bestPair.baseToken?.name || null,
+      symbol: bestPair.baseToken?.symbol || null,
+      image: bestPair.info?.imageUrl || null,
+      price: Number(bestPair.priceUsd) || 0,
+      priceChange24h: Number(bestPair.priceChange?.h24) || 0,
+      marketCap: Number(bestPair.marketCap) || 0,
+      fdv: Number(bestPair.fdv) || 0,
+      liquidity: Number(bestPair.liquidity?.usd) || 0,
+      volume24h: Number(bestPair.volume?.h24) || 0,
+      pairAddress: bestPair.pairAddress,
+      dexId: bestPair.dexId,
+      url: bestPair.url,
+      source: 'DexScreener',
+    };
+  },
+};
+
+// Register built-ins (order = preference)
+// ATA batch reads beat per-wallet DAS calls even with a Helius key (the key still powers the pool)
+registerProvider(PROVIDER_KINDS.BALANCES, rpcAtaBalanceProvider);
+registerProvider(PROVIDER_KINDS.BALANCES, heliusBalanceProvider);
+registerProvider(PROVIDER_KINDS.BALANCES, rpcBalanceProvider);
+registerProvider(PROVIDER_KINDS.SIGNATURES, rpcSignatureProvider);
+registerProvider(PROVIDER_KINDS.TRANSACTIONS, rpcTransactionProvider);
+registerProvider(PROVIDER_KINDS.PRICES, dexScreenerPriceProvider);
+registerProvider(PROVIDER_KINDS.METADATA, rpcMetadataProvider);
@@ -0,0 +1,90 @@
+/**
+ * Dev Wallets
+ * The wallets behind a token: creator, mint/freeze authority and the creator's funder
+ *
+ * Architecture:
+ * - Creator: deployer (fee payer) of the mint's first transaction (launchAnalysis.js)
+ * - Mint / freeze authority: from the mint account (null once revoked)
+ * - Funder: first SOL funder of the creator (walletClusters.js, shares its cache);
+ *   exchange hot wallets are skipped - they fund everyone, and none is named when the
+ *   creator's history is too long to reach its first transfers
+ * - Found once per token (cached with the launch info) and added as tracked wallets;
+ *   their sells, transfers out and liquidity pulls are highlighted and raise alerts
+ */
+import { scanFundingSources, isFundingComplete } from './walletClusters';
+import { getExchangeLabel } from './transferTracer';
+
+export const DEV_ROLES = {
+  CREATOR: 'creator',
+  MINT_AUTHORITY: 'mint_authority',
+  FREEZE_AUTHORITY: 'freeze_authority',
+  FUNDER: 'funder',
+};
+
+export const DEV_ROLE_LABELS = {
+  [DEV_ROLES.CREATOR]: 'Creator',
+  [DEV_ROLES.MINT_AUTHORITY]: 'Mint Authority',
+  [DEV_ROLES.FREEZE_AUTHORITY]: 'Freeze Authority',
+  [DEV_ROLES.FUNDER]: 'Creator Funder',
+};
+
+// Dev activity that raises an alert
+const DEV_ALERT_TYPES = new Set(['SELL', 'TRANSFER_OUT', 'LP_REMOVE']);
+
+/**
+ * Find a token's dev wallets
+ *
+ * @param {Connection} connection - Solana connection
+ * @param {Object} options
+ * @param {Object} options.mintInfo - getTokenMetadata() result (mintAuthority, freezeAuthority)
+ * @param {Object} options.launch - getLaunchInfo() result (deployer)
+ * @param {AbortSignal} options.signal - Cancels in-flight calls (rejects with AbortError)
+ * @returns {Promise<Object[]>} [{ address, roles }] - one entry per address
+ */
+export async function findDevWallets(connection, { mintInfo = null, launch = null, signal = null } = {}) {
+  const byAddress = new Map();
+  const add = (address, role) => {
+    if (!address) return;
+    if (!byAddress.has(address)) byAddress.set(address, { address, roles: [] });
+    byAddress.get(address).roles.push(role);
+  };
+
+  add(launch?.deployer, DEV_ROLES.CREATOR);
+  add(mintInfo?.mintAuthority, DEV_ROLES.MINT_AUTHORITY);
+  add(mintInfo?.freezeAuthority, DEV_ROLES.FREEZE_AUTHORITY);
+
+  if (launch?.deployer) {
+    const funding = await scanFundingSources(connection, [launch.deployer], { signal });
+    // A partial record's transfers are not the creator's funding
+    const creatorFunding = funding[launch.deployer];
+    const funder = isFundingComplete(creatorFunding)
+      ? creatorFunding.funders.find(f => !getExchangeLabel(f.address))
+      : null;
+    add(funder?.address, DEV_ROLES.FUNDER);
+  }
+
+  console.log(`[DevWallets] ${byAddress.size} dev wallets found`);
+  return Array.from(byAddress.values());
+}
+
+/**
+ * Tracked-wallet entry for a dev wallet
+ */
+export function toDevTrackedWallet({ address, roles }) {
+  return {
+    id: crypto.randomUUID(),
+    name: `DEV ${roles.map(role => DEV_ROLE_LABELS[role]).join(' / ')}`,
+    address,
+    group: '',
+  };
+}
+
+/**
+ * Is this a dev wallet move worth an alert (sell, transfer out, liquidity pull)?
+ *
+ * @param {Object} tx - Parsed token transaction
+ * @param {Set} devAddresses - Lowercase dev wallet addresses
+ */
+export function isDevAlert(tx, devAddresses) {
+  return DEV_ALERT_TYPES.has(tx.type) && devAddresses.has(tx.walletAddress?.toLowerCase());
+}
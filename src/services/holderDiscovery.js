@@ -0,0 +1,121 @@
+/**
+ * Holder Discovery
+ * Finds a token's top holders to start tracking them (replaces the fetch-holders.js export)
+ *
+ * Architecture:
+ * - getTokenLargestAccounts returns the 20 largest token accounts of the mint
+ * - Owners are decoded from the raw token accounts (one getMultipleAccountsInfo call),
+ *   and balances of accounts with the same owner are summed
+ * - Owners that are not people are flagged, not dropped, so the picker can show them:
+ *   - BURN: incinerator / system program
+ *   - POOL: owner is off curve (PDA) - pool vaults, bonding curves, program escrows
+ *   - PROGRAM: owner is an executable program or an account owned by a program
+ */
+import { PublicKey } from '@solana/web3.js';
+import { withAbortSignal } from './rpcPool';
+import { getMintInfo, toUiAmount, decodeTokenAccountOwner } from './tokenAccounts';
+
+export const HOLDER_EXCLUSIONS = {
+  BURN: 'burn',
+  POOL: 'pool',
+  PROGRAM: 'program',
+};
+
+export const HOLDER_EXCLUSION_LABELS = {
+  [HOLDER_EXCLUSIONS.BURN]: 'Burn address',
+  [HOLDER_EXCLUSIONS.POOL]: 'Pool / PDA',
+  [HOLDER_EXCLUSIONS.PROGRAM]: 'Program account',
+};
+
+const BURN_ADDRESSES = new Set([
+  '1nc1nerator11111111111111111111111111111111',
+  '11111111111111111111111111111111',
+]);
+
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+
+/**
+ * Why an owner is not a holder wallet (null = regular wallet)
+ */
+function getExclusion(owner, ownerInfo) {
+  if (BURN_ADDRESSES.has(owner)) return HOLDER_EXCLUSIONS.BURN;
+  if (!PublicKey.isOnCurve(new PublicKey(owner).toBytes())) return HOLDER_EXCLUSIONS.POOL;
+  if (ownerInfo && (ownerInfo.executable || ownerInfo.owner.toBase58() !== SYSTEM_PROGRAM)) {
+    return HOLDER_EXCLUSIONS.PROGRAM;
+  }
+  return null;
+}
+
+/**
+ * Find the token's largest holders
+ *
+ * @param {Connection} connection - Solana connection
+ * @param {string} tokenMint - Token mint address
+ * @param {AbortSignal} signal - Optional; cancels in-flight calls (rejects with AbortError)
+ * @returns {Promise<Object[]>} Largest first:
+ *          [{ rank, address, tokenAccounts, balance, share, exclusion }]
+ *          share = fraction of supply (0-1); exclusion = HOLDER_EXCLUSIONS value or null
+ */
+export async function discoverHolders(connection, tokenMint, signal = null) {
+  const conn = withAbortSignal(connection, signal);
+  const mint = new PublicKey(tokenMint.trim());
+
+  const [mintInfo, { value: largest }] = await Promise.all([
+    getMintInfo(conn, tokenMint),
+    conn.getTokenLargestAccounts(mint),
+  ]);
+  signal?.throwIfAborted();
+
+  const accounts = largest.filter(account => Number(account.amount) > 0);
+  if (accounts.length === 0) return [];
+
+  // Token accounts -> owners
+  const accountInfos = await conn.getMultipleAccountsInfo(accounts.map(account => account.address));
+  signal?.throwIfAborted();
+
+  const byOwner = new Map(); // owner -> { address, tokenAccounts, rawAmount }
+  accounts.forEach((account, idx) => {
+    const owner = decodeTokenAccountOwner(accountInfos[idx]?.data);
+    if (!owner) return;
+    const entry = byOwner.get(owner) || { address: owner, tokenAccounts: [], rawAmount: 0 };
+    entry.tokenAccounts.push(account.address.toBase58());
+    entry.rawAmount += Number(account.amount);
+    byOwner.set(owner, entry);
+  });
+
+  // Owner accounts -> programs / program-owned accounts
+  const owners = Array.from(byOwner.keys());
+  const ownerInfos = await conn.getMultipleAccountsInfo(owners.map(owner => new PublicKey(owner)));
+  signal?.throwIfAborted();
+
+  const supply = Number(mintInfo.supply) || 0;
+  const holders = owners
+    .map((owner, idx) => {
+      const { tokenAccounts, rawAmount } = byOwner.get(owner);
+      return {
+        address: owner,
+        tokenAccounts,
+        balance: toUiAmount(rawAmount, mintInfo),
+        share: supply > 0 ? rawAmount / supply : 0,
+        exclusion: getExclusion(owner, ownerInfos[idx]),
+      };
+    })
+    .sort((a, b) => b.balance - a.balance)
+    .map((holder, idx) => ({ rank: idx + 1, ...holder }));
+
+  const excluded = holders.filter(holder => holder.exclusion).length;
+  console.log(`[Holders] ${tokenMint.slice(0, 8)}...: ${holders.length} top holders (${excluded} pool/program/burn)`);
+  return holders;
+}
+
+/**
+ * Tracked-wallet entry for a discovered holder (auto-generated name)
+ */
+export function toHolderTrackedWallet(holder) {
+  return {
+    id: crypto.randomUUID(),
+    name: `Top Holder #${holder.rank}`,
+    address: holder.address,
+    group: '',
+  };
+}
@@ -0,0 +1,163 @@
+/**
+ * Launch Analysis
+ * Which tracked wallets bought with the deployer (same slot / Jito bundle) or sniped the launch
+ *
+ * Architecture:
+ * - Launch: the mint's oldest signature gives the creation slot, time and deployer
+ *   (fee payer); found by paging the mint's history back, cached for good in dataCache
+ * - Every parsed transaction records its slot and whether it paid a Jito tip
+ *   (bundles pay a tip to one of the Jito tip accounts)
+ * - Buys are grouped by slot; each wallet is flagged by its first buy:
+ *   - BUNDLED: in the creation slot (landed with the deployer's create)
+ *   - SNIPER: within the first N slots after the creation slot
+ * - Fresh launches only: a mint whose history is longer than the pages walked has
+ *   no known creation slot, and no wallet is flagged
+ */
+import { getProvider, PROVIDER_KINDS } from './dataProviders';
+import { withAbortSignal } from './rpcPool';
+import { getParsedTransactions } from './txCache';
+
+export const LAUNCH_FLAGS = {
+  BUNDLED: 'bundled',
+  SNIPER: 'sniper',
+};
+
+export const DEFAULT_SNIPER_SLOTS = 5;
+
+// Jito tip payment accounts
+const JITO_TIP_ACCOUNTS = new Set([
+  '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+  'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+  'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+  'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+  'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+  'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+  'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+  '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT',
+]);
+
+const SIGNATURES_PER_PAGE = 1000;
+const MAX_SIGNATURE_PAGES = 20;
+
+const keyToString = (key) => {
+  if (key?.pubkey) return key.pubkey.toString();
+  if (typeof key === 'string') return key;
+  return key?.toString ? key.toString() : '';
+};
+
+/**
+ * Did the transaction pay a Jito tip (outer or inner SOL transfer to a tip account)?
+ */
+export function hasJitoTip(tx) {
+  return [
+    ...(tx?.transaction?.message?.instructions || []),
+    ...(tx?.meta?.innerInstructions || []).flatMap(inner => inner.instructions || []),
+  ].some(ix =>
+    ix.program === 'system' &&
+    ix.parsed?.type === 'transfer' &&
+    JITO_TIP_ACCOUNTS.has(ix.parsed.info?.destination)
+  );
+}
+
+/**
+ * Find the mint's creation: oldest signature of the mint account
+ *
+ * @param {Connection} connection - Solana connection
+ * @param {string} tokenMint - Token mint address
+ * @param {AbortSignal} signal - Optional; cancels in-flight calls (rejects with AbortError)
+ * @returns {Promise<Object>} { complete, creationSlot, creationTime, deployer, signature, scannedAt }
+ *          complete = false when the history is longer than the pages walked (fields null)
+ */
+export async function getLaunchInfo(connection, tokenMint, signal = null) {
+  const ctx = { connection: withAbortSignal(connection, signal), signal };
+  const signatureProvider = getProvider(PROVIDER_KINDS.SIGNATURES, ctx);
+  const transactionProvider = getProvider(PROVIDER_KINDS.TRANSACTIONS, ctx);
+  const scannedAt = new Date().toISOString();
+
+  let oldest = null;
+  let before = null;
+  for (let page = 0; page < MAX_SIGNATURE_PAGES; page++) {
+    const options = { limit: SIGNATURES_PER_PAGE };
+    if (before) options.before = before;
+    const signatures = await signatureProvider.getSignatures(ctx, tokenMint.trim(), options);
+    signal?.throwIfAborted();
+
+    if (signatures.length > 0) {
+      oldest = signatures[signatures.length - 1];
+      before = oldest.signature;
+    }
+    if (signatures.length < SIGNATURES_PER_PAGE) break;
+    if (page === MAX_SIGNATURE_PAGES - 1) oldest = null; // Creation not reached
+  }
+
+  if (!oldest) {
+    console.log(`[Launch] ${tokenMint.slice(0, 8)}...: creation not within ${MAX_SIGNATURE_PAGES * SIGNATURES_PER_PAGE} signatures`);
+    return { complete: false, creationSlot: null, creationTime: null, deployer: null, signature: null, scannedAt };
+  }
+
+  const [tx] = await getParsedTransactions(ctx, transactionProvider, [oldest.signature]);
+  const feePayer = tx?.transaction?.message?.accountKeys?.[0];
+
+  return {
+    complete: true,
+    creationSlot: oldest.slot ?? tx?.slot ?? null,
+    creationTime: oldest.blockTime ? new Date(oldest.blockTime * 1000).toISOString() : null,
+    deployer: feePayer ? keyToString(feePayer) : null,
+    signature: oldest.signature,
+    scannedAt,
+  };
+}
+
+/**
+ * Group tracked wallets' buys by slot and flag bundled / sniper wallets
+ *
+ * @param {Object[]} transactions - Parsed token transactions (with slot)
+ * @param {Object} launch - getLaunchInfo() result
+ * @param {number} sniperSlots - Slots after the creation slot that count as sniping
+ * @returns {Object} { slotGroups: [{ slot, wallets }], byWallet: Map(lowercase address ->
+ *          { flag, slot, slotsAfterLaunch, jitoTip, sameSlotWallets }) }
+ *          slotGroups = slots where 2+ tracked wallets bought, oldest first
+ */
+export function analyzeLaunchBuys(transactions, launch, sniperSlots = DEFAULT_SNIPER_SLOTS) {
+  const byWallet = new Map();
+  const buys = transactions.filter(tx => tx.type === 'BUY' && typeof tx.slot === 'number');
+
+  // slot -> Set of wallets that bought in it
+  const walletsBySlot = new Map();
+  buys.forEach(tx => {
+    if (!walletsBySlot.has(tx.slot)) walletsBySlot.set(tx.slot, new Set());
+    walletsBySlot.get(tx.slot).add(tx.walletAddress);
+  });
+
+  const slotGroups = Array.from(walletsBySlot.entries())
+    .filter(([, wallets]) => wallets.size > 1)
+    .sort((a, b) => a[0] - b[0])
+    .map(([slot, wallets]) => ({ slot, wallets: Array.from(wallets) }));
+
+  if (!launch?.complete || typeof launch.creationSlot !== 'number') {
+    return { slotGroups, byWallet };
+  }
+
+  // First buy per wallet
+  const firstBuys = new Map();
+  buys.forEach(tx => {
+    const key = tx.walletAddress.toLowerCase();
+    const first = firstBuys.get(key);
+    if (!first || tx.slot < first.slot) firstBuys.set(key, tx);
+  });
+
+  firstBuys.forEach((tx, key) => {
+    const slotsAfterLaunch = tx.slot - launch.creationSlot;
+    if (slotsAfterLaunch < 0 || slotsAfterLaunch > sniperSlots) return;
+
+    byWallet.set(key, {
+      flag: slotsAfterLaunch === 0 ? LAUNCH_FLAGS.BUNDLED : LAUNCH_FLAGS.SNIPER,
+      slot: tx.slot,
+      slotsAfterLaunch,
+      jitoTip: !!tx.jitoTip,
+      sameSlotWallets: Array.from(walletsBySlot.get(tx.slot)).filter(address => address !== tx.walletAddress),
+    });
+  });
+
+  return { slotGroups, byWallet };
+}
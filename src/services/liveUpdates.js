@@ -0,0 +1,312 @@
+/**
+ * Live Updates
+ * WebSocket subscriptions that push balance changes instead of polling
+ *
+ * Architecture:
+ * - Wallets holding the token: accountSubscribe on each token account
+ *   (balance is decoded from the notification - no extra RPC call)
+ * - Wallets without a token account yet: logsSubscribe on the wallet,
+ *   upgraded to account subscriptions once a token account shows up
+ * - Heartbeat: slotSubscribe; no slot within heartbeatTimeoutMs = socket dropped
+ * - Reconnect: exponential backoff, rotating through the pool's WebSocket endpoints
+ * - While disconnected the status is 'polling' so callers fall back to their interval
+ *
+ * One session at a time - starting a new one stops the previous one.
+ */
+import { PublicKey } from '@solana/web3.js';
+import { createPooledConnection, getWebSocketEndpoints } from './rpcPool';
+import { decodeTokenAmount, getAssociatedTokenBalances, toUiAmount } from './tokenAccounts';
+
+export const LIVE_STATUS = {
+  OFF: 'off',
+  CONNECTING: 'connecting',   // First connect, subscriptions being set up
+  LIVE: 'live',               // Socket healthy, updates are pushed
+  POLLING: 'polling',         // Socket down, reconnecting in the background
+};
+
+const LIVE_CONFIG = {
+  heartbeatTimeoutMs: 20000,  // No slot notification for this long = dropped
+  heartbeatCheckMs: 5000,
+  reconnectBaseMs: 2000,      // Doubles per failed attempt
+  maxReconnectMs: 60000,
+  logsDebounceMs: 1500,       // Collapse bursts of log notifications per wallet
+};
+
+let activeSession = null;
+
+/**
+ * Token accounts of a wallet for the session's mint (owner scan)
+ * Returns Map(tokenAccountAddress -> raw amount)
+ */
+async function fetchTokenAccounts(connection, session, walletAddress) {
+  const result = await connection.getTokenAccountsByOwner(
+    new PublicKey(walletAddress),
+    { mint: session.mint }
+  );
+  return new Map(result.value.map(({ pubkey, account }) => [
+    pubkey.toBase58(),
+    decodeTokenAmount(account.data),
+  ]));
+}
+
+function setStatus(session, status) {
+  if (session.status === status) return;
+  session.status = status;
+  console.log(`[LiveUpdates] Status: ${status}`);
+  session.onStatusChange?.(status);
+}
+
+/**
+ * Report a wallet's summed balance to the caller
+ */
+function emitBalance(session, walletAddress) {
+  const accounts = session.tokenAccounts.get(walletAddress);
+  const balance = Array.from(accounts?.values() || []).reduce((sum, amount) => sum + amount, 0);
+  const mintInfo = session.mintInfo || { decimals: 9 };
+
+  session.onBalance?.({
+    address: walletAddress,
+    balance,
+    decimals: mintInfo.decimals,
+    uiBalance: toUiAmount(balance, mintInfo),
+  });
+}
+
+function subscribeAccount(session, connection, walletAddress, accountAddress) {
+  const id = connection.onAccountChange(
+    new PublicKey(accountAddress),
+    (accountInfo) => {
+      if (session.connection !== connection) return;
+      session.tokenAccounts.get(walletAddress).set(accountAddress, decodeTokenAmount(accountInfo.data));
+      emitBalance(session, walletAddress);
+    },
+    'confirmed'
+  );
+  session.subscriptions.push({ type: 'account', id, wallet: walletAddress });
+}
+
+function subscribeLogs(session, connection, walletAddress) {
+  const id = connection.onLogs(
+    new PublicKey(walletAddress),
+    (logs) => {
+      if (session.connection !== connection || logs.err) return;
+
+      // Any transaction touching the wallet - check whether it created a token account
+      clearTimeout(session.logTimers.get(walletAddress));
+      session.logTimers.set(walletAddress, setTimeout(() => {
+        session.logTimers.delete(walletAddress);
+        upgradeToAccountSubscription(session, connection, walletAddress);
+      }, LIVE_CONFIG.logsDebounceMs));
+    },
+    'confirmed'
+  );
+  session.subscriptions.push({ type: 'logs', id, wallet: walletAddress });
+}
+
+/**
+ * Swap a wallet's logs subscription for account subscriptions once it holds the token
+ */
+async function upgradeToAccountSubscription(session, connection, walletAddress) {
+  try {
+    const accounts = await fetchTokenAccounts(connection, session, walletAddress);
+    if (session.connection !== connection || accounts.size === 0) return;
+
+    session.tokenAccounts.set(walletAddress, accounts);
+    const logsSub = session.subscriptions.find(s => s.type === 'logs' && s.wallet === walletAddress);
+    if (logsSub) {
+      session.subscriptions = session.subscriptions.filter(s => s !== logsSub);
+      connection.removeOnLogsListener(logsSub.id).catch(() => {});
+    }
+    accounts.forEach((_, accountAddress) => subscribeAccount(session, connection, walletAddress, accountAddress));
+
+    console.log(`[LiveUpdates] ${walletAddress.slice(0, 8)}... now holds the token - watching ${accounts.size} account(s)`);
+    emitBalance(session, walletAddress);
+  } catch (error) {
+    console.warn(`[LiveUpdates] Token account lookup failed for ${walletAddress.slice(0, 8)}...:`, error.message);
+  }
+}
+
+/**
+ * Drop every subscription and timer of the current socket
+ */
+function teardown(session) {
+  clearInterval(session.heartbeatTimer);
+  session.heartbeatTimer = null;
+  session.logTimers.forEach(timer => clearTimeout(timer));
+  session.logTimers.clear();
+
+  const connection = session.connection;
+  session.connection = null;
+  if (!connection) return;
+
+  session.subscriptions.forEach(({ type, id }) => {
+    const remove = {
+      account: () => connection.removeAccountChangeListener(id),
+      logs: () => connection.removeOnLogsListener(id),
+      slot: () => connection.removeSlotChangeListener(id),
+    }[type];
+    remove().catch(() => {});
+  });
+  session.subscriptions = [];
+}
+
+function scheduleReconnect(session) {
+  if (session.stopped) return;
+
+  session.attempt++;
+  session.hadDrop = true;
+  const delayMs = Math.min(
+    LIVE_CONFIG.reconnectBaseMs * Math.pow(2, session.attempt - 1),
+    LIVE_CONFIG.maxReconnectMs
+  );
+  setStatus(session, LIVE_STATUS.POLLING);
+  console.log(`[LiveUpdates] Reconnecting in ${Math.round(delayMs / 1000)}s (attempt ${session.attempt})`);
+
+  session.reconnectTimer = setTimeout(() => connect(session), delayMs);
+}
+
+function checkHeartbeat(session, connection) {
+  if (session.connection !== connection) return;
+  if (Date.now() - session.lastSlotAt < LIVE_CONFIG.heartbeatTimeoutMs) return;
+
+  console.warn('[LiveUpdates] No slot updates - socket dropped');
+  teardown(session);
+  scheduleReconnect(session);
+}
+
+/**
+ * Open a socket and (re)create every subscription
+ * Token accounts resolved on earlier attempts are reused
+ */
+async function connect(session) {
+  if (session.stopped) return;
+
+  const wsEndpoints = getWebSocketEndpoints();
+  const wsEndpoint = wsEndpoints[session.attempt % wsEndpoints.length];
+  const connection = createPooledConnection({ wsEndpoint });
+  session.connection = connection;
+  session.lastSlotAt = Date.now();
+  let subscribed = false;
+
+  // Heartbeat goes first so a dead socket is noticed while accounts are resolved
+  const slotId = connection.onSlotChange(() => {
+    if (session.connection !== connection) return;
+    session.lastSlotAt = Date.now();
+
+    if (subscribed && session.status !== LIVE_STATUS.LIVE) {
+      setStatus(session, LIVE_STATUS.LIVE);
+      session.attempt = 0;
+      // Changes made while the socket was down were never pushed
+      if (session.hadDrop) {
+        session.hadDrop = false;
+        session.onResync?.();
+      }
+    }
+  });
+  session.subscriptions.push({ type: 'slot', id: slotId });
+  session.heartbeatTimer = setInterval(() => checkHeartbeat(session, connection), LIVE_CONFIG.heartbeatCheckMs);
+
+  try {
+    const unresolved = session.wallets.filter(address => !session.tokenAccounts.has(address));
+    if (unresolved.length > 0 || session.mintInfo === null) {
+      console.log(`[LiveUpdates] Resolving token accounts for ${unresolved.length} wallets`);
+
+      // Derived ATAs first (100 per call), owner scans only for wallets without one
+      const { mintInfo, accounts } = await getAssociatedTokenBalances(connection, unresolved, session.mint.toBase58());
+      session.mintInfo = mintInfo;
+
+      const withoutAta = [];
+      unresolved.forEach(address => {
+        const ata = accounts.get(address);
+        if (ata) {
+          session.tokenAccounts.set(address, new Map([[ata.address, ata.amount]]));
+        } else {
+          withoutAta.push(address);
+        }
+      });
+
+      const results = await Promise.allSettled(
+        withoutAta.map(address => fetchTokenAccounts(connection, session, address))
+      );
+      results.forEach((result, index) => {
+        // Failed lookups fall back to a logs subscription and are retried on activity
+        if (result.status === 'fulfilled') {
+          session.tokenAccounts.set(withoutAta[index], result.value);
+        }
+      });
+    }
+    if (session.connection !== connection) return;
+
+    let accountSubs = 0;
+    session.wallets.forEach(address => {
+      const accounts = session.tokenAccounts.get(address);
+      if (accounts?.size > 0) {
+        accounts.forEach((_, accountAddress) => subscribeAccount(session, connection, address, accountAddress));
+        accountSubs += accounts.size;
+      } else {
+        subscribeLogs(session, connection, address);
+      }
+    });
+    subscribed = true;
+
+    console.log(`[LiveUpdates] Subscribed via ${new URL(wsEndpoint).host}: ${accountSubs} token accounts, ${session.subscriptions.filter(s => s.type === 'logs').length} wallets by logs`);
+  } catch (error) {
+    if (session.connection !== connection) return;
+    console.error('[LiveUpdates] Subscription setup failed:', error.message);
+    teardown(session);
+    scheduleReconnect(session);
+  }
+}
+
+/**
+ * Start pushing balance updates for a set of wallets
+ *
+ * @param {Object} options
+ * @param {string[]} options.wallets - Wallet addresses
+ * @param {string} options.tokenMint - Token mint address
+ * @param {Function} options.onBalance - ({ address, balance, decimals, uiBalance }) on every change
+ * @param {Function} options.onStatusChange - (LIVE_STATUS value)
+ * @param {Function} options.onResync - Called after a reconnect; updates may have been missed
+ * @returns {Function} stop - Closes the socket and cancels reconnects
+ */
+export function startLiveUpdates({ wallets, tokenMint, onBalance, onStatusChange, onResync }) {
+  if (activeSession) {
+    stopSession(activeSession);
+  }
+
+  const session = {
+    wallets: [...new Set(wallets.map(address => address.trim()))],
+    mint: new PublicKey(tokenMint.trim()),
+    onBalance,
+    onStatusChange,
+    onResync,
+    status: LIVE_STATUS.OFF,
+    mintInfo: null,             // Decimals + Token-2022 extensions for UI amounts
+    tokenAccounts: new Map(),   // wallet -> Map(tokenAccount -> raw amount)
+    subscriptions: [],          // { type: 'account' | 'logs' | 'slot', id, wallet? }
+    logTimers: new Map(),       // wallet -> debounce timer
+    connection: null,
+    lastSlotAt: 0,
+    heartbeatTimer: null,
+    reconnectTimer: null,
+    attempt: 0,
+    hadDrop: false,
+    stopped: false,
+  };
+  activeSession = session;
+
+  setStatus(session, LIVE_STATUS.CONNECTING);
+  connect(session);
+
+  return () => stopSession(session);
+}
+
+function stopSession(session) {
+  session.stopped = true;
+  clearTimeout(session.reconnectTimer);
+  teardown(session);
+  setStatus(session, LIVE_STATUS.OFF);
+  if (activeSession === session) {
+    activeSession = null;
+  }
+}
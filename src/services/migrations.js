@@ -0,0 +1,204 @@
+/**
+ * Schema Migrations
+ * Versioned, ordered upgrades of the data persisted by older builds
+ *
+ * Architecture:
+ * - cwt_schema_version (localStorage) records the last migration applied; missing = 0
+ * - runMigrations() runs once per page load and applies every migration above the
+ *   recorded version in order; useWalletTracker loads projects and cached data after it,
+ *   and its storage effects (refresh, live mode, pricing, balance series, auto-save,
+ *   backfill resume) wait for its `migrated` flag
+ * - Each migration gets a snapshot first (cwt_* localStorage keys + saved projects); if it
+ *   throws, the snapshot is kept in the session store as migration_backup_v<N>, the
+ *   version stays put and the remaining migrations wait for the next load
+ * - Migrations must be safe to re-run: a failed one is retried from the start
+ * - The localStorage -> IndexedDB move itself is the appDb.js upgrade (database version 1)
+ */
+import { runStoreRequest, STORES } from './appDb';
+import { getCachedBalances, cacheWalletBalances, getCachedSignatures, cacheTransactions } from './dataCache';
+import { recordSnapshots, PRICE_SERIES } from './balanceSeries';
+import { loadTokenMint, loadWalletData, loadTransactions } from '../utils/storage';
+
+const SCHEMA_VERSION_KEY = 'cwt_schema_version';
+
+// Raw cache layouts rewritten below (dataCache.js CACHE_KEYS)
+const BALANCE_CACHE_KEY = 'cwt_cache_balances';
+const PRICE_CACHE_KEY = 'cwt_cache_token_prices';
+const BACKUP_KEY_PREFIX = 'migration_backup_v';
+
+/**
+ * ============================================
+ * MIGRATIONS (ordered by version, never renumbered)
+ * ============================================
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Copy the legacy current-view balances and transactions into the per-token caches',
+    migrate: async () => {
+      const tokenMint = loadTokenMint();
+      if (!tokenMint) return;
+
+      const walletData = loadWalletData();
+      if (walletData?.data?.length > 0 && getCachedBalances(tokenMint).wallets.length === 0) {
+        cacheWalletBalances(tokenMint, walletData.data);
+      }
+
+      const transactions = await loadTransactions();
+      if (transactions.length > 0 && (await getCachedSignatures(tokenMint)).size === 0) {
+        await cacheTransactions(tokenMint, transactions);
+      }
+    },
+  },
+  {
+    version: 2,
+    description: 'Move transactions embedded in saved projects into the per-token transaction store',
+    migrate: async () => {
+      const projects = await runStoreRequest(STORES.PROJECTS, store => store.getAll());
+      if (projects === null) throw new Error('Projects store unreadable');
+
+      for (const project of projects) {
+        if (!('cachedTransactions' in project)) continue;
+
+        if (project.cachedTransactions?.length > 0) {
+          const { total } = await cacheTransactions(project.tokenMint, project.cachedTransactions);
+          if (total === 0) throw new Error(`Transactions of project ${project.id} not cached`);
+        }
+        if (project.cachedWalletData?.length > 0 && getCachedBalances(project.tokenMint).wallets.length === 0) {
+          cacheWalletBalances(project.tokenMint, project.cachedWalletData);
+        }
+
+        // cachedWalletData stays: loadProject falls back to it when the token cache was evicted
+        const { cachedTransactions: _, ...slimProject } = project;
+        const saved = await runStoreRequest(STORES.PROJECTS, store => store.put(slimProject), 'readwrite');
+        if (saved === null) throw new Error(`Project ${project.id} not saved`);
+      }
+    },
+  },
+  {
+    version: 3,
+    description: 'Move the last-10 balanceHistory / last-100 priceHistory points into the balance series store',
+    migrate: async () => {
+      const balanceCache = readCache(BALANCE_CACHE_KEY);
+      for (const [tokenMint, tokenCache] of Object.entries(balanceCache)) {
+        await recordSnapshots(tokenMint, (tokenCache.wallets || []).flatMap(wallet =>
+          (wallet.balanceHistory || []).map(point => ({
+            series: wallet.address,
+            value: point.balance,
+            time: new Date(point.timestamp).getTime(),
+          }))
+        ));
+      }
+
+      const priceCache = readCache(PRICE_CACHE_KEY);
+      for (const [tokenMint, tokenCache] of Object.entries(priceCache)) {
+        await recordSnapshots(tokenMint, (tokenCache.priceHistory || []).map(point => ({
+          series: PRICE_SERIES,
+          value: point.price,
+          time: new Date(point.timestamp).getTime(),
+        })));
+      }
+
+      // Strip from fresh copies: the caches may have been written while the series were recorded
+      rewriteCache(BALANCE_CACHE_KEY, tokenCache => (tokenCache.wallets || []).forEach(wallet => delete wallet.balanceHistory));
+      rewriteCache(PRICE_CACHE_KEY, tokenCache => delete tokenCache.priceHistory);
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+let migrationsPromise = null;
+
+function readCache(key) {
+  return JSON.parse(localStorage.getItem(key) || '{}');
+}
+
+/**
+ * Read, change and write back a per-token cache in one synchronous step
+ */
+function rewriteCache(key, update) {
+  const cache = readCache(key);
+  if (Object.keys(cache).length === 0) return;
+  Object.values(cache).forEach(update);
+  localStorage.setItem(key, JSON.stringify(cache));
+}
+
+function getStoredVersion() {
+  try {
+    return Number(localStorage.getItem(SCHEMA_VERSION_KEY)) || 0;
+  } catch {
+    return 0;
+  }
+}
+
+function setStoredVersion(version) {
+  localStorage.setItem(SCHEMA_VERSION_KEY, String(version));
+}
+
+/**
+ * Copy of what a migration may touch (kept only if it fails)
+ */
+async function takeSnapshot() {
+  const keys = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith('cwt_')) keys[key] = localStorage.getItem(key);
+  }
+  return {
+    localStorage: keys,
+    projects: await runStoreRequest(STORES.PROJECTS, store => store.getAll()) || [],
+  };
+}
+
+async function saveBackup(migration, snapshot, error) {
+  const saved = await runStoreRequest(STORES.SESSION, store => store.put({
+    key: `${BACKUP_KEY_PREFIX}${migration.version}`,
+    data: snapshot,
+    error: error?.message || String(error),
+    timestamp: new Date().toISOString(),
+  }), 'readwrite');
+
+  if (saved === null) {
+    console.error(`[Migrations] Backup for v${migration.version} could not be saved`);
+  } else {
+    console.warn(`[Migrations] Pre-migration data kept in the session store as ${BACKUP_KEY_PREFIX}${migration.version}`);
+  }
+}
+
+async function applyMigrations() {
+  const from = getStoredVersion();
+  const pending = MIGRATIONS.filter(migration => migration.version > from);
+  if (pending.length === 0) return { from, to: from, failed: null };
+
+  let version = from;
+  for (const migration of pending) {
+    const snapshot = await takeSnapshot();
+    try {
+      await migration.migrate();
+      setStoredVersion(migration.version);
+      version = migration.version;
+      console.log(`[Migrations] v${migration.version}: ${migration.description}`);
+    } catch (error) {
+      console.error(`[Migrations] v${migration.version} failed:`, error?.message);
+      await saveBackup(migration, snapshot, error);
+      return { from, to: version, failed: migration.version };
+    }
+  }
+
+  return { from, to: version, failed: null };
+}
+
+/**
+ * Bring persisted data up to SCHEMA_VERSION (once per page load; later calls share the run)
+ * Returns: Promise<{ from, to, failed }> - failed = version that threw, null = all applied
+ */
+export function runMigrations() {
+  if (!migrationsPromise) {
+    migrationsPromise = applyMigrations().catch(error => {
+      console.error('[Migrations] Runner failed:', error?.message);
+      return { from: getStoredVersion(), to: getStoredVersion(), failed: null };
+    });
+  }
+  return migrationsPromise;
+}
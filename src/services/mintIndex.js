@@ -0,0 +1,207 @@
+/**
+ * Mint Index
+ * Mint-centric transaction indexing - one signature scan covers every tracked wallet
+ *
+ * Architecture:
+ * - Index sources: the token's main pool (DexScreener pair), its pump.fun bonding
+ *   curve and the mint itself; their signature histories are paged and merged
+ * - Each parsed transaction is matched against the whole tracked-wallet set at once,
+ *   instead of scanning every wallet's history and discarding unrelated activity
+ * - Token balance changes of untracked owners are aggregated as untracked activity
+ *
+ * Trade-off: a busy pool has far more signatures than a quiet wallet, so a page
+ * budget covers a shorter window of time. Best for tokens tracked across many wallets.
+ */
+import { PublicKey } from '@solana/web3.js';
+import { getProvider, PROVIDER_KINDS } from './dataProviders';
+import { withAbortSignal } from './rpcPool';
+import { parseTokenTransfer } from './solanaApi';
+import { getMintInfo, toUiAmount } from './tokenAccounts';
+import { getParsedTransactions } from './txCache';
+
+const PUMP_FUN_PROGRAM_ID = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
+
+const SIGS_PER_PAGE = 100;
+const PARALLEL_BATCH_SIZE = 15;
+
+/**
+ * Derive the pump.fun bonding curve account of a mint
+ */
+export function derivePumpBondingCurve(tokenMint) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [new TextEncoder().encode('bonding-curve'), new PublicKey(tokenMint.trim()).toBytes()],
+    PUMP_FUN_PROGRAM_ID
+  );
+  return address.toBase58();
+}
+
+/**
+ * Addresses whose signature history covers the token's activity
+ * Returns: [{ address, kind: 'pool' | 'bonding-curve' | 'mint' }]
+ *
+ * @param {string} tokenMint - Token mint address
+ * @param {Object} tokenInfo - getTokenInfo() result (for the main pair address)
+ */
+export function getMintIndexSources(tokenMint, tokenInfo = null) {
+  const sources = [];
+  const add = (address, kind) => {
+    if (address && !sources.some(s => s.address === address)) {
+      sources.push({ address, kind });
+    }
+  };
+
+  add(tokenInfo?.pairAddress, 'pool');
+  // pump.fun mints carry the "pump" vanity suffix
+  if (tokenMint.trim().endsWith('pump')) {
+    add(derivePumpBondingCurve(tokenMint), 'bonding-curve');
+  }
+  add(tokenMint.trim(), 'mint');
+
+  return sources;
+}
+
+/**
+ * Page one source's signatures, newest first, stopping at sinceTimestamp
+ */
+async function collectSignatures(ctx, signatureProvider, source, maxPages, sinceSeconds) {
+  const signatures = [];
+  let before = null;
+
+  for (let page = 0; page < maxPages; page++) {
+    const options = { limit: SIGS_PER_PAGE };
+    if (before) options.before = before;
+
+    const pageSigs = await signatureProvider.getSignatures(ctx, source.address, options);
+    if (pageSigs.length === 0) break;
+
+    const fresh = sinceSeconds
+      ? pageSigs.filter(sig => sig.blockTime && sig.blockTime >= sinceSeconds)
+      : pageSigs;
+    signatures.push(...fresh.filter(sig => !sig.err));
+
+    // Reached known data, or the start of the source's history
+    if (fresh.length < pageSigs.length || pageSigs.length < SIGS_PER_PAGE) break;
+    before = pageSigs[pageSigs.length - 1].signature;
+  }
+
+  return signatures;
+}
+
+/**
+ * Owners whose balance of the mint changed in a transaction
+ * Returns Map(owner -> raw change)
+ */
+function getOwnerChanges(tx, tokenMint) {
+  const changes = new Map();
+  const apply = (balances, sign) => {
+    for (const bal of balances || []) {
+      if (bal.mint !== tokenMint || !bal.owner) continue;
+      const amount = Number(bal.uiTokenAmount?.amount || 0);
+      changes.set(bal.owner, (changes.get(bal.owner) || 0) + sign * amount);
+    }
+  };
+  apply(tx.meta?.preTokenBalances, -1);
+  apply(tx.meta?.postTokenBalances, 1);
+
+  for (const [owner, change] of changes) {
+    if (change === 0) changes.delete(owner);
+  }
+  return changes;
+}
+
+/**
+ * Fetch token transactions for every tracked wallet from the mint's index sources
+ *
+ * @param {Connection} connection - Solana connection
+ * @param {string} tokenMint - Token mint address
+ * @param {string[]} walletAddresses - Tracked wallets
+ * @param {Object} options
+ * @param {Object[]} options.sources - From getMintIndexSources()
+ * @param {number} options.maxPages - Signature pages per source
+ * @param {string} options.sinceTimestamp - ISO timestamp; stop at older signatures
+ * @param {Set} options.knownSignatures - Signatures to skip (already cached)
+ * @param {Function} options.onProgress - ({ fetched, total }) after each batch
+ * @param {AbortSignal} options.signal - Cancels in-flight calls (rejects with AbortError)
+ * @returns {{ transactions: Object[], untrackedActivity: Object[] }}
+ *          untrackedActivity: [{ address, txCount, bought, sold, lastSeen }] by volume
+ */
+export async function getMintTransactions(connection, tokenMint, walletAddresses, {
+  sources = getMintIndexSources(tokenMint),
+  maxPages = 3,
+  sinceTimestamp = null,
+  knownSignatures = null,
+  onProgress = null,
+  signal = null,
+} = {}) {
+  const mint = tokenMint.trim();
+  const ctx = { connection: withAbortSignal(connection, signal), signal };
+  const signatureProvider = getProvider(PROVIDER_KINDS.SIGNATURES, ctx);
+  const transactionProvider = getProvider(PROVIDER_KINDS.TRANSACTIONS, ctx);
+  const mintInfo = await getMintInfo(ctx.connection, mint).catch(() => null);
+  const tracked = new Set(walletAddresses.map(address => address.trim()));
+  const sinceSeconds = sinceTimestamp ? Math.floor(new Date(sinceTimestamp).getTime() / 1000) : null;
+
+  // Merge every source's signatures (a swap shows up under both pool and mint)
+  const bySignature = new Map();
+  for (const source of sources) {
+    try {
+      const signatures = await collectSignatures(ctx, signatureProvider, source, maxPages, sinceSeconds);
+      signatures.forEach(sig => bySignature.set(sig.signature, sig));
+      console.log(`[MintIndex] ${source.kind} ${source.address.slice(0, 8)}...: ${signatures.length} signatures`);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn(`[MintIndex] Skipping ${source.kind} ${source.address.slice(0, 8)}...:`, error.message);
+    }
+  }
+
+  const pending = Array.from(bySignature.values())
+    .filter(sig => !knownSignatures?.has(sig.signature));
+
+  const transactions = [];
+  const untracked = new Map();
+  let failed = 0;
+
+  for (let i = 0; i < pending.length; i += PARALLEL_BATCH_SIZE) {
+    const batch = pending.slice(i, i + PARALLEL_BATCH_SIZE);
+    const txResults = await getParsedTransactions(ctx, transactionProvider, batch.map(sig => sig.signature));
+    signal?.throwIfAborted();
+
+    txResults.forEach((tx, j) => {
+      if (!tx) {
+        failed++;
+        return;
+      }
+      const sig = batch[j];
+      const timestamp = sig.blockTime ? new Date(sig.blockTime * 1000).toISOString() : null;
+
+      for (const [owner, change] of getOwnerChanges(tx, mint)) {
+        if (tracked.has(owner)) {
+          const tokenTransfer = parseTokenTransfer(tx, owner, mint, mintInfo);
+          if (tokenTransfer) {
+            transactions.push({ signature: sig.signature, slot: sig.slot ?? tx.slot ?? null, timestamp, walletAddress: owner, ...tokenTransfer });
+          }
+          continue;
+        }
+
+        const amount = toUiAmount(Math.abs(change), mintInfo, sig.blockTime || undefined);
+        const entry = untracked.get(owner) || { address: owner, txCount: 0, bought: 0, sold: 0, lastSeen: null };
+        entry.txCount++;
+        if (change > 0) entry.bought += amount;
+        else entry.sold += amount;
+        if (timestamp && (!entry.lastSeen || timestamp > entry.lastSeen)) entry.lastSeen = timestamp;
+        untracked.set(owner, entry);
+      }
+    });
+
+    onProgress?.({ fetched: Math.min(i + PARALLEL_BATCH_SIZE, pending.length), total: pending.length });
+  }
+
+  // Pool vaults and bonding curves are owned by program addresses (off curve) - not holders
+  const untrackedActivity = Array.from(untracked.values())
+    .filter(entry => PublicKey.isOnCurve(new PublicKey(entry.address).toBytes()))
+    .sort((a, b) => (b.bought + b.sold) - (a.bought + a.sold));
+
+  console.log(`[MintIndex] ${pending.length} txs scanned (${failed} failed) - ${transactions.length} tracked-wallet transfers, ${untrackedActivity.length} untracked wallets active`);
+
+  return { transactions, untrackedActivity };
+}
@@ -0,0 +1,149 @@
+/**
+ * Price History
+ * Historical SOL/USD and per-trade execution prices
+ *
+ * Architecture:
+ * - SOL/USD: hourly candles (Binance public market data, SOLUSDT, no auth), up to
+ *   1000 hours per request; closed hours are cached for good in dataCache
+ * - Execution price per BUY/SELL in SOL and USD, priced at the trade's hour:
+ *   - swap quoted in SOL / wrapped SOL: decoded swap price
+ *   - swap quoted in a USD stablecoin: decoded price is already USD
+ *   - swap quoted in another token: unknown (null)
+ *   - undecoded trade: |SOL change| / amount (includes the network fee)
+ * - Trades whose SOL price can't be fetched keep priceUsd undefined and are retried later;
+ *   null means priced but unknowable
+ */
+import { rateLimitedFetch } from './rateLimiter';
+import { getCachedSolUsdPrices, cacheSolUsdPrices } from './dataCache';
+import { WSOL_MINT, USD_STABLE_MINTS } from './swapDecoder';
+
+const KLINES_URL = 'https://data-api.binance.vision/api/v3/klines';
+const HOUR_SECONDS = 60 * 60;
+const MAX_CANDLES_PER_REQUEST = 1000;
+
+// hourStartSeconds -> SOL/USD close (lazily loaded from dataCache)
+let solUsdByHour = null;
+
+const hourOf = (seconds) => Math.floor(seconds / HOUR_SECONDS) * HOUR_SECONDS;
+
+function getSolUsdCache() {
+  if (!solUsdByHour) {
+    solUsdByHour = new Map(
+      Object.entries(getCachedSolUsdPrices()).map(([hour, price]) => [Number(hour), price])
+    );
+  }
+  return solUsdByHour;
+}
+
+/**
+ * Fetch hourly candles from startHour (inclusive), at most MAX_CANDLES_PER_REQUEST
+ */
+async function fetchSolUsdCandles(startHour, endHour, signal) {
+  const params = new URLSearchParams({
+    symbol: 'SOLUSDT',
+    interval: '1h',
+    startTime: String(startHour * 1000),
+    endTime: String((endHour + HOUR_SECONDS) * 1000 - 1),
+    limit: String(MAX_CANDLES_PER_REQUEST),
+  });
+  const response = await rateLimitedFetch('binance', `${KLINES_URL}?${params}`, { signal });
+  if (!response.ok) {
+    throw new Error(`SOL/USD history request failed: HTTP ${response.status}`);
+  }
+
+  // [openTime, open, high, low, close, ...]
+  const candles = await response.json();
+  return candles.map(candle => [Math.floor(candle[0] / 1000), Number(candle[4])]);
+}
+
+/**
+ * SOL/USD at each timestamp's hour (hourly close)
+ *
+ * @param {number[]} timestamps - Unix seconds
+ * @param {AbortSignal} signal - Optional; cancels pending requests
+ * @returns {Promise<Map<number, number>>} hourStartSeconds -> price
+ */
+export async function getSolUsdPrices(timestamps, signal = null) {
+  const cache = getSolUsdCache();
+  const currentHour = hourOf(Date.now() / 1000);
+  const hours = [...new Set(timestamps.map(hourOf))].sort((a, b) => a - b);
+
+  // The current hour is still moving - always refetch it
+  let missing = hours.filter(hour => !cache.has(hour) || hour === currentHour);
+  const closed = {};
+
+  while (missing.length > 0) {
+    const startHour = missing[0];
+    const endHour = Math.min(
+      missing[missing.length - 1],
+      startHour + (MAX_CANDLES_PER_REQUEST - 1) * HOUR_SECONDS
+    );
+
+    const candles = await fetchSolUsdCandles(startHour, endHour, signal);
+    candles.forEach(([hour, price]) => {
+      cache.set(hour, price);
+      if (hour < currentHour) closed[hour] = price;
+    });
+    missing = missing.filter(hour => hour > endHour);
+  }
+
+  if (Object.keys(closed).length > 0) {
+    cacheSolUsdPrices(closed);
+  }
+
+  return new Map(hours.filter(hour => cache.has(hour)).map(hour => [hour, cache.get(hour)]));
+}
+
+/**
+ * Is a transaction a trade that still needs its USD price?
+ */
+export function needsUsdPrice(tx) {
+  return (tx.type === 'BUY' || tx.type === 'SELL') && tx.priceUsd === undefined && !!tx.timestamp;
+}
+
+/**
+ * Execution price before SOL/USD conversion
+ * Returns: { priceSol } or { priceUsd } (null = unknowable)
+ */
+function getQuotedPrice(tx) {
+  if (tx.swap) {
+    if (!tx.swap.price) return { priceSol: null };
+    if (tx.swap.quoteMint === WSOL_MINT) return { priceSol: tx.swap.price };
+    if (USD_STABLE_MINTS.has(tx.swap.quoteMint)) return { priceUsd: tx.swap.price };
+    return { priceSol: null };
+  }
+  if (!tx.amount || !tx.solChange) return { priceSol: null };
+  return { priceSol: Math.abs(tx.solChange) / tx.amount };
+}
+
+/**
+ * Add execution prices to trades: priceSol, priceUsd, solUsd (SOL/USD at the trade)
+ * Non-trades and already-priced trades are returned unchanged
+ *
+ * @param {Object[]} transactions - Parsed token transactions
+ * @param {AbortSignal} signal - Optional; cancels pending requests
+ * @returns {Promise<Object[]>} New array, same order
+ */
+export async function attachUsdPrices(transactions, signal = null) {
+  const trades = transactions.filter(needsUsdPrice);
+  if (trades.length === 0) return transactions;
+
+  const tradeSeconds = (tx) => Math.floor(new Date(tx.timestamp).getTime() / 1000);
+  const solUsd = await getSolUsdPrices(trades.map(tradeSeconds), signal);
+
+  return transactions.map(tx => {
+    if (!needsUsdPrice(tx)) return tx;
+
+    const solUsdAtTrade = solUsd.get(hourOf(tradeSeconds(tx)));
+    if (!solUsdAtTrade) return tx; // No candle yet - retried later
+
+    const quoted = getQuotedPrice(tx);
+    const priceSol = quoted.priceUsd !== undefined ? quoted.priceUsd / solUsdAtTrade : quoted.priceSol;
+    return {
+      ...tx,
+      priceSol,
+      priceUsd: priceSol !== null ? priceSol * solUsdAtTrade : null,
+      solUsd: solUsdAtTrade,
+    };
+  });
+}
@@ -0,0 +1,186 @@
+/**
+ * Adaptive Rate Limiter
+ * Token bucket per provider with AIMD rate control
+ *
+ * Architecture:
+ * - One bucket per provider budget (helius, each RPC endpoint host, dexscreener, binance)
+ * - acquire() waits for a token; callers are served in FIFO order
+ * - Success: rate grows additively toward the provider's ceiling
+ * - 429: rate is halved, and the bucket pauses for Retry-After when given
+ */
+
+// Starting/min/max request rates (requests per second) per budget
+const LIMITER_PRESETS = {
+  helius: { initialRate: 8, minRate: 1, maxRate: 40, burst: 10 },
+  dexscreener: { initialRate: 4, minRate: 0.5, maxRate: 5, burst: 4 },
+  binance: { initialRate: 5, minRate: 0.5, maxRate: 10, burst: 5 }, // Historical SOL/USD
+  rpc: { initialRate: 4, minRate: 0.5, maxRate: 20, burst: 5 }, // Default for any RPC endpoint
+};
+
+// AIMD tuning
+const ADAPT_CONFIG = {
+  increaseStep: 0.1,        // req/s added per successful call
+  decreaseFactor: 0.5,      // rate multiplier on 429
+  defaultPauseMs: 2000,     // pause after a 429 without Retry-After
+  maxPauseMs: 60000,        // Retry-After ceiling
+};
+
+// name -> limiter
+const limiters = new Map();
+
+/**
+ * Sleep helper - wakes early when the signal aborts
+ */
+function delay(ms, signal = null) {
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Parse a Retry-After header value (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function createRateLimiter(name, preset) {
+  let rate = preset.initialRate;
+  let tokens = preset.burst;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+  let waiting = 0;
+  const stats = { acquired: 0, successes: 0, rateLimits: 0 };
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(preset.burst, tokens + ((now - lastRefill) / 1000) * rate);
+    lastRefill = now;
+  };
+
+  // Cancelled callers leave the queue without spending a token
+  const takeToken = async (signal) => {
+    for (;;) {
+      if (signal?.aborted) return;
+
+      const pauseRemaining = pausedUntil - Date.now();
+      if (pauseRemaining > 0) {
+        await delay(pauseRemaining, signal);
+        continue;
+      }
+
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      await delay(Math.ceil(((1 - tokens) / rate) * 1000), signal);
+    }
+  };
+
+  return {
+    name,
+
+    /**
+     * Wait for permission to send one request
+     * Rejects with an AbortError if the signal aborts first
+     *
+     * @param {AbortSignal} signal - Optional cancellation signal
+     */
+    acquire(signal = null) {
+      waiting++;
+      const ticket = queue.then(() => takeToken(signal)).finally(() => {
+        waiting--;
+        stats.acquired++;
+      });
+      queue = ticket.catch(() => {});
+      return ticket.then(() => signal?.throwIfAborted());
+    },
+
+    /**
+     * Additive increase after a successful call
+     */
+    reportSuccess() {
+      stats.successes++;
+      rate = Math.min(preset.maxRate, rate + ADAPT_CONFIG.increaseStep);
+    },
+
+    /**
+     * Multiplicative decrease after a 429
+     * @param {number|null} retryAfterMs - From the Retry-After header, if any
+     */
+    reportRateLimit(retryAfterMs = null) {
+      stats.rateLimits++;
+      rate = Math.max(preset.minRate, rate * ADAPT_CONFIG.decreaseFactor);
+      tokens = 0;
+
+      const pauseMs = Math.min(retryAfterMs ?? ADAPT_CONFIG.defaultPauseMs, ADAPT_CONFIG.maxPauseMs);
+      pausedUntil = Math.max(pausedUntil, Date.now() + pauseMs);
+      console.warn(`[RateLimiter] ${name} throttled - rate now ${rate.toFixed(2)} req/s, pausing ${pauseMs}ms`);
+    },
+
+    /**
+     * Current state (for ETAs and debugging)
+     */
+    getState() {
+      return {
+        name,
+        rate,
+        tokens,
+        waiting,
+        pausedMs: Math.max(0, pausedUntil - Date.now()),
+        ...stats,
+      };
+    },
+  };
+}
+
+/**
+ * Get (or lazily create) the limiter for a budget name
+ * Unknown names use the generic RPC preset
+ */
+export function getRateLimiter(name) {
+  if (!limiters.has(name)) {
+    const preset = LIMITER_PRESETS[name] || LIMITER_PRESETS.rpc;
+    limiters.set(name, createRateLimiter(name, preset));
+  }
+  return limiters.get(name);
+}
+
+/**
+ * Run a fetch-style call under a limiter
+ * Acquires a token, then reports success or 429 (with Retry-After) from the Response
+ * options.signal cancels both the wait for a token and the request itself
+ */
+export async function rateLimitedFetch(limiterName, url, options = {}) {
+  const limiter = getRateLimiter(limiterName);
+  await limiter.acquire(options.signal);
+
+  const response = await fetch(url, options);
+  if (response.status === 429) {
+    limiter.reportRateLimit(parseRetryAfter(response.headers.get('Retry-After')));
+  } else if (response.ok) {
+    limiter.reportSuccess();
+  }
+  return response;
+}
+
+/**
+ * Snapshot of every limiter (for the settings/debug UI)
+ */
+export function getRateLimiterStates() {
+  return Array.from(limiters.values()).map(limiter => limiter.getState());
+}
@@ -0,0 +1,360 @@
+/**
+ * RPC Pool
+ * Health-scored failover across Solana RPC endpoints
+ *
+ * Architecture:
+ * - Endpoints: Helius (if API key), user-added custom RPCs, free public RPCs
+ * - Health: latency (EWMA), rolling error rate, 429 count, cooldown after failures
+ * - Routing: every JSON-RPC request goes to the healthiest endpoint
+ * - Failover: 429 / 5xx / network errors retry the request on the next endpoint
+ * - Pacing: each endpoint has its own adaptive rate budget (rateLimiter.js);
+ *   Helius shares the 'helius' budget with the DAS calls
+ *
+ * Plugged into web3.js through Connection's custom `fetch` option, so every
+ * Connection method (and every provider using it) gets failover for free.
+ * WebSocket subscriptions are not pooled - see getWebSocketEndpoints().
+ * A Connection created with an AbortSignal cancels its queued and in-flight requests.
+ */
+import { Connection } from '@solana/web3.js';
+import { getRateLimiter, parseRetryAfter } from './rateLimiter';
+
+// Free public RPC endpoints that support browser CORS
+// Ordered by reliability
+const PUBLIC_RPCS = [
+  'https://api.mainnet-beta.solana.com',
+  'https://rpc.ankr.com/solana',
+  'https://solana-mainnet.g.alchemy.com/v2/demo',
+];
+
+const HELIUS_RPC_TEMPLATE = 'https://mainnet.helius-rpc.com/?api-key=';
+
+// Health scoring configuration
+const HEALTH_CONFIG = {
+  latencyAlpha: 0.3,            // EWMA weight of the newest latency sample
+  defaultLatencyMs: 400,        // Assumed latency for endpoints never used
+  outcomeWindow: 20,            // Recent outcomes kept for error rate
+  errorRateWeight: 4,           // 50% errors = 3x effective latency
+  publicPenaltyMs: 500,         // Prefer Helius/custom endpoints when healthy
+  rateLimitCooldownMs: 10000,   // Base cooldown after a 429 (doubles per repeat)
+  errorCooldownMs: 5000,        // Base cooldown after a network/5xx error
+  maxCooldownMs: 60000,         // Cooldown ceiling
+  maxAttempts: 3,               // Endpoints tried per request
+};
+
+// url -> endpoint health state
+const endpoints = new Map();
+
+function createEndpointState(url, source, label) {
+  return {
+    url,
+    source,             // 'helius' | 'custom' | 'public'
+    label,
+    latencyMs: null,    // EWMA, null until first success
+    outcomes: [],       // true = success, false = failure (rolling window)
+    requests: 0,
+    failures: 0,
+    rateLimits: 0,
+    consecutiveFailures: 0,
+    cooldownUntil: 0,
+    lastError: null,
+    lastUsed: null,
+  };
+}
+
+/**
+ * Hide API keys in URLs before showing them in the UI or logs
+ */
+function maskUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.searchParams.has('api-key')) {
+      parsed.searchParams.set('api-key', '***');
+    }
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Validate a user-supplied RPC URL
+ */
+export function isValidRpcUrl(url) {
+  if (!url || typeof url !== 'string') return false;
+  try {
+    const parsed = new URL(url.trim());
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * (Re)build the endpoint list
+ * Keeps health stats for endpoints that stay in the pool
+ *
+ * @param {string} heliusApiKey - Optional Helius key (adds the Helius RPC)
+ * @param {string[]} customRpcs - User-added endpoint URLs
+ */
+export function configureRpcPool({ heliusApiKey = null, customRpcs = [] } = {}) {
+  const wanted = [];
+
+  if (heliusApiKey && heliusApiKey.trim() !== '') {
+    wanted.push({ url: `${HELIUS_RPC_TEMPLATE}${heliusApiKey.trim()}`, source: 'helius', label: 'Helius' });
+  }
+
+  (customRpcs || [])
+    .filter(isValidRpcUrl)
+    .forEach(url => {
+      const trimmed = url.trim();
+      wanted.push({ url: trimmed, source: 'custom', label: new URL(trimmed).host });
+    });
+
+  PUBLIC_RPCS.forEach(url => {
+    wanted.push({ url, source: 'public', label: new URL(url).host });
+  });
+
+  const previous = new Map(endpoints);
+  endpoints.clear();
+  wanted.forEach(({ url, source, label }) => {
+    if (endpoints.has(url)) return; // Custom entry duplicating a built-in
+    const existing = previous.get(url);
+    endpoints.set(url, existing ? { ...existing, source, label } : createEndpointState(url, source, label));
+  });
+}
+
+/**
+ * Effective cost of an endpoint (lower is better)
+ */
+function scoreEndpoint(endpoint) {
+  const latency = endpoint.latencyMs ?? HEALTH_CONFIG.defaultLatencyMs;
+  const errorRate = getErrorRate(endpoint);
+  const penalty = endpoint.source === 'public' ? HEALTH_CONFIG.publicPenaltyMs : 0;
+  return latency * (1 + errorRate * HEALTH_CONFIG.errorRateWeight) + penalty;
+}
+
+function getErrorRate(endpoint) {
+  if (endpoint.outcomes.length === 0) return 0;
+  const failures = endpoint.outcomes.filter(ok => !ok).length;
+  return failures / endpoint.outcomes.length;
+}
+
+/**
+ * Endpoints ordered best-first: available by score, then cooling down by soonest recovery
+ */
+function rankEndpoints() {
+  const now = Date.now();
+  const all = Array.from(endpoints.values());
+
+  const available = all
+    .filter(e => e.cooldownUntil <= now)
+    .sort((a, b) => scoreEndpoint(a) - scoreEndpoint(b));
+  const cooling = all
+    .filter(e => e.cooldownUntil > now)
+    .sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+
+  return [...available, ...cooling];
+}
+
+function pushOutcome(endpoint, ok) {
+  endpoint.outcomes.push(ok);
+  if (endpoint.outcomes.length > HEALTH_CONFIG.outcomeWindow) {
+    endpoint.outcomes.shift();
+  }
+}
+
+function recordSuccess(endpoint, latencyMs) {
+  endpoint.latencyMs = endpoint.latencyMs === null
+    ? latencyMs
+    : endpoint.latencyMs + HEALTH_CONFIG.latencyAlpha * (latencyMs - endpoint.latencyMs);
+  endpoint.consecutiveFailures = 0;
+  endpoint.lastUsed = new Date().toISOString();
+  pushOutcome(endpoint, true);
+}
+
+function recordFailure(endpoint, message, baseCooldownMs = HEALTH_CONFIG.errorCooldownMs) {
+  endpoint.failures++;
+  endpoint.consecutiveFailures++;
+  endpoint.lastError = message;
+  endpoint.lastUsed = new Date().toISOString();
+  pushOutcome(endpoint, false);
+
+  const backoff = baseCooldownMs * Math.pow(2, endpoint.consecutiveFailures - 1);
+  endpoint.cooldownUntil = Date.now() + Math.min(backoff, HEALTH_CONFIG.maxCooldownMs);
+}
+
+function recordRateLimit(endpoint, retryAfterMs) {
+  endpoint.rateLimits++;
+  recordFailure(endpoint, '429 Too Many Requests', HEALTH_CONFIG.rateLimitCooldownMs);
+
+  // Respect Retry-After when the server sends one
+  if (retryAfterMs > 0) {
+    endpoint.cooldownUntil = Date.now() + Math.min(retryAfterMs, HEALTH_CONFIG.maxCooldownMs);
+  }
+}
+
+/**
+ * Rate budget an endpoint draws from
+ */
+function getLimiterName(endpoint) {
+  return endpoint.source === 'helius' ? 'helius' : endpoint.label;
+}
+
+/**
+ * fetch() replacement handed to web3.js
+ * Ignores the Connection's own URL and routes to the healthiest endpoint
+ * options.signal (set by signal-bound connections) aborts the request
+ */
+async function pooledFetch(_url, options = {}) {
+  if (endpoints.size === 0) {
+    configureRpcPool();
+  }
+
+  const candidates = rankEndpoints().slice(0, HEALTH_CONFIG.maxAttempts);
+  let lastResponse = null;
+  let lastError = null;
+
+  for (const endpoint of candidates) {
+    const limiter = getRateLimiter(getLimiterName(endpoint));
+    await limiter.acquire(options.signal);
+
+    const startTime = Date.now();
+    endpoint.requests++;
+
+    try {
+      const response = await fetch(endpoint.url, options);
+
+      if (response.status === 429) {
+        const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+        limiter.reportRateLimit(retryAfterMs);
+        recordRateLimit(endpoint, retryAfterMs);
+        console.warn(`[RpcPool] 429 from ${endpoint.label} - failing over`);
+        lastResponse = response;
+        continue;
+      }
+
+      if (response.status >= 500 || response.status === 401 || response.status === 403) {
+        recordFailure(endpoint, `HTTP ${response.status}`);
+        console.warn(`[RpcPool] HTTP ${response.status} from ${endpoint.label} - failing over`);
+        lastResponse = response;
+        continue;
+      }
+
+      limiter.reportSuccess();
+      recordSuccess(endpoint, Date.now() - startTime);
+      return response;
+    } catch (error) {
+      // Cancellation is not an endpoint failure
+      if (error.name === 'AbortError') throw error;
+
+      recordFailure(endpoint, error.message);
+      console.warn(`[RpcPool] ${endpoint.label} failed (${error.message}) - failing over`);
+      lastError = error;
+    }
+  }
+
+  // Every candidate failed - hand web3.js the last response so it raises its usual error
+  if (lastResponse) return lastResponse;
+  throw lastError || new Error('No RPC endpoints available');
+}
+
+/**
+ * Rate budget of the endpoint the next request would go to (for ETAs)
+ */
+export function getPreferredLimiterName() {
+  if (endpoints.size === 0) {
+    configureRpcPool();
+  }
+  return getLimiterName(rankEndpoints()[0]);
+}
+
+/**
+ * WebSocket URLs for live subscriptions, best endpoint first
+ * Used in order by liveUpdates.js when a socket drops
+ */
+export function getWebSocketEndpoints() {
+  if (endpoints.size === 0) {
+    configureRpcPool();
+  }
+
+  return rankEndpoints().map(endpoint => {
+    const parsed = new URL(endpoint.url);
+    parsed.protocol = parsed.protocol === 'http:' ? 'ws:' : 'wss:';
+    return parsed.toString();
+  });
+}
+
+/**
+ * Create a Connection whose HTTP traffic goes through the pool
+ *
+ * @param {Object} options
+ * @param {string} options.wsEndpoint - Pin the subscription socket to one endpoint
+ * @param {AbortSignal} options.signal - Cancels every request made through this connection
+ */
+export function createPooledConnection({ wsEndpoint, signal } = {}) {
+  if (endpoints.size === 0) {
+    configureRpcPool();
+  }
+
+  const [best] = rankEndpoints();
+  const connection = new Connection(best.url, {
+    commitment: 'confirmed',
+    confirmTransactionInitialTimeout: 60000,
+    fetch: signal ? (url, options) => pooledFetch(url, { ...options, signal }) : pooledFetch,
+    disableRetryOnRateLimit: true, // The pool fails over instead of hammering one endpoint
+    ...(wsEndpoint && { wsEndpoint }),
+  });
+  pooledConnections.add(connection);
+  return connection;
+}
+
+// Connections created above (safe to swap for a signal-bound twin)
+const pooledConnections = new WeakSet();
+
+// AbortSignal -> pooled Connection bound to it (one per signal)
+const signalConnections = new WeakMap();
+
+/**
+ * Connection whose requests are cancelled by the signal
+ * Pooled connections share endpoints and budgets, so the bound twin is equivalent
+ * Returns the connection unchanged when there is no signal or it was not created by
+ * the pool (custom / fixture connections) - callers pass the signal on in ctx.signal
+ */
+export function withAbortSignal(connection, signal) {
+  if (!signal || !pooledConnections.has(connection)) return connection;
+  if (!signalConnections.has(signal)) {
+    signalConnections.set(signal, createPooledConnection({ signal }));
+  }
+  return signalConnections.get(signal);
+}
+
+/**
+ * Health snapshot for the settings table (best endpoint first)
+ */
+export function getRpcPoolHealth() {
+  const now = Date.now();
+
+  return rankEndpoints().map(endpoint => {
+    const errorRate = getErrorRate(endpoint);
+    const coolingDown = endpoint.cooldownUntil > now;
+
+    let status = 'healthy';
+    if (coolingDown) status = 'cooling';
+    else if (errorRate > 0.2) status = 'degraded';
+    else if (endpoint.requests === 0) status = 'unused';
+
+    return {
+      url: maskUrl(endpoint.url),
+      label: endpoint.label,
+      source: endpoint.source,
+      status,
+      latencyMs: endpoint.latencyMs !== null ? Math.round(endpoint.latencyMs) : null,
+      errorRate,
+      requests: endpoint.requests,
+      failures: endpoint.failures,
+      rateLimits: endpoint.rateLimits,
+      cooldownRemainingMs: coolingDown ? endpoint.cooldownUntil - now : 0,
+      lastError: endpoint.lastError,
+    };
+  });
+}
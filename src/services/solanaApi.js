@@ -1,17 +1,10 @@
-import { Connection, PublicKey } from '@solana/web3.js';
-
-// Free public RPC endpoints that support browser CORS
-// Ordered by reliability
-const PUBLIC_RPCS = [
-  'https://api.mainnet-beta.solana.com',
-  'https://rpc.ankr.com/solana',
-  'https://solana-mainnet.g.alchemy.com/v2/demo',
-];
-
-const HELIUS_RPC_TEMPLATE = 'https://mainnet.helius-rpc.com/?api-key=';
-
-// Current RPC index for fallback
-let currentRpcIndex = 0;
+import { getProvider, PROVIDER_KINDS } from './dataProviders';
+import { configureRpcPool, createPooledConnection, getPreferredLimiterName, withAbortSignal } from './rpcPool';
+import { getRateLimiter } from './rateLimiter';
+import { getMintInfo, toUiAmount, calculateTransferFee, calculateInverseTransferFee } from './tokenAccounts';
+import { getParsedTransactions } from './txCache';
+import { decodeSwap, detectLiquidityChange } from './swapDecoder';
+import { hasJitoTip } from './launchAnalysis';
 
 // ============================================
 // CACHING & DEDUPLICATION LAYER
@@ -24,14 +17,9 @@ const CACHE_TTL = {
   walletBalance: 15 * 1000,       // 15 seconds - balances can change
 };
 
-// Helius API rate limiting configuration
-const HELIUS_RATE_LIMIT = {
-  minDelayMs: 2000,      // Minimum 2 seconds between batches
-  maxDelayMs: 5000,      // Maximum 5 seconds between batches
-  batchSize: 5,          // Process 5 wallets per batch
-  txBatchSize: 3,        // Process 3 wallets for transactions per batch (heavier calls)
-  txDelayMs: 3000,       // 3 seconds between transaction batches
-};
+// Wallets per balance batch for providers that don't declare one
+// (progress granularity - pacing is done by rateLimiter.js)
+const DEFAULT_BALANCE_BATCH_SIZE = 3;
 
 // In-memory cache
 const cache = new Map();
@@ -60,19 +48,23 @@ function setCache(key, data) {
 /**
  * Deduplicated fetch - prevents duplicate in-flight requests
  * If a request for the same key is already pending, return that promise
+ * (unless it was cancelled - a cancelled request is never shared)
  */
-async function deduplicatedFetch(key, fetchFn) {
+async function deduplicatedFetch(key, fetchFn, signal = null) {
   // Check if request is already in flight
-  if (pendingRequests.has(key)) {
-    return pendingRequests.get(key);
+  const pending = pendingRequests.get(key);
+  if (pending && !pending.signal?.aborted) {
+    return pending.promise;
   }
 
   // Create new request promise
   const promise = fetchFn().finally(() => {
-    pendingRequests.delete(key);
+    if (pendingRequests.get(key)?.promise === promise) {
+      pendingRequests.delete(key);
+    }
   });
 
-  pendingRequests.set(key, promise);
+  pendingRequests.set(key, { promise, signal });
   return promise;
 }
 
@@ -96,32 +88,34 @@ function isValidAddress(address) {
 }
 
 /**
- * Create Solana connection with optional Helius API key
- * Falls back to free public RPCs if no API key provided
+ * Create Solana connection backed by the RPC pool
+ * Helius (if API key) and custom endpoints are preferred; public RPCs are failover
+ *
+ * @param {string} heliusApiKey - Optional Helius API key
+ * @param {string[]} customRpcs - Optional user-added RPC endpoints
  */
-export function createConnection(heliusApiKey = null) {
-  if (heliusApiKey && heliusApiKey.trim() !== '') {
+export function createConnection(heliusApiKey = null, customRpcs = []) {
+  configureRpcPool({ heliusApiKey, customRpcs });
+
+  if (!heliusApiKey || heliusApiKey.trim() === '') {
+    if (customRpcs.length === 0) {
+      console.warn('[Connection] ⚠️ Public RPCs have rate limits. For best results, add a Helius API key in Settings.');
+    }
+  } else {
     console.log('[Connection] Using Helius RPC with API key');
-    return new Connection(`${HELIUS_RPC_TEMPLATE}${heliusApiKey}`, {
-      commitment: 'confirmed',
-      confirmTransactionInitialTimeout: 60000,
-    });
   }
-  // Fallback to public RPC - may have rate limits
-  const rpcUrl = PUBLIC_RPCS[currentRpcIndex % PUBLIC_RPCS.length];
-  console.log(`[Connection] No Helius API key - using public RPC: ${rpcUrl}`);
-  console.warn('[Connection] ⚠️ Public RPCs have rate limits. For best results, add a Helius API key in Settings.');
-  return new Connection(rpcUrl, {
-    commitment: 'confirmed',
-    confirmTransactionInitialTimeout: 60000,
-  });
+
+  return createPooledConnection();
 }
 
 /**
  * Get token account balance for a specific token mint
  * With caching and deduplication
+ * Source: active balances provider (see dataProviders.js)
+ *
+ * @param {AbortSignal} signal - Optional; cancels the lookup (rejects with AbortError)
  */
-export async function getTokenBalance(connection, walletAddress, tokenMint) {
+export async function getTokenBalance(connection, walletAddress, tokenMint, apiKey = null, signal = null) {
   // Validate addresses first
   if (!isValidAddress(walletAddress)) {
     console.warn(`[getTokenBalance] Invalid wallet address: ${walletAddress}`);
@@ -154,48 +148,20 @@ export async function getTokenBalance(connection, walletAddress, tokenMint) {
   // Deduplicated fetch
   return deduplicatedFetch(cacheKey, async () => {
     try {
-      const walletPubkey = new PublicKey(walletAddress.trim());
-      const mintPubkey = new PublicKey(tokenMint.trim());
-
-      // Get all token accounts for this wallet
-      console.log(`[getTokenBalance] Fetching balance for ${walletAddress.slice(0, 8)}...`);
-      const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
-        walletPubkey,
-        { mint: mintPubkey }
-      ).catch(err => {
-        console.error(`[getTokenBalance] RPC Error for ${walletAddress.slice(0, 8)}...:`, err.message);
-        throw err;
-      });
-
-      if (tokenAccounts.value.length === 0) {
-        const result = {
-          balance: 0,
-          decimals: 9,
-          uiBalance: 0,
-        };
-        setCache(cacheKey, result);
-        return result;
-      }
-
-      // Sum all token accounts (usually just one)
-      let totalBalance = 0;
-      let decimals = 9;
-
-      for (const account of tokenAccounts.value) {
-        const info = account.account.data.parsed.info;
-        totalBalance += Number(info.tokenAmount.amount);
-        decimals = info.tokenAmount.decimals;
-      }
-
-      const result = {
-        balance: totalBalance,
-        decimals,
-        uiBalance: totalBalance / Math.pow(10, decimals),
-      };
+      const ctx = { connection: withAbortSignal(connection, signal), apiKey, signal };
+      const provider = getProvider(PROVIDER_KINDS.BALANCES, ctx);
+
+      console.log(`[getTokenBalance] Fetching balance for ${walletAddress.slice(0, 8)}... via ${provider.name}`);
+      const result = await provider.getBalance(ctx, walletAddress, tokenMint)
+        .catch(err => {
+          console.error(`[getTokenBalance] ${provider.name} error for ${walletAddress.slice(0, 8)}...:`, err.message);
+          throw err;
+        });
 
       setCache(cacheKey, result);
       return result;
     } catch (error) {
+      if (signal?.aborted) throw error;
       console.error(`[getTokenBalance] FAILED for ${walletAddress.slice(0, 8)}...:`, error.message);
       // Check if it's a rate limit error
       if (error.message?.includes('429') || error.message?.includes('rate')) {
@@ -208,38 +174,27 @@ export async function getTokenBalance(connection, walletAddress, tokenMint) {
         error: error.message || 'RPC request failed',
       };
     }
-  });
+  }, signal);
 }
 
 /**
  * Get token metadata (name, symbol, decimals)
- * Uses Solana token program
+ * Source: active metadata provider (on-chain mint account by default)
  */
-export async function getTokenMetadata(connection, tokenMint) {
+export async function getTokenMetadata(connection, tokenMint, signal = null) {
   if (!isValidAddress(tokenMint)) {
     console.warn(`[getTokenMetadata] Invalid token mint: ${tokenMint}`);
     return { decimals: 9, supply: '0', error: 'Invalid token mint format' };
   }
 
   try {
-    const mintPubkey = new PublicKey(tokenMint.trim());
-    const mintInfo = await connection.getParsedAccountInfo(mintPubkey);
-
-    if (!mintInfo.value) {
-      throw new Error('Token mint not found');
-    }
-
-    const data = mintInfo.value.data;
-    if (data.parsed) {
-      return {
-        decimals: data.parsed.info.decimals,
-        supply: data.parsed.info.supply,
-        mintAuthority: data.parsed.info.mintAuthority,
-      };
-    }
+    const ctx = { connection: withAbortSignal(connection, signal), signal };
+    const provider = getProvider(PROVIDER_KINDS.METADATA, ctx);
+    const mintInfo = await provider.getMintInfo(ctx, tokenMint);
 
-    return { decimals: 9, supply: '0' };
+    return mintInfo || { decimals: 9, supply: '0' };
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('Error fetching token metadata:', error);
     return { decimals: 9, supply: '0', error: error.message };
   }
@@ -254,10 +209,11 @@ export async function getTokenMetadata(connection, tokenMint) {
  * @param {string} walletAddress - Wallet address to fetch transactions for
  * @param {string} tokenMint - Token mint address to filter by
  * @param {number} targetCount - Target number of token transactions to find
- * @param {number} maxPages - Maximum pages to fetch (each page = 50 signatures)
- * @param {boolean} deepFetch - If true, keep fetching until no more signatures found
+ * @param {number} maxPages - Maximum pages to fetch (each page = 100 signatures); full
+ *   histories go through the backfill job (backfill.js) instead
  * @param {string} sinceTimestamp - ISO timestamp; stop when reaching txs older than this
  * @param {Set} knownSignatures - Set of already-known tx signatures to skip
+ * @param {AbortSignal} signal - Optional; cancels in-flight calls (rejects with AbortError)
  */
 export async function getWalletTransactions(
   connection,
@@ -265,9 +221,9 @@ export async function getWalletTransactions(
   tokenMint,
   targetCount = 15,
   maxPages = 3,
-  deepFetch = false,
   sinceTimestamp = null,
-  knownSignatures = null
+  knownSignatures = null,
+  signal = null
 ) {
   // Validate addresses
   if (!isValidAddress(walletAddress) || !isValidAddress(tokenMint)) {
@@ -279,7 +235,11 @@ export async function getWalletTransactions(
   console.log(`[DEBUG] Fetching txs for wallet: ${walletAddress.slice(0, 8)}... token: ${tokenMint.slice(0, 8)}... (maxPages: ${maxPages}, targetCount: ${targetCount})`);
 
   try {
-    const walletPubkey = new PublicKey(walletAddress.trim());
+    const ctx = { connection: withAbortSignal(connection, signal), signal };
+    const signatureProvider = getProvider(PROVIDER_KINDS.SIGNATURES, ctx);
+    const transactionProvider = getProvider(PROVIDER_KINDS.TRANSACTIONS, ctx);
+    // Token-2022 extensions (transfer fee, interest) for amount parsing - cached per mint
+    const mintInfo = await getMintInfo(ctx.connection, tokenMint).catch(() => null);
     const transactions = [];
     let lastSignature = null;
     let pagesSearched = 0;
@@ -294,14 +254,16 @@ export async function getWalletTransactions(
     const sinceDate = sinceTimestamp ? new Date(sinceTimestamp) : null;
 
     // Keep fetching pages until we have enough token transactions or hit limits
-    while ((pagesSearched < maxPages || deepFetch) && !reachedKnownData) {
+    while (pagesSearched < maxPages && !reachedKnownData) {
+      signal?.throwIfAborted();
+
       // Fetch a page of signatures
       const options = { limit: SIGS_PER_PAGE };
       if (lastSignature) {
         options.before = lastSignature;
       }
 
-      const signatures = await connection.getSignaturesForAddress(walletPubkey, options);
+      const signatures = await signatureProvider.getSignatures(ctx, walletAddress, options);
 
       if (signatures.length === 0) {
         console.log(`[DEBUG] No more signatures for wallet ${walletAddress.slice(0, 8)}... (page ${pagesSearched})`);
@@ -345,39 +307,35 @@ export async function getWalletTransactions(
 
         if (filteredBatch.length === 0) continue;
 
-        // Fetch batch in parallel
-        const txPromises = filteredBatch.map(sig =>
-          connection.getParsedTransaction(sig.signature, {
-            maxSupportedTransactionVersion: 0,
-          }).catch((err) => {
-            totalTxsFailed++;
-            return null;
-          })
-        );
-
-        const txResults = await Promise.all(txPromises);
+        // Fetch batch in parallel (signature-keyed cache first - shared across projects)
+        const txResults = await getParsedTransactions(ctx, transactionProvider, filteredBatch.map(sig => sig.signature));
+        signal?.throwIfAborted();
 
         // Process results
         for (let j = 0; j < txResults.length; j++) {
           const tx = txResults[j];
-          if (!tx) continue;
+          if (!tx) {
+            totalTxsFailed++;
+            continue;
+          }
 
           totalTxsFetched++;
           const sig = filteredBatch[j];
-          const tokenTransfer = parseTokenTransfer(tx, walletAddress, tokenMint);
+          const tokenTransfer = parseTokenTransfer(tx, walletAddress, tokenMint, mintInfo);
 
           if (tokenTransfer) {
             const txTimestamp = sig.blockTime ? new Date(sig.blockTime * 1000).toISOString() : null;
 
             transactions.push({
               signature: sig.signature,
+              slot: sig.slot ?? tx.slot ?? null,
               timestamp: txTimestamp,
               walletAddress,
               ...tokenTransfer,
             });
 
-            // Early exit if we have enough (and not deep fetching)
-            if (!deepFetch && transactions.length >= targetCount) {
+            // Early exit if we have enough
+            if (transactions.length >= targetCount) {
               console.log(`[DEBUG] Wallet ${walletAddress.slice(0, 8)}... - Found ${transactions.length} token txs (checked ${totalSignaturesChecked} sigs, fetched ${totalTxsFetched} txs, ${totalTxsFailed} failed)`);
               return transactions;
             }
@@ -387,16 +345,6 @@ export async function getWalletTransactions(
 
       // Update last signature for pagination
       lastSignature = signatures[signatures.length - 1].signature;
-
-      // Safety limit for deep fetch
-      if (deepFetch && pagesSearched >= 15) {
-        break;
-      }
-
-      // Check if we should continue
-      if (!deepFetch && pagesSearched >= maxPages) {
-        break;
-      }
     }
 
     // DEBUG: Final summary for this wallet
@@ -404,30 +352,127 @@ export async function getWalletTransactions(
 
     return transactions;
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error(`[DEBUG] ERROR fetching transactions for ${walletAddress.slice(0, 8)}...:`, error.message);
     return [];
   }
 }
 
 /**
- * Deep fetch all token transactions for a wallet
- * Used when we need to find the full history of how tokens were acquired
+ * Fetch and parse a page of signatures for one wallet's transfers of a token
+ * Used by the backfill job, which does its own signature paging
+ *
+ * @param {Object[]} signatures - getSignaturesForAddress results ({ signature, blockTime })
+ * @param {Set} knownSignatures - Signatures to skip (already cached)
+ * @param {AbortSignal} signal - Optional; cancels in-flight calls (rejects with AbortError)
+ * @returns {{ transactions: Object[], failed: number, failedSignatures: Object[] }}
+ *          failedSignatures = the entries of `signatures` whose transaction could not be fetched
  */
-export async function deepFetchWalletTransactions(connection, walletAddress, tokenMint) {
-  return getWalletTransactions(connection, walletAddress, tokenMint, 100, 20, true);
+export async function getTokenTransfersForSignatures(connection, walletAddress, tokenMint, signatures, knownSignatures = null, signal = null) {
+  const PARALLEL_BATCH_SIZE = 15;
+  const ctx = { connection: withAbortSignal(connection, signal), signal };
+  const transactionProvider = getProvider(PROVIDER_KINDS.TRANSACTIONS, ctx);
+  const mintInfo = await getMintInfo(ctx.connection, tokenMint).catch(() => null);
+
+  const pending = knownSignatures
+    ? signatures.filter(sig => !knownSignatures.has(sig.signature))
+    : signatures;
+
+  const transactions = [];
+  const failedSignatures = [];
+
+  for (let i = 0; i < pending.length; i += PARALLEL_BATCH_SIZE) {
+    const batch = pending.slice(i, i + PARALLEL_BATCH_SIZE);
+    const txResults = await getParsedTransactions(ctx, transactionProvider, batch.map(sig => sig.signature));
+    signal?.throwIfAborted();
+
+    txResults.forEach((tx, j) => {
+      const sig = batch[j];
+      if (!tx) {
+        failedSignatures.push(sig);
+        return;
+      }
+      const tokenTransfer = parseTokenTransfer(tx, walletAddress, tokenMint, mintInfo);
+      if (tokenTransfer) {
+        transactions.push({
+          signature: sig.signature,
+          slot: sig.slot ?? tx.slot ?? null,
+          timestamp: sig.blockTime ? new Date(sig.blockTime * 1000).toISOString() : null,
+          walletAddress,
+          ...tokenTransfer,
+        });
+      }
+    });
+  }
+
+  return { transactions, failed: failedSignatures.length, failedSignatures };
+}
+
+/**
+ * Sum the Token-2022 fees stated by transferCheckedWithFee instructions
+ * (outer and inner) that move our mint from or to one of the wallet's token accounts
+ * Returns null when the transaction has no such instruction
+ */
+function getExplicitTransferFee(tx, tokenMint, walletTokenAccounts) {
+  const instructions = [
+    ...(tx.transaction?.message?.instructions || []),
+    ...(tx.meta?.innerInstructions || []).flatMap(inner => inner.instructions || []),
+  ];
+
+  let found = false;
+  let fee = 0;
+  for (const ix of instructions) {
+    const parsed = ix.parsed;
+    if (parsed?.type !== 'transferCheckedWithFee' || parsed.info?.mint !== tokenMint) continue;
+    if (!walletTokenAccounts.has(parsed.info.source) && !walletTokenAccounts.has(parsed.info.destination)) continue;
+    found = true;
+    fee += Number(parsed.info.feeAmount?.amount || 0);
+  }
+  return found ? fee : null;
+}
+
+/**
+ * Burn / mint of our mint on one of the wallet's token accounts (outer or inner
+ * spl-token instructions)
+ * Returns 'BURN', 'MINT' or null
+ */
+function getSupplyChangeType(tx, tokenMint, walletTokenAccounts) {
+  const instructions = [
+    ...(tx.transaction?.message?.instructions || []),
+    ...(tx.meta?.innerInstructions || []).flatMap(inner => inner.instructions || []),
+  ];
+
+  for (const ix of instructions) {
+    const parsed = ix.parsed;
+    if (!parsed?.info || parsed.info.mint !== tokenMint || !walletTokenAccounts.has(parsed.info.account)) continue;
+    if (parsed.type === 'burn' || parsed.type === 'burnChecked') return 'BURN';
+    if (parsed.type === 'mintTo' || parsed.type === 'mintToChecked') return 'MINT';
+  }
+  return null;
 }
 
 /**
  * Parse a transaction for token transfers
- * Distinguishes between: BUY, SELL (swap), TRANSFER_OUT, TRANSFER_IN
+ * Distinguishes between: BUY, SELL (swap), TRANSFER_OUT, TRANSFER_IN,
+ * LP_ADD, LP_REMOVE (liquidity), BURN, MINT (supply)
  *
  * Detection logic:
+ * - BURN / MINT: a burn or mintTo instruction on the wallet's token account
+ * - LP_ADD / LP_REMOVE: DEX transaction moving the token and a paired asset the same way
+ * - Known DEX / Jupiter swaps are decoded next (swapDecoder.js) - any quote asset
+ *   (SOL, wrapped SOL, USDC, another token); the result carries `swap` details
+ * - Otherwise SOL movement decides:
  * - BUY: Tokens increased + SOL decreased significantly (swap on DEX)
  * - SELL: Tokens decreased + SOL increased significantly (swap on DEX)
  * - TRANSFER_OUT: Tokens decreased + SOL stayed same or decreased slightly (just tx fee)
  * - TRANSFER_IN: Tokens increased + SOL stayed same or increased (received tokens)
+ *
+ * Token-2022 transfer-fee mints: amount is the wallet's real balance change (net received
+ * for incoming, gross sent for outgoing); the withheld fee is reported as transferFee
+ *
+ * @param {Object} mintInfo - Optional getMintInfo() result (decimals + extensions)
  */
-function parseTokenTransfer(tx, walletAddress, tokenMint) {
+export function parseTokenTransfer(tx, walletAddress, tokenMint, mintInfo = null) {
   try {
     const preTokenBalances = tx.meta?.preTokenBalances || [];
     const postTokenBalances = tx.meta?.postTokenBalances || [];
@@ -452,6 +497,16 @@ function parseTokenTransfer(tx, walletAddress, tokenMint) {
     // Track all wallets involved in this token transfer
     const walletChanges = new Map();
 
+    // Our wallet's token accounts for this mint (to match fee-bearing instructions)
+    const walletTokenAccounts = new Set();
+    const accountKeys = tx.transaction?.message?.accountKeys || [];
+    // Handle both parsed and unparsed account key formats
+    const keyToString = (key) => {
+      if (key?.pubkey) return key.pubkey.toString();
+      if (typeof key === 'string') return key;
+      return key?.toString ? key.toString() : '';
+    };
+
     // Process pre-balances
     for (const bal of preTokenBalances) {
       // Compare mint addresses (case-insensitive for safety)
@@ -471,6 +526,7 @@ function parseTokenTransfer(tx, walletAddress, tokenMint) {
           preAmount = amount;
           decimals = bal.uiTokenAmount?.decimals || 9;
           foundWallet = true;
+          walletTokenAccounts.add(keyToString(accountKeys[bal.accountIndex]));
         }
       }
     }
@@ -491,6 +547,7 @@ function parseTokenTransfer(tx, walletAddress, tokenMint) {
           postAmount = amount;
           decimals = bal.uiTokenAmount?.decimals || 9;
           foundWallet = true;
+          walletTokenAccounts.add(keyToString(accountKeys[bal.accountIndex]));
         }
       }
     }
@@ -507,21 +564,12 @@ function parseTokenTransfer(tx, walletAddress, tokenMint) {
 
     // Check SOL balance change to detect swaps vs transfers
     let solChange = 0;
-    const accountKeys = tx.transaction?.message?.accountKeys || [];
     const preBalances = tx.meta?.preBalances || [];
     const postBalances = tx.meta?.postBalances || [];
 
     // Find our wallet's index in the account keys
     for (let i = 0; i < accountKeys.length; i++) {
-      // Handle both parsed and unparsed account key formats
-      let keyStr = '';
-      if (accountKeys[i]?.pubkey) {
-        keyStr = accountKeys[i].pubkey.toString();
-      } else if (typeof accountKeys[i] === 'string') {
-        keyStr = accountKeys[i];
-      } else if (accountKeys[i]?.toString) {
-        keyStr = accountKeys[i].toString();
-      }
+      const keyStr = keyToString(accountKeys[i]);
 
       if (keyStr && keyStr.toLowerCase() === walletNormalized.toLowerCase()) {
         const preSol = preBalances[i] || 0;
@@ -534,7 +582,15 @@ function parseTokenTransfer(tx, walletAddress, tokenMint) {
     // Convert SOL change from lamports to SOL (1 SOL = 1e9 lamports)
     const solChangeInSol = solChange / 1e9;
 
-    // Determine transaction type
+    // Determine transaction type - supply changes, then liquidity moves, then decoded
+    // DEX swaps win over the SOL heuristics below (a burn only explains a decrease,
+    // a mint only an increase)
+    const supplyInstruction = getSupplyChangeType(tx, mintNormalized, walletTokenAccounts);
+    const supplyChange = (supplyInstruction === 'BURN' && tokenChange < 0) || (supplyInstruction === 'MINT' && tokenChange > 0)
+      ? supplyInstruction
+      : null;
+    const liquidity = supplyChange ? null : detectLiquidityChange(tx, walletNormalized, mintNormalized);
+    const swap = supplyChange || liquidity ? null : decodeSwap(tx, walletNormalized, mintNormalized);
     let type;
     let toWallet = null;
     let fromWallet = null;
@@ -556,7 +612,11 @@ function parseTokenTransfer(tx, walletAddress, tokenMint) {
       // SELL: SOL increased significantly (received payment from DEX)
       // TRANSFER_OUT: SOL didn't increase (just tx fee deducted, ~0.000005 SOL)
       // Threshold: 0.001 SOL to account for fee variations
-      if (solChangeInSol > 0.001) {
+      if (supplyChange || liquidity) {
+        type = supplyChange || liquidity.type;
+      } else if (swap) {
+        type = swap.side;
+      } else if (solChangeInSol > 0.001) {
         type = 'SELL';
       } else {
         type = 'TRANSFER_OUT';
@@ -578,15 +638,37 @@ function parseTokenTransfer(tx, walletAddress, tokenMint) {
       // BUY: SOL decreased significantly (paid DEX for tokens)
       // TRANSFER_IN: SOL didn't decrease much (received tokens for free, or tiny fee)
       // Threshold: -0.01 SOL (use larger threshold since buys usually cost more than 0.01 SOL)
-      if (solChangeInSol < -0.01) {
+      if (supplyChange || liquidity) {
+        type = supplyChange || liquidity.type;
+      } else if (swap) {
+        type = swap.side;
+      } else if (solChangeInSol < -0.01) {
         type = 'BUY';
       } else {
         type = 'TRANSFER_IN';
       }
     }
 
+    // Token-2022 transfer fee withheld on this wallet's leg
+    // Prefer the fee stated in the instruction; else derive it from the mint's fee config
+    let rawTransferFee = 0;
+    if (mintInfo?.transferFee) {
+      const explicitFee = getExplicitTransferFee(tx, mintNormalized, walletTokenAccounts);
+      if (explicitFee !== null) {
+        rawTransferFee = explicitFee;
+      } else if (tokenChange > 0) {
+        rawTransferFee = calculateInverseTransferFee(tokenChange, mintInfo.transferFee);
+      } else {
+        rawTransferFee = calculateTransferFee(Math.abs(tokenChange), mintInfo.transferFee);
+      }
+    }
+
+    // UI amounts at the transaction's time (interest-bearing / scaled mints)
+    const amountMint = { ...mintInfo, decimals };
+    const txTime = tx.blockTime || Math.floor(Date.now() / 1000);
+
     // DEBUG: Log transfer details
-    const amount = Math.abs(tokenChange) / Math.pow(10, decimals);
+    const amount = toUiAmount(Math.abs(tokenChange), amountMint, txTime);
     if (type === 'TRANSFER_OUT' || type === 'TRANSFER_IN') {
       console.log(`[parseTokenTransfer] ${type}: ${amount.toFixed(4)} tokens | SOL change: ${solChangeInSol.toFixed(6)} | To: ${toWallet?.slice(0, 8) || 'N/A'}... | From: ${fromWallet?.slice(0, 8) || 'N/A'}...`);
     }
@@ -599,6 +681,11 @@ function parseTokenTransfer(tx, walletAddress, tokenMint) {
       toWallet,      // Destination wallet for outgoing transfers
       fromWallet,    // Source wallet for incoming transfers
       solChange: solChangeInSol, // For debugging/display
+      transferFee: rawTransferFee > 0 ? toUiAmount(rawTransferFee, amountMint, txTime) : 0,
+      rawTransferFee,
+      swap, // Decoded DEX swap (dex, venues, input/output mint + amount, price) or null
+      liquidity, // LP_ADD / LP_REMOVE details (dex, paired mint + amount) or null
+      jitoTip: hasJitoTip(tx), // Paid a Jito tip (bundle)
     };
   } catch (error) {
     console.error('[parseTokenTransfer] Error:', error);
@@ -607,10 +694,10 @@ function parseTokenTransfer(tx, walletAddress, tokenMint) {
 }
 
 /**
- * Internal: Fetch raw data from DexScreener
+ * Internal: Fetch normalized market data from the active prices provider
  */
-async function fetchDexScreenerData(tokenMint) {
-  const cacheKey = `dexscreener:${tokenMint}`;
+async function fetchMarketData(tokenMint, signal = null) {
+  const cacheKey = `market:${tokenMint}`;
 
   // Check cache first (short TTL since this has price data)
   const cached = getCached(cacheKey, CACHE_TTL.tokenPrice);
@@ -620,39 +707,31 @@ async function fetchDexScreenerData(tokenMint) {
 
   // Deduplicated fetch
   return deduplicatedFetch(cacheKey, async () => {
-    const response = await fetch(
-      `https://api.dexscreener.com/latest/dex/tokens/${tokenMint}`
-    );
-    const data = await response.json();
-
-    if (data.pairs && data.pairs.length > 0) {
-      // Get the pair with highest liquidity
-      const bestPair = data.pairs.sort((a, b) =>
-        (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0)
-      )[0];
-
-      setCache(cacheKey, bestPair);
-      return bestPair;
-    }
+    const ctx = { signal };
+    const provider = getProvider(PROVIDER_KINDS.PRICES, ctx);
+    const marketData = await provider.getMarketData(ctx, tokenMint);
 
-    return null;
-  });
+    if (marketData) {
+      setCache(cacheKey, marketData);
+    }
+    return marketData;
+  }, signal);
 }
 
 /**
- * Fetch full token info from DexScreener API (free, no auth required)
+ * Fetch full token info from the prices provider (DexScreener by default - free, no auth)
  * Uses caching: metadata cached for 5min, price data for 30sec
  */
-export async function getTokenInfo(tokenMint) {
+export async function getTokenInfo(tokenMint, signal = null) {
   try {
     // Check metadata cache first (long TTL)
     const metadataCacheKey = `metadata:${tokenMint}`;
     const cachedMetadata = getCached(metadataCacheKey, CACHE_TTL.tokenMetadata);
 
     // Fetch fresh data for price (or full data if no metadata cached)
-    const bestPair = await fetchDexScreenerData(tokenMint);
+    const market = await fetchMarketData(tokenMint, signal);
 
-    if (!bestPair) {
+    if (!market) {
       return {
         name: 'Unknown Token',
         symbol: '???',
@@ -664,33 +743,31 @@ export async function getTokenInfo(tokenMint) {
       };
     }
 
-    const baseToken = bestPair.baseToken;
-
     // Build result - use cached metadata if available
     const result = {
       // Basic info (from cache or fresh)
-      name: cachedMetadata?.name || baseToken?.name || 'Unknown',
-      symbol: cachedMetadata?.symbol || baseToken?.symbol || '???',
+      name: cachedMetadata?.name || market.name || 'Unknown',
+      symbol: cachedMetadata?.symbol || market.symbol || '???',
       address: tokenMint,
-      image: cachedMetadata?.image || bestPair.info?.imageUrl || null,
+      image: cachedMetadata?.image || market.image || null,
 
       // Price data (always fresh)
-      price: Number(bestPair.priceUsd) || 0,
-      priceChange24h: Number(bestPair.priceChange?.h24) || 0,
+      price: market.price || 0,
+      priceChange24h: market.priceChange24h || 0,
 
       // Market data (always fresh)
-      marketCap: Number(bestPair.marketCap) || 0,
-      fdv: Number(bestPair.fdv) || 0,
-      liquidity: Number(bestPair.liquidity?.usd) || 0,
-      volume24h: Number(bestPair.volume?.h24) || 0,
+      marketCap: market.marketCap || 0,
+      fdv: market.fdv || 0,
+      liquidity: market.liquidity || 0,
+      volume24h: market.volume24h || 0,
 
       // Additional info
-      pairAddress: bestPair.pairAddress,
-      dexId: bestPair.dexId,
-      url: bestPair.url,
+      pairAddress: market.pairAddress,
+      dexId: market.dexId,
+      url: market.url,
 
       // Metadata
-      source: 'DexScreener',
+      source: market.source,
       lastUpdated: new Date().toISOString(),
     };
 
@@ -705,6 +782,7 @@ export async function getTokenInfo(tokenMint) {
 
     return result;
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('Error fetching token info:', error);
     return {
       name: 'Error',
@@ -722,21 +800,22 @@ export async function getTokenInfo(tokenMint) {
  * Fetch ONLY price data (faster, uses same cache)
  * Use this for frequent price updates
  */
-export async function getTokenPriceOnly(tokenMint) {
+export async function getTokenPriceOnly(tokenMint, signal = null) {
   try {
-    const bestPair = await fetchDexScreenerData(tokenMint);
+    const market = await fetchMarketData(tokenMint, signal);
 
-    if (!bestPair) {
+    if (!market) {
       return { price: 0, priceChange24h: 0 };
     }
 
     return {
-      price: Number(bestPair.priceUsd) || 0,
-      priceChange24h: Number(bestPair.priceChange?.h24) || 0,
-      marketCap: Number(bestPair.marketCap) || 0,
-      volume24h: Number(bestPair.volume?.h24) || 0,
+      price: market.price || 0,
+      priceChange24h: market.priceChange24h || 0,
+      marketCap: market.marketCap || 0,
+      volume24h: market.volume24h || 0,
     };
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('Error fetching token price:', error);
     return { price: 0, priceChange24h: 0, error: error.message };
   }
@@ -745,8 +824,8 @@ export async function getTokenPriceOnly(tokenMint) {
 /**
  * Fetch token price (simplified version for quick price checks)
  */
-export async function getTokenPrice(tokenMint) {
-  const info = await getTokenInfo(tokenMint);
+export async function getTokenPrice(tokenMint, signal = null) {
+  const info = await getTokenInfo(tokenMint, signal);
   return {
     price: info.price,
     priceChange24h: info.priceChange24h,
@@ -756,101 +835,48 @@ export async function getTokenPrice(tokenMint) {
 }
 
 /**
- * Rate-limited delay helper
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/**
- * Fetch balances using Helius DAS API (much faster - single call for all wallets)
+ * Batch size and estimated seconds per batch at the current adaptive rate
+ * Used for queue position / ETA display while balances load
+ *
+ * @returns {{ provider, batchSize, secondsPerBatch }}
  */
-async function fetchBalancesHeliusDAS(apiKey, wallets, tokenMint) {
-  const url = `https://mainnet.helius-rpc.com/?api-key=${apiKey}`;
-
-  // Helius DAS: getAssetsByOwner for each wallet (can batch these)
-  const results = await Promise.all(
-    wallets.map(async (wallet) => {
-      try {
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            id: wallet.address,
-            method: 'getAssetsByOwner',
-            params: {
-              ownerAddress: wallet.address,
-              page: 1,
-              limit: 100,
-              displayOptions: { showFungible: true },
-            },
-          }),
-        });
-
-        const data = await response.json();
-        const assets = data.result?.items || [];
-
-        // Find the token we're looking for
-        const tokenAsset = assets.find(a =>
-          a.id?.toLowerCase() === tokenMint.toLowerCase() ||
-          a.token_info?.mint?.toLowerCase() === tokenMint.toLowerCase()
-        );
-
-        if (tokenAsset) {
-          const balance = tokenAsset.token_info?.balance || 0;
-          const decimals = tokenAsset.token_info?.decimals || 9;
-          return {
-            ...wallet,
-            balance,
-            decimals,
-            uiBalance: balance / Math.pow(10, decimals),
-            lastUpdated: new Date().toISOString(),
-          };
-        }
-
-        return {
-          ...wallet,
-          balance: 0,
-          decimals: 9,
-          uiBalance: 0,
-          lastUpdated: new Date().toISOString(),
-        };
-      } catch (error) {
-        console.error(`[Helius DAS] Error for ${wallet.address.slice(0, 8)}...:`, error.message);
-        return {
-          ...wallet,
-          balance: 0,
-          uiBalance: 0,
-          error: error.message,
-          lastUpdated: new Date().toISOString(),
-        };
-      }
-    })
-  );
-
-  return results;
+export function getBalanceBatchPlan(connection, hasApiKey = false, apiKey = null) {
+  const provider = getProvider(PROVIDER_KINDS.BALANCES, { connection, apiKey: hasApiKey ? apiKey : null });
+  const batchSize = provider.getBalances && provider.batchSize ? provider.batchSize : DEFAULT_BALANCE_BATCH_SIZE;
+  const batchRequests = provider.batchRequests ?? batchSize;
+
+  // DAS calls draw from the Helius budget; everything else goes through the RPC pool
+  const limiterName = provider.name === 'helius-das' ? 'helius' : getPreferredLimiterName();
+  const { rate } = getRateLimiter(limiterName).getState();
+  return {
+    provider,
+    batchSize,
+    secondsPerBatch: batchRequests / rate,
+  };
 }
 
 /**
  * Batch fetch balances for multiple wallets
- * Uses Helius DAS API if available (faster), falls back to RPC
- * OPTIMIZED: Respects Helius rate limits (2-5 sec between batches)
+ * Uses the active balances provider: ATA batch reads (100 wallets per call) by default,
+ * Helius DAS or per-wallet owner scans when selected
+ * Providers with a getBalances() batch method get whole batches; others go per wallet
+ * Paced by the shared adaptive rate limiter - no fixed delays between batches
  *
- * @param {boolean} hasApiKey - If true, use Helius DAS API
+ * @param {boolean} hasApiKey - If true, Helius-backed providers become available
  * @param {string} apiKey - Helius API key for DAS endpoint
  * @param {Function} onProgress - Optional callback for progress updates
+ * @param {AbortSignal} signal - Optional; cancels in-flight calls (rejects with AbortError)
  */
-export async function batchGetBalances(connection, wallets, tokenMint, hasApiKey = false, apiKey = null, onProgress = null) {
-  const BATCH_SIZE = hasApiKey ? HELIUS_RATE_LIMIT.batchSize : 3;
-  const BATCH_DELAY = hasApiKey ? HELIUS_RATE_LIMIT.minDelayMs : 500;
+export async function batchGetBalances(connection, wallets, tokenMint, hasApiKey = false, apiKey = null, onProgress = null, signal = null) {
+  const { provider, batchSize: BATCH_SIZE } = getBalanceBatchPlan(connection, hasApiKey, apiKey);
+  const ctx = { connection: withAbortSignal(connection, signal), apiKey: hasApiKey ? apiKey : null, signal };
 
-  console.log(`[batchGetBalances] Starting fetch for ${wallets.length} wallets (batch size: ${BATCH_SIZE}, delay: ${BATCH_DELAY}ms)`);
+  console.log(`[batchGetBalances] Starting fetch for ${wallets.length} wallets via ${provider.name} (batch size: ${BATCH_SIZE})`);
 
   const results = [];
   let completedCount = 0;
 
-  // Process in batches to respect Helius rate limits
+  // Process in batches for progress reporting (each call waits for a rate-limit token)
   for (let i = 0; i < wallets.length; i += BATCH_SIZE) {
     const batch = wallets.slice(i, i + BATCH_SIZE);
     const batchNumber = Math.floor(i / BATCH_SIZE) + 1;
@@ -860,13 +886,13 @@ export async function batchGetBalances(connection, wallets, tokenMint, hasApiKey
 
     let batchResults;
 
-    if (hasApiKey && apiKey) {
-      // Use Helius DAS API for this batch
-      batchResults = await fetchBalancesBatchHelius(apiKey, batch, tokenMint);
+    if (provider.getBalances) {
+      // Provider handles the whole batch (e.g. ATA batch reads, Helius DAS)
+      batchResults = await provider.getBalances(ctx, batch, tokenMint);
     } else {
-      // Use standard RPC
+      // One cached/deduplicated lookup per wallet
       batchResults = await Promise.allSettled(
-        batch.map(wallet => getTokenBalance(connection, wallet.address, tokenMint))
+        batch.map(wallet => getTokenBalance(connection, wallet.address, tokenMint, ctx.apiKey, signal))
       );
       batchResults = batchResults.map((result, idx) => {
         if (result.status === 'fulfilled') {
@@ -876,6 +902,9 @@ export async function batchGetBalances(connection, wallets, tokenMint, hasApiKey
       });
     }
 
+    // Rows of a cancelled batch carry abort errors - drop them
+    signal?.throwIfAborted();
+
     results.push(...batchResults);
     completedCount += batch.length;
 
@@ -887,88 +916,8 @@ export async function batchGetBalances(connection, wallets, tokenMint, hasApiKey
         percent: Math.round((completedCount / wallets.length) * 100),
       });
     }
-
-    // Add delay between batches (except for last batch) to respect rate limits
-    if (i + BATCH_SIZE < wallets.length) {
-      console.log(`[batchGetBalances] Rate limit pause: ${BATCH_DELAY}ms before next batch`);
-      await delay(BATCH_DELAY);
-    }
   }
 
   console.log(`[batchGetBalances] Completed: ${results.length} wallets processed`);
   return results;
 }
-
-/**
- * Fetch balances for a batch using Helius DAS API
- * Single batch - called by batchGetBalances
- */
-async function fetchBalancesBatchHelius(apiKey, wallets, tokenMint) {
-  const url = `https://mainnet.helius-rpc.com/?api-key=${apiKey}`;
-
-  const results = await Promise.all(
-    wallets.map(async (wallet) => {
-      try {
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            id: wallet.address,
-            method: 'getAssetsByOwner',
-            params: {
-              ownerAddress: wallet.address,
-              page: 1,
-              limit: 100,
-              displayOptions: { showFungible: true },
-            },
-          }),
-        });
-
-        const data = await response.json();
-        const assets = data.result?.items || [];
-
-        // Find the token we're looking for
-        const tokenAsset = assets.find(a =>
-          a.id?.toLowerCase() === tokenMint.toLowerCase() ||
-          a.token_info?.mint?.toLowerCase() === tokenMint.toLowerCase()
-        );
-
-        if (tokenAsset) {
-          const balance = tokenAsset.token_info?.balance || 0;
-          const decimals = tokenAsset.token_info?.decimals || 9;
-          return {
-            ...wallet,
-            id: wallet.address,
-            balance,
-            decimals,
-            uiBalance: balance / Math.pow(10, decimals),
-            lastUpdated: new Date().toISOString(),
-          };
-        }
-
-        return {
-          ...wallet,
-          id: wallet.address,
-          balance: 0,
-          decimals: 9,
-          uiBalance: 0,
-          lastUpdated: new Date().toISOString(),
-        };
-      } catch (error) {
-        console.error(`[Helius] Error for ${wallet.address.slice(0, 8)}...:`, error.message);
-        return {
-          ...wallet,
-          id: wallet.address,
-          balance: 0,
-          uiBalance: 0,
-          error: error.message,
-          lastUpdated: new Date().toISOString(),
-        };
-      }
-    })
-  );
-
-  return results;
-}
-
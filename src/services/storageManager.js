@@ -0,0 +1,281 @@
+/**
+ * Storage Manager
+ * Watches how much of the browser's storage the app uses and frees space before writes fail
+ *
+ * Architecture:
+ * - Usage: navigator.storage.estimate() for the origin (IndexedDB) and a key scan of
+ *   localStorage (its own ~5 MB limit); the breakdown per cache kind, token and project
+ *   comes from getCacheStats(), the projects store, the parsed-transaction cache and
+ *   the balance series
+ * - checkStorage() runs after each fetch: past warnRatio listeners get a warning, past
+ *   evictRatio the eviction policy runs first
+ * - A write that fails with a quota error (appDb.js onQuotaExceeded) runs the policy at once
+ * - Eviction policies (Settings):
+ *   - OLDEST_PROJECT: delete the least recently scanned project and its token cache
+ *   - TRIM_TRANSACTIONS: drop cached transactions older than trimAfterDays
+ *   - NONE: only warn
+ * - The active token is never evicted
+ */
+import { onQuotaExceeded } from './appDb';
+import { getCacheStats, clearTokenCache, trimCachedTransactions } from './dataCache';
+import { getTxCacheStats } from './txCache';
+import { getSeriesStats } from './balanceSeries';
+import { getProjects, deleteProject } from '../utils/projectStorage';
+
+export const EVICTION_POLICIES = {
+  NONE: 'none',
+  OLDEST_PROJECT: 'oldest_project',
+  TRIM_TRANSACTIONS: 'trim_transactions',
+};
+
+export const EVICTION_POLICY_LABELS = {
+  [EVICTION_POLICIES.NONE]: 'Warn only',
+  [EVICTION_POLICIES.OLDEST_PROJECT]: 'Delete oldest project first',
+  [EVICTION_POLICIES.TRIM_TRANSACTIONS]: 'Trim old transactions',
+};
+
+export const DEFAULT_EVICTION_POLICY = EVICTION_POLICIES.TRIM_TRANSACTIONS;
+
+export const STORAGE_WARNING_LEVELS = {
+  WARNING: 'warning', // Past warnRatio
+  FULL: 'full',       // A write failed
+};
+
+// Display names for getCacheStats() byKind + the stores measured here
+export const STORAGE_KIND_LABELS = {
+  TRANSACTIONS: 'Token transactions',
+  PROJECTS: 'Saved projects',
+  PARSED_TRANSACTIONS: 'Parsed transaction cache',
+  SNAPSHOTS: 'Balance / price history',
+  WALLET_BALANCES: 'Wallet balances',
+  TOKEN_METADATA: 'Token metadata',
+  TOKEN_PRICES: 'Token prices',
+  SYNC_STATE: 'Sync state',
+  BACKFILL: 'Backfill checkpoints',
+  SOL_USD: 'SOL/USD history',
+  FUNDING: 'Funding sources',
+  LAUNCH: 'Launch info',
+};
+
+const STORAGE_CONFIG = {
+  localStorageQuota: 5 * 1024 * 1024, // Typical per-origin limit (characters)
+  warnRatio: 0.8,
+  evictRatio: 0.9,
+  trimAfterDays: 30,
+  maxEvictionRounds: 5,               // OLDEST_PROJECT: projects deleted per run at most
+  warningCooldownMs: 10 * 60 * 1000,  // Same warning level at most every 10 minutes
+};
+
+let evictionPolicy = DEFAULT_EVICTION_POLICY;
+let activeTokenMint = null;
+let evicting = null; // Promise of the running eviction (one at a time)
+const lastWarnedAt = {}; // level -> ms
+const warningListeners = new Set();
+
+/**
+ * ============================================
+ * CONFIGURATION / LISTENERS
+ * ============================================
+ */
+
+/**
+ * Set the eviction policy and the token that must be kept (the one on screen)
+ */
+export function configureStorageManager({ policy, tokenMint } = {}) {
+  if (policy !== undefined) evictionPolicy = policy || DEFAULT_EVICTION_POLICY;
+  if (tokenMint !== undefined) activeTokenMint = tokenMint || null;
+}
+
+/**
+ * Listen for storage warnings
+ * Listener receives { level, ratio, source, evicted }; returns an unsubscribe function
+ */
+export function subscribeStorageWarnings(listener) {
+  warningListeners.add(listener);
+  return () => warningListeners.delete(listener);
+}
+
+function notify(warning) {
+  const now = Date.now();
+  if (now - (lastWarnedAt[warning.level] || 0) < STORAGE_CONFIG.warningCooldownMs) return;
+  lastWarnedAt[warning.level] = now;
+  warningListeners.forEach(listener => listener(warning));
+}
+
+/**
+ * ============================================
+ * USAGE
+ * ============================================
+ */
+
+function getLocalStorageUsage() {
+  let usage = 0;
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      usage += key.length + (localStorage.getItem(key)?.length || 0);
+    }
+  } catch {
+    // localStorage blocked - nothing measurable
+  }
+  return usage;
+}
+
+/**
+ * How full the browser storage is
+ * Returns: { indexedDb: { usage, quota, ratio }, localStorage: { usage, quota, ratio }, ratio }
+ *          ratio = the fuller of the two (0-1); quota 0 = unknown
+ */
+export async function getStorageUsage() {
+  let estimate = { usage: 0, quota: 0 };
+  try {
+    if (navigator.storage?.estimate) estimate = await navigator.storage.estimate();
+  } catch {
+    // Estimate unsupported - IndexedDB ratio stays 0
+  }
+
+  const indexedDb = {
+    usage: estimate.usage || 0,
+    quota: estimate.quota || 0,
+    ratio: estimate.quota ? (estimate.usage || 0) / estimate.quota : 0,
+  };
+  const localUsage = getLocalStorageUsage();
+  const local = {
+    usage: localUsage,
+    quota: STORAGE_CONFIG.localStorageQuota,
+    ratio: localUsage / STORAGE_CONFIG.localStorageQuota,
+  };
+
+  return { indexedDb, localStorage: local, ratio: Math.max(indexedDb.ratio, local.ratio) };
+}
+
+/**
+ * Full breakdown for the cleanup panel
+ * Returns: { usage, byKind: [{ kind, label, bytes }], byToken, projects: [{ id, tokenMint,
+ *          tokenSymbol, lastScanned, bytes }], totalTransactions, policy }
+ */
+export async function getStorageReport() {
+  const [usage, stats, txCache, series, projects] = await Promise.all([
+    getStorageUsage(),
+    getCacheStats(),
+    getTxCacheStats(),
+    getSeriesStats(),
+    getProjects(),
+  ]);
+
+  const projectSizes = projects.map(project => ({
+    id: project.id,
+    tokenMint: project.tokenMint,
+    tokenSymbol: project.tokenSymbol,
+    lastScanned: project.lastScanned,
+    bytes: JSON.stringify(project).length,
+  }));
+
+  const kinds = {
+    ...stats.byKind,
+    PROJECTS: projectSizes.reduce((sum, project) => sum + project.bytes, 0),
+    PARSED_TRANSACTIONS: txCache.bytes,
+    SNAPSHOTS: series.bytes,
+  };
+
+  return {
+    usage,
+    byKind: Object.entries(kinds)
+      .map(([kind, bytes]) => ({ kind, label: STORAGE_KIND_LABELS[kind] || kind, bytes }))
+      .sort((a, b) => b.bytes - a.bytes),
+    byToken: stats.byToken,
+    projects: projectSizes.sort((a, b) => b.bytes - a.bytes),
+    totalTransactions: stats.totalTransactions,
+    policy: evictionPolicy,
+  };
+}
+
+/**
+ * ============================================
+ * EVICTION
+ * ============================================
+ */
+
+async function evictOldestProjects() {
+  const candidates = (await getProjects())
+    .filter(project => project.tokenMint !== activeTokenMint)
+    .sort((a, b) => (a.lastScanned || '').localeCompare(b.lastScanned || ''));
+
+  const deleted = [];
+  for (const project of candidates.slice(0, STORAGE_CONFIG.maxEvictionRounds)) {
+    await deleteProject(project.id);
+    await clearTokenCache(project.tokenMint);
+    deleted.push(project.tokenSymbol);
+
+    const { ratio } = await getStorageUsage();
+    if (ratio < STORAGE_CONFIG.warnRatio) break;
+  }
+  return deleted.length > 0 ? `Deleted ${deleted.length} project${deleted.length === 1 ? '' : 's'} (${deleted.join(', ')})` : null;
+}
+
+async function trimOldTransactions() {
+  const cutoff = Date.now() - STORAGE_CONFIG.trimAfterDays * 24 * 60 * 60 * 1000;
+  const deleted = await trimCachedTransactions(cutoff, { keepTokenMint: activeTokenMint });
+  return deleted > 0 ? `Trimmed ${deleted} transactions older than ${STORAGE_CONFIG.trimAfterDays} days` : null;
+}
+
+/**
+ * Free space with an eviction policy (the configured one by default)
+ * Returns: Promise<string|null> - what was evicted, null = nothing
+ */
+export function applyEvictionPolicy(policy = evictionPolicy) {
+  if (evicting) return evicting;
+
+  evicting = (async () => {
+    try {
+      if (policy === EVICTION_POLICIES.OLDEST_PROJECT) return await evictOldestProjects();
+      if (policy === EVICTION_POLICIES.TRIM_TRANSACTIONS) return await trimOldTransactions();
+      return null;
+    } catch (error) {
+      console.error('[Storage] Eviction failed:', error?.message);
+      return null;
+    }
+  })().then(evicted => {
+    evicting = null;
+    if (evicted) console.log(`[Storage] ${evicted}`);
+    return evicted;
+  });
+  return evicting;
+}
+
+/**
+ * Measure usage; evict past evictRatio and warn past warnRatio
+ * Returns: Promise<{ ratio, evicted }>
+ */
+export async function checkStorage() {
+  let { ratio } = await getStorageUsage();
+  let evicted = null;
+
+  if (ratio >= STORAGE_CONFIG.evictRatio && evictionPolicy !== EVICTION_POLICIES.NONE) {
+    evicted = await applyEvictionPolicy();
+    ({ ratio } = await getStorageUsage());
+  }
+
+  if (ratio >= STORAGE_CONFIG.warnRatio) {
+    notify({ level: STORAGE_WARNING_LEVELS.WARNING, ratio, source: null, evicted });
+  }
+  return { ratio, evicted };
+}
+
+// A write failed - free space right away and tell the user
+onQuotaExceeded(async (source) => {
+  const evicted = await applyEvictionPolicy();
+  const { ratio } = await getStorageUsage();
+  notify({ level: STORAGE_WARNING_LEVELS.FULL, ratio, source, evicted });
+});
+
+/**
+ * Human-readable byte size
+ */
+export function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
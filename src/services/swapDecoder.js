@@ -0,0 +1,578 @@
+/**
+ * Swap Decoder
+ * Recognizes DEX swaps in parsed transactions and reports what the wallet traded
+ *
+ * Architecture:
+ * - Swap instructions are matched by program id + instruction tag (Raydium AMM v4,
+ *   Orca token swap) or Anchor discriminator (every other AMM and the Jupiter routes),
+ *   in outer and inner (CPI) instructions
+ * - Amounts come from the instructions run under each top-level instruction that
+ *   contains a swap: the wallet's SPL transfers (account owner from the token balances
+ *   or initializeAccount, so temporary wrapped-SOL accounts count) and its SOL transfers
+ *   (wrapping into its own token account is not a leg)
+ * - Anchor events (CPI event instructions and "Program data:" logs):
+ *   - Pump.fun TradeEvent: SOL and token amounts of the bonding-curve trade (a sell pays
+ *     SOL by editing lamports, so there is no transfer to read)
+ *   - Jupiter SwapEvent: the AMM of every hop, for the route shown in the UI
+ * - Fallback when no swap instruction is recognized or it did not move the token (unknown
+ *   instruction variant, router program): the wallet's net balance changes
+ *   - SPL / Token-2022 tokens: owner-level pre/post token balances
+ *   - SOL: wallet lamports + lamports of its own token accounts (covers wrapped SOL,
+ *     rent for created/closed accounts) with the network fee added back
+ * - Quote side: another token when one moved (USDC, USDT...), else SOL
+ * - Liquidity: a DEX transaction where the token and a paired asset move the same way
+ *   is a deposit (both leave the wallet = LP_ADD) or a withdrawal (both arrive = LP_REMOVE),
+ *   not a swap; the LP/position token moving the other way is ignored
+ *
+ * Works on web3.js results and on plain-JSON cached ones (txCache.js).
+ */
+import { PublicKey } from '@solana/web3.js';
+
+export const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// USD stablecoins - a swap quoted in one of these is priced in USD directly
+export const USD_STABLE_MINTS = new Set([
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
+  'USD1ttGY1N17NEEHLmELoaybftRBUSErhqYiQzvEmuB',  // USD1
+]);
+
+// Display symbols for common quote mints
+const QUOTE_SYMBOLS = {
+  [WSOL_MINT]: 'SOL',
+  EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: 'USDC',
+  Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: 'USDT',
+  USD1ttGY1N17NEEHLmELoaybftRBUSErhqYiQzvEmuB: 'USD1',
+};
+
+// program id -> venue name
+const DEX_PROGRAMS = {
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': 'Raydium',
+  CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C: 'Raydium',
+  CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK: 'Raydium',
+  LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj: 'Raydium LaunchLab',
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': 'Pump.fun',
+  pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA: 'PumpSwap',
+  LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo: 'Meteora',
+  Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB: 'Meteora',
+  cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG: 'Meteora',
+  dbcij3LWUppWqq96dh6gJWwBifmcGfLSB5D4DuSMaqN: 'Meteora DBC',
+  whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc: 'Orca',
+  '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP': 'Orca',
+};
+
+// Aggregators route through the AMMs above
+const AGGREGATOR_PROGRAMS = {
+  JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4: 'Jupiter',
+  JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB: 'Jupiter',
+};
+
+const PUMP_FUN_PROGRAM = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+const JUPITER_V6_PROGRAM = 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4';
+
+// Anchor discriminators (first 8 bytes of sha256("global:<name>") / sha256("event:<Name>"), hex)
+const IX = {
+  SWAP: 'f8c69e91e17587c8',
+  SWAP_V2: '2b04ed0b1ac91e62',
+  SWAP2: '414b3f4ceb5b5b88',
+  SWAP_BASE_INPUT: '8fbe5adac41e33de',
+  SWAP_BASE_OUTPUT: '37d96256a34ab4ad',
+  SWAP_EXACT_OUT: 'fa49652126cf4bb8',
+  SWAP_EXACT_OUT2: '2bd7f784893cf351',
+  SWAP_WITH_PRICE_IMPACT: '38ade6d0ade49ccd',
+  SWAP_WITH_PRICE_IMPACT2: '4a62c0d6b1334b33',
+  TWO_HOP_SWAP: 'c360ed6c44a2dbe6',
+  TWO_HOP_SWAP_V2: 'ba8fd11dfe02c275',
+  BUY: '66063d1201daebea',
+  SELL: '33e685a4017f83ad',
+  BUY_EXACT_IN: 'faea0d7bd59c13ec',
+  BUY_EXACT_OUT: '18d3742869039938',
+  SELL_EXACT_IN: '9527de9bd37c981a',
+  SELL_EXACT_OUT: '5fc8472208090ba6',
+  ROUTE: 'e517cb977ae3ad2a',
+  ROUTE_WITH_TOKEN_LEDGER: '96564774a75d0e68',
+  EXACT_OUT_ROUTE: 'd033ef977b2bed5c',
+  SHARED_ACCOUNTS_ROUTE: 'c1209b3341d69c81',
+  SHARED_ACCOUNTS_ROUTE_WITH_TOKEN_LEDGER: 'e6798f50779f6aaa',
+  SHARED_ACCOUNTS_EXACT_OUT_ROUTE: 'b0d169a89a7d453e',
+};
+const EVENTS = {
+  TRADE: 'bddb7fd34ee661ee',      // Pump.fun TradeEvent
+  SWAP: '40c6cde8260871e2',       // Jupiter SwapEvent
+};
+// Prefix of an Anchor event emitted through a self-CPI (emit_cpi!)
+const EVENT_IX_TAG = 'e445a52e51cb9a1d';
+
+const JUPITER_ROUTES = [
+  IX.ROUTE, IX.ROUTE_WITH_TOKEN_LEDGER, IX.EXACT_OUT_ROUTE,
+  IX.SHARED_ACCOUNTS_ROUTE, IX.SHARED_ACCOUNTS_ROUTE_WITH_TOKEN_LEDGER, IX.SHARED_ACCOUNTS_EXACT_OUT_ROUTE,
+];
+
+// program id -> hex prefixes of its swap instructions (1-byte tags or Anchor discriminators)
+const SWAP_INSTRUCTIONS = {
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': ['09', '0b'], // swapBaseIn, swapBaseOut
+  CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C: [IX.SWAP_BASE_INPUT, IX.SWAP_BASE_OUTPUT],
+  CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK: [IX.SWAP, IX.SWAP_V2],
+  LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj: [IX.BUY_EXACT_IN, IX.BUY_EXACT_OUT, IX.SELL_EXACT_IN, IX.SELL_EXACT_OUT],
+  [PUMP_FUN_PROGRAM]: [IX.BUY, IX.SELL],
+  pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA: [IX.BUY, IX.SELL],
+  LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo: [
+    IX.SWAP, IX.SWAP_EXACT_OUT, IX.SWAP_WITH_PRICE_IMPACT, IX.SWAP2, IX.SWAP_EXACT_OUT2, IX.SWAP_WITH_PRICE_IMPACT2,
+  ],
+  Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB: [IX.SWAP],
+  cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG: [IX.SWAP, IX.SWAP2],
+  dbcij3LWUppWqq96dh6gJWwBifmcGfLSB5D4DuSMaqN: [IX.SWAP, IX.SWAP2],
+  whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc: [IX.SWAP, IX.SWAP_V2, IX.TWO_HOP_SWAP, IX.TWO_HOP_SWAP_V2],
+  '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP': ['01'], // Swap
+  [JUPITER_V6_PROGRAM]: JUPITER_ROUTES,
+  JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB: [IX.ROUTE],
+};
+
+const TOKEN_PROGRAMS = new Set(['spl-token', 'spl-token-2022']);
+const TOKEN_TRANSFER_TYPES = new Set(['transfer', 'transferChecked', 'transferCheckedWithFee']);
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// SOL moves below this (after the network fee) are tips/dust, not a swap leg
+const MIN_SOL_LEG = 0.00001;
+
+// A SOL leg must be at least this to count as the paired side of a liquidity move
+// (keeps priority tips on token-to-token swaps from looking like a deposit)
+const MIN_SOL_LIQUIDITY_LEG = 0.01;
+
+const keyToString = (key) => {
+  if (key?.pubkey) return key.pubkey.toString();
+  if (typeof key === 'string') return key;
+  return key?.toString ? key.toString() : '';
+};
+
+/**
+ * ============================================
+ * INSTRUCTION DATA
+ * ============================================
+ */
+
+function decodeBase58(text) {
+  const bytes = [];
+  for (const char of text) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) return null;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  for (const char of text) {
+    if (char !== '1') break;
+    bytes.push(0);
+  }
+  return Uint8Array.from(bytes.reverse());
+}
+
+function decodeBase64(text) {
+  try {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  } catch {
+    return null;
+  }
+}
+
+const toHex = (bytes, start, end) =>
+  Array.from(bytes.subarray(start, end), byte => byte.toString(16).padStart(2, '0')).join('');
+
+const readU64 = (bytes, offset) =>
+  Number(new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getBigUint64(offset, true));
+
+const readPubkey = (bytes, offset) => new PublicKey(bytes.subarray(offset, offset + 32)).toBase58();
+
+/**
+ * Outer instructions, each followed by the inner (CPI) instructions it ran
+ */
+function getInstructionGroups(tx) {
+  const outer = tx.transaction?.message?.instructions || [];
+  const inner = new Map((tx.meta?.innerInstructions || []).map(group => [group.index, group.instructions || []]));
+  return outer.map((ix, index) => [ix, ...(inner.get(index) || [])]);
+}
+
+function getProgramId(tx, ix) {
+  if (ix.programId) return keyToString(ix.programId);
+  if (ix.programIdIndex !== undefined) return keyToString(tx.transaction?.message?.accountKeys?.[ix.programIdIndex]);
+  return '';
+}
+
+/**
+ * Program ids of every outer and inner instruction
+ */
+function getInvokedPrograms(tx) {
+  return getInstructionGroups(tx).flat().map(ix => getProgramId(tx, ix));
+}
+
+/**
+ * Program id of a recognized swap instruction, else null
+ */
+function getSwapProgram(tx, ix) {
+  if (typeof ix.data !== 'string') return null;
+  const programId = getProgramId(tx, ix);
+  const prefixes = SWAP_INSTRUCTIONS[programId];
+  if (!prefixes) return null;
+
+  const data = decodeBase58(ix.data);
+  if (!data) return null;
+  const head = toHex(data, 0, 8);
+  return prefixes.some(prefix => head.startsWith(prefix)) ? programId : null;
+}
+
+/**
+ * Anchor events: self-CPI event instructions and "Program data:" log lines
+ * Returns [{ programId, discriminator, data }] - data starts after the event discriminator
+ */
+function getAnchorEvents(tx) {
+  const events = [];
+  const seen = new Set();
+  const add = (programId, bytes) => {
+    if (!bytes || bytes.length < 8) return;
+    const discriminator = toHex(bytes, 0, 8);
+    const key = `${programId}:${toHex(bytes, 0, bytes.length)}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    events.push({ programId, discriminator, data: bytes.subarray(8) });
+  };
+
+  for (const ix of getInstructionGroups(tx).flat()) {
+    if (typeof ix.data !== 'string') continue;
+    const bytes = decodeBase58(ix.data);
+    if (bytes && bytes.length > 8 && toHex(bytes, 0, 8) === EVENT_IX_TAG) {
+      add(getProgramId(tx, ix), bytes.subarray(8));
+    }
+  }
+
+  // Logged events belong to the program running when they were written
+  const stack = [];
+  for (const line of tx.meta?.logMessages || []) {
+    const invoke = line.match(/^Program (\w+) invoke/);
+    if (invoke) {
+      stack.push(invoke[1]);
+    } else if (/^Program \w+ (success|failed)/.test(line)) {
+      stack.pop();
+    } else if (line.startsWith('Program data: ')) {
+      add(stack[stack.length - 1], decodeBase64(line.slice('Program data: '.length)));
+    }
+  }
+  return events;
+}
+
+/**
+ * Pump.fun trades made by the owner
+ * TradeEvent: mint, sol_amount u64, token_amount u64, is_buy bool, user, ...
+ */
+function getPumpTrades(events, owner) {
+  return events
+    .filter(event => event.programId === PUMP_FUN_PROGRAM && event.discriminator === EVENTS.TRADE && event.data.length >= 81)
+    .map(event => ({
+      mint: readPubkey(event.data, 0),
+      lamports: readU64(event.data, 32),
+      tokenRaw: readU64(event.data, 40),
+      isBuy: event.data[48] === 1,
+      user: readPubkey(event.data, 49),
+    }))
+    .filter(trade => trade.user === owner);
+}
+
+/**
+ * AMM program of every Jupiter route hop
+ * SwapEvent: amm, input_mint, input_amount u64, output_mint, output_amount u64
+ */
+function getJupiterHops(events) {
+  return events
+    .filter(event => event.programId === JUPITER_V6_PROGRAM && event.discriminator === EVENTS.SWAP && event.data.length >= 32)
+    .map(event => readPubkey(event.data, 0));
+}
+
+/**
+ * Token accounts touched by the transaction: address -> { mint, owner }
+ * Accounts created and closed inside it only show up in their initializeAccount instruction
+ */
+function getTokenAccounts(tx) {
+  const accountKeys = tx.transaction?.message?.accountKeys || [];
+  const accounts = new Map();
+
+  for (const bal of [...(tx.meta?.preTokenBalances || []), ...(tx.meta?.postTokenBalances || [])]) {
+    accounts.set(keyToString(accountKeys[bal.accountIndex]), { mint: bal.mint, owner: bal.owner });
+  }
+  for (const ix of getInstructionGroups(tx).flat()) {
+    const { type, info } = ix.parsed || {};
+    if (TOKEN_PROGRAMS.has(ix.program) && type?.startsWith('initializeAccount') && info?.account && !accounts.has(info.account)) {
+      accounts.set(info.account, { mint: info.mint, owner: info.owner });
+    }
+  }
+  return accounts;
+}
+
+function getMintDecimals(tx) {
+  const decimals = new Map([[WSOL_MINT, 9]]);
+  for (const bal of [...(tx.meta?.preTokenBalances || []), ...(tx.meta?.postTokenBalances || [])]) {
+    if (bal.uiTokenAmount?.decimals !== undefined) decimals.set(bal.mint, bal.uiTokenAmount.decimals);
+  }
+  return decimals;
+}
+
+/**
+ * Add the owner's transfers in a group of instructions to legs (mint -> raw change)
+ */
+function addWalletTransfers(legs, group, owner, tokenAccounts, decimals) {
+  const add = (mint, raw) => legs.set(mint, (legs.get(mint) || 0) + raw);
+
+  for (const ix of group) {
+    const { type, info } = ix.parsed || {};
+    if (!info) continue;
+
+    if (TOKEN_PROGRAMS.has(ix.program) && TOKEN_TRANSFER_TYPES.has(type)) {
+      const source = tokenAccounts.get(info.source);
+      const destination = tokenAccounts.get(info.destination);
+      const mint = info.mint || source?.mint || destination?.mint;
+      const raw = Number(info.amount ?? info.tokenAmount?.amount ?? 0);
+      if (!mint || !raw) continue;
+      if (info.tokenAmount?.decimals !== undefined) decimals.set(mint, info.tokenAmount.decimals);
+
+      const fromOwner = source?.owner === owner || info.authority === owner;
+      const toOwner = destination?.owner === owner;
+      if (fromOwner && !toOwner) add(mint, -raw);
+      if (toOwner && !fromOwner) add(mint, raw);
+    } else if (ix.program === 'system' && type === 'transfer') {
+      // SOL moved into the owner's own wrapped-SOL account is wrapping, not a leg
+      if (tokenAccounts.get(info.destination)?.owner === owner) continue;
+      if (info.source === owner && info.destination !== owner) add(WSOL_MINT, -Number(info.lamports || 0));
+      if (info.destination === owner && info.source !== owner) add(WSOL_MINT, Number(info.lamports || 0));
+    }
+  }
+}
+
+/**
+ * Decode the swap instructions of a transaction for one wallet
+ * Returns { dex, venues, changes: Map(mint -> { amount, decimals }) } (SOL under WSOL_MINT),
+ * null when no known swap instruction ran
+ */
+export function decodeSwapInstructions(tx, ownerAddress) {
+  const owner = ownerAddress.trim();
+  const swapGroups = getInstructionGroups(tx)
+    .map(group => ({ group, programs: group.map(ix => getSwapProgram(tx, ix)).filter(Boolean) }))
+    .filter(({ programs }) => programs.length > 0);
+  if (swapGroups.length === 0) return null;
+
+  const events = getAnchorEvents(tx);
+  const pumpTrades = getPumpTrades(events, owner);
+  const tokenAccounts = getTokenAccounts(tx);
+  const decimals = getMintDecimals(tx);
+  const legs = new Map();
+  const venues = [];
+  let aggregator = null;
+  const addVenue = (programId) => {
+    if (AGGREGATOR_PROGRAMS[programId]) {
+      aggregator = aggregator || AGGREGATOR_PROGRAMS[programId];
+    } else if (DEX_PROGRAMS[programId] && !venues.includes(DEX_PROGRAMS[programId])) {
+      venues.push(DEX_PROGRAMS[programId]);
+    }
+  };
+
+  for (const { group, programs } of swapGroups) {
+    programs.forEach(addVenue);
+    // Pump.fun trades are read from their events (a sell has no SOL transfer)
+    if (pumpTrades.length > 0 && programs.includes(PUMP_FUN_PROGRAM)) continue;
+    addWalletTransfers(legs, group, owner, tokenAccounts, decimals);
+  }
+  for (const trade of pumpTrades) {
+    const sign = trade.isBuy ? 1 : -1;
+    legs.set(trade.mint, (legs.get(trade.mint) || 0) + sign * trade.tokenRaw);
+    legs.set(WSOL_MINT, (legs.get(WSOL_MINT) || 0) - sign * trade.lamports);
+  }
+  getJupiterHops(events).forEach(addVenue);
+
+  const changes = new Map();
+  legs.forEach((raw, mint) => {
+    const mintDecimals = decimals.get(mint) ?? 0;
+    const amount = raw / Math.pow(10, mintDecimals);
+    if (amount === 0 || (mint === WSOL_MINT && Math.abs(amount) < MIN_SOL_LEG)) return;
+    changes.set(mint, { amount, decimals: mintDecimals });
+  });
+
+  return { dex: aggregator || venues[0] || null, venues, changes };
+}
+
+/**
+ * ============================================
+ * VENUES / BALANCE CHANGES
+ * ============================================
+ */
+
+/**
+ * Venues (in first-seen order) and aggregator of a transaction
+ * Returns null when no known DEX program was invoked
+ */
+export function detectSwapVenues(tx) {
+  const venues = [];
+  let aggregator = null;
+
+  for (const programId of getInvokedPrograms(tx)) {
+    if (AGGREGATOR_PROGRAMS[programId]) {
+      aggregator = aggregator || AGGREGATOR_PROGRAMS[programId];
+    } else if (DEX_PROGRAMS[programId] && !venues.includes(DEX_PROGRAMS[programId])) {
+      venues.push(DEX_PROGRAMS[programId]);
+    }
+  }
+
+  if (!aggregator && venues.length === 0) return null;
+  return { dex: aggregator || venues[0], venues };
+}
+
+/**
+ * Net change per mint for one owner (ui amounts; SOL under WSOL_MINT)
+ * Returns Map(mint -> { amount, decimals })
+ */
+export function getOwnerBalanceChanges(tx, ownerAddress) {
+  const owner = ownerAddress.trim();
+  const accountKeys = tx.transaction?.message?.accountKeys || [];
+  const preBalances = tx.meta?.preBalances || [];
+  const postBalances = tx.meta?.postBalances || [];
+  const changes = new Map();
+
+  // Token balances; lamports of the owner's token accounts count as the owner's SOL
+  const ownTokenAccounts = new Set();
+  const apply = (balances, sign) => {
+    for (const bal of balances || []) {
+      if (bal.owner !== owner) continue;
+      ownTokenAccounts.add(bal.accountIndex);
+      if (bal.mint === WSOL_MINT) continue; // Counted through lamports below
+
+      const decimals = bal.uiTokenAmount?.decimals ?? 0;
+      const raw = Number(bal.uiTokenAmount?.amount || 0);
+      const entry = changes.get(bal.mint) || { raw: 0, decimals };
+      entry.raw += sign * raw;
+      changes.set(bal.mint, entry);
+    }
+  };
+  apply(tx.meta?.preTokenBalances, -1);
+  apply(tx.meta?.postTokenBalances, 1);
+
+  let lamports = 0;
+  accountKeys.forEach((key, index) => {
+    if (keyToString(key) === owner || ownTokenAccounts.has(index)) {
+      lamports += (postBalances[index] || 0) - (preBalances[index] || 0);
+    }
+  });
+  // The network fee is not part of the trade
+  if (keyToString(accountKeys[0]) === owner) {
+    lamports += tx.meta?.fee || 0;
+  }
+
+  const result = new Map();
+  changes.forEach(({ raw, decimals }, mint) => {
+    if (raw !== 0) result.set(mint, { amount: raw / Math.pow(10, decimals), decimals });
+  });
+  const sol = lamports / 1e9;
+  if (Math.abs(sol) >= MIN_SOL_LEG) {
+    result.set(WSOL_MINT, { amount: sol, decimals: 9 });
+  }
+  return result;
+}
+
+/**
+ * Detect a liquidity deposit/withdrawal of tokenMint by the wallet
+ *
+ * LP_ADD: the token and a paired asset (SOL or a token) both left the wallet, and no
+ * quote asset (SOL / wrapped SOL / stablecoin) came back - an LP token may come back
+ * LP_REMOVE: the mirror image
+ *
+ * @returns {Object|null} { type: 'LP_ADD' | 'LP_REMOVE', dex, pairedMint, pairedAmount }
+ */
+export function detectLiquidityChange(tx, walletAddress, tokenMint) {
+  const venues = detectSwapVenues(tx);
+  if (!venues) return null;
+
+  const mint = tokenMint.trim();
+  const changes = getOwnerBalanceChanges(tx, walletAddress);
+  const target = changes.get(mint);
+  if (!target) return null;
+
+  const direction = Math.sign(target.amount);
+  const others = Array.from(changes.entries()).filter(([otherMint]) => otherMint !== mint);
+  const isQuote = (otherMint) => otherMint === WSOL_MINT || USD_STABLE_MINTS.has(otherMint);
+
+  // Paired leg: same direction as the token (SOL only when it is more than a tip)
+  const paired = others.filter(([otherMint, change]) =>
+    Math.sign(change.amount) === direction
+    && (otherMint !== WSOL_MINT || Math.abs(change.amount) >= MIN_SOL_LIQUIDITY_LEG)
+  );
+  if (paired.length === 0) return null;
+
+  // Getting paid in a quote asset for the token is a swap, not a withdrawal/deposit
+  const quoteOpposite = others.some(([otherMint, change]) =>
+    isQuote(otherMint) && Math.sign(change.amount) === -direction
+  );
+  if (quoteOpposite) return null;
+
+  const [pairedMint, pairedChange] = paired.sort((a, b) => Math.abs(b[1].amount) - Math.abs(a[1].amount))[0];
+  return {
+    type: direction < 0 ? 'LP_ADD' : 'LP_REMOVE',
+    dex: venues.dex,
+    pairedMint,
+    pairedSymbol: QUOTE_SYMBOLS[pairedMint] || `${pairedMint.slice(0, 4)}...`,
+    pairedAmount: Math.abs(pairedChange.amount),
+  };
+}
+
+/**
+ * ============================================
+ * SWAPS
+ * ============================================
+ */
+
+/**
+ * Decode the wallet's side of a swap involving tokenMint
+ * Swap instructions first; net balance changes when they did not move the token
+ *
+ * @returns {Object|null} { dex, venues, source: 'instructions' | 'balances', side: 'BUY' | 'SELL',
+ *          inputMint, inputAmount, outputMint, outputAmount, quoteMint, quoteSymbol, price }
+ *          price = quote units paid/received per token; null when not a swap
+ */
+export function decodeSwap(tx, walletAddress, tokenMint) {
+  const mint = tokenMint.trim();
+  const instructions = decodeSwapInstructions(tx, walletAddress);
+  const fromInstructions = !!instructions?.changes.has(mint);
+  const venues = fromInstructions ? instructions : detectSwapVenues(tx);
+  if (!venues?.dex) return null;
+
+  const changes = fromInstructions ? instructions.changes : getOwnerBalanceChanges(tx, walletAddress);
+  const target = changes.get(mint);
+  if (!target) return null;
+
+  // Counter leg: opposite sign; prefer a token over SOL (SOL may just be a tip)
+  const counters = Array.from(changes.entries())
+    .filter(([counterMint, change]) => counterMint !== mint && Math.sign(change.amount) === -Math.sign(target.amount));
+  if (counters.length === 0) return null;
+
+  const tokenCounters = counters.filter(([counterMint]) => counterMint !== WSOL_MINT);
+  const [quoteMint, quote] = (tokenCounters.length > 0 ? tokenCounters : counters)
+    .sort((a, b) => Math.abs(b[1].amount) - Math.abs(a[1].amount))[0];
+
+  const isBuy = target.amount > 0;
+  const tokenAmount = Math.abs(target.amount);
+  const quoteAmount = Math.abs(quote.amount);
+
+  return {
+    dex: venues.dex,
+    venues: venues.venues,
+    source: fromInstructions ? 'instructions' : 'balances',
+    side: isBuy ? 'BUY' : 'SELL',
+    inputMint: isBuy ? quoteMint : mint,
+    inputAmount: isBuy ? quoteAmount : tokenAmount,
+    outputMint: isBuy ? mint : quoteMint,
+    outputAmount: isBuy ? tokenAmount : quoteAmount,
+    quoteMint,
+    quoteSymbol: QUOTE_SYMBOLS[quoteMint] || `${quoteMint.slice(0, 4)}...`,
+    price: tokenAmount > 0 ? quoteAmount / tokenAmount : null,
+  };
+}
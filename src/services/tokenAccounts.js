@@ -0,0 +1,278 @@
+/**
+ * Token Accounts
+ * Associated token account (ATA) derivation and batched account reads
+ *
+ * Architecture:
+ * - The mint's owner program decides the ATA seeds: SPL Token or Token-2022
+ * - ATAs are derived locally (no RPC), then read 100 at a time with getMultipleAccountsInfo
+ * - Raw account layouts are decoded here, so no spl-token dependency is needed
+ * - Wallets without an ATA come back as null - callers fall back to an owner scan
+ * - Token-2022 mint extensions (transfer fee, interest bearing, scaled UI amount...)
+ *   are read from the parsed mint and applied when converting raw amounts to UI amounts
+ */
+import { PublicKey } from '@solana/web3.js';
+
+export const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+export const TOKEN_2022_PROGRAM_ID = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
+export const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
+
+// getMultipleAccountsInfo limit per call
+const MAX_ACCOUNTS_PER_CALL = 100;
+
+// SPL token account layout: mint (32) | owner (32) | amount (u64 LE) | ...
+// Token-2022 accounts share the same base layout
+const TOKEN_ACCOUNT_OWNER_OFFSET = 32;
+const TOKEN_ACCOUNT_AMOUNT_OFFSET = 64;
+
+// Mint info cache - extension state (rates, fees) can be updated by its authority
+const MINT_CACHE_TTL = 5 * 60 * 1000;
+const mintCache = new Map(); // mint -> { data, timestamp }
+const pendingMints = new Map(); // mint -> in-flight lookup (deduplication)
+
+// Token-2022 interest is compounded continuously over this year length
+const SECONDS_PER_YEAR = 60 * 60 * 24 * 365.24;
+
+// Display names for Token-2022 mint extensions (jsonParsed extension ids)
+const EXTENSION_LABELS = {
+  transferFeeConfig: 'Transfer Fee',
+  interestBearingConfig: 'Interest Bearing',
+  scaledUiAmountConfig: 'Scaled UI Amount',
+  confidentialTransferMint: 'Confidential Transfers',
+  confidentialTransferFeeConfig: 'Confidential Transfer Fees',
+  confidentialMintBurn: 'Confidential Mint/Burn',
+  transferHook: 'Transfer Hook',
+  permanentDelegate: 'Permanent Delegate',
+  nonTransferable: 'Non-Transferable',
+  defaultAccountState: 'Default Account State',
+  mintCloseAuthority: 'Mint Close Authority',
+  pausableConfig: 'Pausable',
+  metadataPointer: 'Metadata Pointer',
+  tokenMetadata: 'Token Metadata',
+  groupPointer: 'Group Pointer',
+  groupMemberPointer: 'Group Member Pointer',
+  tokenGroup: 'Token Group',
+  tokenGroupMember: 'Token Group Member',
+};
+
+/**
+ * Read the raw amount from token account data (0 for closed/empty accounts)
+ */
+export function decodeTokenAmount(data) {
+  if (!data || data.length < TOKEN_ACCOUNT_AMOUNT_OFFSET + 8) return 0;
+  const view = new DataView(data.buffer, data.byteOffset, data.length);
+  return Number(view.getBigUint64(TOKEN_ACCOUNT_AMOUNT_OFFSET, true));
+}
+
+/**
+ * Read the owner address from token account data (null for closed/empty accounts)
+ */
+export function decodeTokenAccountOwner(data) {
+  if (!data || data.length < TOKEN_ACCOUNT_AMOUNT_OFFSET) return null;
+  return new PublicKey(data.subarray(TOKEN_ACCOUNT_OWNER_OFFSET, TOKEN_ACCOUNT_AMOUNT_OFFSET)).toBase58();
+}
+
+/**
+ * Normalize the extensions of a parsed Token-2022 mint
+ * Returns: { extensions: [{ type, label, state }], transferFee, interestBearing, scaledUiAmount }
+ */
+function parseMintExtensions(rawExtensions = []) {
+  const extensions = rawExtensions.map(({ extension, state }) => ({
+    type: extension,
+    label: EXTENSION_LABELS[extension] || extension,
+    state: state || null,
+  }));
+  const stateOf = (type) => extensions.find(e => e.type === type)?.state;
+
+  // The newer fee applies from its epoch on - in practice it is the active one
+  const feeState = stateOf('transferFeeConfig');
+  const fee = feeState?.newerTransferFee || feeState?.olderTransferFee;
+  const transferFee = fee
+    ? { basisPoints: Number(fee.transferFeeBasisPoints) || 0, maximumFee: Number(fee.maximumFee) || 0 }
+    : null;
+
+  const interestState = stateOf('interestBearingConfig');
+  const interestBearing = interestState
+    ? {
+      currentRate: Number(interestState.currentRate) || 0,
+      preUpdateAverageRate: Number(interestState.preUpdateAverageRate) || 0,
+      initializationTimestamp: Number(interestState.initializationTimestamp) || 0,
+      lastUpdateTimestamp: Number(interestState.lastUpdateTimestamp) || 0,
+    }
+    : null;
+
+  const scaledState = stateOf('scaledUiAmountConfig');
+  const scaledUiAmount = scaledState
+    ? {
+      multiplier: Number(scaledState.multiplier) || 1,
+      newMultiplier: Number(scaledState.newMultiplier) || 1,
+      newMultiplierEffectiveTimestamp: Number(scaledState.newMultiplierEffectiveTimestamp) || 0,
+    }
+    : null;
+
+  return { extensions, transferFee, interestBearing, scaledUiAmount };
+}
+
+/**
+ * Owner program, decimals and Token-2022 extensions of a mint
+ * Returns: { programId, decimals, isToken2022, supply, mintAuthority, freezeAuthority,
+ *            extensions, transferFee, interestBearing, scaledUiAmount }
+ */
+export async function getMintInfo(connection, tokenMint) {
+  const mint = tokenMint.trim();
+  const cached = mintCache.get(mint);
+  if (cached && Date.now() - cached.timestamp < MINT_CACHE_TTL) {
+    return cached.data;
+  }
+
+  if (!pendingMints.has(mint)) {
+    pendingMints.set(mint, fetchMintInfo(connection, mint).finally(() => pendingMints.delete(mint)));
+  }
+  return pendingMints.get(mint);
+}
+
+async function fetchMintInfo(connection, mint) {
+  const { value } = await connection.getParsedAccountInfo(new PublicKey(mint));
+  if (!value) {
+    throw new Error('Token mint not found');
+  }
+  if (!value.owner.equals(TOKEN_PROGRAM_ID) && !value.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+    throw new Error('Account is not an SPL token mint');
+  }
+  if (!value.data?.parsed || value.data.parsed.type !== 'mint') {
+    throw new Error('Account is not an SPL token mint');
+  }
+
+  const info = value.data.parsed.info;
+  const data = {
+    programId: value.owner,
+    isToken2022: value.owner.equals(TOKEN_2022_PROGRAM_ID),
+    decimals: info.decimals,
+    supply: info.supply,
+    mintAuthority: info.mintAuthority,
+    freezeAuthority: info.freezeAuthority,
+    ...parseMintExtensions(info.extensions),
+  };
+
+  mintCache.set(mint, { data, timestamp: Date.now() });
+  return data;
+}
+
+/**
+ * Convert a raw amount to a UI amount, applying Token-2022 display extensions
+ * (interest-bearing accrual and scaled UI multiplier - same math as the token program)
+ *
+ * @param {number} rawAmount - Raw token amount (base units)
+ * @param {Object} mintInfo - From getMintInfo() (or just { decimals })
+ * @param {number} nowSeconds - Unix time to evaluate at
+ */
+export function toUiAmount(rawAmount, mintInfo, nowSeconds = Math.floor(Date.now() / 1000)) {
+  let amount = rawAmount / Math.pow(10, mintInfo?.decimals ?? 9);
+
+  const interest = mintInfo?.interestBearing;
+  if (interest) {
+    const preUpdateExp = (interest.preUpdateAverageRate * (interest.lastUpdateTimestamp - interest.initializationTimestamp))
+      / SECONDS_PER_YEAR / 10000;
+    const postUpdateExp = (interest.currentRate * (nowSeconds - interest.lastUpdateTimestamp))
+      / SECONDS_PER_YEAR / 10000;
+    amount *= Math.exp(preUpdateExp) * Math.exp(postUpdateExp);
+  }
+
+  const scaled = mintInfo?.scaledUiAmount;
+  if (scaled) {
+    const multiplier = nowSeconds >= scaled.newMultiplierEffectiveTimestamp
+      ? scaled.newMultiplier
+      : scaled.multiplier;
+    amount *= multiplier;
+  }
+
+  return amount;
+}
+
+/**
+ * Fee withheld by a Token-2022 transfer-fee mint for a transfer of rawAmount
+ * Fee = ceil(amount * bps / 10000), capped at maximumFee
+ */
+export function calculateTransferFee(rawAmount, transferFee) {
+  if (!transferFee || transferFee.basisPoints === 0 || rawAmount <= 0) return 0;
+  const fee = Math.ceil((rawAmount * transferFee.basisPoints) / 10000);
+  return Math.min(fee, transferFee.maximumFee);
+}
+
+/**
+ * Fee withheld when a transfer delivered netAmount to the recipient
+ * Inverse of calculateTransferFee (may differ by one base unit from rounding)
+ */
+export function calculateInverseTransferFee(netAmount, transferFee) {
+  if (!transferFee || transferFee.basisPoints === 0 || netAmount <= 0) return 0;
+  if (transferFee.basisPoints >= 10000) return transferFee.maximumFee;
+  const gross = Math.ceil((netAmount * 10000) / (10000 - transferFee.basisPoints));
+  return Math.min(gross - netAmount, transferFee.maximumFee);
+}
+
+/**
+ * Derive the associated token account of an owner for a mint
+ * Works for off-curve owners (PDAs) too
+ */
+export function deriveAssociatedTokenAddress(ownerAddress, tokenMint, programId = TOKEN_PROGRAM_ID) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [
+      new PublicKey(ownerAddress.trim()).toBuffer(),
+      programId.toBuffer(),
+      new PublicKey(tokenMint.trim()).toBuffer(),
+    ],
+    ASSOCIATED_TOKEN_PROGRAM_ID
+  );
+  return address;
+}
+
+/**
+ * Read the ATA of every wallet in chunks of 100
+ *
+ * @param {Connection} connection - web3.js Connection
+ * @param {string[]} walletAddresses - Owner addresses
+ * @param {string} tokenMint - Token mint address
+ * @returns {{ mintInfo, accounts: Map<string, { address, amount } | null> }}
+ *          accounts is keyed by wallet address; null = no ATA on chain
+ */
+export async function getAssociatedTokenBalances(connection, walletAddresses, tokenMint) {
+  const mintInfo = await getMintInfo(connection, tokenMint);
+
+  const atas = walletAddresses.map(wallet =>
+    deriveAssociatedTokenAddress(wallet, tokenMint, mintInfo.programId)
+  );
+
+  const accounts = new Map();
+  for (let i = 0; i < atas.length; i += MAX_ACCOUNTS_PER_CALL) {
+    const chunk = atas.slice(i, i + MAX_ACCOUNTS_PER_CALL);
+    const infos = await connection.getMultipleAccountsInfo(chunk);
+
+    infos.forEach((info, idx) => {
+      const wallet = walletAddresses[i + idx];
+      accounts.set(wallet, info
+        ? { address: chunk[idx].toBase58(), amount: decodeTokenAmount(info.data) }
+        : null);
+    });
+  }
+
+  return { mintInfo, accounts };
+}
+
+/**
+ * Every token account a wallet has (or had) for a mint
+ * The ATA is always included - its address is deterministic, so its signature
+ * history survives the account being closed and reopened
+ *
+ * @returns {string[]} ATA first, then any other open token accounts
+ */
+export async function getWalletTokenAccountAddresses(connection, walletAddress, tokenMint) {
+  const mintInfo = await getMintInfo(connection, tokenMint);
+  const ata = deriveAssociatedTokenAddress(walletAddress, tokenMint, mintInfo.programId).toBase58();
+
+  const { value } = await connection.getTokenAccountsByOwner(
+    new PublicKey(walletAddress.trim()),
+    { mint: new PublicKey(tokenMint.trim()) }
+  );
+  const others = value.map(({ pubkey }) => pubkey.toBase58()).filter(address => address !== ata);
+
+  return [ata, ...others];
+}
@@ -0,0 +1,169 @@
+/**
+ * Transfer Tracer
+ * Follows tokens sent out of a tracked wallet across untracked wallets
+ *
+ * Architecture:
+ * - Starts from the wallet's TRANSFER_OUT transactions (already parsed, with toWallet)
+ * - Each hop fetches the destination's token history after the tokens arrived and
+ *   follows what left it next, up to maxHops wallets deep
+ * - A path ends at:
+ *   - CEX: a known exchange hot wallet (deposit addresses sweep into these)
+ *   - DEX_SELL: the tokens were sold on a DEX
+ *   - TRACKED: another tracked wallet
+ *   - LIQUIDITY / BURN: deposited into a pool / burned
+ *   - HELD: nothing left the wallet after the tokens arrived
+ *   - UNRESOLVED: hop limit, fetch budget or a loop stopped the trace
+ * - Hop histories are shared between paths of the same run (fan-in is fetched once)
+ */
+import { getWalletTransactions } from './solanaApi';
+
+export const TRACE_ENDPOINTS = {
+  CEX: 'cex',
+  DEX_SELL: 'dex_sell',
+  TRACKED: 'tracked',
+  LIQUIDITY: 'liquidity',
+  BURN: 'burn',
+  HELD: 'held',
+  UNRESOLVED: 'unresolved',
+};
+
+// Exchange hot wallets - not exhaustive
+const KNOWN_EXCHANGES = {
+  '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9': 'Binance',
+  '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM': 'Binance',
+  '2ojv9BAiHUrvsm9gxDe7fJSzbNZSJcxZvf8dqmWGHG8S': 'Binance',
+  'H8sMJSCQxfKiFTCfDR3DUMLPwcRbM61LGFJ8N4dK3WjS': 'Coinbase',
+  '2AQdpHJ2JpcEgPiATUXjQxA8QmafFegfQwSLWSprPicm': 'Coinbase',
+  'GJRs4FwHtemZ5ZE9x3FNvJ8TMwitKTh21yxdRPqn7npE': 'Coinbase',
+  '5VCwKtCXgCJ6kit5FybXjvriW3xELsFDhYrPSqtJNmcD': 'OKX',
+  'is6MTRHEgyFLNTfYcuV4QBWLjrZBfmhVNYR6ccgr8KV': 'OKX',
+  'AC5RDfQFmDS1deWZos921JfqscXdByf8BKHs5ACWjtW2': 'Bybit',
+  'FWznbcNXWQuHTawe9RxvQ2LdCENssh12dsznf4RiouN5': 'Kraken',
+  'u6PJ8DtQuPFnfmwHbGFULQ4u4EgjDiyYKjVEsynXq2w': 'Gate.io',
+  'BmFdpraQhkiDQE6SnfG5omcA1VwzqfXrwtNYBwWTymy6': 'KuCoin',
+  'ASTyfSima4LLAdDgoFGkgqoKowG1LZFDr9fAQrg7iaJZ': 'MEXC',
+  'A77HErqtfN1hLLpvZ9pCtu66FEtM8BveoaKbbMoZ4RiR': 'Bitget',
+  '88xTWZMeKfiTgbfEmPLdsUCQcZinwUfk25EBQZ21XMAZ': 'HTX',
+};
+
+export const DEFAULT_MAX_HOPS = 3;
+const MAX_START_TRANSFERS = 10; // Most recent outgoing transfers traced per run
+const MAX_BRANCHES = 3; // Outgoing moves followed per hop
+const MAX_WALLETS_PER_TRACE = 25; // Untracked wallet histories fetched per run
+const HOP_TX_LIMIT = 20;
+const HOP_MAX_PAGES = 2;
+
+/**
+ * Exchange name of a known hot wallet, or null
+ */
+export function getExchangeLabel(address) {
+  return KNOWN_EXCHANGES[address] || null;
+}
+
+/**
+ * Trace where a tracked wallet's outgoing transfers ended up
+ *
+ * @param {Connection} connection - Solana connection
+ * @param {string} walletAddress - Tracked wallet to start from
+ * @param {string} tokenMint - Token mint address
+ * @param {Object} options
+ * @param {Object[]} options.transactions - Known parsed transactions (the wallet's TRANSFER_OUTs)
+ * @param {Object[]} options.trackedWallets - [{ address, name }] - reaching one ends a path
+ * @param {number} options.maxHops - Wallets followed per path (1 = the direct recipient only)
+ * @param {AbortSignal} options.signal - Cancels in-flight calls (rejects with AbortError)
+ * @returns {Promise<Object[]>} Paths, newest transfer first:
+ *          [{ id, hops: [{ address, name, amount, timestamp, signature }],
+ *             endpoint: { kind, label, address, amount, signature } }]
+ */
+export async function traceTransfers(connection, walletAddress, tokenMint, {
+  transactions = [],
+  trackedWallets = [],
+  maxHops = DEFAULT_MAX_HOPS,
+  signal = null,
+} = {}) {
+  const origin = walletAddress.toLowerCase();
+  const tracked = new Map(trackedWallets.map(w => [w.address.toLowerCase(), w.name]));
+  const histories = new Map(); // address -> parsed token transactions (this run)
+  const paths = [];
+
+  const starts = transactions
+    .filter(tx => tx.walletAddress?.toLowerCase() === origin && tx.type === 'TRANSFER_OUT' && tx.toWallet)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, MAX_START_TRANSFERS);
+
+  const getHistory = async (address, sinceTimestamp) => {
+    if (histories.has(address)) return histories.get(address);
+    if (histories.size >= MAX_WALLETS_PER_TRACE) return null;
+    const txs = await getWalletTransactions(
+      connection, address, tokenMint, HOP_TX_LIMIT, HOP_MAX_PAGES, sinceTimestamp, null, signal
+    );
+    histories.set(address, txs);
+    return txs;
+  };
+
+  // Follow the last hop of a path; pushes one finished path per branch
+  const follow = async (hops) => {
+    signal?.throwIfAborted();
+    const hop = hops[hops.length - 1];
+    const end = (kind, label, details = {}) => {
+      paths.push({ id: `${hops[0].signature}-${paths.length}`, hops, endpoint: { kind, label, ...details } });
+    };
+
+    const exchange = getExchangeLabel(hop.address);
+    if (exchange) return end(TRACE_ENDPOINTS.CEX, exchange, { address: hop.address });
+
+    const key = hop.address.toLowerCase();
+    if (tracked.has(key)) return end(TRACE_ENDPOINTS.TRACKED, hop.name || 'Tracked wallet', { address: hop.address });
+
+    const history = hops.length <= maxHops ? await getHistory(hop.address, hop.timestamp) : null;
+    if (!history) {
+      return end(TRACE_ENDPOINTS.UNRESOLVED, hops.length > maxHops ? 'Hop limit reached' : 'Trace budget reached');
+    }
+
+    // What left the wallet after the tokens arrived (oldest first)
+    const arrivedAt = new Date(hop.timestamp).getTime();
+    const exits = history
+      .filter(tx => tx.signature !== hop.signature && new Date(tx.timestamp).getTime() >= arrivedAt)
+      .filter(tx => ['SELL', 'TRANSFER_OUT', 'LP_ADD', 'BURN'].includes(tx.type))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .slice(0, MAX_BRANCHES);
+
+    if (exits.length === 0) return end(TRACE_ENDPOINTS.HELD, 'Still held');
+
+    for (const tx of exits) {
+      const details = { amount: tx.amount, signature: tx.signature };
+      if (tx.type === 'SELL') {
+        end(TRACE_ENDPOINTS.DEX_SELL, tx.swap?.dex ? `Sold on ${tx.swap.dex}` : 'Sold on a DEX', details);
+      } else if (tx.type === 'LP_ADD') {
+        end(TRACE_ENDPOINTS.LIQUIDITY, tx.liquidity?.dex ? `Liquidity on ${tx.liquidity.dex}` : 'Added to a pool', details);
+      } else if (tx.type === 'BURN') {
+        end(TRACE_ENDPOINTS.BURN, 'Burned', details);
+      } else if (!tx.toWallet) {
+        end(TRACE_ENDPOINTS.UNRESOLVED, 'Unknown recipient', details);
+      } else if (hops.some(h => h.address.toLowerCase() === tx.toWallet.toLowerCase())) {
+        end(TRACE_ENDPOINTS.UNRESOLVED, 'Loop', details);
+      } else {
+        await follow([...hops, {
+          address: tx.toWallet,
+          name: tracked.get(tx.toWallet.toLowerCase()) || null,
+          amount: tx.amount,
+          timestamp: tx.timestamp,
+          signature: tx.signature,
+        }]);
+      }
+    }
+  };
+
+  for (const tx of starts) {
+    await follow([{
+      address: tx.toWallet,
+      name: tracked.get(tx.toWallet.toLowerCase()) || null,
+      amount: tx.amount,
+      timestamp: tx.timestamp,
+      signature: tx.signature,
+    }]);
+  }
+
+  console.log(`[TransferTrace] ${walletAddress.slice(0, 8)}...: ${starts.length} transfers -> ${paths.length} paths (${histories.size} wallets fetched)`);
+  return paths;
+}
@@ -0,0 +1,251 @@
+/**
+ * Parsed Transaction Cache
+ * IndexedDB store of getParsedTransaction results, keyed by signature
+ *
+ * Architecture:
+ * - Shared by every project/token: a transaction fetched once is never fetched again,
+ *   whichever wallet or token it was fetched for
+ * - Only finalized transactions are stored (older than finalizedAfterSeconds)
+ * - Records are stored as plain JSON: PublicKeys become base58 strings, so cached and
+ *   fresh results look the same to parsers
+ * - LRU: a small 'access' store tracks last use and size per signature; when the total
+ *   passes maxBytes the least recently used records are evicted down to evictToRatio
+ * - IndexedDB unavailable (private mode, old browser) = every call goes to the provider
+ */
+import { PublicKey } from '@solana/web3.js';
+import { requestToPromise, transactionDone } from './appDb';
+
+const DB_NAME = 'cwt_tx_cache';
+const DB_VERSION = 1;
+const TX_STORE = 'transactions';   // signature -> { signature, tx }
+const ACCESS_STORE = 'access';     // signature -> { signature, lastAccess, size }
+
+const TX_CACHE_CONFIG = {
+  maxBytes: 50 * 1024 * 1024,      // Approximate (serialized JSON length)
+  evictToRatio: 0.8,               // Evict down to 80% of maxBytes
+  finalizedAfterSeconds: 60,       // Younger transactions might still be rolled back
+};
+
+let dbPromise = null;
+let totalBytes = null; // Lazily summed from the access store
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === 'undefined') {
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(TX_STORE)) {
+        db.createObjectStore(TX_STORE, { keyPath: 'signature' });
+      }
+      if (!db.objectStoreNames.contains(ACCESS_STORE)) {
+        const access = db.createObjectStore(ACCESS_STORE, { keyPath: 'signature' });
+        access.createIndex('lastAccess', 'lastAccess');
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn('[TxCache] IndexedDB unavailable - caching disabled:', request.error?.message);
+      resolve(null);
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * Deep-copy a web3.js result into plain JSON (PublicKey -> base58 string)
+ */
+function toPlain(value) {
+  if (value instanceof PublicKey) return value.toBase58();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === 'object') {
+    const plain = {};
+    for (const [key, inner] of Object.entries(value)) {
+      plain[key] = toPlain(inner);
+    }
+    return plain;
+  }
+  return value;
+}
+
+function isFinalized(tx) {
+  if (!tx?.blockTime) return false;
+  return Date.now() / 1000 - tx.blockTime >= TX_CACHE_CONFIG.finalizedAfterSeconds;
+}
+
+async function getTotalBytes(db) {
+  if (totalBytes !== null) return totalBytes;
+
+  const records = await requestToPromise(db.transaction(ACCESS_STORE).objectStore(ACCESS_STORE).getAll());
+  totalBytes = records.reduce((sum, record) => sum + (record.size || 0), 0);
+  return totalBytes;
+}
+
+/**
+ * Drop least recently used records until the store is under evictToRatio * maxBytes
+ */
+async function evictIfNeeded(db) {
+  const bytes = await getTotalBytes(db);
+  if (bytes <= TX_CACHE_CONFIG.maxBytes) return;
+
+  const target = TX_CACHE_CONFIG.maxBytes * TX_CACHE_CONFIG.evictToRatio;
+  const transaction = db.transaction([TX_STORE, ACCESS_STORE], 'readwrite');
+  const txStore = transaction.objectStore(TX_STORE);
+  let evicted = 0;
+
+  await new Promise((resolve, reject) => {
+    const cursorRequest = transaction.objectStore(ACCESS_STORE).index('lastAccess').openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || totalBytes <= target) {
+        resolve();
+        return;
+      }
+      totalBytes -= cursor.value.size || 0;
+      txStore.delete(cursor.value.signature);
+      cursor.delete();
+      evicted++;
+      cursor.continue();
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+  await transactionDone(transaction);
+
+  console.log(`[TxCache] Evicted ${evicted} least recently used transactions (${(totalBytes / 1048576).toFixed(1)} MB kept)`);
+}
+
+/**
+ * Read cached transactions and mark them as recently used
+ * Returns Map(signature -> parsed transaction)
+ */
+export async function getCachedParsedTransactions(signatures) {
+  const db = await openDb();
+  const found = new Map();
+  if (!db || signatures.length === 0) return found;
+
+  try {
+    const transaction = db.transaction([TX_STORE, ACCESS_STORE], 'readwrite');
+    const txStore = transaction.objectStore(TX_STORE);
+    const accessStore = transaction.objectStore(ACCESS_STORE);
+    const now = Date.now();
+
+    // Callbacks (not awaits) keep the IndexedDB transaction alive until every touch is queued
+    signatures.forEach(sig => {
+      txStore.get(sig).onsuccess = (event) => {
+        const record = event.target.result;
+        if (!record) return;
+        found.set(record.signature, record.tx);
+        accessStore.get(sig).onsuccess = (accessEvent) => {
+          const access = accessEvent.target.result;
+          if (access) accessStore.put({ ...access, lastAccess: now });
+        };
+      };
+    });
+    await transactionDone(transaction);
+  } catch (error) {
+    console.warn('[TxCache] Read failed:', error?.message);
+  }
+  return found;
+}
+
+/**
+ * Store parsed transactions (plain JSON; non-finalized ones are skipped)
+ *
+ * @param {Object[]} entries - [{ signature, tx }]
+ */
+export async function cacheParsedTransactions(entries) {
+  const db = await openDb();
+  const finalized = entries.filter(({ tx }) => isFinalized(tx));
+  if (!db || finalized.length === 0) return;
+
+  try {
+    await getTotalBytes(db);
+    const transaction = db.transaction([TX_STORE, ACCESS_STORE], 'readwrite');
+    const txStore = transaction.objectStore(TX_STORE);
+    const accessStore = transaction.objectStore(ACCESS_STORE);
+    const now = Date.now();
+
+    finalized.forEach(({ signature, tx }) => {
+      const size = JSON.stringify(tx).length;
+      txStore.put({ signature, tx });
+      accessStore.put({ signature, lastAccess: now, size });
+      totalBytes += size;
+    });
+    await transactionDone(transaction);
+
+    await evictIfNeeded(db);
+  } catch (error) {
+    // Quota errors included - the cache is an optimization, never a failure
+    console.warn('[TxCache] Write failed:', error?.message);
+    totalBytes = null;
+  }
+}
+
+/**
+ * Fetch parsed transactions, cache first
+ * Misses go to the transactions provider and are cached once finalized
+ *
+ * @param {Object} ctx - Provider context ({ connection, signal })
+ * @param {Object} transactionProvider - From getProvider(PROVIDER_KINDS.TRANSACTIONS)
+ * @param {string[]} signatures - Transaction signatures
+ * @returns {Promise<Array<Object|null>>} Plain-JSON transactions in signature order (null = failed/missing)
+ */
+export async function getParsedTransactions(ctx, transactionProvider, signatures) {
+  const cached = await getCachedParsedTransactions(signatures);
+  const missing = signatures.filter(sig => !cached.has(sig));
+
+  const fetched = await Promise.all(
+    missing.map(sig =>
+      transactionProvider.getParsedTransaction(ctx, sig)
+        .then(tx => (tx ? toPlain(tx) : null))
+        .catch(() => null)
+    )
+  );
+
+  const fresh = new Map();
+  const toCache = [];
+  missing.forEach((sig, idx) => {
+    if (!fetched[idx]) return;
+    fresh.set(sig, fetched[idx]);
+    toCache.push({ signature: sig, tx: fetched[idx] });
+  });
+  if (toCache.length > 0) {
+    // Fire and forget - callers don't wait on IndexedDB writes
+    cacheParsedTransactions(toCache);
+  }
+
+  return signatures.map(sig => cached.get(sig) || fresh.get(sig) || null);
+}
+
+/**
+ * Cache size for the settings/debug UI
+ * Returns: { count, bytes, maxBytes, available }
+ */
+export async function getTxCacheStats() {
+  const db = await openDb();
+  if (!db) return { count: 0, bytes: 0, maxBytes: TX_CACHE_CONFIG.maxBytes, available: false };
+
+  const count = await requestToPromise(db.transaction(TX_STORE).objectStore(TX_STORE).count());
+  return { count, bytes: await getTotalBytes(db), maxBytes: TX_CACHE_CONFIG.maxBytes, available: true };
+}
+
+/**
+ * Remove every cached transaction
+ */
+export async function clearTxCache() {
+  const db = await openDb();
+  if (!db) return;
+
+  const transaction = db.transaction([TX_STORE, ACCESS_STORE], 'readwrite');
+  transaction.objectStore(TX_STORE).clear();
+  transaction.objectStore(ACCESS_STORE).clear();
+  await transactionDone(transaction);
+  totalBytes = 0;
+  console.log('[TxCache] Cleared');
+}
@@ -0,0 +1,223 @@
+/**
+ * Wallet Clusters
+ * Groups tracked wallets that are likely controlled by one entity
+ *
+ * Architecture:
+ * - Funding sources: the first inbound SOL transfers of a wallet's history (oldest
+ *   signatures first); funding never changes, so results are cached for good in dataCache
+ * - A history longer than the pages walked gives a partial record (complete: false): its
+ *   "first" transfers are mid-history counterparties, so it never links wallets
+ * - Links between tracked wallets:
+ *   - shared funder (exchange hot wallets excluded - they fund everyone)
+ *   - one wallet funded the other
+ *   - token transfers between them (connectedWallets in HoldingsTable)
+ * - Linked wallets are merged with union-find; clusters of 2+ wallets are reported,
+ *   largest first, labeled C1, C2, ...
+ */
+import { getProvider, PROVIDER_KINDS } from './dataProviders';
+import { withAbortSignal } from './rpcPool';
+import { getParsedTransactions } from './txCache';
+import { getCachedFundingSources, cacheFundingSources } from './dataCache';
+import { getExchangeLabel } from './transferTracer';
+
+const SIGNATURES_PER_PAGE = 1000;
+const MAX_SIGNATURE_PAGES = 5; // Older history than this is not walked (funding marked partial)
+const FIRST_TXS_SCANNED = 10; // Oldest transactions searched for inbound SOL
+const MAX_FUNDERS = 3; // First inbound SOL transfers kept per wallet
+const LAMPORTS_PER_SOL = 1_000_000_000;
+
+const SYSTEM_TRANSFER_TYPES = new Set(['transfer', 'transferWithSeed']);
+
+/**
+ * Inbound SOL transfers to a wallet in one parsed transaction (outer and inner)
+ * Returns: [{ address, amount }]
+ */
+function getInboundSolTransfers(tx, walletAddress) {
+  return [
+    ...(tx.transaction?.message?.instructions || []),
+    ...(tx.meta?.innerInstructions || []).flatMap(inner => inner.instructions || []),
+  ]
+    .filter(ix => ix.program === 'system' && SYSTEM_TRANSFER_TYPES.has(ix.parsed?.type))
+    .map(ix => ix.parsed.info)
+    .filter(info => info.destination === walletAddress && info.source && info.source !== walletAddress)
+    .map(info => ({ address: info.source, amount: (info.lamports || 0) / LAMPORTS_PER_SOL }));
+}
+
+/**
+ * Find a wallet's funding sources - the first inbound SOL transfers of its history
+ *
+ * @param {Connection} connection - Solana connection
+ * @param {string} walletAddress - Wallet address
+ * @param {AbortSignal} signal - Optional; cancels in-flight calls (rejects with AbortError)
+ * @returns {Promise<Object>} { funders: [{ address, amount, signature, timestamp }], complete, scannedAt }
+ *          complete = false when the history is longer than the pages walked
+ */
+export async function getFundingSources(connection, walletAddress, signal = null) {
+  const ctx = { connection: withAbortSignal(connection, signal), signal };
+  const signatureProvider = getProvider(PROVIDER_KINDS.SIGNATURES, ctx);
+  const transactionProvider = getProvider(PROVIDER_KINDS.TRANSACTIONS, ctx);
+
+  // Walk back to the oldest signatures (newest first per page)
+  let oldest = [];
+  let before = null;
+  let complete = false;
+  for (let page = 0; page < MAX_SIGNATURE_PAGES; page++) {
+    const options = { limit: SIGNATURES_PER_PAGE };
+    if (before) options.before = before;
+    const signatures = await signatureProvider.getSignatures(ctx, walletAddress, options);
+    signal?.throwIfAborted();
+
+    if (signatures.length > 0) {
+      oldest = signatures;
+      before = signatures[signatures.length - 1].signature;
+    }
+    if (signatures.length < SIGNATURES_PER_PAGE) {
+      complete = true;
+      break;
+    }
+  }
+
+  const firstSignatures = oldest
+    .filter(sig => !sig.err)
+    .slice(-FIRST_TXS_SCANNED)
+    .reverse();
+  const txs = await getParsedTransactions(ctx, transactionProvider, firstSignatures.map(sig => sig.signature));
+  signal?.throwIfAborted();
+
+  const funders = [];
+  txs.forEach((tx, idx) => {
+    if (!tx) return;
+    const sig = firstSignatures[idx];
+    getInboundSolTransfers(tx, walletAddress).forEach(transfer => {
+      if (funders.length >= MAX_FUNDERS || funders.some(f => f.address === transfer.address)) return;
+      funders.push({
+        ...transfer,
+        signature: sig.signature,
+        timestamp: sig.blockTime ? new Date(sig.blockTime * 1000).toISOString() : null,
+      });
+    });
+  });
+
+  return { funders, complete, scannedAt: new Date().toISOString() };
+}
+
+/**
+ * Does a funding record reach the wallet's first transactions?
+ * Partial records (history longer than the pages walked) hold mid-history counterparties
+ */
+export function isFundingComplete(funding) {
+  return !!funding && funding.complete !== false;
+}
+
+/**
+ * Find funding sources for wallets not yet in the cache (one wallet at a time)
+ *
+ * @param {Connection} connection - Solana connection
+ * @param {string[]} walletAddresses - Wallets to cover
+ * @param {Object} options
+ * @param {Function} options.onProgress - ({ done, total, funding }) after each wallet
+ * @param {AbortSignal} options.signal - Cancels in-flight calls (rejects with AbortError)
+ * @returns {Promise<Object>} { [walletAddress]: funding } for every covered wallet
+ */
+export async function scanFundingSources(connection, walletAddresses, { onProgress = null, signal = null } = {}) {
+  const cached = getCachedFundingSources();
+  const pending = walletAddresses.filter(address => !cached[address]);
+  const found = {};
+
+  for (let i = 0; i < pending.length; i++) {
+    const address = pending[i];
+    try {
+      found[address] = await getFundingSources(connection, address, signal);
+      cacheFundingSources({ [address]: found[address] });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn(`[Clusters] Funding lookup failed for ${address.slice(0, 8)}...:`, error.message);
+    }
+    onProgress?.({ done: i + 1, total: pending.length, funding: { ...cached, ...found } });
+  }
+
+  console.log(`[Clusters] Funding sources: ${Object.keys(found).length} scanned, ${walletAddresses.length - pending.length} cached`);
+  return { ...cached, ...found };
+}
+
+/**
+ * Group tracked wallets into suspected clusters
+ *
+ * @param {Object[]} wallets - Tracked wallets [{ address }]
+ * @param {Object} links
+ * @param {Object} links.funding - { [walletAddress]: { funders, complete } } (scanFundingSources);
+ *        partial records are skipped
+ * @param {Array<[string, string]>} links.transferLinks - Tracked wallet pairs that moved tokens
+ * @returns {Object} { clusters: [{ id, label, members, reasons }], byWallet: Map(lowercase address -> cluster) }
+ */
+export function buildClusters(wallets, { funding = {}, transferLinks = [] } = {}) {
+  const addresses = wallets.map(w => w.address);
+  const keyOf = new Map(addresses.map(address => [address.toLowerCase(), address]));
+  const parent = new Map(addresses.map(address => [address, address]));
+  const reasons = new Map(); // root -> Set of reasons (merged on union)
+
+  const find = (address) => {
+    let root = address;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(address, root);
+    return root;
+  };
+  const union = (a, b, reason) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    const merged = new Set([...(reasons.get(rootA) || []), ...(reasons.get(rootB) || []), reason]);
+    if (rootA !== rootB) {
+      parent.set(rootB, rootA);
+      reasons.delete(rootB);
+    }
+    reasons.set(rootA, merged);
+  };
+
+  // Funding: shared funder, or funded by another tracked wallet
+  const byFunder = new Map(); // funder -> first tracked wallet it funded
+  addresses.forEach(address => {
+    if (!isFundingComplete(funding[address])) return;
+    funding[address].funders.forEach(funder => {
+      if (getExchangeLabel(funder.address)) return;
+
+      const trackedFunder = keyOf.get(funder.address.toLowerCase());
+      if (trackedFunder) {
+        union(trackedFunder, address, 'Funded by a tracked wallet');
+        return;
+      }
+      const first = byFunder.get(funder.address);
+      if (first) union(first, address, `Shared funder ${funder.address.slice(0, 4)}...${funder.address.slice(-4)}`);
+      else byFunder.set(funder.address, address);
+    });
+  });
+
+  transferLinks.forEach(([a, b]) => {
+    const from = keyOf.get(a.toLowerCase());
+    const to = keyOf.get(b.toLowerCase());
+    if (from && to && from !== to) union(from, to, 'Token transfers');
+  });
+
+  const groups = new Map(); // root -> members
+  addresses.forEach(address => {
+    const root = find(address);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(address);
+  });
+
+  const clusters = Array.from(groups.entries())
+    .filter(([, members]) => members.length > 1)
+    .sort((a, b) => b[1].length - a[1].length)
+    .map(([root, members], idx) => ({
+      id: idx,
+      label: `C${idx + 1}`,
+      members,
+      reasons: Array.from(reasons.get(root) || []),
+    }));
+
+  const byWallet = new Map();
+  clusters.forEach(cluster => {
+    cluster.members.forEach(address => byWallet.set(address.toLowerCase(), cluster));
+  });
+
+  return { clusters, byWallet };
+}
@@ -0,0 +1,19 @@
+/**
+ * Format a USD PnL value with an explicit sign, compacting large amounts
+ */
+export const formatPnL = (value) => {
+  if (!value || Math.abs(value) < 0.005) return '$0.00';
+  const sign = value > 0 ? '+' : '-';
+  const abs = Math.abs(value);
+  if (abs < 1000) return `${sign}$${abs.toFixed(2)}`;
+  if (abs < 1000000) return `${sign}$${abs.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+  return `${sign}$${(abs / 1000000).toFixed(2)}M`;
+};
+
+/**
+ * Tailwind text color class for a PnL value
+ */
+export const pnlColor = (value) => {
+  if (!value || Math.abs(value) < 0.005) return 'text-gray-500';
+  return value > 0 ? 'text-accent-success' : 'text-accent-danger';
+};
@@ -1,9 +1,9 @@
 /**
  * Project Storage Utility
- * Handles saving/loading projects (token + wallets) to localStorage
+ * Handles saving/loading projects (token + wallets) to IndexedDB (appDb.js)
+ * Every read and write is async
  */
-
-const STORAGE_KEY = 'cwt_projects';
+import { runStoreRequest, STORES } from '../services/appDb';
 
 /**
  * Generate a unique ID for projects
@@ -12,34 +12,33 @@ function generateId() {
   return `proj_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+function putProject(project) {
+  return runStoreRequest(STORES.PROJECTS, store => store.put(project), 'readwrite');
+}
+
 /**
- * Get all saved projects
+ * Get all saved projects (newest first)
  */
-export function getProjects() {
-  try {
-    const data = localStorage.getItem(STORAGE_KEY);
-    return data ? JSON.parse(data) : [];
-  } catch (error) {
-    console.error('Error loading projects:', error);
-    return [];
-  }
+export async function getProjects() {
+  const projects = await runStoreRequest(STORES.PROJECTS, store => store.getAll()) || [];
+  return projects.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
 }
 
 /**
  * Save a new project or update existing one
  * Now includes cached wallet data for faster loading
  */
-export function saveProject(project) {
+export async function saveProject(project) {
   try {
-    const projects = getProjects();
+    const projects = await getProjects();
 
     // Check if project with this token already exists
-    const existingIndex = projects.findIndex(
+    const existing = projects.find(
       p => p.tokenMint.toLowerCase() === project.tokenMint.toLowerCase()
     );
 
     const projectData = {
-      id: project.id || generateId(),
+      id: existing?.id || project.id || generateId(),
       tokenMint: project.tokenMint,
       tokenName: project.tokenName || 'Unknown',
       tokenSymbol: project.tokenSymbol || '???',
@@ -47,27 +46,23 @@ export function saveProject(project) {
       marketCap: project.marketCap || 0,
       wallets: project.wallets || [],
       // Enhanced: Cache wallet data for faster loading
+      // Transactions are not embedded - they live in the token's transaction store (dataCache)
       cachedWalletData: project.cachedWalletData || null,
-      cachedTransactions: project.cachedTransactions || null,
       cachedTokenInfo: project.cachedTokenInfo || null,
       cachedInitialBalances: project.cachedInitialBalances || null,
       createdAt: project.createdAt || new Date().toISOString(),
       lastScanned: new Date().toISOString(),
     };
 
-    if (existingIndex >= 0) {
-      // Update existing project
-      projects[existingIndex] = {
-        ...projects[existingIndex],
+    const saved = existing
+      ? {
+        ...existing,
         ...projectData,
-        createdAt: projects[existingIndex].createdAt, // Keep original creation date
-      };
-    } else {
-      // Add new project
-      projects.unshift(projectData); // Add to beginning
-    }
-
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(projects));
+        createdAt: existing.createdAt, // Keep original creation date
+      }
+      : projectData;
+
+    if (await putProject(saved) === null) return null;
     return projectData;
   } catch (error) {
     console.error('Error saving project:', error);
@@ -78,8 +73,8 @@ export function saveProject(project) {
 /**
  * Get a specific project by ID or token mint
  */
-export function getProject(idOrMint) {
-  const projects = getProjects();
+export async function getProject(idOrMint) {
+  const projects = await getProjects();
   return projects.find(
     p => p.id === idOrMint || p.tokenMint.toLowerCase() === idOrMint.toLowerCase()
   );
@@ -88,100 +83,68 @@ export function getProject(idOrMint) {
 /**
  * Delete a project
  */
-export function deleteProject(projectId) {
-  try {
-    const projects = getProjects();
-    const filtered = projects.filter(p => p.id !== projectId);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
-    return true;
-  } catch (error) {
-    console.error('Error deleting project:', error);
-    return false;
-  }
+export async function deleteProject(projectId) {
+  const deleted = await runStoreRequest(STORES.PROJECTS, store => store.delete(projectId), 'readwrite');
+  return deleted !== null;
 }
 
 /**
  * Update project wallets
  */
-export function updateProjectWallets(projectId, wallets) {
-  try {
-    const projects = getProjects();
-    const index = projects.findIndex(p => p.id === projectId);
-
-    if (index >= 0) {
-      projects[index].wallets = wallets;
-      projects[index].lastScanned = new Date().toISOString();
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(projects));
-      return true;
-    }
-    return false;
-  } catch (error) {
-    console.error('Error updating project wallets:', error);
-    return false;
-  }
+export async function updateProjectWallets(projectId, wallets) {
+  const project = await runStoreRequest(STORES.PROJECTS, store => store.get(projectId));
+  if (!project) return false;
+
+  const saved = await putProject({
+    ...project,
+    wallets,
+    lastScanned: new Date().toISOString(),
+  });
+  return saved !== null;
 }
 
 /**
  * Update project cached data for faster loading
  * Call this after fetching wallet data to cache it with the project
  */
-export function updateProjectCachedData(projectId, cachedData) {
-  try {
-    const projects = getProjects();
-    const index = projects.findIndex(p => p.id === projectId);
-
-    if (index >= 0) {
-      projects[index] = {
-        ...projects[index],
-        cachedWalletData: cachedData.walletData || projects[index].cachedWalletData,
-        cachedTransactions: cachedData.transactions || projects[index].cachedTransactions,
-        cachedTokenInfo: cachedData.tokenInfo || projects[index].cachedTokenInfo,
-        cachedInitialBalances: cachedData.initialBalances || projects[index].cachedInitialBalances,
-        lastScanned: new Date().toISOString(),
-      };
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(projects));
-      console.log(`[ProjectStorage] Cached data updated for project ${projectId}`);
-      return true;
-    }
-    return false;
-  } catch (error) {
-    console.error('Error updating project cached data:', error);
-    return false;
-  }
+export async function updateProjectCachedData(projectId, cachedData) {
+  const project = await runStoreRequest(STORES.PROJECTS, store => store.get(projectId));
+  if (!project) return false;
+
+  const saved = await putProject({
+    ...project,
+    cachedWalletData: cachedData.walletData || project.cachedWalletData,
+    cachedTokenInfo: cachedData.tokenInfo || project.cachedTokenInfo,
+    cachedInitialBalances: cachedData.initialBalances || project.cachedInitialBalances,
+    lastScanned: new Date().toISOString(),
+  });
+  if (saved === null) return false;
+
+  console.log(`[ProjectStorage] Cached data updated for project ${projectId}`);
+  return true;
 }
 
 /**
  * Get cached data from a project for instant loading
  */
-export function getProjectCachedData(projectId) {
-  try {
-    const project = getProject(projectId);
-    if (!project) return null;
-
-    return {
-      walletData: project.cachedWalletData,
-      transactions: project.cachedTransactions,
-      tokenInfo: project.cachedTokenInfo,
-      initialBalances: project.cachedInitialBalances,
-      lastScanned: project.lastScanned,
-    };
-  } catch (error) {
-    console.error('Error getting project cached data:', error);
-    return null;
-  }
+export async function getProjectCachedData(projectId) {
+  const project = await getProject(projectId);
+  if (!project) return null;
+
+  return {
+    walletData: project.cachedWalletData,
+    tokenInfo: project.cachedTokenInfo,
+    initialBalances: project.cachedInitialBalances,
+    lastScanned: project.lastScanned,
+  };
 }
 
 /**
  * Clear all projects
  */
-export function clearAllProjects() {
-  try {
-    localStorage.removeItem(STORAGE_KEY);
-    return true;
-  } catch (error) {
-    console.error('Error clearing projects:', error);
-    return false;
-  }
+export async function clearAllProjects() {
+  const cleared = await runStoreRequest(STORES.PROJECTS, store => store.clear(), 'readwrite');
+  return cleared !== null;
 }
 
 /**
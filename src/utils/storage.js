@@ -1,13 +1,27 @@
+import { runStoreRequest, reportQuotaError, STORES } from '../services/appDb';
+
 const STORAGE_KEYS = {
   WALLETS: 'cwt_wallets',
   TOKEN_MINT: 'cwt_token_mint',
   SETTINGS: 'cwt_settings',
   WALLET_DATA: 'cwt_wallet_data',
-  TRANSACTIONS: 'cwt_transactions',
   INITIAL_BALANCES: 'cwt_initial_balances',
   ACTIVE_PROJECT_ID: 'cwt_active_project_id',
 };
 
+// Settings a fresh install starts with; saved settings are merged over them,
+// so keys added in later versions get their default
+export const DEFAULT_SETTINGS = {
+  refreshInterval: 30, // seconds
+  heliusApiKey: '',
+  customRpcs: [], // user-added RPC endpoints for the pool
+  liveMode: false, // WebSocket push updates (polling becomes the fallback)
+  txIndexMode: 'wallet', // 'wallet' = per-wallet signature scans, 'mint' = pool/mint scan
+  costBasisMethod: 'fifo', // 'fifo' or 'average' (entry price / PnL)
+  sniperSlots: 5, // buys this many slots after the mint's creation are flagged as snipers
+  evictionPolicy: 'trim_transactions', // what storageManager frees when storage runs full
+};
+
 /**
  * Save wallets to localStorage
  */
@@ -17,6 +31,7 @@ export function saveWallets(wallets) {
     return true;
   } catch (error) {
     console.error('Failed to save wallets:', error);
+    reportQuotaError(STORAGE_KEYS.WALLETS, error);
     return false;
   }
 }
@@ -70,6 +85,7 @@ export function saveWalletData(data) {
     return true;
   } catch (error) {
     console.error('Failed to save wallet data:', error);
+    reportQuotaError(STORAGE_KEYS.WALLET_DATA, error);
     return false;
   }
 }
@@ -87,34 +103,29 @@ export function loadWalletData() {
   }
 }
 
+// Session record holding the current view's transactions (IndexedDB, appDb.js)
+const SESSION_TRANSACTIONS_KEY = 'transactions';
+
 /**
- * Save transactions
+ * Save transactions (IndexedDB)
+ * Returns: Promise<boolean>
  */
-export function saveTransactions(transactions) {
-  try {
-    localStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify({
-      data: transactions,
-      timestamp: new Date().toISOString(),
-    }));
-    return true;
-  } catch (error) {
-    console.error('Failed to save transactions:', error);
-    return false;
-  }
+export async function saveTransactions(transactions) {
+  const saved = await runStoreRequest(STORES.SESSION, store => store.put({
+    key: SESSION_TRANSACTIONS_KEY,
+    data: transactions,
+    timestamp: new Date().toISOString(),
+  }), 'readwrite');
+  return saved !== null;
 }
 
 /**
- * Load transactions
+ * Load transactions (IndexedDB)
+ * Returns: Promise<Object[]>
  */
-export function loadTransactions() {
-  try {
-    const stored = localStorage.getItem(STORAGE_KEYS.TRANSACTIONS);
-    if (!stored) return [];
-    const parsed = JSON.parse(stored);
-    return parsed.data || [];
-  } catch (error) {
-    return [];
-  }
+export async function loadTransactions() {
+  const stored = await runStoreRequest(STORES.SESSION, store => store.get(SESSION_TRANSACTIONS_KEY));
+  return stored?.data || [];
 }
 
 /**
@@ -130,20 +141,14 @@ export function saveSettings(settings) {
 }
 
 /**
- * Load settings
+ * Load settings (defaults for missing keys)
  */
 export function loadSettings() {
   try {
     const data = localStorage.getItem(STORAGE_KEYS.SETTINGS);
-    return data ? JSON.parse(data) : {
-      refreshInterval: 30, // seconds
-      heliusApiKey: '',
-    };
+    return data ? { ...DEFAULT_SETTINGS, ...JSON.parse(data) } : { ...DEFAULT_SETTINGS };
   } catch (error) {
-    return {
-      refreshInterval: 30,
-      heliusApiKey: '',
-    };
+    return { ...DEFAULT_SETTINGS };
   }
 }
 
@@ -162,6 +167,7 @@ export function saveInitialBalances(tokenMint, balances) {
     return true;
   } catch (error) {
     console.error('Failed to save initial balances:', error);
+    reportQuotaError(STORAGE_KEYS.INITIAL_BALANCES, error);
     return false;
   }
 }
@@ -235,8 +241,9 @@ export function loadActiveProjectId() {
 /**
  * Clear all stored data
  */
-export function clearAllData() {
+export async function clearAllData() {
   Object.values(STORAGE_KEYS).forEach(key => {
     localStorage.removeItem(key);
   });
+  await runStoreRequest(STORES.SESSION, store => store.delete(SESSION_TRANSACTIONS_KEY), 'readwrite');
 }